@@ -1,47 +1,25 @@
-
-const CACHE_NAME = 'om-cache-v2';
-const PRECACHE_URLS = [
-  '/',
-  '/index.html',
-  '/manifest.json',
-  '/service-worker.js',
-  // Ajoutez ici d'autres fichiers statiques ou assets si besoin
-];
-
-self.addEventListener('install', (event) => {
-  event.waitUntil(
-    caches.open(CACHE_NAME)
-      .then(async cache => {
-        // Ajoute les fichiers essentiels
-        await cache.addAll(PRECACHE_URLS);
-        // Ajoute dynamiquement tous les fichiers du dossier /assets/
-        try {
-          const assets = [
-            '/assets/index-HLPfRb6J.css',
-            '/assets/index-xC-gB0Wc.js',
-            '/assets/index.es-D8PF3V3o.js',
-            '/assets/html2canvas.esm-CBrSDip1.js',
-            '/assets/purify.es-CQJ0hv7W.js',
-          ];
-          await cache.addAll(assets);
-        } catch (e) {
-          // Ignore les erreurs d'ajout d'assets
-        }
-      })
-      .then(() => self.skipWaiting())
-  );
-});
-
+/* ---------- Précache ----------
+   BUILD_ID et PRECACHE_ASSETS sont réécrits au build à partir du manifeste
+   de Vite (voir scripts/precache-manifest.js): chaque build a son propre
+   cache. Le nouveau worker attend que la page lui demande de prendre la
+   main (SKIP_WAITING), après accord de l'utilisateur.
+*/
+const BUILD_ID = 'dev';
+const PRECACHE_ASSETS = [];
+const CACHE_NAME = `mobiledger-${BUILD_ID}`;
+const PRECACHE_URLS = ['/', '/index.html', '/manifest.json'];
+const PRECACHED = new Set([...PRECACHE_URLS, ...PRECACHE_ASSETS]);
 
 self.addEventListener('install', (event) => {
   event.waitUntil(
     caches.open(CACHE_NAME)
-      .then(async cache => {
-        await cache.addAll(PRECACHE_URLS);
-        // Cache tous les fichiers assets générés (JS/CSS/images)
-        // On récupère la liste via fetch de index.html et parse, ou on laisse le cache dynamique le gérer
+      .then((cache) => cache.addAll([...PRECACHE_URLS, ...PRECACHE_ASSETS]))
+      .catch(async (err) => {
+        // Installation abandonnée: l'ancienne version reste en place, la page prévient l'utilisateur
+        await caches.delete(CACHE_NAME);
+        await notifyClients({ type: 'PRECACHE_FAILED', build: BUILD_ID, error: err.message || String(err) });
+        throw err;
       })
-      .then(() => self.skipWaiting())
   );
 });
 
@@ -71,12 +49,17 @@ self.addEventListener('fetch', (event) => {
     );
     return;
   }
-  // Pour les assets (JS/CSS/images): cache-first, puis réseau, puis rien
+  // Seuls les fichiers du build sont servis depuis le cache. Le reste, dont
+  // l'API de synchronisation (/api/), va au réseau: une réponse de
+  // GET /api/sync/changes mise en cache resservirait la même page indéfiniment.
+  const url = new URL(req.url);
+  if (req.method !== 'GET' || url.origin !== self.location.origin || url.pathname.startsWith('/api/') || !PRECACHED.has(url.pathname)) return;
+  // Assets du build (JS/CSS/images): cache-first, puis réseau
   event.respondWith(
     caches.match(req).then(cachedResp => {
       return cachedResp || fetch(req).then(networkResp => {
-        // Met en cache les nouvelles ressources GET
-        if (req.method === 'GET' && networkResp && networkResp.status === 200 && req.url.startsWith(self.location.origin)) {
+        // Entrée du précache perdue: on la remet
+        if (networkResp && networkResp.status === 200) {
           const clone = networkResp.clone();
           caches.open(CACHE_NAME).then(cache => cache.put(req, clone));
         }
@@ -85,3 +68,213 @@ self.addEventListener('fetch', (event) => {
     })
   );
 });
+
+/* ---------- Background Sync des transactions en attente ----------
+   Même protocole que src/sync.js: POST { transactions } -> { accepted, rejected, conflicts }.
+   Le worker ne fait qu'envoyer: la réception des autres appareils et la
+   résolution des conflits (revisions.js) restent dans l'application, qui
+   reprend au prochain passage les transactions renvoyées dans `conflicts`.
+   La base est ouverte sans numéro de version: le worker ne crée ni ne migre
+   jamais le schéma, c'est le rôle de l'application.
+*/
+const DB_NAME = 'mm_transactions_db';
+const STORE_NAME = 'transactions';
+const SETTINGS_STORE = 'settings';
+const SYNC_TAG = 'sync-transactions';
+const PERIODIC_SYNC_TAG = 'sync-transactions-periodic';
+const DEFAULT_SYNC_CONFIG = { endpoint: '/api/sync/transactions', token: '', batchSize: 50, timeoutMs: 15000 };
+const RETRY_BASE_MS = 30 * 1000;
+const RETRY_MAX_MS = 30 * 60 * 1000;
+const LOCAL_FIELDS = ['sync_attempts', 'next_retry_at', 'last_sync_error', 'sync_error', 'synced_at', 'sync_dirty'];
+// Rapprochement SMS (db.RECONCILIATION_FIELDS): reste sur l'appareil, comme dans src/sync.js
+const RECONCILIATION_FIELDS = ['operator_ref', 'operator_balance', 'reconciled_at', 'reconciled_by'];
+
+/* Données personnelles chiffrées (voir src/crypto.js): le worker n'a jamais
+   la clé, qui reste dans la page. Un enregistrement qui porte une valeur
+   chiffrée attend que l'application soit ouverte et déverrouillée; seuls
+   ceux d'avant le coffre partent d'ici (voir src/backgroundSync.js). */
+const SEALED_PREFIX = 'enc1:';
+
+self.addEventListener('message', (event) => {
+  const data = event.data || {};
+  if (data.type === 'SKIP_WAITING') self.skipWaiting();
+});
+
+const isSealed = (value) => typeof value === 'string' && value.startsWith(SEALED_PREFIX);
+
+function openExistingDB() {
+  return new Promise((resolve, reject) => {
+    const req = indexedDB.open(DB_NAME);
+    // La base n'existe pas encore: on annule pour ne pas la créer vide
+    req.onupgradeneeded = () => req.transaction.abort();
+    req.onsuccess = () => {
+      // Ne pas bloquer une migration de schéma lancée par la page
+      req.result.onversionchange = () => req.result.close();
+      resolve(req.result);
+    };
+    req.onerror = () => resolve(null);
+    req.onblocked = () => reject(new Error('IndexedDB bloquée'));
+  });
+}
+
+function requestToPromise(req) {
+  return new Promise((resolve, reject) => {
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+  });
+}
+
+async function readSyncConfig(db) {
+  if (!db.objectStoreNames.contains(SETTINGS_STORE)) return DEFAULT_SYNC_CONFIG;
+  const row = await requestToPromise(db.transaction(SETTINGS_STORE, 'readonly').objectStore(SETTINGS_STORE).get('sync_config'));
+  return { ...DEFAULT_SYNC_CONFIG, ...(row ? row.value : {}) };
+}
+
+async function patchRecords(db, patches) {
+  const tx = db.transaction(STORE_NAME, 'readwrite');
+  const store = tx.objectStore(STORE_NAME);
+  await Promise.all(patches.map(async ({ id, patch }) => {
+    const record = await requestToPromise(store.get(id));
+    if (record) await requestToPromise(store.put({ ...record, ...patch }));
+  }));
+}
+
+function toSyncPayload(t) {
+  const payload = { ...t, idempotency_key: t.id };
+  [...LOCAL_FIELDS, ...RECONCILIATION_FIELDS].forEach((f) => delete payload[f]);
+  return payload;
+}
+
+async function postBatch(batch, config) {
+  const headers = { 'Content-Type': 'application/json', Accept: 'application/json' };
+  if (config.token) headers.Authorization = `Bearer ${config.token}`;
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), config.timeoutMs);
+  let res;
+  try {
+    res = await fetch(config.endpoint, {
+      method: 'POST',
+      headers,
+      body: JSON.stringify({ transactions: batch.map(toSyncPayload) }),
+      signal: controller.signal
+    });
+  } catch (err) {
+    throw new Error('Serveur de synchronisation injoignable.');
+  } finally {
+    clearTimeout(timer);
+  }
+  const body = await res.json().catch(() => null);
+  if (!res.ok) throw new Error(`Erreur de synchronisation (HTTP ${res.status})${body && body.error ? ` — ${body.error}` : ''}`);
+  if (!body || !Array.isArray(body.accepted)) throw new Error('Réponse du serveur invalide (champ "accepted" manquant).');
+  return {
+    accepted: body.accepted,
+    rejected: Array.isArray(body.rejected) ? body.rejected : [],
+    conflicts: Array.isArray(body.conflicts) ? body.conflicts : []
+  };
+}
+
+function retryPatch(t, message, now) {
+  const attempts = (t.sync_attempts || 0) + 1;
+  const delay = Math.min(RETRY_BASE_MS * 2 ** (attempts - 1), RETRY_MAX_MS);
+  return {
+    id: t.id,
+    patch: { sync_attempts: attempts, next_retry_at: new Date(now.getTime() + delay).toISOString(), last_sync_error: message }
+  };
+}
+
+/*
+  drainPending: envoie les transactions `pending` (et les annulations pas
+  encore transmises, `sync_dirty`) et met à jour leur statut.
+  `respectBackoff` laisse de côté celles dont le prochain essai n'est pas échu.
+*/
+async function drainPending({ respectBackoff }) {
+  const db = await openExistingDB();
+  if (!db || !db.objectStoreNames.contains(STORE_NAME)) return { accepted: [], rejected: [], error: null };
+  try {
+    const config = await readSyncConfig(db);
+    const now = new Date();
+    const statusIndex = db.transaction(STORE_NAME, 'readonly').objectStore(STORE_NAME).index('status');
+    const [pendingRecords, cancelled] = await Promise.all([
+      requestToPromise(statusIndex.getAll('pending')),
+      requestToPromise(statusIndex.getAll('cancelled'))
+    ]);
+    const pending = pendingRecords
+      .concat(cancelled.filter((t) => t.sync_dirty))
+      // Le déchiffrement reste dans la page: tout champ chiffré met l'enregistrement de côté
+      .filter((t) => !Object.values(t).some(isSealed));
+    const due = respectBackoff
+      ? pending.filter((t) => !t.next_retry_at || new Date(t.next_retry_at) <= now)
+      : pending;
+    const result = { accepted: [], rejected: [], error: null };
+
+    for (let i = 0; i < due.length; i += config.batchSize) {
+      const batch = due.slice(i, i + config.batchSize);
+      try {
+        const { accepted, rejected, conflicts } = await postBatch(batch, config);
+        const acceptedIds = new Set(accepted);
+        const rejectedById = new Map(rejected.map((r) => [r.id, r.reason || 'Rejeté par le serveur']));
+        const conflictIds = new Set(conflicts.map((c) => c && c.id));
+        const syncedAt = new Date().toISOString();
+        await patchRecords(db, batch.map((t) => {
+          if (acceptedIds.has(t.id)) {
+            result.accepted.push(t.id);
+            return {
+              id: t.id,
+              patch: { status: t.status === 'pending' ? 'synced' : t.status, synced_at: syncedAt, sync_dirty: false, next_retry_at: null, last_sync_error: null }
+            };
+          }
+          if (rejectedById.has(t.id)) {
+            result.rejected.push({ id: t.id, reason: rejectedById.get(t.id) });
+            return {
+              id: t.id,
+              patch: {
+                status: t.status === 'pending' ? 'rejected' : t.status,
+                sync_error: rejectedById.get(t.id),
+                sync_dirty: false,
+                sync_attempts: (t.sync_attempts || 0) + 1,
+                next_retry_at: null
+              }
+            };
+          }
+          if (conflictIds.has(t.id)) return retryPatch(t, 'Conflit avec un autre appareil, résolu à la prochaine ouverture', now);
+          return retryPatch(t, 'Non acquitté par le serveur', now);
+        }));
+      } catch (err) {
+        result.error = err.message || String(err);
+        await patchRecords(db, due.slice(i).map((t) => retryPatch(t, result.error, now)));
+        break;
+      }
+    }
+    return result;
+  } finally {
+    db.close();
+  }
+}
+
+async function notifyClients(message) {
+  const all = await self.clients.matchAll({ includeUncontrolled: true, type: 'window' });
+  all.forEach((client) => client.postMessage(message));
+}
+
+async function backgroundSync({ respectBackoff }) {
+  const result = await drainPending({ respectBackoff });
+  if (result.accepted.length || result.rejected.length || result.error) {
+    await notifyClients({ type: 'SYNC_COMPLETE', ...result });
+  }
+  return result;
+}
+
+self.addEventListener('sync', (event) => {
+  if (event.tag !== SYNC_TAG) return;
+  event.waitUntil(
+    backgroundSync({ respectBackoff: false }).then((result) => {
+      // Rejeter laisse le navigateur reprogrammer la tentative
+      if (result.error) throw new Error(result.error);
+    })
+  );
+});
+
+self.addEventListener('periodicsync', (event) => {
+  if (event.tag !== PERIODIC_SYNC_TAG) return;
+  event.waitUntil(backgroundSync({ respectBackoff: true }));
+});
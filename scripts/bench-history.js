@@ -0,0 +1,138 @@
+/*
+  Mesure du rafraîchissement de l'historique après une écriture, sur une
+  base de 50 000 transactions (IndexedDB simulée par fake-indexeddb).
+
+  Usage:
+    npm run bench
+    BENCH_RECORDS=10000 BENCH_RUNS=5 npm run bench
+
+  - BENCH_RECORDS : nombre de transactions générées (50 000 par défaut)
+  - BENCH_RUNS    : mesures par cas, la médiane est affichée (3 par défaut)
+  Les données sont déterministes (pas de hasard): deux lancements comparent
+  la même base. « Avant » reproduit l'ancien rechargement de l'appli:
+  toute la base lue et déchiffrée (getAllTransactions) puis la page, le
+  total et le float calculés en mémoire. « Après » est ce que lancent
+  maintenant les effets de App.jsx: requêtes par index (src/query.js),
+  seule la page est déchiffrée. fake-indexeddb est bien plus lent qu'un
+  navigateur: seuls les rapports entre les colonnes comptent.
+*/
+import 'fake-indexeddb/auto';
+import { performance } from 'node:perf_hooks';
+import { STORE_NAME, getAllTransactions, openDB } from '../src/db.js';
+import { sealFields } from '../src/crypto.js';
+import { setupVault } from '../src/vault.js';
+import { DEFAULT_FILTERS, applyFilters } from '../src/filters.js';
+import { countTransactions, queryPage, scanTransactions } from '../src/query.js';
+import { CASH_ACCOUNT, computeFloatPosition, emoneyAccount, floatScanStart } from '../src/float.js';
+import { localDateKey } from '../src/closing.js';
+
+const RECORDS = Number(process.env.BENCH_RECORDS) || 50000;
+const RUNS = Number(process.env.BENCH_RUNS) || 3;
+const PAGE_SIZE = 20;
+const OPERATORS = ['orange', 'moov', 'telecel'];
+const STATUSES = ['synced', 'synced', 'synced', 'pending', 'cancelled'];
+const TYPES = ['deposit', 'withdrawal'];
+const END = Date.UTC(2026, 5, 30, 18);
+const STEP_MS = 15 * 60 * 1000; // une opération toutes les 15 minutes, ~520 jours pour 50 000
+
+/* ---------- Données ---------- */
+
+function record(i) {
+  return {
+    id: `bench-${String(i).padStart(6, '0')}`,
+    type: TYPES[i % TYPES.length],
+    operator: OPERATORS[i % OPERATORS.length],
+    status: STATUSES[i % STATUSES.length],
+    montant: 1000 + ((i * 7919) % 400) * 500,
+    nom_complet: `Client ${i % 900}`,
+    id_document: `B${String(1000000 + (i % 900)).slice(1)}`,
+    telephone: `70${String(100000 + (i % 900)).slice(1)}00`,
+    created_at: new Date(END - i * STEP_MS).toISOString(),
+    rev: 1,
+    device_id: 'bench',
+    updated_at: new Date(END - i * STEP_MS).toISOString()
+  };
+}
+
+async function seed(db) {
+  const batch = 5000;
+  for (let start = 0; start < RECORDS; start += batch) {
+    const sealed = await Promise.all(
+      Array.from({ length: Math.min(batch, RECORDS - start) }, (_, k) => sealFields(record(start + k)))
+    );
+    await new Promise((resolve, reject) => {
+      const tx = db.transaction(STORE_NAME, 'readwrite');
+      sealed.forEach((t) => tx.objectStore(STORE_NAME).put(t));
+      tx.oncomplete = resolve;
+      tx.onerror = () => reject(tx.error);
+    });
+  }
+}
+
+// Float ouvert il y a deux jours sur tous les comptes (clôture de la veille)
+const opened = new Date(END - 2 * 24 * 3600 * 1000).toISOString();
+const floatEntries = [CASH_ACCOUNT, ...OPERATORS.map(emoneyAccount)]
+  .map((account) => ({ kind: 'opening', account, amount: 500000, created_at: opened }));
+
+/* ---------- Rafraîchissements mesurés ---------- */
+
+// Clés de tri de la page: à montant égal, l'index montant range par id et le tri en mémoire par date
+const pageKeys = (items, filters) => items.map((t) => t[filters.sort]);
+
+async function before(filters) {
+  const all = await getAllTransactions();
+  const filtered = applyFilters(all, filters);
+  return {
+    page: pageKeys(filtered.slice(0, PAGE_SIZE), filters),
+    count: filtered.length,
+    float: computeFloatPosition(floatEntries, all).cash
+  };
+}
+
+async function after(filters) {
+  const since = floatScanStart(floatEntries, [CASH_ACCOUNT, ...OPERATORS.map(emoneyAccount)]);
+  const [{ items }, count, , , floatRecords] = await Promise.all([
+    queryPage(filters, { limit: PAGE_SIZE }),
+    countTransactions(filters),
+    scanTransactions(filters),
+    countTransactions(DEFAULT_FILTERS),
+    scanTransactions({ ...DEFAULT_FILTERS, from: since ? localDateKey(since) : '' })
+  ]);
+  return { page: pageKeys(items, filters), count, float: computeFloatPosition(floatEntries, floatRecords).cash };
+}
+
+async function median(fn) {
+  const times = [];
+  let result = null;
+  for (let run = 0; run < RUNS; run++) {
+    const start = performance.now();
+    result = await fn();
+    times.push(performance.now() - start);
+  }
+  times.sort((a, b) => a - b);
+  return { ms: Math.round(times[Math.floor(times.length / 2)]), result };
+}
+
+const CASES = [
+  ['Sans filtre', DEFAULT_FILTERS],
+  ['Orange, en attente', { ...DEFAULT_FILTERS, operator: 'orange', status: 'pending' }],
+  ['Une semaine', { ...DEFAULT_FILTERS, from: '2026-06-01', to: '2026-06-07' }],
+  ['Tri par montant', { ...DEFAULT_FILTERS, sort: 'montant' }]
+];
+
+await setupVault({ name: 'Bench', pin: '482913' });
+const db = await openDB();
+const start = performance.now();
+await seed(db);
+console.log(`${RECORDS} transactions générées en ${Math.round(performance.now() - start)} ms (médiane de ${RUNS} mesures)\n`);
+
+console.log(['Cas'.padEnd(22), 'Avant (ms)'.padStart(11), 'Après (ms)'.padStart(11), 'Résultats'.padStart(10)].join(' '));
+for (const [label, filters] of CASES) {
+  const old = await median(() => before(filters));
+  const now = await median(() => after(filters));
+  // Les deux chemins doivent donner la même page, le même total et le même float
+  if (JSON.stringify(old.result) !== JSON.stringify(now.result)) {
+    throw new Error(`${label}: résultats différents ${JSON.stringify(old.result)} / ${JSON.stringify(now.result)}`);
+  }
+  console.log([label.padEnd(22), String(old.ms).padStart(11), String(now.ms).padStart(11), String(now.result.count).padStart(10)].join(' '));
+}
@@ -0,0 +1,129 @@
+/*
+  Serveur de synchronisation factice pour tester MobiLedger en local.
+
+  Usage:
+    npm run mock:server
+    MOCK_TOKEN=secret MOCK_FAIL_RATE=0.3 PORT=8787 npm run mock:server
+
+  En dev, Vite redirige /api vers ce serveur: les adresses par défaut
+  (/api/sync/transactions et /api/sync/changes) fonctionnent telles
+  quelles. Sinon, indiquer http://localhost:8787/api/sync/... dans Paramètres.
+
+  - MOCK_TOKEN     : si défini, exige `Authorization: Bearer <token>` (sinon 401)
+  - MOCK_FAIL_RATE : probabilité (0..1) de répondre 503 pour tester le backoff
+  Les transactions sont gardées en mémoire, indexées par `idempotency_key`:
+  renvoyer un lot déjà reçu ne crée pas de doublon. Une version envoyée ne
+  remplace la précédente que si elle l'emporte (même règle que l'appli,
+  src/revisions.js); sinon la version gardée est renvoyée dans `conflicts`.
+  Chaque version retenue reçoit un numéro d'ordre: c'est le curseur de
+  GET /api/sync/changes, pour tester avec deux navigateurs.
+*/
+import http from 'node:http';
+import { compareRevisions, isSameRevision } from '../src/revisions.js';
+
+const PORT = Number(process.env.PORT) || 8787;
+const TOKEN = process.env.MOCK_TOKEN || '';
+const FAIL_RATE = Number(process.env.MOCK_FAIL_RATE) || 0;
+
+const received = new Map(); // idempotency_key -> { record, seq }
+let lastSeq = 0;
+
+function send(res, status, body) {
+  res.writeHead(status, {
+    'Content-Type': 'application/json',
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+    'Access-Control-Allow-Methods': 'GET, POST, OPTIONS'
+  });
+  res.end(body === undefined ? '' : JSON.stringify(body));
+}
+
+function readJson(req) {
+  return new Promise((resolve, reject) => {
+    let raw = '';
+    req.on('data', (chunk) => { raw += chunk; });
+    req.on('end', () => {
+      try {
+        resolve(raw ? JSON.parse(raw) : {});
+      } catch (err) {
+        reject(err);
+      }
+    });
+    req.on('error', reject);
+  });
+}
+
+function validate(t) {
+  if (!t.idempotency_key) return 'idempotency_key manquant';
+  if (!(Number(t.montant) > 0)) return 'Montant invalide';
+  if (!t.telephone) return 'Téléphone manquant';
+  return null;
+}
+
+async function handleSync(req, res) {
+  if (TOKEN && req.headers.authorization !== `Bearer ${TOKEN}`) {
+    return send(res, 401, { error: 'Jeton invalide' });
+  }
+  if (Math.random() < FAIL_RATE) {
+    return send(res, 503, { error: 'Indisponibilité simulée' });
+  }
+  let body;
+  try {
+    body = await readJson(req);
+  } catch (err) {
+    return send(res, 400, { error: 'JSON invalide' });
+  }
+  if (!Array.isArray(body.transactions)) {
+    return send(res, 400, { error: 'Champ "transactions" attendu' });
+  }
+
+  const accepted = [];
+  const rejected = [];
+  const conflicts = [];
+  body.transactions.forEach((t) => {
+    const reason = validate(t);
+    if (reason) {
+      rejected.push({ id: t.id, reason });
+      return;
+    }
+    const current = received.get(t.idempotency_key);
+    if (current && compareRevisions(current.record, t) > 0) {
+      conflicts.push({ id: t.id, current: current.record });
+      return;
+    }
+    if (!current || !isSameRevision(current.record, t)) {
+      lastSeq += 1;
+      received.set(t.idempotency_key, { record: t, seq: lastSeq });
+    }
+    accepted.push(t.id);
+  });
+  console.log(`[sync] ${accepted.length} acceptée(s), ${rejected.length} rejetée(s), ${conflicts.length} conflit(s), ${received.size} au total`);
+  send(res, 200, { accepted, rejected, conflicts });
+}
+
+function handleChanges(req, res, url) {
+  if (TOKEN && req.headers.authorization !== `Bearer ${TOKEN}`) {
+    return send(res, 401, { error: 'Jeton invalide' });
+  }
+  const since = Number(url.searchParams.get('since')) || 0;
+  const limit = Math.max(1, Number(url.searchParams.get('limit')) || 50);
+  const newer = [...received.values()].filter((entry) => entry.seq > since).sort((a, b) => a.seq - b.seq);
+  const page = newer.slice(0, limit);
+  const cursor = page.length ? page[page.length - 1].seq : since;
+  send(res, 200, { changes: page.map((entry) => entry.record), cursor: String(cursor), has_more: newer.length > limit });
+}
+
+const server = http.createServer((req, res) => {
+  const url = new URL(req.url, `http://localhost:${PORT}`);
+  if (req.method === 'OPTIONS') return send(res, 204);
+  if (req.method === 'POST' && url.pathname === '/api/sync/transactions') return handleSync(req, res);
+  if (req.method === 'GET' && url.pathname === '/api/sync/changes') return handleChanges(req, res, url);
+  if (req.method === 'GET' && url.pathname === '/api/sync/transactions') {
+    return send(res, 200, { transactions: [...received.values()].map((entry) => entry.record) });
+  }
+  send(res, 404, { error: 'Route inconnue' });
+});
+
+server.listen(PORT, () => {
+  console.log(`Serveur de sync factice sur http://localhost:${PORT}/api/sync/transactions`);
+});
@@ -0,0 +1,56 @@
+/*
+  Plugin Vite: liste de précache du service worker générée au build.
+
+  Lit le manifeste de build de Vite (dist/.vite/manifest.json, activé par
+  `build.manifest`) et réécrit dist/service-worker.js:
+    const BUILD_ID = 'dev';        -> empreinte des fichiers du build
+    const PRECACHE_ASSETS = [];    -> tous les fichiers JS/CSS/assets émis
+  Le nom du cache dépend de BUILD_ID: chaque build installe un nouveau
+  cache et l'activation supprime les anciens. En dev (`vite`), le worker
+  servi depuis public/ garde ses valeurs par défaut.
+*/
+import { createHash } from 'node:crypto';
+import { readFile, writeFile } from 'node:fs/promises';
+import path from 'node:path';
+
+const SW_FILE = 'service-worker.js';
+const MANIFEST_FILE = path.join('.vite', 'manifest.json');
+
+// Fichiers d'une entrée du manifeste: chunk, CSS et assets importés
+function entryFiles(entry) {
+  return [entry.file, ...(entry.css || []), ...(entry.assets || [])];
+}
+
+export function collectPrecacheAssets(manifest, base = '/') {
+  const files = new Set(Object.values(manifest).flatMap(entryFiles));
+  return Array.from(files).sort().map((file) => `${base}${file}`);
+}
+
+export default function precacheManifest() {
+  let config;
+  return {
+    name: 'mobiledger-precache-manifest',
+    apply: 'build',
+    config() {
+      return { build: { manifest: true } };
+    },
+    configResolved(resolved) {
+      config = resolved;
+    },
+    async writeBundle() {
+      const outDir = path.resolve(config.root, config.build.outDir);
+      const manifest = JSON.parse(await readFile(path.join(outDir, MANIFEST_FILE), 'utf8'));
+      const assets = collectPrecacheAssets(manifest, config.base);
+      const buildId = createHash('sha256').update(assets.join('\n')).digest('hex').slice(0, 10);
+
+      const swPath = path.join(outDir, SW_FILE);
+      const source = await readFile(swPath, 'utf8');
+      const output = source
+        .replace("const BUILD_ID = 'dev';", `const BUILD_ID = '${buildId}';`)
+        .replace('const PRECACHE_ASSETS = [];', `const PRECACHE_ASSETS = ${JSON.stringify(assets, null, 2)};`);
+      if (output === source) this.error(`${SW_FILE}: marqueurs BUILD_ID / PRECACHE_ASSETS introuvables.`);
+      await writeFile(swPath, output);
+      config.logger.info(`${SW_FILE}: ${assets.length} fichier(s) en précache, build ${buildId}`);
+    }
+  };
+}
@@ -12,91 +12,109 @@ Instructions rapides:
 Ce prototype stocke les transactions dans IndexedDB (hors-ligne) et propose une synchronisation manuelle.
 */
 
-import React, { useEffect, useState } from 'react';
-import { jsPDF } from 'jspdf';
-import autoTable from 'jspdf-autotable';
-import ExcelJS from 'exceljs';
-
-/* ---------- Simple IndexedDB helper (no external libs) ---------- */
-const DB_NAME = 'mm_transactions_db';
-const STORE_NAME = 'transactions';
-const DB_VERSION = 1;
-
-function openDB() {
-  return new Promise((resolve, reject) => {
-    const req = indexedDB.open(DB_NAME, DB_VERSION);
-    req.onupgradeneeded = (e) => {
-      const db = e.target.result;
-      if (!db.objectStoreNames.contains(STORE_NAME)) {
-        const store = db.createObjectStore(STORE_NAME, { keyPath: 'id' });
-        store.createIndex('status', 'status', { unique: false });
-        store.createIndex('created_at', 'created_at', { unique: false });
-      }
-    };
-    req.onsuccess = () => resolve(req.result);
-    req.onerror = () => reject(req.error);
-  });
-}
+import React, { useCallback, useEffect, useRef, useState } from 'react';
+import { addTransaction, getDeviceId, uuidv4 } from './db.js';
+import { nextRevision } from './revisions.js';
+import { formatAmountInput, formatCurrency, formatDate, parseAmount } from './format.js';
+import { loadSyncConfig, saveSyncConfig, syncPendingTransactions } from './sync.js';
+import { acknowledgeConflict, getConflicts } from './conflicts.js';
+import { applyUpdate, registerServiceWorker } from './serviceWorker.js';
+import { onServiceWorkerSync, registerPeriodicSync, requestBackgroundSync } from './backgroundSync.js';
+import { isUnlocked } from './crypto.js';
+import { addUser, changePin, getVaultStatus, lockVault, removeUser, setupVault, unlockVault, updateUser } from './vault.js';
+import { ROLES, can, loadUsers, totalsByUser } from './users.js';
+import { CASH_ACCOUNT, addFloatEntry, checkFloatCoverage, computeFloatPosition, emoneyAccount, floatScanStart, getFloatEntries } from './float.js';
+import { DEFAULT_OPERATORS, getOperator, loadOperators, saveOperators, totalsByOperator } from './operators.js';
+import { dayBounds, exportClosingPDF, getClosings, localDateKey, saveClosing } from './closing.js';
+import { computeCommission, getFeeGrids, saveFeeGrid } from './commissions.js';
+import {
+  cancelTransaction,
+  correctTransaction,
+  getAllAuditEntries,
+  getAuditLog,
+  historySummary,
+  loadCorrectionChain,
+  logCreation
+} from './corrections.js';
+import { findClients, getClients, upsertClientFromTransaction } from './clients.js';
+import { DEFAULT_FILTERS, boundedFilters, describeFilters, filtersFromQuery, filtersToQuery } from './filters.js';
+import { countTransactions, queryPage, readTransactions, scanTransactions } from './query.js';
+import { GROUP_BY, buildWorkbook, downloadWorkbook } from './excelExport.js';
+import { importTransactions } from './importer.js';
+import { saveReconciliation } from './reconciliation.js';
+import { DEFAULT_RECEIPT_AGENT, loadReceiptAgent, saveReceiptAgent } from './receipt.js';
+import { exportHistoryPDF, exportRegisterPDF, registerTransactions } from './register.js';
+import { TRANSACTION_TYPES, pickTypeFields, typeLabel } from './transactionTypes.js';
+import { DEFAULT_BACKUP_META, backupAgeDays, createBackup, downloadBackup, isBackupOverdue, loadBackupMeta, restoreBackup, saveBackupMeta } from './backup.js';
+import {
+  evaluateRules,
+  exportAlertsPDF,
+  getAlerts,
+  isBlocking,
+  loadComplianceRules,
+  loadRuleHistory,
+  recordAlerts,
+  reviewAlert,
+  saveComplianceRules
+} from './compliance.js';
+import {
+  PHONE_PREFIXES,
+  amountLimitsFor,
+  formatBFPhone,
+  formatTypeDetails,
+  loadAmountLimits,
+  saveAmountLimits,
+  validateTransaction
+} from './validation.js';
+import AlertsPanel from './components/AlertsPanel.jsx';
+import AmountLimitsSettings from './components/AmountLimitsSettings.jsx';
+import BackupSettings from './components/BackupSettings.jsx';
+import ClientSuggestions from './components/ClientSuggestions.jsx';
+import ClientsPanel from './components/ClientsPanel.jsx';
+import ClosingPanel from './components/ClosingPanel.jsx';
+import CommissionPanel from './components/CommissionPanel.jsx';
+import ComplianceDialog from './components/ComplianceDialog.jsx';
+import ComplianceRulesSettings from './components/ComplianceRulesSettings.jsx';
+import CorrectionDialog from './components/CorrectionDialog.jsx';
+import Dashboard from './components/Dashboard.jsx';
+import FloatPanel from './components/FloatPanel.jsx';
+import HistoryDialog from './components/HistoryDialog.jsx';
+import HistoryFilters from './components/HistoryFilters.jsx';
+import ImportPanel from './components/ImportPanel.jsx';
+import LockScreen from './components/LockScreen.jsx';
+import OperatorBadge from './components/OperatorBadge.jsx';
+import OperatorSettings from './components/OperatorSettings.jsx';
+import PinSettings from './components/PinSettings.jsx';
+import ReceiptDialog from './components/ReceiptDialog.jsx';
+import ReceiptSettings from './components/ReceiptSettings.jsx';
+import RegisterDialog from './components/RegisterDialog.jsx';
+import ReconciliationPanel from './components/ReconciliationPanel.jsx';
+import SyncConflicts from './components/SyncConflicts.jsx';
+import TypeFields from './components/TypeFields.jsx';
+import UsersSettings from './components/UsersSettings.jsx';
 
-async function addTransaction(tx) {
-  const db = await openDB();
-  return new Promise((resolve, reject) => {
-    const txDB = db.transaction(STORE_NAME, 'readwrite');
-    const store = txDB.objectStore(STORE_NAME);
-    const req = store.add(tx);
-    req.onsuccess = () => resolve(req.result);
-    req.onerror = () => reject(req.error);
-  });
-}
+// Cadence of the automatic retry loop; each record still honours its own backoff
+const SYNC_RETRY_INTERVAL_MS = 30 * 1000;
 
-async function getAllTransactions() {
-  const db = await openDB();
-  return new Promise((resolve, reject) => {
-    const txDB = db.transaction(STORE_NAME, 'readonly');
-    const store = txDB.objectStore(STORE_NAME);
-    const req = store.getAll();
-    req.onsuccess = () => resolve(req.result || []);
-    req.onerror = () => reject(req.error);
-  });
-}
-
-async function updateTransaction(id, patch) {
-  const db = await openDB();
-  return new Promise((resolve, reject) => {
-    const txDB = db.transaction(STORE_NAME, 'readwrite');
-    const store = txDB.objectStore(STORE_NAME);
-    const getReq = store.get(id);
-    getReq.onsuccess = () => {
-      const record = getReq.result;
-      if (!record) return reject(new Error('Not found'));
-      const updated = { ...record, ...patch };
-      const putReq = store.put(updated);
-      putReq.onsuccess = () => resolve(updated);
-      putReq.onerror = () => reject(putReq.error);
-    };
-    getReq.onerror = () => reject(getReq.error);
-  });
-}
+// Inactivity delay before the personal data is locked again
+const AUTO_LOCK_MS = 5 * 60 * 1000;
 
-/* ---------- Utility: generate UUID (simple) ---------- */
-function uuidv4() {
-  return 'xxxxxxxx-xxxx-4xxx-yxxx-xxxxxxxxxxxx'.replace(/[xy]/g, function (c) {
-    const r = (Math.random() * 16) | 0;
-    const v = c === 'x' ? r : (r & 0x3) | 0x8;
-    return v.toString(16);
-  });
-}
+// Panels that read transactions, only over the days they report through onRangeChange; 'sealed' ones need no personal data
+const PANEL_READS = { closing: 'sealed', commissions: 'sealed', clients: 'decrypted', reconciliation: 'decrypted', settings: 'decrypted' };
 
 /* ---------- Main App Component ---------- */
 export default function App() {
   const [form, setForm] = useState({
     type: 'deposit',
+    operator: DEFAULT_OPERATORS[0].id,
     nom_complet: '',
     id_document: '',
     telephone: '',
     montant: ''
   });
-  const [transactions, setTransactions] = useState([]);
+  // Bumped after every write to the transactions store: the queries keyed on it run again
+  const [dataVersion, setDataVersion] = useState(0);
+  const [storedCount, setStoredCount] = useState(0); // all records, whatever the filters
   const [online, setOnline] = useState(typeof navigator !== 'undefined' ? navigator.onLine : true);
   const [syncing, setSyncing] = useState(false);
   const [isSubmitting, setIsSubmitting] = useState(false);
@@ -104,28 +122,109 @@ export default function App() {
   const [notification, setNotification] = useState(null); // { message, type }
   const [theme, setTheme] = useState('light');
   const [page, setPage] = useState(1);
+  const [view, setView] = useState('transactions'); // 'transactions' | 'dashboard' | 'float' | 'closing' | 'commissions' | 'clients' | 'alerts' | 'settings'
+  const [syncConfig, setSyncConfig] = useState(null);
+  const [lastSyncError, setLastSyncError] = useState(null);
+  const [syncConflicts, setSyncConflicts] = useState([]);
+  const [floatEntries, setFloatEntries] = useState([]);
+  const [closings, setClosings] = useState([]);
+  const [feeGrids, setFeeGrids] = useState([]);
+  const [operators, setOperators] = useState(DEFAULT_OPERATORS);
+  // Shared by history and dashboard, restored from the URL (see filters.js)
+  const [filters, setFilters] = useState(() => (typeof window !== 'undefined' ? filtersFromQuery(window.location.search) : DEFAULT_FILTERS));
+  const [historyRecords, setHistoryRecords] = useState([]); // records matching `filters`, still sealed (totals only)
+  const [historyCount, setHistoryCount] = useState(0);
+  const [historyPage, setHistoryPage] = useState([]); // decrypted rows of the current page
+  const pageCursors = useRef(new Map()); // page -> keyset position where it starts
+  const [searchSource, setSearchSource] = useState(null); // decrypted records matching `filters`, only while searching
+  const [floatTransactions, setFloatTransactions] = useState([]); // records since the float openings, still sealed
+  const [todayRecords, setTodayRecords] = useState([]); // dashboard: today's records matching `filters`, still sealed
+  const [panelRange, setPanelRange] = useState(null); // { view, from, to } reported by the open panel
+  const [panelRecords, setPanelRecords] = useState({ range: null, records: [] }); // records of `panelRange` once read
+  const [excelGroupBy, setExcelGroupBy] = useState('day'); // extra sheets of the Excel export
+  const [correcting, setCorrecting] = useState(null); // transaction en cours de correction
+  const [history, setHistory] = useState(null); // { id, chain, entries }
+  const [receiptFor, setReceiptFor] = useState(null); // transaction dont on édite le reçu
+  const [receiptAgent, setReceiptAgent] = useState(DEFAULT_RECEIPT_AGENT);
+  const [registerOpen, setRegisterOpen] = useState(false);
+  const [clients, setClients] = useState([]);
+  const [suggestFor, setSuggestFor] = useState(null); // 'telephone' | 'id_document' | null
+  const [formErrors, setFormErrors] = useState({}); // { [field]: message }
+  const [amountLimits, setAmountLimits] = useState({});
+  const [vaultState, setVaultState] = useState('checking'); // 'checking' | 'setup' | 'locked' | 'unlocked'
+  const [users, setUsers] = useState([]);
+  const [currentUser, setCurrentUser] = useState(null); // profil connecté
+  const [complianceRules, setComplianceRules] = useState([]);
+  const [alerts, setAlerts] = useState([]);
+  const [complianceCheck, setComplianceCheck] = useState(null); // { tx, alerts } en attente de décision
+  const [backupMeta, setBackupMeta] = useState(DEFAULT_BACKUP_META);
+  const [backupReminderHidden, setBackupReminderHidden] = useState(false);
+  const [updateWorker, setUpdateWorker] = useState(null); // nouvelle version installée, en attente
+  const [precacheError, setPrecacheError] = useState(null);
   const pageSize = 5;
 
   useEffect(() => {
-    loadTransactions();
-    const onOnline = () => setOnline(true);
+    getVaultStatus().then(setVaultState).catch((err) => console.error('Failed reading vault status', err));
+    loadUsers().then(setUsers).catch((err) => console.error('Failed loading users', err));
+    loadFloatEntries();
+    loadClosings();
+    loadFeeGrids();
+    loadStoredSettings();
+    loadBackupMeta().then(setBackupMeta).catch((err) => console.error('Failed loading backup settings', err));
+    const onOnline = () => {
+      setOnline(true);
+      trySync();
+    };
     const onOffline = () => setOnline(false);
     window.addEventListener('online', onOnline);
     window.addEventListener('offline', onOffline);
 
-    // register service worker (optional but recommended)
-    if (typeof navigator !== 'undefined' && 'serviceWorker' in navigator) {
-      navigator.serviceWorker.register('/service-worker.js').catch((err) => {
-        console.warn('SW registration failed:', err);
-      });
-    }
+    // Only registration of the service worker (offline cache, background sync, updates)
+    const offServiceWorker = registerServiceWorker({ onUpdateReady: setUpdateWorker, onPrecacheError: setPrecacheError });
+    registerPeriodicSync();
+
+    // The worker drained the queue in the background: refresh statuses
+    const offSwSync = onServiceWorkerSync((result) => {
+      setLastSyncError(result.error || null);
+      refreshTransactions();
+    });
 
     return () => {
       window.removeEventListener('online', onOnline);
       window.removeEventListener('offline', onOffline);
+      offSwSync();
+      offServiceWorker();
     };
   }, []);
 
+  // Personal data is only readable once the PIN has been entered
+  useEffect(() => {
+    if (vaultState !== 'unlocked') return undefined;
+    loadClients();
+    loadAlerts();
+    loadSyncConflicts();
+    if (typeof navigator !== 'undefined' && navigator.onLine) trySync();
+
+    let timer = window.setTimeout(handleLock, AUTO_LOCK_MS);
+    const resetTimer = () => {
+      window.clearTimeout(timer);
+      timer = window.setTimeout(handleLock, AUTO_LOCK_MS);
+    };
+    const activity = ['pointerdown', 'keydown', 'scroll'];
+    activity.forEach((evt) => window.addEventListener(evt, resetTimer, { passive: true }));
+    return () => {
+      window.clearTimeout(timer);
+      activity.forEach((evt) => window.removeEventListener(evt, resetTimer));
+    };
+  }, [vaultState]);
+
+  // Retry pending transactions whose backoff delay has elapsed
+  useEffect(() => {
+    if (!online || vaultState !== 'unlocked') return undefined;
+    const timer = window.setInterval(() => trySync(), SYNC_RETRY_INTERVAL_MS);
+    return () => window.clearInterval(timer);
+  }, [online, vaultState]);
+
   // Load saved theme on mount
   useEffect(() => {
     const saved = typeof window !== 'undefined' ? localStorage.getItem('theme') : null;
@@ -141,10 +240,130 @@ export default function App() {
     }
   }, [theme]);
 
-  // Reset pagination when search changes
+  // Reset pagination when search or filters change
   useEffect(() => {
     setPage(1);
-  }, [search]);
+  }, [search, filters]);
+
+  // Keep the filters in the URL so a reload shows the same list
+  useEffect(() => {
+    const { pathname, hash } = window.location;
+    window.history.replaceState(null, '', `${pathname}${filtersToQuery(filters)}${hash}`);
+  }, [filters]);
+
+  /*
+    Every query below is keyed on what it reads: the filters, the page (its
+    keyset cursor) and `dataVersion`, which writes bump via
+    refreshTransactions(). Nothing reloads the whole store after a write.
+  */
+  const searching = search.trim() !== '';
+
+  // Count and totals whenever the filters or the stored records change (nothing decrypted)
+  useEffect(() => {
+    if (vaultState !== 'unlocked') return undefined;
+    let stale = false;
+    pageCursors.current = new Map();
+    Promise.all([countTransactions(filters), scanTransactions(boundedFilters(filters)), countTransactions(DEFAULT_FILTERS)])
+      .then(([count, records, stored]) => {
+        if (stale) return;
+        setHistoryCount(count);
+        setHistoryRecords(records);
+        setStoredCount(stored);
+      })
+      .catch((err) => console.error('Failed querying transactions', err));
+    return () => {
+      stale = true;
+    };
+  }, [filters, dataVersion, vaultState]);
+
+  // Only the visible page is read and decrypted
+  useEffect(() => {
+    if (vaultState !== 'unlocked' || searching) return undefined;
+    let stale = false;
+    queryPage(filters, { after: pageCursors.current.get(page) || null, offset: (page - 1) * pageSize, limit: pageSize })
+      .then(({ items, next }) => {
+        if (stale) return;
+        if (next) pageCursors.current.set(page + 1, next);
+        setHistoryPage(items);
+      })
+      .catch((err) => console.error('Failed loading history page', err));
+    return () => {
+      stale = true;
+    };
+  }, [filters, dataVersion, vaultState, page, searching]);
+
+  // Names and numbers are encrypted at rest: the free-text search decrypts the filtered records once, then filters in memory
+  useEffect(() => {
+    if (vaultState !== 'unlocked' || !searching) {
+      setSearchSource(null);
+      return undefined;
+    }
+    let stale = false;
+    readTransactions(filters)
+      .then((records) => {
+        if (!stale) setSearchSource(records);
+      })
+      .catch((err) => console.error('Failed searching transactions', err));
+    return () => {
+      stale = true;
+    };
+  }, [filters, dataVersion, vaultState, searching]);
+
+  // Float position: only the records since the latest openings of the configured accounts count (sealed, amounts are in clear)
+  useEffect(() => {
+    if (vaultState !== 'unlocked') return undefined;
+    let stale = false;
+    const since = floatScanStart(floatEntries, [CASH_ACCOUNT, ...operators.map((op) => emoneyAccount(op.id))]);
+    scanTransactions({ ...DEFAULT_FILTERS, from: since ? localDateKey(since) : '' })
+      .then((records) => {
+        if (!stale) setFloatTransactions(records);
+      })
+      .catch((err) => console.error('Failed computing float position', err));
+    return () => {
+      stale = true;
+    };
+  }, [floatEntries, operators, dataVersion, vaultState]);
+
+  // Dashboard KPIs of the day, with the other filters of the history
+  useEffect(() => {
+    if (vaultState !== 'unlocked' || view !== 'dashboard') return undefined;
+    let stale = false;
+    const today = localDateKey();
+    scanTransactions({ ...filters, from: today, to: today })
+      .then((records) => {
+        if (!stale) setTodayRecords(records);
+      })
+      .catch((err) => console.error('Failed loading today\'s transactions', err));
+    return () => {
+      stale = true;
+    };
+  }, [filters, dataVersion, vaultState, view]);
+
+  // The open panel says which days it needs (closing.closingRange, commissions.totalsRange...); null = nothing to read
+  const reportPanelRange = useCallback((range) => {
+    setPanelRange(range ? { view, from: range.from, to: range.to } : null);
+  }, [view]);
+
+  useEffect(() => {
+    const mode = PANEL_READS[view];
+    if (vaultState !== 'unlocked' || !mode || !panelRange || panelRange.view !== view) {
+      setPanelRecords({ range: null, records: [] });
+      return undefined;
+    }
+    let stale = false;
+    const range = { ...DEFAULT_FILTERS, from: panelRange.from, to: panelRange.to };
+    (mode === 'sealed' ? scanTransactions(range) : readTransactions(range))
+      .then((records) => {
+        if (!stale) setPanelRecords({ range: panelRange, records });
+      })
+      .catch((err) => console.error('Failed loading transactions', err));
+    return () => {
+      stale = true;
+    };
+  }, [view, panelRange, dataVersion, vaultState]);
+
+  // null until the open panel's range is read: the panels wait before saving anything computed from it
+  const viewTransactions = panelRange && panelRange.view === view && panelRecords.range === panelRange ? panelRecords.records : null;
 
   function toggleTheme() {
     setTheme((t) => (t === 'light' ? 'dark' : 'light'));
@@ -158,63 +377,395 @@ export default function App() {
     }
   }
 
-  async function loadTransactions() {
+  function loadStoredSettings() {
+    loadComplianceRules().then(setComplianceRules).catch((err) => console.error('Failed loading compliance rules', err));
+    loadAmountLimits().then(setAmountLimits).catch((err) => console.error('Failed loading amount limits', err));
+    loadReceiptAgent().then(setReceiptAgent).catch((err) => console.error('Failed loading receipt settings', err));
+    loadOperators().then(setOperators).catch((err) => console.error('Failed loading operators', err));
+    loadSyncConfig().then(setSyncConfig).catch((err) => console.error('Failed loading sync config', err));
+  }
+
+  // After a write: the history, totals, float and open panel query the store again
+  function refreshTransactions() {
+    setDataVersion((v) => v + 1);
+  }
+
+  async function handleVaultSubmit({ userId, name, pin }) {
+    const user = vaultState === 'setup' ? await setupVault({ name, pin }) : await unlockVault(userId, pin);
+    setUsers(await loadUsers());
+    setCurrentUser(user);
+    // The previous profile may have left an owner-only screen open
+    setView('transactions');
+    setVaultState('unlocked');
+  }
+
+  // Forget the key and every decrypted value kept in memory
+  function handleLock() {
+    lockVault();
+    setHistoryPage([]);
+    setSearchSource(null);
+    setViewTransactions([]);
+    setClients([]);
+    setHistory(null);
+    setCorrecting(null);
+    setAlerts([]);
+    setComplianceCheck(null);
+    setForm((f) => ({ ...f, nom_complet: '', id_document: '', telephone: '', montant: '' }));
+    setCurrentUser(null);
+    setVaultState('locked');
+  }
+
+  async function handleChangePin(current, next) {
+    await changePin(current, next);
+    await loadClients();
+    showNotification('Code PIN modifié: les données ont été rechiffrées.', 'success');
+  }
+
+  async function handleAddUser(profile) {
+    const user = await addUser(profile);
+    setUsers(await loadUsers());
+    showNotification(`Profil ${user.name} (${ROLES[user.role]}) créé.`, 'success');
+  }
+
+  async function handleUpdateUser(id, changes) {
+    setUsers(await updateUser(id, changes));
+  }
+
+  // Rotates the data key: the removed profile's PIN no longer opens anything
+  async function handleRemoveUser(id) {
+    setUsers(await removeUser(id));
+    await loadClients();
+    showNotification('Profil supprimé: les données ont été rechiffrées.', 'success');
+  }
+
+  // Offline or server down: the worker retries what it can send without the key (see src/backgroundSync.js)
+  function scheduleBackgroundSync() {
+    requestBackgroundSync();
+  }
+
+  async function loadFloatEntries() {
+    try {
+      setFloatEntries(await getFloatEntries());
+    } catch (err) {
+      console.error('Failed loading float entries', err);
+    }
+  }
+
+  async function loadClosings() {
+    try {
+      setClosings(await getClosings());
+    } catch (err) {
+      console.error('Failed loading closings', err);
+    }
+  }
+
+  async function handleCloseDay(closing, carryForward) {
+    if (!can(currentUser, 'close_day')) return false;
+    const [y, m, d] = closing.date.split('-');
+    if (!window.confirm(`Clôturer la journée du ${d}/${m}/${y} ? Ses transactions ne pourront plus être modifiées.`)) return false;
+    try {
+      await saveClosing(closing);
+      if (carryForward) {
+        // Openings of the next day: stamped at the end of the closed day, so the day's transactions stay before them
+        const at = dayBounds(closing.date).end.toISOString();
+        await addFloatEntry({ kind: 'opening', account: CASH_ACCOUNT, amount: closing.cash_counted, note: `Clôture du ${d}/${m}/${y}`, at });
+        await Promise.all(Object.entries(closing.emoney).map(([id, row]) => (
+          addFloatEntry({ kind: 'opening', account: emoneyAccount(id), amount: row.counted, note: `Clôture du ${d}/${m}/${y}`, at })
+        )));
+      }
+      refreshTransactions();
+      await Promise.all([loadClosings(), loadFloatEntries()]);
+      exportClosingPDF(closing, operators);
+      showNotification('Journée clôturée.', 'success');
+      return true;
+    } catch (err) {
+      console.error(err);
+      showNotification(err.message || 'Erreur lors de la clôture.', 'danger');
+      return false;
+    }
+  }
+
+  async function loadClients() {
+    if (!isUnlocked()) return;
     try {
-      const all = await getAllTransactions();
-      // sort by date desc
-      all.sort((a, b) => new Date(b.created_at) - new Date(a.created_at));
-      setTransactions(all);
+      setClients(await getClients());
     } catch (err) {
-      console.error('Failed loading transactions', err);
+      console.error('Failed loading clients', err);
+    }
+  }
+
+  // Fills the customer fields from the registry, keeping type, operator and amount
+  function pickClient(client) {
+    setForm((f) => ({ ...f, nom_complet: client.nom_complet, id_document: client.id_document, telephone: formatBFPhone(client.telephone) }));
+    setFormErrors(({ nom_complet: _n, id_document: _d, telephone: _t, ...rest }) => rest);
+    setSuggestFor(null);
+  }
+
+  function handleNewTransactionFor(client) {
+    pickClient(client);
+    setView('transactions');
+  }
+
+  async function loadFeeGrids() {
+    try {
+      setFeeGrids(await getFeeGrids());
+    } catch (err) {
+      console.error('Failed loading fee grids', err);
+    }
+  }
+
+  async function handleSaveFeeGrid(grid) {
+    try {
+      await saveFeeGrid(grid);
+      await loadFeeGrids();
+      showNotification('Grille de commission enregistrée.', 'success');
+    } catch (err) {
+      console.error(err);
+      showNotification(err.message || 'Impossible d\'enregistrer la grille.', 'danger');
+    }
+  }
+
+  async function handleSaveOperators(list) {
+    try {
+      const saved = await saveOperators(list);
+      setOperators(saved);
+      setForm((f) => (saved.some((op) => op.id === f.operator) ? f : { ...f, operator: saved[0].id }));
+      showNotification('Opérateurs enregistrés.', 'success');
+    } catch (err) {
+      console.error(err);
+      showNotification('Impossible d\'enregistrer les opérateurs.', 'danger');
+    }
+  }
+
+  async function handleAddFloatEntry(entry) {
+    try {
+      await addFloatEntry(entry);
+      await loadFloatEntries();
+      showNotification('Mouvement de float enregistré.', 'success');
+    } catch (err) {
+      console.error(err);
+      showNotification('Erreur lors de l\'enregistrement du mouvement.', 'danger');
     }
   }
 
   function handleChange(e) {
     const { name, value } = e.target;
     setForm((s) => ({ ...s, [name]: value }));
+    if (formErrors[name]) setFormErrors(({ [name]: _, ...rest }) => rest);
   }
 
-  // Format amount with thousand separators
-  const formatAmountInput = (value) => {
-    // Remove all non-digit characters
-    const numericValue = value.replace(/\D/g, '');
-    if (numericValue === '') return '';
-    
-    // Add thousand separators
-    return numericValue.replace(/\B(?=(\d{3})+(?!\d))/g, ' ');
-  };
+  // Normalise the number and follow the SIM network when the chosen operator is a network wallet
+  function handlePhoneBlur() {
+    setSuggestFor(null);
+    setForm((f) => {
+      const { network } = validateTransaction(f);
+      const followNetwork = network && PHONE_PREFIXES[f.operator] && operators.some((op) => op.id === network);
+      return { ...f, telephone: formatBFPhone(f.telephone), operator: followNetwork ? network : f.operator };
+    });
+  }
 
-  // Parse amount from formatted string
-  const parseAmount = (formattedAmount) => {
-    const numericValue = formattedAmount.replace(/\s/g, '');
-    return numericValue === '' ? 0 : parseInt(numericValue, 10);
-  };
+  async function loadAlerts() {
+    if (!isUnlocked()) return;
+    try {
+      setAlerts(await getAlerts());
+    } catch (err) {
+      console.error('Failed loading compliance alerts', err);
+    }
+  }
+
+  async function loadSyncConflicts() {
+    if (!isUnlocked()) return;
+    try {
+      setSyncConflicts(await getConflicts());
+    } catch (err) {
+      console.error('Failed loading sync conflicts', err);
+    }
+  }
+
+  async function handleAcknowledgeConflict(conflict) {
+    try {
+      await acknowledgeConflict(conflict, { user: currentUser.name });
+      await loadSyncConflicts();
+    } catch (err) {
+      console.error(err);
+      showNotification('Impossible d\'enregistrer le conflit comme vu.', 'danger');
+    }
+  }
+
+  async function handleReviewAlert(alert, note) {
+    if (!can(currentUser, 'review_alerts')) return;
+    try {
+      await reviewAlert(alert, { user: currentUser.name, note });
+      await loadAlerts();
+    } catch (err) {
+      console.error(err);
+      showNotification('Impossible d\'enregistrer la revue.', 'danger');
+    }
+  }
+
+  async function handleSaveComplianceRules(rules) {
+    try {
+      setComplianceRules(await saveComplianceRules(rules));
+      showNotification('Règles de conformité enregistrées.', 'success');
+    } catch (err) {
+      console.error(err);
+      showNotification('Impossible d\'enregistrer les règles.', 'danger');
+    }
+  }
+
+  async function handleSaveAmountLimits(limits) {
+    try {
+      setAmountLimits(await saveAmountLimits(limits));
+      showNotification('Limites de montant enregistrées.', 'success');
+    } catch (err) {
+      console.error(err);
+      showNotification('Impossible d\'enregistrer les limites.', 'danger');
+    }
+  }
+
+  async function handleSaveReceiptAgent(agent) {
+    try {
+      setReceiptAgent(await saveReceiptAgent(agent));
+      showNotification('Coordonnées du reçu enregistrées.', 'success');
+    } catch (err) {
+      console.error(err);
+      showNotification('Impossible d\'enregistrer les coordonnées.', 'danger');
+    }
+  }
+
+  async function handleSaveReconciliation(matched) {
+    try {
+      await saveReconciliation(matched, { user: currentUser.name });
+      refreshTransactions();
+      showNotification(`${matched.length} référence(s) opérateur enregistrée(s).`, 'success');
+    } catch (err) {
+      console.error(err);
+      showNotification('Impossible d\'enregistrer le rapprochement.', 'danger');
+    }
+  }
+
+  // Sauvegarde et restauration: les erreurs remontent au formulaire
+  async function handleBackup(password) {
+    if (!can(currentUser, 'backup')) return;
+    const backup = await createBackup(password);
+    downloadBackup(backup);
+    setBackupMeta(await saveBackupMeta({ last_backup_at: backup.created_at }));
+    setBackupReminderHidden(false);
+    showNotification('Sauvegarde téléchargée.', 'success');
+  }
+
+  async function handleRestore(backup, password, mode) {
+    if (!can(currentUser, 'backup')) return;
+    const { added, skipped } = await restoreBackup(backup, password, { mode });
+    refreshTransactions();
+    await Promise.all([loadClients(), loadAlerts(), loadSyncConflicts(), loadFloatEntries(), loadClosings(), loadFeeGrids()]);
+    loadStoredSettings();
+    const message = mode === 'replace'
+      ? `Sauvegarde restaurée: ${added.transactions || 0} transaction(s).`
+      : `Sauvegarde fusionnée: ${added.transactions || 0} transaction(s) ajoutée(s), ${skipped.transactions || 0} déjà présente(s).`;
+    showNotification(message, 'success', 5000);
+  }
+
+  async function handleSaveBackupReminder(days) {
+    try {
+      setBackupMeta(await saveBackupMeta({ reminder_days: days }));
+      showNotification('Rappel de sauvegarde enregistré.', 'success');
+    } catch (err) {
+      console.error(err);
+      showNotification('Impossible d\'enregistrer le rappel.', 'danger');
+    }
+  }
+
+  // Import Excel/CSV: tout ou rien, l'erreur remonte au panneau d'import
+  async function handleImport(records, fileName) {
+    if (!can(currentUser, 'import')) return;
+    await importTransactions(records, { user: currentUser.name, fileName });
+    refreshTransactions();
+    await loadClients();
+    showNotification(`${records.length} transaction(s) importée(s).`, 'success');
+    if (typeof navigator !== 'undefined' && navigator.onLine) trySync();
+  }
 
   async function handleSubmit(e) {
     e.preventDefault();
-    // validation minimal
-    if (!form.nom_complet || !form.id_document || !form.telephone || !form.montant) {
-      showNotification('Remplissez tous les champs requis.', 'warning');
+    const { errors, values } = validateTransaction(
+      { ...form, montant: parseAmount(form.montant) },
+      { operators, limits: amountLimits }
+    );
+    setFormErrors(errors);
+    const firstInvalid = Object.keys(errors)[0];
+    if (firstInvalid) {
+      const input = document.getElementById(firstInvalid);
+      if (input) input.focus();
       return;
     }
-    
-    setIsSubmitting(true);
+
+    if (closings.some((c) => c.date === localDateKey())) {
+      showNotification('La journée est clôturée: aucune nouvelle transaction ne peut être enregistrée.', 'warning');
+      return;
+    }
+
+    const coverageWarning = checkFloatCoverage(floatPosition, {
+      type: form.type,
+      operator: form.operator,
+      montant: parseAmount(form.montant)
+    });
+    if (coverageWarning && !window.confirm(`${coverageWarning}\n\nEnregistrer quand même ?`)) return;
+
+    const createdAt = new Date().toISOString();
     const tx = {
       id: uuidv4(),
       type: form.type,
-      nom_complet: form.nom_complet,
-      id_document: form.id_document,
-      telephone: form.telephone,
+      operator: form.operator,
+      nom_complet: values.nom_complet,
+      id_document: values.id_document,
+      telephone: values.telephone,
+      ...pickTypeFields(form.type, values),
       montant: parseAmount(form.montant),
       status: 'pending',
-      created_at: new Date().toISOString()
+      created_by: currentUser.id,
+      created_by_name: currentUser.name,
+      created_at: createdAt,
+      ...nextRevision({}, await getDeviceId(), createdAt)
     };
-    
+    tx.commission = computeCommission(feeGrids, tx);
+
+    const alerts = evaluateRules(tx, await loadRuleHistory(tx), complianceRules);
+    if (alerts.length) {
+      // A refused operation is still reported: the agent cannot dismiss it
+      if (isBlocking(alerts)) {
+        try {
+          await recordAlerts(tx, alerts, { user: currentUser.name, blocked: true });
+          loadAlerts();
+        } catch (err) {
+          console.error('Failed recording compliance alerts', err);
+        }
+      }
+      setComplianceCheck({ tx, alerts });
+      return;
+    }
+    await saveTransaction(tx);
+  }
+
+  // Called directly, or once the agent has acknowledged the compliance warnings
+  async function saveTransaction(tx, alerts = []) {
+    setIsSubmitting(true);
+    const record = alerts.length ? { ...tx, compliance_flags: alerts.map((a) => a.rule_id) } : tx;
     try {
-      await addTransaction(tx);
-      setForm({ type: 'deposit', nom_complet: '', id_document: '', telephone: '', montant: '' });
-      await loadTransactions();
-      if (typeof navigator !== 'undefined' && navigator.onLine) await trySync();
+      await addTransaction(record);
+      await logCreation(record, currentUser.name);
+      if (alerts.length) {
+        await recordAlerts(record, alerts, { user: currentUser.name });
+        loadAlerts();
+      }
+      await upsertClientFromTransaction(record);
+      loadClients();
+      // Keep the operator: agents usually chain several operations on the same SIM
+      setForm((f) => ({ type: 'deposit', operator: f.operator, nom_complet: '', id_document: '', telephone: '', montant: '' }));
+      refreshTransactions();
+      const summary = typeof navigator !== 'undefined' && navigator.onLine ? await trySync() : null;
+      // Offline or server down: let the service worker retry once connectivity returns
+      if (!summary || summary.error) scheduleBackgroundSync();
       showNotification('Transaction enregistrée.', 'success');
     } catch (err) {
       console.error(err);
@@ -224,30 +775,68 @@ export default function App() {
     }
   }
 
-  /*
-    trySync: Tentative simplifiée de synchronisation
-    Ici on simule un envoi au serveur. Remplace `fakeSendToServer` par un fetch réel
-  */
-  async function fakeSendToServer(batch) {
-    // simulation: résoud après 800ms
-    return new Promise((resolve) => setTimeout(() => resolve({ ok: true, syncedIds: batch.map((b) => b.id) }), 800));
+  // Saves either a cancellation or a corrected replacement, then pushes it to the server
+  async function handleCorrection({ mode, changes, reason, user }) {
+    const target = correcting;
+    if (!can(currentUser, 'correct')) return;
+    try {
+      if (mode === 'cancel') {
+        await cancelTransaction(target.id, { reason, user });
+      } else {
+        const next = { ...target, ...changes };
+        const { replacement } = await correctTransaction(
+          target.id,
+          { ...changes, commission: computeCommission(feeGrids, next) },
+          { reason, user }
+        );
+        await upsertClientFromTransaction(replacement);
+        loadClients();
+      }
+      setCorrecting(null);
+      refreshTransactions();
+      showNotification(mode === 'cancel' ? 'Transaction annulée.' : 'Correction enregistrée.', 'success');
+      const summary = typeof navigator !== 'undefined' && navigator.onLine ? await trySync() : null;
+      if (!summary || summary.error) scheduleBackgroundSync();
+    } catch (err) {
+      console.error(err);
+      showNotification(err.message || 'Impossible d\'enregistrer la modification.', 'danger');
+    }
+  }
+
+  async function openHistory(t) {
+    try {
+      const chain = await loadCorrectionChain(t.id);
+      const entries = (await Promise.all(chain.map((c) => getAuditLog(c.id)))).flat();
+      setHistory({ id: t.id, chain, entries });
+    } catch (err) {
+      console.error(err);
+      showNotification('Impossible de charger l\'historique.', 'danger');
+    }
   }
 
-  async function trySync() {
+  const canCorrect = (t) => can(currentUser, 'correct') && t.status !== 'cancelled' && !t.closing_date;
+
+  /*
+    trySync: reçoit les modifications des autres appareils puis envoie les
+    transactions en attente (voir src/sync.js).
+    Sans `force`, les enregistrements en backoff sont laissés de côté.
+  */
+  async function trySync({ force = false } = {}) {
+    if (!isUnlocked()) return null;
     setSyncing(true);
     try {
-      // récupérer pending
-      const pending = transactions.filter((t) => t.status === 'pending');
-      if (pending.length === 0) return;
-      // ici: envoi en batch vers l'API
-      const res = await fakeSendToServer(pending);
-      if (res && res.ok) {
-        // marquer comme synced
-        await Promise.all(res.syncedIds.map((id) => updateTransaction(id, { status: 'synced', synced_at: new Date().toISOString() })));
-        await loadTransactions();
+      const summary = await syncPendingTransactions({ force });
+      setLastSyncError(summary.error ? summary.error.message : null);
+      if (summary.attempted > 0 || summary.pulled > 0) {
+        refreshTransactions();
+        await loadClients();
       }
+      if (summary.conflicts > 0) await loadSyncConflicts();
+      return summary;
     } catch (err) {
       console.error('Sync error', err);
+      setLastSyncError(err.message || String(err));
+      return null;
     } finally {
       setSyncing(false);
     }
@@ -255,96 +844,120 @@ export default function App() {
 
   async function forceSync() {
     if (typeof navigator !== 'undefined' && !navigator.onLine) return showNotification('Pas de connexion — impossible de synchroniser.', 'warning');
-    await trySync();
-    showNotification('Synchronisation terminée (si le serveur a répondu OK).', 'success');
+    const summary = await trySync({ force: true });
+    if (!summary) return showNotification('Erreur inattendue pendant la synchronisation.', 'danger');
+    if (summary.error) return showNotification(summary.error.message, 'danger', 5000);
+    if (summary.conflicts > 0) {
+      return showNotification(`${summary.conflicts} conflit(s) avec un autre appareil, à vérifier dans Paramètres.`, 'warning', 5000);
+    }
+    if (summary.attempted === 0) {
+      return showNotification(summary.pulled ? `${summary.pulled} modification(s) reçue(s) des autres appareils.` : 'Rien à synchroniser.', 'success');
+    }
+    if (summary.rejected.length || summary.retried) {
+      return showNotification(
+        `${summary.accepted} synchronisée(s), ${summary.rejected.length} rejetée(s), ${summary.retried} à réessayer.`,
+        'warning',
+        5000
+      );
+    }
+    showNotification(`${summary.accepted} transaction(s) synchronisée(s).`, 'success');
   }
 
-  const formatCurrency = (amount) => {
-    return new Intl.NumberFormat('fr-FR', {
-      style: 'currency',
-      currency: 'XOF',
-      minimumFractionDigits: 0,
-      maximumFractionDigits: 0
-    }).format(amount);
-  };
+  async function handleSyncConfigSubmit(e) {
+    e.preventDefault();
+    try {
+      const saved = await saveSyncConfig(syncConfig);
+      setSyncConfig(saved);
+      showNotification('Paramètres de synchronisation enregistrés.', 'success');
+    } catch (err) {
+      console.error(err);
+      showNotification('Impossible d\'enregistrer les paramètres.', 'danger');
+    }
+  }
 
-  const formatDate = (dateString) => {
-    return new Date(dateString).toLocaleDateString('fr-FR', {
-      day: '2-digit',
-      month: '2-digit',
-      year: 'numeric',
-      hour: '2-digit',
-      minute: '2-digit'
-    });
+  function handleSyncConfigChange(e) {
+    const { name, value } = e.target;
+    setSyncConfig((c) => ({ ...c, [name]: name === 'batchSize' ? Math.max(1, parseInt(value, 10) || 1) : value }));
+  }
+
+  const statusIcon = (status) => ({ pending: '⏳', synced: '✅', rejected: '⛔', cancelled: '🚫' }[status] || '•');
+
+  // Tooltip explaining why a record is still pending or was rejected
+  const statusTitle = (t) => {
+    if (t.status === 'cancelled') return historySummary(t);
+    if (t.status === 'rejected') return t.sync_error || 'Rejeté par le serveur';
+    if (t.status === 'pending' && t.last_sync_error) {
+      const retry = t.next_retry_at ? ` — nouvel essai ${formatDate(t.next_retry_at)}` : '';
+      return `${t.sync_attempts || 0} tentative(s): ${t.last_sync_error}${retry}`;
+    }
+    return undefined;
   };
 
-  function buildExportRows(source) {
-    return source.map((t) => ({
-      Date: formatDate(t.created_at),
-      Type: t.type === 'deposit' ? 'Dépôt' : 'Retrait',
-      Client: t.nom_complet,
-      'CNIB/Passport': t.id_document,
-      Téléphone: t.telephone,
-      Montant: t.montant,
-      Statut: t.status,
-    }));
-  }
-
-  function exportExcel(rows) {
-    if (!rows.length) return showNotification('Aucune donnée à exporter.', 'warning');
-    const workbook = new ExcelJS.Workbook();
-    const worksheet = workbook.addWorksheet('Transactions');
-    worksheet.columns = Object.keys(rows[0]).map(key => ({ header: key, key }));
-    rows.forEach(row => worksheet.addRow(row));
-
-    workbook.xlsx.writeBuffer().then(buffer => {
-      const blob = new Blob([buffer], { type: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet' });
-      const url = URL.createObjectURL(blob);
-      const a = document.createElement('a');
-      a.href = url;
-      a.download = `transactions-${timestamp()}.xlsx`;
-      a.click();
-      URL.revokeObjectURL(url);
-    });
+  async function exportExcel() {
+    if (!can(currentUser, 'export')) return;
+    try {
+      const source = searchResults || await readTransactions(filters);
+      if (!source.length) return showNotification('Aucune donnée à exporter.', 'warning');
+      const filtersLabel = [describeFilters(filters, operators), search.trim() && `recherche « ${search.trim()} »`].filter(Boolean).join(', ');
+      const workbook = buildWorkbook(source, { operators, auditEntries: await getAllAuditEntries(), groupBy: excelGroupBy, filtersLabel });
+      await downloadWorkbook(workbook);
+    } catch (err) {
+      console.error(err);
+      showNotification('Impossible de générer le classeur Excel.', 'danger');
+    }
   }
 
   // ...existing code...
 
-  function exportPDF() {
-    if (!filteredTransactions.length) return showNotification('Aucune donnée à exporter.', 'warning');
-    const doc = new jsPDF({ orientation: 'landscape' });
-    const head = [[
-      'Date',
-      'Type',
-      'Client',
-      'CNIB/Passport',
-      'Téléphone',
-      'Montant (XOF)',
-      'Statut'
-    ]];
-    const body = filteredTransactions.map((t) => [
-      formatDate(t.created_at),
-      t.type === 'deposit' ? 'Dépôt' : 'Retrait',
-      t.nom_complet,
-      t.id_document,
-      t.telephone,
-      formatCurrency(t.montant),
-      t.status
-    ]);
-    doc.text('Historique des transactions', 14, 12);
-    autoTable(doc, { head, body, startY: 16, styles: { fontSize: 8 } });
-    doc.save(`transactions-${timestamp()}.pdf`);
+  // Extrait PDF: la même liste que l'export Excel, filtres et recherche compris
+  async function exportPDF() {
+    if (!can(currentUser, 'export')) return;
+    try {
+      const source = searchResults || await readTransactions(filters);
+      if (!source.length) return showNotification('Aucune donnée à exporter.', 'warning');
+      const filtersLabel = [describeFilters(filters, operators), search.trim() && `recherche « ${search.trim()} »`].filter(Boolean).join(', ');
+      exportHistoryPDF(source, { operators, users, filtersLabel });
+    } catch (err) {
+      console.error(err);
+      showNotification('Impossible de générer le PDF.', 'danger');
+    }
+  }
+
+  // Registre officiel de la période choisie (voir src/register.js)
+  async function exportRegister({ from, to, operator }) {
+    if (!can(currentUser, 'export')) return;
+    const records = await readTransactions({ ...DEFAULT_FILTERS, from, to, operator });
+    exportRegisterPDF(registerTransactions(records, { from, to, operator }), {
+      from,
+      to,
+      operators,
+      agent: receiptAgent,
+      users
+    });
+    setRegisterOpen(false);
   }
 
+  const floatPosition = computeFloatPosition(floatEntries, floatTransactions);
+  const floatAccounts = [
+    { id: CASH_ACCOUNT, label: '💵 Cash (tiroir)' },
+    ...operators.map((op) => ({ id: emoneyAccount(op.id), label: `📱 ${op.name}` })),
+    // Legacy records saved before operators existed
+    ...(floatPosition.emoney[''] !== undefined ? [{ id: emoneyAccount(''), label: '📱 E-money (non précisé)' }] : [])
+  ];
+
   const normalizedSearch = search.trim().toLowerCase();
-  const filteredTransactions = normalizedSearch
-    ? transactions.filter((t) => {
+  // searchSource already matches the filters (see the search effect above)
+  const searchResults = normalizedSearch
+    ? (searchSource || []).filter((t) => {
         const hay = [
           t.nom_complet,
           t.id_document,
           t.telephone,
           t.type,
+          typeLabel(t.type),
+          ...formatTypeDetails(t).map((d) => d.value),
           t.status,
+          getOperator(operators, t.operator).name,
           formatDate(t.created_at)
         ]
           .filter(Boolean)
@@ -352,13 +965,18 @@ export default function App() {
           .toLowerCase();
         return hay.includes(normalizedSearch);
       })
-    : transactions;
+    : null;
+  const operatorTotals = totalsByOperator(searchResults || historyRecords);
+  const agentTotals = totalsByUser(searchResults || historyRecords, users);
+  const openAlerts = alerts.filter((a) => a.status === 'open').length;
+  const showBackupReminder = can(currentUser, 'backup') && !backupReminderHidden && view !== 'settings'
+    && storedCount > 0 && isBackupOverdue(backupMeta);
 
-  const totalResults = filteredTransactions.length;
+  const totalResults = searchResults ? searchResults.length : historyCount;
   const totalPages = Math.max(1, Math.ceil(totalResults / pageSize));
   const currentPage = Math.min(page, totalPages);
   const startIndex = (currentPage - 1) * pageSize;
-  const pagedTransactions = filteredTransactions.slice(startIndex, startIndex + pageSize);
+  const pagedTransactions = searchResults ? searchResults.slice(startIndex, startIndex + pageSize) : historyPage;
 
   function goToPage(p) {
     const clamped = Math.max(1, Math.min(totalPages, p));
@@ -381,12 +999,56 @@ export default function App() {
     return withDots;
   }
 
+  const renderFieldError = (name) => (formErrors[name] ? (
+    <small id={`${name}-error`} className="field-error" role="alert">{formErrors[name]}</small>
+  ) : null);
+
+  const formLimits = amountLimitsFor(amountLimits, form.operator);
+
+  // Clicking the active column flips the direction; a new column starts descending
+  const renderSortHeader = (field, label) => {
+    const active = filters.sort === field;
+    return (
+      <th scope="col" aria-sort={active ? (filters.dir === 'asc' ? 'ascending' : 'descending') : undefined}>
+        <button
+          type="button"
+          className="sort-header"
+          onClick={() => setFilters((f) => ({ ...f, sort: field, dir: active && f.dir === 'desc' ? 'asc' : 'desc' }))}
+        >
+          {label}{active ? (filters.dir === 'asc' ? ' ↑' : ' ↓') : ''}
+        </button>
+      </th>
+    );
+  };
+
+  const renderRowActions = (t) => (
+    <div className="row-actions">
+      <button
+        type="button"
+        className="page-btn"
+        onClick={() => setCorrecting(t)}
+        disabled={!canCorrect(t)}
+        title={t.closing_date ? 'Journée clôturée' : 'Corriger ou annuler'}
+        aria-label="Corriger ou annuler"
+      >
+        ✏️
+      </button>
+      <button type="button" className="page-btn" onClick={() => openHistory(t)} title="Historique" aria-label="Historique">
+        📜
+      </button>
+      <button type="button" className="page-btn" onClick={() => setReceiptFor(t)} title="Reçu client" aria-label="Reçu">
+        🧾
+      </button>
+    </div>
+  );
+
   const renderTransactionCard = (transaction) => (
-    <div key={transaction.id} className="transaction-card">
+    <div key={transaction.id} className={`transaction-card ${transaction.status === 'cancelled' ? 'cancelled-row' : ''}`}>
       <div className="transaction-card-header">
         <span className="transaction-card-type">
-          {transaction.type === 'deposit' ? '💰 Dépôt' : '💸 Retrait'}
+          {typeLabel(transaction.type)}
         </span>
+        <OperatorBadge operator={getOperator(operators, transaction.operator)} />
         <span className="transaction-card-amount">
           {formatCurrency(transaction.montant)}
         </span>
@@ -405,17 +1067,31 @@ export default function App() {
           <span className="transaction-card-label">Document</span>
           <span className="transaction-card-value">{transaction.id_document}</span>
         </div>
+        {formatTypeDetails(transaction).map((d) => (
+          <div key={d.label} className="transaction-card-row">
+            <span className="transaction-card-label">{d.label}</span>
+            <span className="transaction-card-value">{d.value}</span>
+          </div>
+        ))}
       </div>
       
       <div className="transaction-card-status">
         <span className="transaction-card-date">{formatDate(transaction.created_at)}</span>
-        <span className={`status-badge ${transaction.status}`}>
-          {transaction.status === 'pending' ? '⏳' : '✅'} {transaction.status}
+        <span className={`status-badge ${transaction.status}`} title={statusTitle(transaction)}>
+          {statusIcon(transaction.status)} {transaction.status}
+          {transaction.closing_date && <span title={`Clôturée le ${transaction.closing_date}`}> 🔒</span>}
+          {transaction.compliance_flags && <span title="Signalée au contrôle de conformité"> 🚩</span>}
+          {transaction.operator_ref && <span title={`Réf. opérateur ${transaction.operator_ref}`}> 📩</span>}
         </span>
       </div>
+      {renderRowActions(transaction)}
     </div>
   );
 
+  if (vaultState !== 'unlocked') {
+    return vaultState === 'checking' ? null : <LockScreen mode={vaultState} users={users} onSubmit={handleVaultSubmit} />;
+  }
+
   return (
     <div className="app-container">
       <div className="app-content">
@@ -435,6 +1111,27 @@ export default function App() {
               >
                 {theme === 'light' ? '🌙' : '☀️'}
               </button>
+              <span className="header-user" title={ROLES[currentUser.role]}>
+                {currentUser.role === 'owner' ? '👑' : '👤'} {currentUser.name}
+              </span>
+              <button
+                className="theme-toggle"
+                type="button"
+                aria-label="Verrouiller"
+                onClick={handleLock}
+                title="Verrouiller ou changer de profil"
+              >
+                🔒
+              </button>
+              <button
+                type="button"
+                className="float-widget"
+                onClick={() => setView('float')}
+                title="Voir la position du float"
+              >
+                <span>💵 {formatCurrency(floatPosition.cash)}</span>
+                <span>📱 {formatCurrency(floatPosition.totalEmoney)}</span>
+              </button>
               <div className="online-status">
                 <div className={`status-indicator ${online ? '' : 'offline'}`}></div>
                 <span>{online ? 'En ligne' : 'Hors-ligne'}</span>
@@ -450,233 +1147,674 @@ export default function App() {
           </div>
         </header>
 
-        <main className="main-content">
-          <section className="form-section">
-            <h2>Nouvelle transaction</h2>
-            <form onSubmit={handleSubmit}>
-              <div className="form-group">
-                <label className="form-label" htmlFor="type">Type de transaction</label>
-                <select 
-                  id="type"
-                  name="type" 
-                  value={form.type} 
-                  onChange={handleChange} 
-                  className="form-select"
-                  aria-label="Type de transaction"
-                >
-                  <option value="deposit">💰 Dépôt</option>
-                  <option value="withdrawal">💸 Retrait</option>
-                </select>
-              </div>
+        <nav className="view-tabs" aria-label="Navigation principale">
+          <button
+            type="button"
+            className={`view-tab ${view === 'transactions' ? 'active' : ''}`}
+            onClick={() => setView('transactions')}
+            aria-current={view === 'transactions' ? 'page' : undefined}
+          >
+            📒 Transactions
+          </button>
+          <button
+            type="button"
+            className={`view-tab ${view === 'dashboard' ? 'active' : ''}`}
+            onClick={() => setView('dashboard')}
+            aria-current={view === 'dashboard' ? 'page' : undefined}
+          >
+            📈 Tableau de bord
+          </button>
+          <button
+            type="button"
+            className={`view-tab ${view === 'float' ? 'active' : ''}`}
+            onClick={() => setView('float')}
+            aria-current={view === 'float' ? 'page' : undefined}
+          >
+            💼 Float
+          </button>
+          {can(currentUser, 'close_day') && (
+            <button
+              type="button"
+              className={`view-tab ${view === 'closing' ? 'active' : ''}`}
+              onClick={() => setView('closing')}
+              aria-current={view === 'closing' ? 'page' : undefined}
+            >
+              🔒 Clôture
+            </button>
+          )}
+          <button
+            type="button"
+            className={`view-tab ${view === 'commissions' ? 'active' : ''}`}
+            onClick={() => setView('commissions')}
+            aria-current={view === 'commissions' ? 'page' : undefined}
+          >
+            💹 Commissions
+          </button>
+          <button
+            type="button"
+            className={`view-tab ${view === 'clients' ? 'active' : ''}`}
+            onClick={() => setView('clients')}
+            aria-current={view === 'clients' ? 'page' : undefined}
+          >
+            👥 Clients
+          </button>
+          <button
+            type="button"
+            className={`view-tab ${view === 'reconciliation' ? 'active' : ''}`}
+            onClick={() => setView('reconciliation')}
+            aria-current={view === 'reconciliation' ? 'page' : undefined}
+          >
+            📩 Rapprochement
+          </button>
+          {can(currentUser, 'review_alerts') && (
+            <button
+              type="button"
+              className={`view-tab ${view === 'alerts' ? 'active' : ''}`}
+              onClick={() => setView('alerts')}
+              aria-current={view === 'alerts' ? 'page' : undefined}
+            >
+              🚨 Alertes{openAlerts > 0 ? ` (${openAlerts})` : ''}
+            </button>
+          )}
+          <button
+            type="button"
+            className={`view-tab ${view === 'settings' ? 'active' : ''}`}
+            onClick={() => setView('settings')}
+            aria-current={view === 'settings' ? 'page' : undefined}
+          >
+            ⚙️ Paramètres
+          </button>
+        </nav>
 
-              <div className="form-group">
-                <label className="form-label" htmlFor="nom_complet">Nom complet</label>
-                <input 
-                  id="nom_complet"
-                  name="nom_complet" 
-                  value={form.nom_complet} 
-                  onChange={handleChange} 
-                  className="form-input"
-                  placeholder="Prénom et nom du client"
-                  autoComplete="name"
-                  required
-                />
-              </div>
+        {lastSyncError && (
+          <div className="sync-error-banner" role="alert">
+            ⚠️ Synchronisation impossible : {lastSyncError}
+          </div>
+        )}
 
-              <div className="form-group">
-                <label className="form-label" htmlFor="id_document">CNIB / Passport</label>
-                <input 
-                  id="id_document"
-                  name="id_document" 
-                  value={form.id_document} 
-                  onChange={handleChange} 
-                  className="form-input"
-                  placeholder="Numéro de document"
-                  autoComplete="off"
-                  required
-                />
-              </div>
+        {updateWorker && (
+          <div className="notice-banner" role="status">
+            <span>🆕 Une nouvelle version de MobiLedger est disponible.</span>
+            <button type="button" className="page-btn" onClick={() => applyUpdate(updateWorker)}>Recharger</button>
+            <button type="button" className="page-btn" onClick={() => setUpdateWorker(null)}>Plus tard</button>
+          </div>
+        )}
 
-              <div className="form-group">
-                <label className="form-label" htmlFor="telephone">Téléphone</label>
-                <input 
-                  id="telephone"
-                  name="telephone" 
-                  value={form.telephone} 
-                  onChange={handleChange} 
-                  className="form-input"
-                  placeholder="Numéro de téléphone"
-                  type="tel"
-                  autoComplete="tel"
-                  required
-                />
-              </div>
+        {precacheError && (
+          <div className="sync-error-banner" role="alert">
+            ⚠️ Mise en cache hors ligne incomplète : {precacheError}. L'application pourrait ne pas s'ouvrir sans connexion.
+          </div>
+        )}
 
-              {/* Champ "Compte receveur" supprimé */}
-
-              <div className="form-group">
-                <label className="form-label" htmlFor="montant">Montant (FCFA)</label>
-                <input 
-                  id="montant"
-                  name="montant" 
-                  value={form.montant} 
-                  onChange={(e) => {
-                    const formatted = formatAmountInput(e.target.value);
-                    setForm(prev => ({ ...prev, montant: formatted }));
-                  }}
-                  className="form-input"
-                  placeholder="0"
-                  inputMode="numeric"
-                  aria-describedby="montant-help"
-                  required
-                />
-                <small id="montant-help" style={{ color: 'var(--text-secondary)', fontSize: '0.75rem', marginTop: '0.25rem', display: 'block' }}>
-                  Saisissez n'importe quel montant (ex: 50 000)
-                </small>
-              </div>
+        {showBackupReminder && (
+          <div className="notice-banner" role="status">
+            <span>
+              💾 {backupMeta.last_backup_at ? `Aucune sauvegarde depuis ${backupAgeDays(backupMeta)} jours.` : 'Aucune sauvegarde de ce téléphone.'}{' '}
+              Une perte ou une réinitialisation effacerait tout l'historique.
+            </span>
+            <button type="button" className="page-btn" onClick={() => setView('settings')}>Sauvegarder</button>
+            <button type="button" className="page-btn" onClick={() => setBackupReminderHidden(true)}>Plus tard</button>
+          </div>
+        )}
 
-              <button 
-                type="submit" 
-                className="submit-button"
-                disabled={isSubmitting}
-              >
-                {isSubmitting ? '⏳ Enregistrement...' : '✅ Enregistrer la transaction'}
-              </button>
-            </form>
-          </section>
-
-          <section className="transactions-section">
-            <h2>Historique des transactions</h2>
-            <div className="toolbar">
-              <input
-                className="form-input toolbar-search"
-                placeholder="Rechercher (nom, doc, téléphone, type, statut)"
-                value={search}
-                onChange={(e) => setSearch(e.target.value)}
-                aria-label="Rechercher dans l'historique"
-              />
-              <div className="export-buttons" role="group" aria-label="Actions d'export">
-                <button type="button" className="btn-export" onClick={exportExcel} aria-label="Exporter en Excel">📊 Export Excel</button>
-                {/* Bouton Export CSV supprimé */}
-                <button type="button" className="btn-export" onClick={exportPDF} aria-label="Exporter en PDF">🧾 Export PDF</button>
-              </div>
-            </div>
-            <p className="transactions-description">
-              Affiche tous les enregistrements locaux. Les statuts possibles : 
-              <span className="status-badge pending">pending</span> (en attente) / 
-              <span className="status-badge synced">synced</span> (synchronisé).
-            </p>
-            <div className="sr-only" aria-live="polite">Total transactions: {transactions.length}</div>
-
-            {transactions.length === 0 ? (
-              <div className="empty-state">
-                <div className="empty-state-icon">📊</div>
-                <div className="empty-state-text">Aucune transaction enregistrée</div>
-                <div className="empty-state-subtext">Commencez par créer votre première transaction</div>
-              </div>
-            ) : (
-              <>
-                {/* Desktop table view */}
-                <div className="transactions-table-container">
-                  <table className="transactions-table" aria-label="Historique des transactions">
-                    <caption className="sr-only">Historique des transactions</caption>
-                    <thead>
-                      <tr>
-                        <th scope="col">Date</th>
-                        <th scope="col">Client</th>
-                        <th scope="col">CNIB/Passport</th>
-                        <th scope="col">Téléphone</th>
-                        <th scope="col">Montant</th>
-                        <th scope="col">Statut</th>
-                      </tr>
-                    </thead>
-                    <tbody>
-                      {pagedTransactions.map((t) => (
-                        <tr key={t.id}>
-                          <td>{formatDate(t.created_at)}</td>
-                          <td>
-                            <strong>{t.nom_complet}</strong>
-                            <br />
-                            <small style={{ color: 'var(--text-secondary)' }}>
-                              {t.type === 'deposit' ? '💰 Dépôt' : '💸 Retrait'}
-                            </small>
-                          </td>
-                          <td>
-                            <code style={{ 
-                              background: 'var(--background)', 
-                              padding: '0.25rem 0.5rem', 
-                              borderRadius: '4px',
-                              fontSize: '0.8rem',
-                              fontFamily: 'monospace'
-                            }}>
-                              {t.id_document}
-                            </code>
-                          </td>
-                          <td>{t.telephone}</td>
-                          <td style={{ textAlign: 'right', fontWeight: '600' }}>
-                            {formatCurrency(t.montant)}
-                          </td>
-                          <td>
-                            <span className={`status-badge ${t.status}`}>
-                              {t.status === 'pending' ? '⏳' : '✅'} {t.status}
-                            </span>
-                          </td>
-                        </tr>
-                      ))}
-                    </tbody>
-                  </table>
+        {view === 'transactions' && (
+          <main className="main-content">
+            <section className="form-section">
+              <h2>Nouvelle transaction</h2>
+              <form onSubmit={handleSubmit}>
+                <div className="form-group">
+                  <label className="form-label" htmlFor="type">Type de transaction</label>
+                  <select 
+                    id="type"
+                    name="type" 
+                    value={form.type} 
+                    onChange={handleChange} 
+                    className="form-select"
+                    aria-label="Type de transaction"
+                  >
+                    {Object.keys(TRANSACTION_TYPES).map((id) => (
+                      <option key={id} value={id}>{typeLabel(id)}</option>
+                    ))}
+                  </select>
                 </div>
 
-                {/* Mobile card view */}
-                <div className="transactions-mobile">
-                  {pagedTransactions.map(renderTransactionCard)}
+                <TypeFields type={form.type} values={form} errors={formErrors} onChange={handleChange} />
+
+                <div className="form-group">
+                  <label className="form-label" htmlFor="operator">Opérateur</label>
+                  <select
+                    id="operator"
+                    name="operator"
+                    value={form.operator}
+                    onChange={handleChange}
+                    className="form-select"
+                    aria-invalid={Boolean(formErrors.operator)}
+                    aria-describedby={formErrors.operator ? 'operator-error' : undefined}
+                    required
+                  >
+                    {operators.map((op) => (
+                      <option key={op.id} value={op.id}>{op.name}</option>
+                    ))}
+                  </select>
+                  {renderFieldError('operator')}
                 </div>
-                {totalPages > 1 && (
-                  <div className="pagination" role="navigation" aria-label="Pagination des transactions">
-                    <div className="pagination-info">
-                      {totalResults} résultat(s) • Page {currentPage} / {totalPages}
-                    </div>
-                    <div className="pagination-controls">
-                      <button
-                        type="button"
-                        className="page-btn"
-                        onClick={() => goToPage(currentPage - 1)}
-                        disabled={currentPage <= 1}
-                        aria-label="Page précédente"
-                      >
-                        ←
-                      </button>
-                      {getPageItems().map((item, idx) => (
-                        item === '…' ? (
-                          <span key={`dots-${idx}`} className="page-ellipsis" aria-hidden>…</span>
-                        ) : (
-                          <button
-                            key={item}
-                            type="button"
-                            className={`page-btn ${item === currentPage ? 'active' : ''}`}
-                            onClick={() => goToPage(item)}
-                            aria-current={item === currentPage ? 'page' : undefined}
-                          >
-                            {item}
-                          </button>
-                        )
+
+                <div className="form-group">
+                  <label className="form-label" htmlFor="nom_complet">Nom complet</label>
+                  <input 
+                    id="nom_complet"
+                    name="nom_complet" 
+                    value={form.nom_complet} 
+                    onChange={handleChange} 
+                    className="form-input"
+                    placeholder="Prénom et nom du client"
+                    autoComplete="name"
+                    aria-invalid={Boolean(formErrors.nom_complet)}
+                    aria-describedby={formErrors.nom_complet ? 'nom_complet-error' : undefined}
+                    required
+                  />
+                  {renderFieldError('nom_complet')}
+                </div>
+
+                <div className="form-group">
+                  <label className="form-label" htmlFor="id_document">CNIB / Passport</label>
+                  <input 
+                    id="id_document"
+                    name="id_document" 
+                    value={form.id_document} 
+                    onChange={handleChange} 
+                    className="form-input"
+                    placeholder="CNIB B1234567 ou passeport"
+                    autoComplete="off"
+                    onFocus={() => setSuggestFor('id_document')}
+                    onBlur={() => setSuggestFor(null)}
+                    aria-controls="id-document-suggestions"
+                    aria-invalid={Boolean(formErrors.id_document)}
+                    aria-describedby={formErrors.id_document ? 'id_document-error' : undefined}
+                    required
+                  />
+                  {renderFieldError('id_document')}
+                  {suggestFor === 'id_document' && (
+                    <ClientSuggestions
+                      id="id-document-suggestions"
+                      clients={findClients(clients, 'id_document', form.id_document)}
+                      onPick={pickClient}
+                    />
+                  )}
+                </div>
+
+                <div className="form-group">
+                  <label className="form-label" htmlFor="telephone">Téléphone</label>
+                  <input 
+                    id="telephone"
+                    name="telephone" 
+                    value={form.telephone} 
+                    onChange={handleChange} 
+                    className="form-input"
+                    placeholder="70 11 22 33"
+                    type="tel"
+                    autoComplete="tel"
+                    onFocus={() => setSuggestFor('telephone')}
+                    onBlur={handlePhoneBlur}
+                    aria-controls="telephone-suggestions"
+                    aria-invalid={Boolean(formErrors.telephone)}
+                    aria-describedby={formErrors.telephone ? 'telephone-error' : undefined}
+                    required
+                  />
+                  {renderFieldError('telephone')}
+                  {suggestFor === 'telephone' && (
+                    <ClientSuggestions
+                      id="telephone-suggestions"
+                      clients={findClients(clients, 'telephone', form.telephone)}
+                      onPick={pickClient}
+                    />
+                  )}
+                </div>
+
+                {/* Champ "Compte receveur" supprimé */}
+
+                <div className="form-group">
+                  <label className="form-label" htmlFor="montant">Montant (FCFA)</label>
+                  <input 
+                    id="montant"
+                    name="montant" 
+                    value={form.montant} 
+                    onChange={(e) => {
+                      const formatted = formatAmountInput(e.target.value);
+                      setForm(prev => ({ ...prev, montant: formatted }));
+                      if (formErrors.montant) setFormErrors(({ montant: _, ...rest }) => rest);
+                    }}
+                    className="form-input"
+                    placeholder="0"
+                    inputMode="numeric"
+                    aria-invalid={Boolean(formErrors.montant)}
+                    aria-describedby={formErrors.montant ? 'montant-help montant-error' : 'montant-help'}
+                    required
+                  />
+                  {renderFieldError('montant')}
+                  <small id="montant-help" style={{ color: 'var(--text-secondary)', fontSize: '0.75rem', marginTop: '0.25rem', display: 'block' }}>
+                    De {formatCurrency(formLimits.min)}{formLimits.max ? ` à ${formatCurrency(formLimits.max)}` : ''} (ex: 50 000)
+                  </small>
+                </div>
+
+                <button 
+                  type="submit" 
+                  className="submit-button"
+                  disabled={isSubmitting}
+                >
+                  {isSubmitting ? '⏳ Enregistrement...' : '✅ Enregistrer la transaction'}
+                </button>
+              </form>
+            </section>
+
+            <section className="transactions-section">
+              <h2>Historique des transactions</h2>
+              <div className="toolbar">
+                <input
+                  className="form-input toolbar-search"
+                  placeholder="Rechercher (nom, document, téléphone)"
+                  value={search}
+                  onChange={(e) => setSearch(e.target.value)}
+                  aria-label="Rechercher dans l'historique"
+                />
+                <HistoryFilters operators={operators} filters={filters} onChange={setFilters} />
+                {can(currentUser, 'export') && (
+                  <div className="export-buttons" role="group" aria-label="Actions d'export">
+                    <select
+                      className="form-select"
+                      value={excelGroupBy}
+                      onChange={(e) => setExcelGroupBy(e.target.value)}
+                      aria-label="Feuilles du classeur Excel"
+                    >
+                      {Object.entries(GROUP_BY).map(([id, label]) => (
+                        <option key={id} value={id}>{label}</option>
                       ))}
-                      <button
-                        type="button"
-                        className="page-btn"
-                        onClick={() => goToPage(currentPage + 1)}
-                        disabled={currentPage >= totalPages}
-                        aria-label="Page suivante"
-                      >
-                        →
-                      </button>
-                    </div>
+                    </select>
+                    <button type="button" className="btn-export" onClick={exportExcel} aria-label="Exporter en Excel">📊 Export Excel</button>
+                    {/* Bouton Export CSV supprimé */}
+                    <button type="button" className="btn-export" onClick={exportPDF} aria-label="Exporter la liste filtrée en PDF">📄 Export PDF</button>
+                    <button type="button" className="btn-export" onClick={() => setRegisterOpen(true)} aria-label="Registre PDF">🧾 Registre PDF</button>
                   </div>
                 )}
+              </div>
+              <p className="transactions-description">
+                Affiche tous les enregistrements locaux. Les statuts possibles : 
+                <span className="status-badge pending">pending</span> (en attente) / 
+                <span className="status-badge synced">synced</span> (synchronisé) / 
+                <span className="status-badge rejected">rejected</span> (refusé par le serveur) / 
+                <span className="status-badge cancelled">cancelled</span> (annulé ou remplacé par une correction).
+              </p>
+              <div className="sr-only" aria-live="polite">Total transactions: {storedCount}</div>
+              {!searchResults && !filters.from && !filters.to && Object.keys(operatorTotals).length > 0 && (
+                <small className="form-hint">Totaux du mois en cours: choisissez une période pour un autre intervalle.</small>
+              )}
+              {Object.keys(operatorTotals).length > 0 && (
+                <div className="operator-totals" aria-label="Totaux par opérateur">
+                  {Object.entries(operatorTotals).map(([id, tot]) => (
+                    <div key={id || 'none'} className="operator-total">
+                      <OperatorBadge operator={getOperator(operators, id)} />
+                      <span>{tot.count} op.</span>
+                      <span title="Entrées de cash">➕ {formatCurrency(tot.cash_in)}</span>
+                      <span title="Sorties de cash">➖ {formatCurrency(tot.cash_out)}</span>
+                    </div>
+                  ))}
+                </div>
+              )}
+              {Object.keys(agentTotals).length > 1 && (
+                <div className="operator-totals" aria-label="Totaux par agent">
+                  {Object.entries(agentTotals).map(([id, tot]) => (
+                    <div key={id || 'none'} className="operator-total">
+                      <strong>👤 {tot.name}</strong>
+                      <span>{tot.count} op.</span>
+                      <span title="Entrées de cash">➕ {formatCurrency(tot.cash_in)}</span>
+                      <span title="Sorties de cash">➖ {formatCurrency(tot.cash_out)}</span>
+                    </div>
+                  ))}
+                </div>
+              )}
+
+              {storedCount === 0 ? (
+                <div className="empty-state">
+                  <div className="empty-state-icon">📊</div>
+                  <div className="empty-state-text">Aucune transaction enregistrée</div>
+                  <div className="empty-state-subtext">Commencez par créer votre première transaction</div>
+                </div>
+              ) : (
+                <>
+                  {totalResults === 0 && (
+                    <div className="empty-state-subtext">Aucune transaction ne correspond aux filtres.</div>
+                  )}
+                  {/* Desktop table view */}
+                  <div className="transactions-table-container">
+                    <table className="transactions-table" aria-label="Historique des transactions">
+                      <caption className="sr-only">Historique des transactions</caption>
+                      <thead>
+                        <tr>
+                          {renderSortHeader('created_at', 'Date')}
+                          {renderSortHeader('nom_complet', 'Client')}
+                          <th scope="col">CNIB/Passport</th>
+                          <th scope="col">Téléphone</th>
+                          {renderSortHeader('montant', 'Montant')}
+                          {renderSortHeader('status', 'Statut')}
+                          <th scope="col"><span className="sr-only">Actions</span></th>
+                        </tr>
+                      </thead>
+                      <tbody>
+                        {pagedTransactions.map((t) => (
+                          <tr key={t.id} className={t.status === 'cancelled' ? 'cancelled-row' : undefined}>
+                            <td>{formatDate(t.created_at)}</td>
+                            <td>
+                              <strong>{t.nom_complet}</strong>
+                              <br />
+                              <small style={{ color: 'var(--text-secondary)' }}>
+                                {typeLabel(t.type)}
+                                {formatTypeDetails(t).map((d) => ` · ${d.value}`).join('')}
+                              </small>
+                              {' '}
+                              <OperatorBadge operator={getOperator(operators, t.operator)} compact />
+                            </td>
+                            <td>
+                              <code style={{ 
+                                background: 'var(--background)', 
+                                padding: '0.25rem 0.5rem', 
+                                borderRadius: '4px',
+                                fontSize: '0.8rem',
+                                fontFamily: 'monospace'
+                              }}>
+                                {t.id_document}
+                              </code>
+                            </td>
+                            <td>{t.telephone}</td>
+                            <td style={{ textAlign: 'right', fontWeight: '600' }}>
+                              {formatCurrency(t.montant)}
+                            </td>
+                            <td>
+                              <span className={`status-badge ${t.status}`} title={statusTitle(t)}>
+                                {statusIcon(t.status)} {t.status}
+                                {t.closing_date && <span title={`Clôturée le ${t.closing_date}`}> 🔒</span>}
+                                {t.compliance_flags && <span title="Signalée au contrôle de conformité"> 🚩</span>}
+                                {t.operator_ref && <span title={`Réf. opérateur ${t.operator_ref}`}> 📩</span>}
+                              </span>
+                            </td>
+                            <td>{renderRowActions(t)}</td>
+                          </tr>
+                        ))}
+                      </tbody>
+                    </table>
+                  </div>
+
+                  {/* Mobile card view */}
+                  <div className="transactions-mobile">
+                    {pagedTransactions.map(renderTransactionCard)}
+                  </div>
+                  {totalPages > 1 && (
+                    <div className="pagination" role="navigation" aria-label="Pagination des transactions">
+                      <div className="pagination-info">
+                        {totalResults} résultat(s) • Page {currentPage} / {totalPages}
+                      </div>
+                      <div className="pagination-controls">
+                        <button
+                          type="button"
+                          className="page-btn"
+                          onClick={() => goToPage(currentPage - 1)}
+                          disabled={currentPage <= 1}
+                          aria-label="Page précédente"
+                        >
+                          ←
+                        </button>
+                        {getPageItems().map((item, idx) => (
+                          item === '…' ? (
+                            <span key={`dots-${idx}`} className="page-ellipsis" aria-hidden>…</span>
+                          ) : (
+                            <button
+                              key={item}
+                              type="button"
+                              className={`page-btn ${item === currentPage ? 'active' : ''}`}
+                              onClick={() => goToPage(item)}
+                              aria-current={item === currentPage ? 'page' : undefined}
+                            >
+                              {item}
+                            </button>
+                          )
+                        ))}
+                        <button
+                          type="button"
+                          className="page-btn"
+                          onClick={() => goToPage(currentPage + 1)}
+                          disabled={currentPage >= totalPages}
+                          aria-label="Page suivante"
+                        >
+                          →
+                        </button>
+                      </div>
+                    </div>
+                  )}
+                </>
+              )}
+            </section>
+          </main>
+        )}
+
+        {view === 'dashboard' && (
+          <main className="main-content single-column">
+            <Dashboard
+              transactions={historyRecords}
+              todayTransactions={todayRecords}
+              operators={operators}
+              filters={filters}
+              onFiltersChange={setFilters}
+            />
+          </main>
+        )}
+
+        {view === 'float' && (
+          <main className="main-content">
+            <FloatPanel
+              position={floatPosition}
+              entries={floatEntries}
+              accounts={floatAccounts}
+              onAddEntry={handleAddFloatEntry}
+            />
+          </main>
+        )}
+
+        {view === 'closing' && can(currentUser, 'close_day') && (
+          <main className="main-content">
+            <ClosingPanel
+              operators={operators}
+              floatEntries={floatEntries}
+              transactions={viewTransactions}
+              closings={closings}
+              onRangeChange={reportPanelRange}
+              onCloseDay={handleCloseDay}
+              onExportPDF={(closing) => exportClosingPDF(closing, operators)}
+            />
+          </main>
+        )}
+
+        {view === 'commissions' && (
+          <main className="main-content">
+            <CommissionPanel
+              operators={operators}
+              grids={feeGrids}
+              transactions={viewTransactions}
+              onRangeChange={reportPanelRange}
+              onSaveGrid={handleSaveFeeGrid}
+            />
+          </main>
+        )}
+
+        {view === 'clients' && (
+          <main className="main-content">
+            <ClientsPanel
+              clients={clients}
+              transactions={viewTransactions}
+              operators={operators}
+              onRangeChange={reportPanelRange}
+              onNewTransaction={handleNewTransactionFor}
+            />
+          </main>
+        )}
+
+        {view === 'reconciliation' && (
+          <main className="main-content single-column">
+            <ReconciliationPanel
+              transactions={viewTransactions}
+              operators={operators}
+              onRangeChange={reportPanelRange}
+              onSave={handleSaveReconciliation}
+            />
+          </main>
+        )}
+
+        {view === 'alerts' && can(currentUser, 'review_alerts') && (
+          <main className="main-content single-column">
+            <AlertsPanel
+              alerts={alerts}
+              operators={operators}
+              onReview={handleReviewAlert}
+              onExportPDF={(list) => exportAlertsPDF(list, operators)}
+            />
+          </main>
+        )}
+
+        {view === 'settings' && (
+          <main className="main-content single-column">
+            {can(currentUser, 'settings') && (
+              <>
+                <section className="form-section settings-section">
+                  <h2>Synchronisation</h2>
+                  {!syncConfig ? (
+                    <div className="empty-state-text">Chargement…</div>
+                  ) : (
+                    <form onSubmit={handleSyncConfigSubmit}>
+                      <div className="form-group">
+                        <label className="form-label" htmlFor="sync-endpoint">Adresse du serveur</label>
+                        <input
+                          id="sync-endpoint"
+                          name="endpoint"
+                          value={syncConfig.endpoint}
+                          onChange={handleSyncConfigChange}
+                          className="form-input"
+                          placeholder="https://exemple.bf/api/sync/transactions"
+                          type="url"
+                          required
+                        />
+                      </div>
+                      <div className="form-group">
+                        <label className="form-label" htmlFor="sync-pull-endpoint">Adresse de réception (autres appareils)</label>
+                        <input
+                          id="sync-pull-endpoint"
+                          name="pullEndpoint"
+                          value={syncConfig.pullEndpoint}
+                          onChange={handleSyncConfigChange}
+                          className="form-input"
+                          placeholder="https://exemple.bf/api/sync/changes"
+                          type="url"
+                        />
+                        <small className="form-hint">Laisser vide pour envoyer sans recevoir.</small>
+                      </div>
+                      <div className="form-group">
+                        <label className="form-label" htmlFor="sync-token">Jeton d'authentification</label>
+                        <input
+                          id="sync-token"
+                          name="token"
+                          value={syncConfig.token}
+                          onChange={handleSyncConfigChange}
+                          className="form-input"
+                          placeholder="Fourni par l'administrateur"
+                          type="password"
+                          autoComplete="off"
+                        />
+                      </div>
+                      <div className="form-group">
+                        <label className="form-label" htmlFor="sync-batch">Taille des lots</label>
+                        <input
+                          id="sync-batch"
+                          name="batchSize"
+                          value={syncConfig.batchSize}
+                          onChange={handleSyncConfigChange}
+                          className="form-input"
+                          type="number"
+                          min="1"
+                          inputMode="numeric"
+                        />
+                      </div>
+                      <button type="submit" className="submit-button">💾 Enregistrer les paramètres</button>
+                    </form>
+                  )}
+                </section>
+
+                <section className="form-section settings-section">
+                  <h2>Conflits de synchronisation</h2>
+                  <SyncConflicts conflicts={syncConflicts} onAcknowledge={handleAcknowledgeConflict} />
+                </section>
+
+                <section className="form-section settings-section">
+                  <h2>Opérateurs</h2>
+                  <OperatorSettings operators={operators} onSave={handleSaveOperators} />
+                </section>
+
+                <section className="form-section settings-section">
+                  <h2>Limites de montant</h2>
+                  <AmountLimitsSettings operators={operators} limits={amountLimits} onSave={handleSaveAmountLimits} />
+                </section>
+
+                <section className="form-section settings-section">
+                  <h2>Identité de l'agent</h2>
+                  <ReceiptSettings agent={receiptAgent} onSave={handleSaveReceiptAgent} />
+                </section>
+
+                <section className="form-section settings-section">
+                  <h2>Conformité</h2>
+                  <ComplianceRulesSettings rules={complianceRules} onSave={handleSaveComplianceRules} />
+                </section>
               </>
             )}
-          </section>
-        </main>
+
+            {can(currentUser, 'import') && (
+              <section className="form-section settings-section">
+                <h2>Importer des transactions</h2>
+                <ImportPanel
+                  operators={operators}
+                  limits={amountLimits}
+                  feeGrids={feeGrids}
+                  users={users}
+                  currentUser={currentUser}
+                  existing={viewTransactions}
+                  closings={closings}
+                  onRangeChange={reportPanelRange}
+                  onImport={handleImport}
+                />
+              </section>
+            )}
+
+            {can(currentUser, 'backup') && (
+              <section className="form-section settings-section">
+                <h2>Sauvegarde</h2>
+                <BackupSettings meta={backupMeta} onBackup={handleBackup} onRestore={handleRestore} onSaveReminder={handleSaveBackupReminder} />
+              </section>
+            )}
+
+            {can(currentUser, 'manage_users') && (
+              <section className="form-section settings-section">
+                <h2>Profils</h2>
+                <UsersSettings
+                  users={users}
+                  currentUserId={currentUser.id}
+                  onAdd={handleAddUser}
+                  onUpdate={handleUpdateUser}
+                  onRemove={handleRemoveUser}
+                />
+              </section>
+            )}
+
+            <section className="form-section settings-section">
+              <h2>Code PIN</h2>
+              <PinSettings onChangePin={handleChangePin} />
+            </section>
+          </main>
+        )}
 
         <footer className="footer">
           <p>
@@ -686,6 +1824,52 @@ export default function App() {
           </p>
         </footer>
       </div>
+      {correcting && (
+        <CorrectionDialog
+          transaction={correcting}
+          operators={operators}
+          limits={amountLimits}
+          user={currentUser.name}
+          onSubmit={handleCorrection}
+          onClose={() => setCorrecting(null)}
+        />
+      )}
+      {complianceCheck && (
+        <ComplianceDialog
+          transaction={complianceCheck.tx}
+          alerts={complianceCheck.alerts}
+          onConfirm={() => {
+            setComplianceCheck(null);
+            saveTransaction(complianceCheck.tx, complianceCheck.alerts);
+          }}
+          onClose={() => setComplianceCheck(null)}
+        />
+      )}
+      {history && (
+        <HistoryDialog
+          chain={history.chain}
+          auditEntries={history.entries}
+          currentId={history.id}
+          onClose={() => setHistory(null)}
+        />
+      )}
+      {registerOpen && (
+        <RegisterDialog
+          operators={operators}
+          initialRange={filters.from && filters.to ? { from: filters.from, to: filters.to, operator: filters.operator } : {}}
+          onCount={(range) => countTransactions({ ...DEFAULT_FILTERS, from: range.from, to: range.to, operator: range.operator })}
+          onExport={exportRegister}
+          onClose={() => setRegisterOpen(false)}
+        />
+      )}
+      {receiptFor && (
+        <ReceiptDialog
+          transaction={receiptFor}
+          operators={operators}
+          agent={receiptAgent}
+          onClose={() => setReceiptFor(null)}
+        />
+      )}
       {notification && (
         <div className={`toast ${notification.type}`} role="status" aria-live="polite">
           {notification.message}
@@ -0,0 +1,62 @@
+/*
+  Enregistrement du Background Sync côté page. Le travail lui-même est fait
+  par public/service-worker.js, qui notifie la page par un message
+  { type: 'SYNC_COMPLETE', accepted, rejected, error }.
+
+  Limite: la clé de données ne quitte jamais la page, le worker n'a donc
+  pas de quoi déchiffrer. Il n'envoie que les transactions sans champ
+  chiffré (enregistrées avant le coffre, src/vault.js). Toutes les autres
+  attendent que l'application soit ouverte et déverrouillée, qui
+  synchronise aussitôt (App.jsx): onglet fermé, rien n'est rattrapé.
+*/
+export const SYNC_TAG = 'sync-transactions';
+export const PERIODIC_SYNC_TAG = 'sync-transactions-periodic';
+const PERIODIC_MIN_INTERVAL_MS = 15 * 60 * 1000;
+
+async function readyRegistration() {
+  if (typeof navigator === 'undefined' || !('serviceWorker' in navigator)) return null;
+  try {
+    return await navigator.serviceWorker.ready;
+  } catch (err) {
+    return null;
+  }
+}
+
+// Demande au navigateur de lancer la sync dès que la connexion revient (les transactions chiffrées attendent l'application)
+export async function requestBackgroundSync() {
+  const reg = await readyRegistration();
+  if (!reg || !reg.sync) return false;
+  try {
+    await reg.sync.register(SYNC_TAG);
+    return true;
+  } catch (err) {
+    console.warn('Background Sync indisponible:', err);
+    return false;
+  }
+}
+
+// Filet de sécurité: sync périodique (PWA installée, navigateurs Chromium uniquement)
+export async function registerPeriodicSync() {
+  const reg = await readyRegistration();
+  if (!reg || !reg.periodicSync) return false;
+  try {
+    if (navigator.permissions) {
+      const status = await navigator.permissions.query({ name: 'periodic-background-sync' });
+      if (status.state !== 'granted') return false;
+    }
+    await reg.periodicSync.register(PERIODIC_SYNC_TAG, { minInterval: PERIODIC_MIN_INTERVAL_MS });
+    return true;
+  } catch (err) {
+    console.warn('Periodic Background Sync indisponible:', err);
+    return false;
+  }
+}
+
+export function onServiceWorkerSync(callback) {
+  if (typeof navigator === 'undefined' || !('serviceWorker' in navigator)) return () => {};
+  const handler = (event) => {
+    if (event.data && event.data.type === 'SYNC_COMPLETE') callback(event.data);
+  };
+  navigator.serviceWorker.addEventListener('message', handler);
+  return () => navigator.serviceWorker.removeEventListener('message', handler);
+}
@@ -0,0 +1,234 @@
+/*
+  Sauvegarde complète chiffrée de la base locale.
+
+  Fichier JSON versionné:
+    { format: 'mobiledger-backup', version, db_version, created_at, counts,
+      kdf: { name, hash, iterations, salt }, payload: "enc1:<iv>:<données>" }
+  `payload` contient { stores: { [store]: [records] } }: tous les stores de
+  la base, y compris ceux qu'ajoutera une migration future, chiffrés en
+  AES-GCM avec une clé dérivée du mot de passe de sauvegarde (PBKDF2).
+
+  Les données personnelles sont déchiffrées à l'export et rechiffrées avec
+  la clé du téléphone à la restauration: une sauvegarde se restaure sur un
+  autre appareil, avec d'autres codes PIN. Le coffre et les profils (clés
+  liées aux PIN de cet appareil) ne sont donc pas sauvegardés, et les fiches
+  clients (données dérivées) sont reconstruites après restauration.
+  Une sauvegarde d'une version antérieure (db_version) passe par les mêmes
+  transformations d'enregistrements que la base à la migration.
+*/
+import { CLIENTS_STORE, DB_VERSION, DEVICE_ID_KEY, SETTINGS_STORE, getDeviceId, getSetting, migrateRecords, openDB, setSetting } from './db.js';
+import { PBKDF2_ITERATIONS, deriveKeyFromPin, fromBase64, openFields, openValue, randomBytes, sealFields, sealValue, toBase64 } from './crypto.js';
+import { SEALED_STORES, VAULT_KEY } from './vault.js';
+import { USERS_KEY } from './users.js';
+import { SYNC_CURSOR_KEY } from './sync.js';
+import { timestamp } from './format.js';
+
+export const BACKUP_FORMAT = 'mobiledger-backup';
+export const BACKUP_VERSION = 1;
+export const BACKUP_META_KEY = 'backup';
+export const MIN_PASSWORD_LENGTH = 8;
+
+// reminder_days: 0 désactive le rappel
+export const DEFAULT_BACKUP_META = { last_backup_at: null, reminder_days: 7 };
+
+// Réglages propres à cet appareil: ni exportés ni écrasés par une restauration
+const LOCAL_SETTINGS = [VAULT_KEY, USERS_KEY, BACKUP_META_KEY, DEVICE_ID_KEY, SYNC_CURSOR_KEY];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function sealedFieldsOf(storeName) {
+  const sealed = SEALED_STORES.find((s) => s.name === storeName);
+  return sealed ? sealed.fields : null;
+}
+
+function isLocalSetting(storeName, record) {
+  return storeName === SETTINGS_STORE && LOCAL_SETTINGS.includes(record.key);
+}
+
+export function validateBackupPassword(password) {
+  if (String(password || '').length < MIN_PASSWORD_LENGTH) {
+    return `Le mot de passe doit comporter au moins ${MIN_PASSWORD_LENGTH} caractères.`;
+  }
+  return null;
+}
+
+function backupKey(password, salt, iterations) {
+  return deriveKeyFromPin(password, salt, iterations, ['encrypt', 'decrypt']);
+}
+
+// Lit tous les stores dans une seule transaction (instantané cohérent)
+async function readStores(names) {
+  const db = await openDB();
+  return new Promise((resolve, reject) => {
+    const txDB = db.transaction(names, 'readonly');
+    const out = {};
+    names.forEach((name) => {
+      const store = txDB.objectStore(name);
+      const req = store.getAll();
+      req.onsuccess = () => {
+        out[name] = { keyPath: store.keyPath, records: req.result || [] };
+      };
+    });
+    txDB.oncomplete = () => resolve(out);
+    txDB.onerror = () => reject(txDB.error);
+  });
+}
+
+/* ---------- Export ---------- */
+
+export async function createBackup(password) {
+  const passwordError = validateBackupPassword(password);
+  if (passwordError) throw new Error(passwordError);
+
+  const db = await openDB();
+  const names = Array.from(db.objectStoreNames);
+  const snapshot = await readStores(names);
+  const stores = {};
+  await Promise.all(names.map(async (name) => {
+    const records = snapshot[name].records.filter((r) => !isLocalSetting(name, r));
+    const fields = sealedFieldsOf(name);
+    stores[name] = fields ? await Promise.all(records.map((r) => openFields(r, fields))) : records;
+  }));
+
+  const salt = randomBytes(16);
+  const key = await backupKey(password, salt, PBKDF2_ITERATIONS);
+  return {
+    format: BACKUP_FORMAT,
+    version: BACKUP_VERSION,
+    db_version: DB_VERSION,
+    created_at: new Date().toISOString(),
+    counts: Object.fromEntries(names.map((name) => [name, stores[name].length])),
+    kdf: { name: 'PBKDF2', hash: 'SHA-256', iterations: PBKDF2_ITERATIONS, salt: toBase64(salt) },
+    payload: await sealValue({ stores }, key)
+  };
+}
+
+export function backupFileName(backup) {
+  return `mobiledger-sauvegarde-${timestamp(new Date(backup.created_at))}.json`;
+}
+
+export function downloadBackup(backup) {
+  const blob = new Blob([JSON.stringify(backup)], { type: 'application/json' });
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = backupFileName(backup);
+  a.click();
+  URL.revokeObjectURL(url);
+}
+
+/* ---------- Restauration ---------- */
+
+// Vérifie l'en-tête (lisible sans mot de passe) avant de proposer la restauration
+export function assertBackup(backup) {
+  if (!backup || backup.format !== BACKUP_FORMAT || typeof backup.payload !== 'string' || !backup.kdf || !Number.isInteger(backup.db_version)) {
+    throw new Error('Ce fichier n\'est pas une sauvegarde MobiLedger.');
+  }
+  if (!Number.isInteger(backup.version) || backup.version > BACKUP_VERSION) {
+    throw new Error(`Format de sauvegarde v${backup.version} non pris en charge: mettez l'application à jour.`);
+  }
+  if (backup.db_version > DB_VERSION) {
+    throw new Error('Sauvegarde créée par une version plus récente de l\'application: mettez-la à jour.');
+  }
+  return backup;
+}
+
+export async function readBackupFile(file) {
+  let backup;
+  try {
+    backup = JSON.parse(await file.text());
+  } catch (err) {
+    throw new Error('Ce fichier n\'est pas une sauvegarde MobiLedger.');
+  }
+  return assertBackup(backup);
+}
+
+async function decryptBackup(backup, password) {
+  const { iterations, salt } = backup.kdf;
+  const key = await backupKey(String(password || ''), fromBase64(salt), iterations);
+  try {
+    const { stores } = await openValue(backup.payload, key);
+    return stores || {};
+  } catch (err) {
+    throw new Error('Mot de passe incorrect ou fichier endommagé.');
+  }
+}
+
+/*
+  restoreBackup: mode 'replace' (la base devient celle de la sauvegarde, hors
+  réglages propres à l'appareil) ou 'merge' (seuls les enregistrements
+  absents sont ajoutés: une transaction déjà présente, même id, est conservée
+  telle quelle). Le rechiffrement est fait avant d'ouvrir la transaction
+  IndexedDB, qui couvre tous les stores (tout ou rien). Le curseur de
+  réception est remis à zéro dans la même transaction: les transactions
+  restaurées sont relues depuis le serveur au prochain passage.
+  Retourne { mode, added: { [store]: n }, skipped: { [store]: n } }.
+*/
+export async function restoreBackup(backup, password, { mode = 'merge' } = {}) {
+  assertBackup(backup);
+  const stores = await decryptBackup(backup, password);
+  // Les enregistrements d'avant la v13 deviennent la révision 1 de cet appareil, comme à la migration
+  const context = { deviceId: await getDeviceId() };
+  const db = await openDB();
+  const names = Array.from(db.objectStoreNames);
+  const local = await readStores(names);
+
+  const plan = await Promise.all(names.map(async (name) => {
+    // Fiches clients: vidées puis reconstruites à partir des transactions (voir getClients)
+    if (name === CLIENTS_STORE) return { name, clear: true, remove: [], records: [], skipped: 0 };
+    const { keyPath, records: current } = local[name];
+    const incoming = migrateRecords(name, (stores[name] || []).filter((r) => !isLocalSetting(name, r)), backup.db_version, context);
+    const existing = new Set(current.map((r) => r[keyPath]));
+    const records = mode === 'replace' ? incoming : incoming.filter((r) => !existing.has(r[keyPath]));
+    const fields = sealedFieldsOf(name);
+    return {
+      name,
+      // Les réglages propres à l'appareil survivent au remplacement
+      clear: mode === 'replace' && name !== SETTINGS_STORE,
+      remove: mode === 'replace' && name === SETTINGS_STORE ? current.filter((r) => !isLocalSetting(name, r)).map((r) => r.key) : [],
+      records: fields ? await Promise.all(records.map((r) => sealFields(r, fields))) : records,
+      skipped: incoming.length - records.length
+    };
+  }));
+
+  return new Promise((resolve, reject) => {
+    const txDB = db.transaction(names, 'readwrite');
+    plan.forEach(({ name, clear, remove, records }) => {
+      const store = txDB.objectStore(name);
+      if (clear) store.clear();
+      remove.forEach((key) => store.delete(key));
+      records.forEach((r) => store.put(r));
+    });
+    txDB.objectStore(SETTINGS_STORE).put({ key: SYNC_CURSOR_KEY, value: null });
+    txDB.oncomplete = () => resolve({
+      mode,
+      added: Object.fromEntries(plan.map((p) => [p.name, p.records.length])),
+      skipped: Object.fromEntries(plan.map((p) => [p.name, p.skipped]))
+    });
+    txDB.onabort = () => reject(txDB.error || new Error('Restauration annulée.'));
+  });
+}
+
+/* ---------- Rappel ---------- */
+
+export async function loadBackupMeta() {
+  return { ...DEFAULT_BACKUP_META, ...(await getSetting(BACKUP_META_KEY, {})) };
+}
+
+export async function saveBackupMeta(meta) {
+  const next = { ...(await loadBackupMeta()), ...meta };
+  await setSetting(BACKUP_META_KEY, next);
+  return next;
+}
+
+// Jours écoulés depuis la dernière sauvegarde (null si jamais sauvegardé)
+export function backupAgeDays(meta, now = new Date()) {
+  if (!meta.last_backup_at) return null;
+  return Math.floor((now - new Date(meta.last_backup_at)) / DAY_MS);
+}
+
+export function isBackupOverdue(meta, now = new Date()) {
+  if (!meta.reminder_days) return false;
+  const age = backupAgeDays(meta, now);
+  return age === null || age >= meta.reminder_days;
+}
@@ -0,0 +1,96 @@
+import 'fake-indexeddb/auto';
+import { IDBFactory } from 'fake-indexeddb';
+import { afterEach, beforeEach, describe, expect, it } from 'vitest';
+import { DB_VERSION, SETTINGS_STORE, STORE_NAME, addTransaction, closeDB, getAllTransactions, getDeviceId, getSetting, migrateRecords, setSetting } from './db.js';
+import { deriveKeyFromPin, generateDataKey, lock, randomBytes, sealValue, setSessionKey, toBase64 } from './crypto.js';
+import { SYNC_CURSOR_KEY } from './sync.js';
+import { BACKUP_FORMAT, BACKUP_VERSION, assertBackup, restoreBackup } from './backup.js';
+
+const PASSWORD = 'motdepasse-test';
+const ITERATIONS = 1000;
+
+// Sauvegarde telle que l'écrivait une version antérieure (seuls les stores qui existaient alors)
+async function oldBackup(dbVersion, stores) {
+  const salt = randomBytes(16);
+  const key = await deriveKeyFromPin(PASSWORD, salt, ITERATIONS, ['encrypt', 'decrypt']);
+  return {
+    format: BACKUP_FORMAT,
+    version: BACKUP_VERSION,
+    db_version: dbVersion,
+    created_at: '2024-05-31T20:00:00.000Z',
+    counts: {},
+    kdf: { name: 'PBKDF2', hash: 'SHA-256', iterations: ITERATIONS, salt: toBase64(salt) },
+    payload: await sealValue({ stores }, key)
+  };
+}
+
+const record = (id, fields) => ({
+  id,
+  type: 'deposit',
+  operator: 'orange',
+  nom_complet: 'Awa Ouédraogo',
+  id_document: 'B1234567',
+  telephone: '+22670112233',
+  montant: 5000,
+  status: 'synced',
+  created_at: `2024-05-3${id}T10:00:00.000Z`,
+  ...fields
+});
+
+beforeEach(async () => {
+  globalThis.indexedDB = new IDBFactory();
+  setSessionKey(await generateDataKey());
+});
+
+afterEach(async () => {
+  await closeDB();
+  lock();
+});
+
+describe('migrateRecords', () => {
+  it('applies only the steps after the given version', () => {
+    const legacy = { id: '1', prenom: 'Awa', nom: 'Ouédraogo', created_at: '2024-05-31T10:00:00.000Z' };
+    expect(migrateRecords(STORE_NAME, [legacy], 7, { deviceId: 'dev-a' })).toEqual([{
+      id: '1', nom_complet: 'Awa Ouédraogo', created_at: legacy.created_at, rev: 1, device_id: 'dev-a', updated_at: legacy.created_at
+    }]);
+    expect(migrateRecords(STORE_NAME, [legacy], 13, { deviceId: 'dev-a' })).toEqual([legacy]);
+    expect(migrateRecords(SETTINGS_STORE, [{ key: 'x', value: 1 }], 1, {})).toEqual([{ key: 'x', value: 1 }]);
+  });
+});
+
+describe('restoreBackup', () => {
+  it('refuses a file without db_version or from a newer version', () => {
+    expect(() => assertBackup({ format: BACKUP_FORMAT, version: 1, payload: 'enc1:', kdf: {} })).toThrow(/pas une sauvegarde/);
+    expect(() => assertBackup({ format: BACKUP_FORMAT, version: 1, payload: 'enc1:', kdf: {}, db_version: DB_VERSION + 1 })).toThrow(/plus récente/);
+  });
+
+  it('upgrades the records of an older version like the migrations do', async () => {
+    // Avant la v8: prénom et nom séparés; avant la v13: pas de révision
+    const { nom_complet: _, ...legacy } = record('1', { prenom: 'Issa', nom: 'Sawadogo' });
+    const backup = await oldBackup(7, { [STORE_NAME]: [legacy, record('2')] });
+    const deviceId = await getDeviceId();
+
+    await restoreBackup(backup, PASSWORD, { mode: 'replace' });
+    const byId = Object.fromEntries((await getAllTransactions()).map((t) => [t.id, t]));
+    expect(byId['1'].nom_complet).toBe('Issa Sawadogo');
+    expect(byId['1']).not.toHaveProperty('prenom');
+    Object.values(byId).forEach((t) => expect(t).toMatchObject({ rev: 1, device_id: deviceId, updated_at: t.created_at }));
+  });
+
+  it('keeps the revision of a current backup', async () => {
+    const backup = await oldBackup(DB_VERSION, { [STORE_NAME]: [record('1', { rev: 4, device_id: 'dev-b', updated_at: '2024-06-01T00:00:00.000Z' })] });
+    await restoreBackup(backup, PASSWORD, { mode: 'merge' });
+    expect(await getAllTransactions()).toEqual([expect.objectContaining({ rev: 4, device_id: 'dev-b' })]);
+  });
+
+  it('replaces the transactions and pulls everything again', async () => {
+    await addTransaction(record('9', { rev: 1, device_id: 'dev-a' }));
+    await setSetting(SYNC_CURSOR_KEY, 'cursor-42');
+    const backup = await oldBackup(DB_VERSION, { [STORE_NAME]: [record('1', { rev: 1, device_id: 'dev-b' })] });
+
+    const result = await restoreBackup(backup, PASSWORD, { mode: 'replace' });
+    expect(result.added[STORE_NAME]).toBe(1);
+    expect((await getAllTransactions()).map((t) => t.id)).toEqual(['1']);
+    expect(await getSetting(SYNC_CURSOR_KEY, 'missing')).toBeNull();
+  });
+});
@@ -0,0 +1,152 @@
+/*
+  Registre des clients habituels.
+
+  Un client est reconnu par son document (CNIB / passeport normalisé) et
+  conserve tous les numéros de téléphone déjà utilisés. Le registre est
+  alimenté automatiquement à chaque transaction; les totaux et la dernière
+  visite sont recalculés à partir des transactions (les annulations ne
+  comptent pas).
+
+  Les fiches sont chiffrées comme les transactions: la clé primaire est un
+  uuid (et non le numéro de document) et la recherche se fait en mémoire.
+*/
+import { CLIENTS_STORE, getAllRecords, getAllTransactions, openDB, uuidv4 } from './db.js';
+import { PII_FIELDS, openFields, sealFields } from './crypto.js';
+import { isActiveTransaction } from './corrections.js';
+import { totalsByType } from './transactionTypes.js';
+import { localDateKey } from './closing.js';
+
+export const CLIENT_PII_FIELDS = [...PII_FIELDS, 'phones'];
+
+export const MIN_QUERY_LENGTH = 3;
+
+// "b 1234-567" -> "B1234567"
+export function normalizeDocument(value) {
+  return String(value || '').toUpperCase().replace(/[^A-Z0-9]/g, '');
+}
+
+// Chiffres seuls, sans l'indicatif du Burkina (+226 / 00226)
+export function normalizePhone(value) {
+  const digits = String(value || '').replace(/\D/g, '');
+  return digits.length > 8 ? digits.replace(/^(00)?226/, '') : digits;
+}
+
+// Clé de rapprochement client <-> transaction
+export function clientKeyOf(record) {
+  return normalizeDocument(record.id_document);
+}
+
+// Fusionne une transaction dans la fiche client (ou en crée une)
+export function mergeClient(existing, tx) {
+  const phone = normalizePhone(tx.telephone);
+  const base = existing || {
+    id: uuidv4(),
+    phones: [],
+    first_visit: tx.created_at,
+    last_visit: tx.created_at
+  };
+  const isLatest = !existing || tx.created_at >= existing.last_visit;
+  return {
+    ...base,
+    // Les informations les plus récentes l'emportent
+    nom_complet: isLatest ? tx.nom_complet : base.nom_complet,
+    id_document: isLatest ? tx.id_document : base.id_document,
+    telephone: isLatest ? tx.telephone : base.telephone,
+    phones: phone && !base.phones.includes(phone) ? [...base.phones, phone] : base.phones,
+    first_visit: tx.created_at < base.first_visit ? tx.created_at : base.first_visit,
+    last_visit: isLatest ? tx.created_at : base.last_visit
+  };
+}
+
+async function putClients(clients) {
+  const sealed = await Promise.all(clients.map((c) => sealFields(c, CLIENT_PII_FIELDS)));
+  const db = await openDB();
+  return new Promise((resolve, reject) => {
+    const txDB = db.transaction(CLIENTS_STORE, 'readwrite');
+    const store = txDB.objectStore(CLIENTS_STORE);
+    sealed.forEach((c) => store.put(c));
+    txDB.oncomplete = () => resolve(clients);
+    txDB.onerror = () => reject(txDB.error);
+  });
+}
+
+export async function upsertClientFromTransaction(tx) {
+  if (!clientKeyOf(tx)) return null;
+  const [saved] = await upsertClientsFromTransactions([tx]);
+  return saved;
+}
+
+// Plusieurs transactions d'un coup (import): une seule lecture et une seule écriture du registre
+export async function upsertClientsFromTransactions(transactions) {
+  const byKey = new Map((await getClients()).map((c) => [clientKeyOf(c), c]));
+  const changed = new Map();
+  transactions
+    .slice()
+    .sort((a, b) => (a.created_at < b.created_at ? -1 : 1))
+    .forEach((tx) => {
+      const key = clientKeyOf(tx);
+      if (!key) return;
+      const merged = mergeClient(byKey.get(key), tx);
+      byKey.set(key, merged);
+      changed.set(key, merged);
+    });
+  return changed.size ? putClients([...changed.values()]) : [];
+}
+
+// Reconstruit le registre depuis l'historique (installations antérieures au registre)
+async function rebuildClients() {
+  const transactions = await getAllTransactions();
+  const byKey = new Map();
+  transactions
+    .slice()
+    .sort((a, b) => (a.created_at < b.created_at ? -1 : 1))
+    .forEach((tx) => {
+      const key = clientKeyOf(tx);
+      if (key) byKey.set(key, mergeClient(byKey.get(key), tx));
+    });
+  return byKey.size ? putClients([...byKey.values()]) : [];
+}
+
+export async function getClients() {
+  const clients = await getAllRecords(CLIENTS_STORE);
+  if (!clients.length) return rebuildClients();
+  return Promise.all(clients.map((c) => openFields(c, CLIENT_PII_FIELDS)));
+}
+
+/*
+  findClients: suggestions pour le formulaire. `field` = 'telephone' ou
+  'id_document'; correspondance sur le début du numéro, visites récentes d'abord.
+*/
+export function findClients(clients, field, query, limit = 5) {
+  const needle = field === 'telephone' ? normalizePhone(query) : normalizeDocument(query);
+  if (needle.length < MIN_QUERY_LENGTH) return [];
+  return clients
+    .filter((c) => (field === 'telephone'
+      ? c.phones.some((p) => p.startsWith(needle))
+      : clientKeyOf(c).startsWith(needle)))
+    .sort((a, b) => (a.last_visit < b.last_visit ? 1 : -1))
+    .slice(0, limit);
+}
+
+// Jours à lire pour la fiche: de la première à la dernière visite du client
+export function clientRange(client) {
+  return { from: localDateKey(client.first_visit), to: localDateKey(client.last_visit) };
+}
+
+export function clientTransactions(transactions, client) {
+  return transactions
+    .filter((t) => clientKeyOf(t) === clientKeyOf(client))
+    .sort((a, b) => (a.created_at < b.created_at ? 1 : -1));
+}
+
+export function clientStats(history) {
+  const active = history.filter(isActiveTransaction);
+  const sum = (type) => active.filter((t) => t.type === type).reduce((s, t) => s + (Number(t.montant) || 0), 0);
+  return {
+    count: active.length,
+    deposits: sum('deposit'),
+    withdrawals: sum('withdrawal'),
+    byType: totalsByType(active),
+    lastVisit: active.reduce((last, t) => (!last || t.created_at > last ? t.created_at : last), null)
+  };
+}
@@ -0,0 +1,204 @@
+/*
+  Clôture de caisse journalière.
+
+  L'agent compte son tiroir par coupure et relève le solde e-money de chaque
+  opérateur. On compare avec le float attendu en fin de journée (voir float.js),
+  on enregistre l'écart (positif = excédent, négatif = manquant) puis on
+  verrouille les transactions du jour: `closing_date` est posé sur chacune et
+  updateTransaction refuse ensuite toute modification hors synchronisation.
+*/
+import { jsPDF } from 'jspdf';
+import autoTable from 'jspdf-autotable';
+import { CLOSINGS_STORE, STORE_NAME, getAllRecords, openDB } from './db.js';
+import { CASH_ACCOUNT, computeFloatPosition, emoneyAccount, floatScanStart } from './float.js';
+import { getOperator } from './operators.js';
+import { isActiveTransaction } from './corrections.js';
+import { formatCurrency, formatDate } from './format.js';
+import { TRANSACTION_TYPES, totalsByType } from './transactionTypes.js';
+
+export const NOTE_DENOMINATIONS = [10000, 5000, 2000, 1000, 500];
+export const COIN_DENOMINATIONS = [500, 250, 200, 100, 50, 25, 10, 5];
+
+// Clé de journée en heure locale: 2024-05-31
+export function localDateKey(date = new Date()) {
+  const d = new Date(date);
+  const pad = (n) => String(n).padStart(2, '0');
+  return `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}`;
+}
+
+export function dayBounds(dateKey) {
+  const [y, m, d] = dateKey.split('-').map(Number);
+  const start = new Date(y, m - 1, d, 0, 0, 0, 0);
+  const end = new Date(y, m - 1, d, 23, 59, 59, 999);
+  return { start, end };
+}
+
+export function transactionsOfDay(transactions, dateKey) {
+  return transactions.filter((t) => localDateKey(t.created_at) === dateKey);
+}
+
+// counts: { 'note-10000': 3, 'coin-500': 2, ... }
+export function countTotal(counts) {
+  return Object.entries(counts).reduce((sum, [key, qty]) => {
+    const value = Number(key.split('-')[1]) || 0;
+    return sum + value * (Number(qty) || 0);
+  }, 0);
+}
+
+/*
+  closingRange: jours de transactions à lire pour computeExpected, de la
+  plus ancienne des dernières ouvertures du float (avant la fin de la
+  journée) jusqu'à `dateKey`. Sans ouverture sur l'un des comptes, tout
+  l'historique jusqu'à ce jour compte (from vide).
+*/
+export function closingRange(dateKey, floatEntries, operators) {
+  const accounts = [CASH_ACCOUNT, ...operators.map((op) => emoneyAccount(op.id))];
+  const since = floatScanStart(floatEntries, accounts, dayBounds(dateKey).end.toISOString());
+  return { from: since ? localDateKey(since) : '', to: dateKey };
+}
+
+/*
+  computeExpected: chiffres attendus en fin de journée `dateKey`.
+  `initialized` indique si des soldes d'ouverture existent (sinon l'attendu
+  part de zéro et l'écart n'a pas de sens). `byType` détaille nombre et
+  montant par type du registre; deposits / withdrawals restent pour les
+  clôtures déjà enregistrées.
+*/
+export function computeExpected(dateKey, floatEntries, transactions) {
+  const { end } = dayBounds(dateKey);
+  const position = computeFloatPosition(floatEntries, transactions, end);
+  const dayTx = transactionsOfDay(transactions, dateKey).filter(isActiveTransaction);
+  const sum = (type) => dayTx.filter((t) => t.type === type).reduce((s, t) => s + (Number(t.montant) || 0), 0);
+  return {
+    cash: position.cash,
+    emoney: position.emoney,
+    initialized: position.initialized,
+    count: dayTx.length,
+    deposits: sum('deposit'),
+    withdrawals: sum('withdrawal'),
+    byType: totalsByType(dayTx)
+  };
+}
+
+export function buildClosing({ dateKey, counts, emoneyCounted, expected, operators, note = '' }) {
+  const cashCounted = countTotal(counts);
+  const emoney = {};
+  operators.forEach((op) => {
+    const counted = Number(emoneyCounted[op.id]) || 0;
+    const exp = expected.emoney[op.id] || 0;
+    emoney[op.id] = { counted, expected: exp, variance: counted - exp };
+  });
+  return {
+    date: dateKey,
+    counts,
+    cash_counted: cashCounted,
+    cash_expected: expected.cash,
+    cash_variance: cashCounted - expected.cash,
+    emoney,
+    transactions_count: expected.count,
+    deposits_total: expected.deposits,
+    withdrawals_total: expected.withdrawals,
+    totals_by_type: expected.byType,
+    opening_missing: !expected.initialized.has(CASH_ACCOUNT)
+      || operators.some((op) => !expected.initialized.has(emoneyAccount(op.id))),
+    note,
+    closed_at: new Date().toISOString()
+  };
+}
+
+export function getClosings() {
+  return getAllRecords(CLOSINGS_STORE);
+}
+
+/*
+  saveClosing: enregistre la clôture et verrouille les transactions du jour
+  dans une seule transaction IndexedDB (tout ou rien).
+*/
+export async function saveClosing(closing) {
+  const db = await openDB();
+  return new Promise((resolve, reject) => {
+    const txDB = db.transaction([CLOSINGS_STORE, STORE_NAME], 'readwrite');
+    const closings = txDB.objectStore(CLOSINGS_STORE);
+    const store = txDB.objectStore(STORE_NAME);
+    const existing = closings.get(closing.date);
+    existing.onsuccess = () => {
+      if (existing.result) {
+        txDB.abort();
+        reject(new Error(`La journée du ${closing.date} est déjà clôturée.`));
+        return;
+      }
+      closings.add(closing);
+      const { start, end } = dayBounds(closing.date);
+      const range = IDBKeyRange.bound(start.toISOString(), end.toISOString());
+      store.index('created_at').openCursor(range).onsuccess = (e) => {
+        const cursor = e.target.result;
+        if (!cursor) return;
+        cursor.update({ ...cursor.value, closing_date: closing.date });
+        cursor.continue();
+      };
+    };
+    txDB.oncomplete = () => resolve(closing);
+    txDB.onerror = () => reject(txDB.error);
+  });
+}
+
+export function exportClosingPDF(closing, operators) {
+  const doc = new jsPDF();
+  const [y, m, d] = closing.date.split('-');
+  doc.setFontSize(14);
+  doc.text(`Clôture de caisse du ${d}/${m}/${y}`, 14, 16);
+  doc.setFontSize(9);
+  doc.text(`Clôturée le ${formatDate(closing.closed_at)}`, 14, 22);
+
+  const denominations = [
+    ...NOTE_DENOMINATIONS.map((v) => [`Billet ${v}`, `note-${v}`, v]),
+    ...COIN_DENOMINATIONS.map((v) => [`Pièce ${v}`, `coin-${v}`, v])
+  ].filter(([, key]) => Number(closing.counts[key]) > 0);
+  autoTable(doc, {
+    head: [['Coupure', 'Quantité', 'Sous-total']],
+    body: denominations.map(([label, key, value]) => [label, closing.counts[key], formatCurrency(value * closing.counts[key])]),
+    foot: [['Total compté', '', formatCurrency(closing.cash_counted)]],
+    startY: 28,
+    styles: { fontSize: 8 }
+  });
+
+  autoTable(doc, {
+    head: [['Compte', 'Attendu', 'Compté', 'Écart']],
+    body: [
+      ['Cash (tiroir)', formatCurrency(closing.cash_expected), formatCurrency(closing.cash_counted), formatCurrency(closing.cash_variance)],
+      ...Object.entries(closing.emoney).map(([id, row]) => [
+        `E-money ${getOperator(operators, id).name}`,
+        formatCurrency(row.expected),
+        formatCurrency(row.counted),
+        formatCurrency(row.variance)
+      ])
+    ],
+    startY: doc.lastAutoTable.finalY + 8,
+    styles: { fontSize: 8 }
+  });
+
+  // Clôtures antérieures au registre des types: dépôts et retraits seulement
+  const byType = closing.totals_by_type || {
+    deposit: { count: null, total: closing.deposits_total },
+    withdrawal: { count: null, total: closing.withdrawals_total }
+  };
+  autoTable(doc, {
+    head: [['Opérations', 'Nombre', 'Montant']],
+    body: [
+      ...Object.entries(byType)
+        .filter(([, tot]) => tot.count !== 0)
+        .map(([type, tot]) => [TRANSACTION_TYPES[type] ? TRANSACTION_TYPES[type].plural : type, tot.count === null ? '—' : tot.count, formatCurrency(tot.total)]),
+      ['Total', closing.transactions_count, '']
+    ],
+    startY: doc.lastAutoTable.finalY + 8,
+    styles: { fontSize: 8 }
+  });
+
+  let cursorY = doc.lastAutoTable.finalY + 10;
+  if (closing.opening_missing) {
+    doc.text('Attention: soldes d\'ouverture incomplets, les montants attendus sont approximatifs.', 14, cursorY);
+    cursorY += 6;
+  }
+  if (closing.note) doc.text(`Note: ${closing.note}`, 14, cursorY);
+  doc.save(`cloture-${closing.date}.pdf`);
+}
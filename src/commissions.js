@@ -0,0 +1,108 @@
+/*
+  Commissions de l'agent, calculées à partir des grilles (tranches) de chaque
+  opérateur et type de transaction.
+
+  Grille: { id: '<operateur>:<type>', operator, type, tiers, updated_at }
+  Tranche: { min, max, mode: 'fixed' | 'percent', value }
+  `max` vide (null) = pas de plafond. Les bornes sont inclusives.
+*/
+import { FEE_GRIDS_STORE, getAllRecords, putRecord } from './db.js';
+import { localDateKey } from './closing.js';
+import { isActiveTransaction } from './corrections.js';
+
+export const COMMISSION_MODES = {
+  fixed: 'Montant fixe (FCFA)',
+  percent: 'Pourcentage (%)'
+};
+
+export function feeGridId(operator, type) {
+  return `${operator}:${type}`;
+}
+
+export function getFeeGrids() {
+  return getAllRecords(FEE_GRIDS_STORE);
+}
+
+// Retourne un message d'erreur si les tranches se chevauchent ou sont incohérentes
+export function validateTiers(tiers) {
+  const sorted = [...tiers].sort((a, b) => a.min - b.min);
+  for (let i = 0; i < sorted.length; i++) {
+    const tier = sorted[i];
+    if (!(tier.min >= 0)) return 'Chaque tranche doit avoir un minimum positif.';
+    if (tier.max !== null && tier.max < tier.min) return `Tranche ${tier.min}: le maximum est inférieur au minimum.`;
+    if (!(tier.value >= 0)) return `Tranche ${tier.min}: commission invalide.`;
+    const next = sorted[i + 1];
+    if (next && (tier.max === null || tier.max >= next.min)) {
+      return `Les tranches ${tier.min} et ${next.min} se chevauchent.`;
+    }
+  }
+  return null;
+}
+
+export function saveFeeGrid({ operator, type, tiers }) {
+  const error = validateTiers(tiers);
+  if (error) return Promise.reject(new Error(error));
+  return putRecord(FEE_GRIDS_STORE, {
+    id: feeGridId(operator, type),
+    operator,
+    type,
+    tiers: [...tiers].sort((a, b) => a.min - b.min),
+    updated_at: new Date().toISOString()
+  });
+}
+
+export function findTier(grid, amount) {
+  if (!grid) return null;
+  return grid.tiers.find((t) => amount >= t.min && (t.max === null || amount <= t.max)) || null;
+}
+
+// Commission arrondie au franc; 0 si aucune grille ou tranche ne correspond
+export function computeCommission(grids, tx) {
+  const grid = grids.find((g) => g.id === feeGridId(tx.operator, tx.type));
+  const amount = Number(tx.montant) || 0;
+  const tier = findTier(grid, amount);
+  if (!tier) return 0;
+  return Math.round(tier.mode === 'percent' ? (amount * tier.value) / 100 : tier.value);
+}
+
+// Semaine ISO: 2024-W22
+export function isoWeekKey(date) {
+  const d = new Date(Date.UTC(date.getFullYear(), date.getMonth(), date.getDate()));
+  const day = d.getUTCDay() || 7;
+  d.setUTCDate(d.getUTCDate() + 4 - day);
+  const yearStart = new Date(Date.UTC(d.getUTCFullYear(), 0, 1));
+  const week = Math.ceil(((d - yearStart) / 86400000 + 1) / 7);
+  return `${d.getUTCFullYear()}-W${String(week).padStart(2, '0')}`;
+}
+
+export const PERIODS = {
+  day: { label: 'Jour', key: (d) => localDateKey(d), recent: 'les 31 derniers jours' },
+  week: { label: 'Semaine', key: (d) => isoWeekKey(d), recent: 'les 12 dernières semaines' },
+  month: { label: 'Mois', key: (d) => localDateKey(d).slice(0, 7), recent: 'les 12 derniers mois' }
+};
+
+// Jours lus pour les totaux par période (PERIODS[period].recent), périodes entières jusqu'à aujourd'hui
+export function totalsRange(period, now = new Date()) {
+  const start = new Date(now.getFullYear(), now.getMonth(), now.getDate());
+  if (period === 'day') start.setDate(start.getDate() - 30);
+  if (period === 'week') start.setDate(start.getDate() - ((start.getDay() + 6) % 7) - 7 * 11);
+  if (period === 'month') start.setMonth(start.getMonth() - 11, 1);
+  return { from: localDateKey(start), to: localDateKey(now) };
+}
+
+/*
+  commissionTotals: [{ key, count, volume, commission }] par période, plus récente en premier.
+*/
+export function commissionTotals(transactions, period = 'day') {
+  const keyOf = PERIODS[period].key;
+  const buckets = new Map();
+  transactions.filter(isActiveTransaction).forEach((t) => {
+    const key = keyOf(new Date(t.created_at));
+    const bucket = buckets.get(key) || { key, count: 0, volume: 0, commission: 0 };
+    bucket.count += 1;
+    bucket.volume += Number(t.montant) || 0;
+    bucket.commission += Number(t.commission) || 0;
+    buckets.set(key, bucket);
+  });
+  return [...buckets.values()].sort((a, b) => (a.key < b.key ? 1 : -1));
+}
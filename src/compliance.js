@@ -0,0 +1,211 @@
+/*
+  Règles de conformité (lutte contre le blanchiment).
+
+  Les règles sont évaluées à l'enregistrement d'une transaction, sur
+  l'historique local du client (même document OU même téléphone):
+  - single_amount : montant unitaire au-dessus d'un seuil
+  - cumulative    : cumul du jour ou des 7 derniers jours au-dessus d'une limite
+  - structuring   : dépôts répétés juste sous un seuil en 24 h (fractionnement)
+
+  Gravité 'warning': l'agent confirme, la transaction est enregistrée avec
+  `compliance_flags`. Gravité 'block': la transaction est refusée.
+  Dans les deux cas une alerte est ajoutée au store `alerts` pour revue par le
+  propriétaire. Les alertes recopient le client: `subject` est chiffré.
+*/
+import { jsPDF } from 'jspdf';
+import autoTable from 'jspdf-autotable';
+import { ALERTS_STORE, getAllRecords, getSetting, getTransactionsByIndex, openDB, putRecord, setSetting, uuidv4 } from './db.js';
+import { openFields, sealFields } from './crypto.js';
+import { isActiveTransaction } from './corrections.js';
+import { normalizeDocument, normalizePhone } from './clients.js';
+import { localDateKey } from './closing.js';
+import { getOperator } from './operators.js';
+import { formatCurrency, formatDate, timestamp } from './format.js';
+import { getTransactionType } from './transactionTypes.js';
+
+export const COMPLIANCE_RULES_KEY = 'compliance_rules';
+
+export const ALERT_SEALED_FIELDS = ['subject'];
+
+export const RULE_KINDS = {
+  single_amount: 'Montant unitaire élevé',
+  cumulative: 'Cumul par client',
+  structuring: 'Fractionnement sous le seuil'
+};
+
+export const SEVERITIES = {
+  warning: 'Avertissement',
+  block: 'Blocage'
+};
+
+export const PERIODS = {
+  day: 'Jour',
+  week: '7 derniers jours'
+};
+
+export const DEFAULT_RULES = [
+  { id: 'single-amount', kind: 'single_amount', enabled: true, severity: 'warning', threshold: 1000000 },
+  { id: 'daily-customer', kind: 'cumulative', enabled: true, severity: 'warning', period: 'day', limit: 2000000 },
+  { id: 'weekly-customer', kind: 'cumulative', enabled: true, severity: 'block', period: 'week', limit: 5000000 },
+  { id: 'structuring', kind: 'structuring', enabled: true, severity: 'warning', threshold: 1000000, margin: 10, minCount: 3 }
+];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export async function loadComplianceRules() {
+  const saved = await getSetting(COMPLIANCE_RULES_KEY, null);
+  if (!Array.isArray(saved)) return DEFAULT_RULES;
+  // Les règles ajoutées depuis la dernière sauvegarde gardent leur réglage par défaut
+  return DEFAULT_RULES.map((rule) => ({ ...rule, ...(saved.find((r) => r.id === rule.id) || {}) }));
+}
+
+export function saveComplianceRules(rules) {
+  return setSetting(COMPLIANCE_RULES_KEY, rules);
+}
+
+/* ---------- Évaluation ---------- */
+
+// Transactions du même client: même document ou même numéro
+export function sameCustomer(a, b) {
+  const docA = normalizeDocument(a.id_document);
+  const phoneA = normalizePhone(a.telephone);
+  return (docA !== '' && docA === normalizeDocument(b.id_document))
+    || (phoneA !== '' && phoneA === normalizePhone(b.telephone));
+}
+
+function inPeriod(t, tx, period) {
+  if (period === 'day') return localDateKey(t.created_at) === localDateKey(tx.created_at);
+  const age = new Date(tx.created_at) - new Date(t.created_at);
+  return age >= 0 && age < 7 * DAY_MS;
+}
+
+const sumAmounts = (list) => list.reduce((s, t) => s + (Number(t.montant) || 0), 0);
+
+function checkRule(rule, tx, customerHistory) {
+  const amount = Number(tx.montant) || 0;
+  if (rule.kind === 'single_amount') {
+    if (amount < rule.threshold) return null;
+    return `Montant de ${formatCurrency(amount)} ≥ seuil de ${formatCurrency(rule.threshold)}.`;
+  }
+  if (rule.kind === 'cumulative') {
+    const total = amount + sumAmounts(customerHistory.filter((t) => inPeriod(t, tx, rule.period)));
+    if (total <= rule.limit) return null;
+    return `Cumul client (${PERIODS[rule.period].toLowerCase()}) de ${formatCurrency(total)} > limite de ${formatCurrency(rule.limit)}.`;
+  }
+  if (rule.kind === 'structuring') {
+    const floor = rule.threshold * (1 - rule.margin / 100);
+    const justBelow = (t) => t.type === 'deposit' && t.montant >= floor && t.montant < rule.threshold;
+    if (!justBelow(tx)) return null;
+    const sameDocument = customerHistory.filter((t) => (
+      normalizeDocument(t.id_document) === normalizeDocument(tx.id_document)
+      && new Date(tx.created_at) - new Date(t.created_at) < DAY_MS
+      && justBelow(t)
+    ));
+    const count = sameDocument.length + 1;
+    if (count < rule.minCount) return null;
+    return `${count} dépôts entre ${formatCurrency(floor)} et ${formatCurrency(rule.threshold)} en 24 h sur le même document.`;
+  }
+  return null;
+}
+
+/*
+  evaluateRules: alertes déclenchées par `tx` (pas encore enregistrée) au vu
+  de `history` (transactions déchiffrées). Les annulations ne comptent pas.
+  Retourne [{ rule_id, kind, severity, message }].
+*/
+export function evaluateRules(tx, history, rules) {
+  const customerHistory = history.filter((t) => t.id !== tx.id && isActiveTransaction(t) && sameCustomer(tx, t));
+  return rules
+    .filter((rule) => rule.enabled)
+    .map((rule) => {
+      const message = checkRule(rule, tx, customerHistory);
+      return message ? { rule_id: rule.id, kind: rule.kind, severity: rule.severity, message } : null;
+    })
+    .filter(Boolean);
+}
+
+// Les règles ne regardent pas plus loin que 7 jours: seule cette période est lue (index created_at) et déchiffrée
+export function loadRuleHistory(tx) {
+  const since = new Date(new Date(tx.created_at).getTime() - 7 * DAY_MS).toISOString();
+  return getTransactionsByIndex('created_at', IDBKeyRange.lowerBound(since));
+}
+
+export function isBlocking(alerts) {
+  return alerts.some((a) => a.severity === 'block');
+}
+
+/* ---------- Journal des alertes ---------- */
+
+/*
+  recordAlerts: enregistre les alertes d'une transaction. `blocked` indique
+  qu'elle a été refusée (tx_id reste alors nul: rien n'a été enregistré).
+*/
+export async function recordAlerts(tx, alerts, { user = '', blocked = false } = {}) {
+  const at = new Date().toISOString();
+  const records = await Promise.all(alerts.map((a) => sealFields({
+    id: uuidv4(),
+    ...a,
+    tx_id: blocked ? null : tx.id,
+    outcome: blocked ? 'blocked' : 'saved',
+    status: 'open',
+    subject: { nom_complet: tx.nom_complet, id_document: tx.id_document, telephone: tx.telephone },
+    type: tx.type,
+    operator: tx.operator,
+    montant: tx.montant,
+    created_by_name: user,
+    created_at: at
+  }, ALERT_SEALED_FIELDS)));
+  const db = await openDB();
+  return new Promise((resolve, reject) => {
+    const txDB = db.transaction(ALERTS_STORE, 'readwrite');
+    const store = txDB.objectStore(ALERTS_STORE);
+    records.forEach((r) => store.add(r));
+    txDB.oncomplete = () => resolve(records.length);
+    txDB.onerror = () => reject(txDB.error);
+  });
+}
+
+export async function getAlerts() {
+  const records = await getAllRecords(ALERTS_STORE);
+  const alerts = await Promise.all(records.map((r) => openFields(r, ALERT_SEALED_FIELDS)));
+  return alerts.sort((a, b) => (a.created_at < b.created_at ? 1 : -1));
+}
+
+export async function reviewAlert(alert, { user, note = '' }) {
+  const reviewed = { ...alert, status: 'reviewed', reviewed_by: user, reviewed_at: new Date().toISOString(), review_note: note.trim() };
+  await putRecord(ALERTS_STORE, await sealFields(reviewed, ALERT_SEALED_FIELDS));
+  return reviewed;
+}
+
+/* ---------- Rapport PDF pour le responsable conformité ---------- */
+
+export function exportAlertsPDF(alerts, operators) {
+  const doc = new jsPDF({ orientation: 'landscape' });
+  doc.setFontSize(14);
+  doc.text('Rapport des transactions suspectes', 14, 16);
+  doc.setFontSize(9);
+  doc.text(`Édité le ${formatDate(new Date().toISOString())} — ${alerts.length} alerte(s)`, 14, 22);
+
+  autoTable(doc, {
+    head: [['Date', 'Réf.', 'Règle', 'Gravité', 'Issue', 'Type', 'Opérateur', 'Montant', 'Client', 'Document', 'Téléphone', 'Agent', 'Motif', 'Revue']],
+    body: alerts.map((a) => [
+      formatDate(a.created_at),
+      a.tx_id ? a.tx_id.slice(0, 8) : '—',
+      RULE_KINDS[a.kind] || a.kind,
+      SEVERITIES[a.severity] || a.severity,
+      a.outcome === 'blocked' ? 'Refusée' : 'Enregistrée',
+      getTransactionType(a.type).label,
+      getOperator(operators, a.operator).name,
+      formatCurrency(a.montant),
+      a.subject.nom_complet,
+      a.subject.id_document,
+      a.subject.telephone,
+      a.created_by_name,
+      a.message,
+      a.status === 'reviewed' ? `${a.reviewed_by}, ${formatDate(a.reviewed_at)}${a.review_note ? ` — ${a.review_note}` : ''}` : 'À revoir'
+    ]),
+    startY: 28,
+    styles: { fontSize: 7 }
+  });
+  doc.save(`alertes-conformite-${timestamp()}.pdf`);
+}
@@ -0,0 +1,80 @@
+import { describe, expect, it } from 'vitest';
+import { DEFAULT_RULES, evaluateRules, sameCustomer } from './compliance.js';
+
+const at = (day, h, mi = 0) => new Date(2024, 4, day, h, mi).toISOString();
+
+const tx = (id, fields) => ({
+  id,
+  type: 'deposit',
+  id_document: 'B1234567',
+  telephone: '+22670112233',
+  montant: 100000,
+  status: 'synced',
+  created_at: at(31, 14),
+  ...fields
+});
+
+const rule = (id) => DEFAULT_RULES.find((r) => r.id === id);
+const only = (id, overrides = {}) => [{ ...rule(id), ...overrides }];
+const ruleIds = (alerts) => alerts.map((a) => a.rule_id);
+
+describe('sameCustomer', () => {
+  it('matches on the document or the number, normalized', () => {
+    expect(sameCustomer(tx('a'), tx('b', { telephone: '+22676000000', id_document: 'b 1234567' }))).toBe(true);
+    expect(sameCustomer(tx('a'), tx('b', { id_document: 'B7654321', telephone: '70 11 22 33' }))).toBe(true);
+    expect(sameCustomer(tx('a'), tx('b', { id_document: 'B7654321', telephone: '+22676000000' }))).toBe(false);
+    expect(sameCustomer(tx('a', { id_document: '', telephone: '' }), tx('b', { id_document: '', telephone: '' }))).toBe(false);
+  });
+});
+
+describe('evaluateRules', () => {
+  it('flags a single amount from the threshold on', () => {
+    expect(evaluateRules(tx('new', { montant: 999999 }), [], only('single-amount'))).toEqual([]);
+    expect(evaluateRules(tx('new', { montant: 1000000 }), [], only('single-amount'))).toEqual([{
+      rule_id: 'single-amount',
+      kind: 'single_amount',
+      severity: 'warning',
+      message: expect.stringMatching(/seuil/)
+    }]);
+  });
+
+  it('adds up the customer\'s day and week', () => {
+    const history = [
+      tx('same-day', { montant: 1500000, created_at: at(31, 9) }),
+      tx('last-week', { montant: 3000000, created_at: at(27, 9) }),
+      tx('too-old', { montant: 5000000, created_at: at(20, 9) }),
+      tx('other-customer', { montant: 5000000, id_document: 'B7654321', telephone: '+22676000000' })
+    ];
+    const rules = DEFAULT_RULES.filter((r) => r.kind === 'cumulative');
+    expect(ruleIds(evaluateRules(tx('new', { montant: 400000 }), history, rules))).toEqual([]);
+    const alerts = evaluateRules(tx('new', { montant: 600000 }), history, rules);
+    expect(ruleIds(alerts)).toEqual(['daily-customer', 'weekly-customer']);
+    expect(alerts[1].severity).toBe('block');
+  });
+
+  it('ignores cancelled transactions and the transaction itself', () => {
+    const history = [
+      tx('cancelled', { montant: 1950000, status: 'cancelled' }),
+      tx('new', { montant: 1950000 })
+    ];
+    expect(evaluateRules(tx('new', { montant: 100000 }), history, only('daily-customer'))).toEqual([]);
+  });
+
+  it('detects repeated deposits just below the threshold on one document', () => {
+    const justBelow = (id, h) => tx(id, { montant: 950000, created_at: at(31, h) });
+    const rules = only('structuring');
+    expect(evaluateRules(justBelow('new', 14), [justBelow('a', 9)], rules)).toEqual([]);
+    const alerts = evaluateRules(justBelow('new', 14), [justBelow('a', 9), justBelow('b', 11)], rules);
+    expect(alerts).toHaveLength(1);
+    expect(alerts[0].message).toMatch(/^3 dépôts/);
+    // Retraits et montants hors de la marge ne comptent pas
+    expect(evaluateRules(justBelow('new', 14), [
+      tx('a', { montant: 950000, type: 'withdrawal' }),
+      tx('b', { montant: 800000 })
+    ], rules)).toEqual([]);
+  });
+
+  it('skips disabled rules', () => {
+    expect(evaluateRules(tx('new', { montant: 9000000 }), [], DEFAULT_RULES.map((r) => ({ ...r, enabled: false })))).toEqual([]);
+  });
+});
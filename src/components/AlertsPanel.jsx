@@ -0,0 +1,85 @@
+import React, { useState } from 'react';
+import OperatorBadge from './OperatorBadge.jsx';
+import { RULE_KINDS, SEVERITIES } from '../compliance.js';
+import { getOperator } from '../operators.js';
+import { formatCurrency, formatDate } from '../format.js';
+import { typeLabel } from '../transactionTypes.js';
+
+/*
+  AlertsPanel: alertes de conformité à revoir par le propriétaire.
+  `onReview(alert, note)` marque l'alerte comme revue; `onExportPDF(alerts)`
+  produit le rapport des transactions suspectes de la liste affichée.
+*/
+export default function AlertsPanel({ alerts, operators, onReview, onExportPDF }) {
+  const [filter, setFilter] = useState('open'); // 'open' | 'all'
+  const [notes, setNotes] = useState({});
+
+  const visible = filter === 'open' ? alerts.filter((a) => a.status === 'open') : alerts;
+
+  async function handleReview(alert) {
+    await onReview(alert, notes[alert.id] || '');
+    setNotes(({ [alert.id]: _, ...rest }) => rest);
+  }
+
+  return (
+    <section className="transactions-section">
+      <h2>Alertes de conformité</h2>
+      <div className="toolbar">
+        <select
+          className="form-select toolbar-filter"
+          value={filter}
+          onChange={(e) => setFilter(e.target.value)}
+          aria-label="Filtrer les alertes"
+        >
+          <option value="open">À revoir</option>
+          <option value="all">Toutes</option>
+        </select>
+        <div className="export-buttons">
+          <button type="button" className="btn-export" onClick={() => onExportPDF(visible)} disabled={!visible.length}>
+            🧾 Rapport PDF
+          </button>
+        </div>
+      </div>
+      {visible.length === 0 ? (
+        <div className="empty-state-subtext">Aucune alerte {filter === 'open' ? 'à revoir' : ''}.</div>
+      ) : (
+        <ul className="compliance-alerts">
+          {visible.map((a) => (
+            <li key={a.id} className={`compliance-alert ${a.severity}`}>
+              <div className="compliance-alert-header">
+                <strong>{RULE_KINDS[a.kind] || a.kind}</strong>
+                <span className={`status-badge ${a.outcome === 'blocked' ? 'rejected' : 'pending'}`}>
+                  {SEVERITIES[a.severity]} — {a.outcome === 'blocked' ? 'refusée' : 'enregistrée'}
+                </span>
+              </div>
+              <span>{a.message}</span>
+              <span>
+                {typeLabel(a.type)} {formatCurrency(a.montant)}{' '}
+                <OperatorBadge operator={getOperator(operators, a.operator)} compact />
+              </span>
+              <span>{a.subject.nom_complet} • {a.subject.id_document} • {a.subject.telephone}</span>
+              <small>
+                {formatDate(a.created_at)}{a.created_by_name ? ` par ${a.created_by_name}` : ''}
+                {a.tx_id ? ` • Réf. ${a.tx_id.slice(0, 8)}` : ''}
+              </small>
+              {a.status === 'reviewed' ? (
+                <small>✅ Revue par {a.reviewed_by} le {formatDate(a.reviewed_at)}{a.review_note ? ` — ${a.review_note}` : ''}</small>
+              ) : (
+                <div className="compliance-review">
+                  <input
+                    className="form-input"
+                    value={notes[a.id] || ''}
+                    onChange={(e) => setNotes((n) => ({ ...n, [a.id]: e.target.value }))}
+                    placeholder="Note de revue (optionnel)"
+                    aria-label="Note de revue"
+                  />
+                  <button type="button" className="page-btn" onClick={() => handleReview(a)}>✅ Marquer revue</button>
+                </div>
+              )}
+            </li>
+          ))}
+        </ul>
+      )}
+    </section>
+  );
+}
@@ -0,0 +1,63 @@
+import React, { useEffect, useState } from 'react';
+import OperatorBadge from './OperatorBadge.jsx';
+import { DEFAULT_AMOUNT_LIMITS, amountLimitsFor } from '../validation.js';
+import { formatAmountInput, parseAmount } from '../format.js';
+
+const toDraft = (operators, limits) => Object.fromEntries(operators.map((op) => {
+  const { min, max } = amountLimitsFor(limits, op.id);
+  return [op.id, { min: formatAmountInput(String(min || '')), max: formatAmountInput(String(max || '')) }];
+}));
+
+/*
+  AmountLimitsSettings: montant minimum / maximum par opérateur.
+  Un maximum vide signifie "sans plafond".
+*/
+export default function AmountLimitsSettings({ operators, limits, onSave }) {
+  const [draft, setDraft] = useState(() => toDraft(operators, limits));
+
+  useEffect(() => {
+    setDraft(toDraft(operators, limits));
+  }, [operators, limits]);
+
+  function update(id, field, value) {
+    setDraft((d) => ({ ...d, [id]: { ...d[id], [field]: formatAmountInput(value) } }));
+  }
+
+  function handleSubmit(e) {
+    e.preventDefault();
+    onSave(Object.fromEntries(Object.entries(draft).map(([id, l]) => [id, {
+      min: parseAmount(l.min),
+      max: parseAmount(l.max) || null
+    }])));
+  }
+
+  return (
+    <form onSubmit={handleSubmit}>
+      <div className="operator-settings-list">
+        {operators.map((op) => (
+          <div key={op.id} className="operator-settings-row amount-limits-row">
+            <OperatorBadge operator={op} compact />
+            <span>{op.name}</span>
+            <input
+              className="form-input"
+              inputMode="numeric"
+              value={(draft[op.id] || {}).min || ''}
+              onChange={(e) => update(op.id, 'min', e.target.value)}
+              placeholder={String(DEFAULT_AMOUNT_LIMITS.min)}
+              aria-label={`Montant minimum ${op.name}`}
+            />
+            <input
+              className="form-input"
+              inputMode="numeric"
+              value={(draft[op.id] || {}).max || ''}
+              onChange={(e) => update(op.id, 'max', e.target.value)}
+              placeholder="Sans plafond"
+              aria-label={`Montant maximum ${op.name}`}
+            />
+          </div>
+        ))}
+      </div>
+      <button type="submit" className="submit-button">💾 Enregistrer les limites</button>
+    </form>
+  );
+}
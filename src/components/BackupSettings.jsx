@@ -0,0 +1,199 @@
+import React, { useEffect, useState } from 'react';
+import { backupAgeDays, readBackupFile, validateBackupPassword } from '../backup.js';
+import { formatDate } from '../format.js';
+
+const STORE_LABELS = {
+  transactions: 'transactions',
+  float_entries: 'mouvements de float',
+  closings: 'clôtures',
+  audit_log: 'entrées du journal',
+  alerts: 'alertes',
+  sync_conflicts: 'conflits de synchronisation'
+};
+
+/*
+  BackupSettings: sauvegarde chiffrée par mot de passe, restauration
+  (fusion ou remplacement) et délai du rappel de sauvegarde.
+  `onBackup(password)` et `onRestore(backup, password, mode)` remontent
+  leurs erreurs au formulaire.
+*/
+export default function BackupSettings({ meta, onBackup, onRestore, onSaveReminder }) {
+  const [backupForm, setBackupForm] = useState({ password: '', confirm: '' });
+  const [backupError, setBackupError] = useState(null);
+  const [restore, setRestore] = useState(null); // { name, backup }
+  const [restoreForm, setRestoreForm] = useState({ password: '', mode: 'merge' });
+  const [restoreError, setRestoreError] = useState(null);
+  const [reminderDays, setReminderDays] = useState(String(meta.reminder_days));
+  const [busy, setBusy] = useState(false);
+
+  useEffect(() => {
+    setReminderDays(String(meta.reminder_days));
+  }, [meta.reminder_days]);
+
+  const age = backupAgeDays(meta);
+
+  async function handleBackup(e) {
+    e.preventDefault();
+    const passwordError = validateBackupPassword(backupForm.password);
+    if (passwordError || backupForm.password !== backupForm.confirm) {
+      setBackupError(passwordError || 'Les deux mots de passe ne correspondent pas.');
+      return;
+    }
+    setBusy(true);
+    setBackupError(null);
+    try {
+      await onBackup(backupForm.password);
+      setBackupForm({ password: '', confirm: '' });
+    } catch (err) {
+      console.error(err);
+      setBackupError(err.message || 'Sauvegarde impossible.');
+    } finally {
+      setBusy(false);
+    }
+  }
+
+  async function handleFile(e) {
+    const selected = e.target.files[0];
+    e.target.value = '';
+    if (!selected) return;
+    setRestoreError(null);
+    try {
+      setRestore({ name: selected.name, backup: await readBackupFile(selected) });
+    } catch (err) {
+      setRestore(null);
+      setRestoreError(err.message);
+    }
+  }
+
+  async function handleRestore(e) {
+    e.preventDefault();
+    if (restoreForm.mode === 'replace'
+      && !window.confirm('Remplacer toutes les données de ce téléphone par celles de la sauvegarde ?\n\nLes transactions absentes de la sauvegarde seront perdues.')) return;
+    setBusy(true);
+    setRestoreError(null);
+    try {
+      await onRestore(restore.backup, restoreForm.password, restoreForm.mode);
+      setRestore(null);
+      setRestoreForm({ password: '', mode: 'merge' });
+    } catch (err) {
+      console.error(err);
+      setRestoreError(err.message || 'Restauration impossible.');
+    } finally {
+      setBusy(false);
+    }
+  }
+
+  function handleReminder(e) {
+    e.preventDefault();
+    onSaveReminder(Math.max(0, Math.floor(Number(reminderDays) || 0)));
+  }
+
+  const contents = restore && Object.entries(STORE_LABELS)
+    .filter(([store]) => (restore.backup.counts || {})[store])
+    .map(([store, label]) => `${restore.backup.counts[store]} ${label}`)
+    .join(', ');
+
+  return (
+    <>
+      <p className="transactions-description">
+        {age === null ? 'Aucune sauvegarde effectuée sur ce téléphone.' : `Dernière sauvegarde le ${formatDate(meta.last_backup_at)} (il y a ${age} jour(s)).`}
+      </p>
+
+      <form onSubmit={handleBackup}>
+        <div className="form-row">
+          <div className="form-group">
+            <label className="form-label" htmlFor="backup-password">Mot de passe de la sauvegarde</label>
+            <input
+              id="backup-password"
+              type="password"
+              autoComplete="new-password"
+              className="form-input"
+              value={backupForm.password}
+              onChange={(e) => setBackupForm((f) => ({ ...f, password: e.target.value }))}
+              required
+            />
+          </div>
+          <div className="form-group">
+            <label className="form-label" htmlFor="backup-confirm">Confirmer</label>
+            <input
+              id="backup-confirm"
+              type="password"
+              autoComplete="new-password"
+              className="form-input"
+              value={backupForm.confirm}
+              onChange={(e) => setBackupForm((f) => ({ ...f, confirm: e.target.value }))}
+              required
+            />
+          </div>
+        </div>
+        <small className="form-hint">Sans ce mot de passe, la sauvegarde est illisible: conservez-le à part. Les profils et codes PIN ne sont pas sauvegardés.</small>
+        {backupError && <small className="field-error" role="alert">{backupError}</small>}
+        <button type="submit" className="submit-button" disabled={busy}>💾 Télécharger la sauvegarde</button>
+      </form>
+
+      <form onSubmit={handleRestore}>
+        <div className="form-group">
+          <label className="form-label" htmlFor="restore-file">Restaurer une sauvegarde</label>
+          <input id="restore-file" type="file" accept=".json,application/json" className="form-input" onChange={handleFile} disabled={busy} />
+        </div>
+        {restore && (
+          <>
+            <p className="transactions-description">
+              {restore.name}: sauvegarde du {formatDate(restore.backup.created_at)}{contents ? ` — ${contents}` : ''}.
+            </p>
+            <div className="form-row">
+              <div className="form-group">
+                <label className="form-label" htmlFor="restore-password">Mot de passe</label>
+                <input
+                  id="restore-password"
+                  type="password"
+                  autoComplete="current-password"
+                  className="form-input"
+                  value={restoreForm.password}
+                  onChange={(e) => setRestoreForm((f) => ({ ...f, password: e.target.value }))}
+                  required
+                />
+              </div>
+              <div className="form-group">
+                <label className="form-label" htmlFor="restore-mode">Mode</label>
+                <select
+                  id="restore-mode"
+                  className="form-select"
+                  value={restoreForm.mode}
+                  onChange={(e) => setRestoreForm((f) => ({ ...f, mode: e.target.value }))}
+                >
+                  <option value="merge">Fusionner (ajouter ce qui manque)</option>
+                  <option value="replace">Remplacer toutes les données</option>
+                </select>
+              </div>
+            </div>
+          </>
+        )}
+        {restoreError && <small className="field-error" role="alert">{restoreError}</small>}
+        {restore && (
+          <div className="import-actions">
+            <button type="button" className="page-btn" onClick={() => setRestore(null)} disabled={busy}>Annuler</button>
+            <button type="submit" className="submit-button" disabled={busy}>♻️ Restaurer</button>
+          </div>
+        )}
+      </form>
+
+      <form onSubmit={handleReminder}>
+        <div className="form-group">
+          <label className="form-label" htmlFor="backup-reminder">Rappel si aucune sauvegarde depuis (jours)</label>
+          <input
+            id="backup-reminder"
+            type="number"
+            min="0"
+            inputMode="numeric"
+            className="form-input"
+            value={reminderDays}
+            onChange={(e) => setReminderDays(e.target.value)}
+          />
+          <small className="form-hint">0 désactive le rappel.</small>
+        </div>
+        <button type="submit" className="page-btn">Enregistrer le rappel</button>
+      </form>
+    </>
+  );
+}
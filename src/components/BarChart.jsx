@@ -0,0 +1,69 @@
+import React from 'react';
+
+const WIDTH = 600;
+const HEIGHT = 220;
+const PADDING = { top: 12, right: 8, bottom: 28, left: 8 };
+
+/*
+  BarChart: histogramme SVG sans dépendance (barres groupées par série).
+  data: [{ label, values: { [serie.key]: nombre } }]
+  series: [{ key, label, className }] — la couleur vient du CSS.
+*/
+export default function BarChart({ data, series, formatValue = String, title }) {
+  const max = Math.max(1, ...data.flatMap((d) => series.map((s) => d.values[s.key] || 0)));
+  const plotWidth = WIDTH - PADDING.left - PADDING.right;
+  const plotHeight = HEIGHT - PADDING.top - PADDING.bottom;
+  const slot = plotWidth / Math.max(1, data.length);
+  const barWidth = Math.max(2, (slot * 0.8) / series.length);
+  // Au-delà d'une quinzaine de colonnes, un libellé sur deux
+  const labelStep = data.length > 16 ? 2 : 1;
+
+  return (
+    <figure className="chart">
+      <svg viewBox={`0 0 ${WIDTH} ${HEIGHT}`} role="img" aria-label={title}>
+        <line
+          className="chart-axis"
+          x1={PADDING.left}
+          x2={WIDTH - PADDING.right}
+          y1={HEIGHT - PADDING.bottom}
+          y2={HEIGHT - PADDING.bottom}
+        />
+        {data.map((d, i) => {
+          const x0 = PADDING.left + i * slot + slot * 0.1;
+          return (
+            <g key={d.label}>
+              {series.map((s, j) => {
+                const value = d.values[s.key] || 0;
+                const h = (value / max) * plotHeight;
+                return (
+                  <rect
+                    key={s.key}
+                    className={`chart-bar ${s.className || ''}`}
+                    x={x0 + j * barWidth}
+                    y={HEIGHT - PADDING.bottom - h}
+                    width={barWidth}
+                    height={h}
+                  >
+                    <title>{`${d.label} — ${s.label}: ${formatValue(value)}`}</title>
+                  </rect>
+                );
+              })}
+              {i % labelStep === 0 && (
+                <text className="chart-label" x={x0 + (barWidth * series.length) / 2} y={HEIGHT - 10} textAnchor="middle">
+                  {d.label}
+                </text>
+              )}
+            </g>
+          );
+        })}
+      </svg>
+      {series.length > 1 && (
+        <figcaption className="chart-legend">
+          {series.map((s) => (
+            <span key={s.key}><i className={`chart-swatch ${s.className || ''}`} /> {s.label}</span>
+          ))}
+        </figcaption>
+      )}
+    </figure>
+  );
+}
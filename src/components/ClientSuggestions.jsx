@@ -0,0 +1,27 @@
+import React from 'react';
+
+/*
+  ClientSuggestions: liste de clients connus sous un champ du formulaire.
+  onMouseDown (et non onClick) pour passer avant le blur du champ.
+*/
+export default function ClientSuggestions({ id, clients, onPick }) {
+  if (!clients.length) return null;
+  return (
+    <ul id={id} className="client-suggestions" role="listbox" aria-label="Clients connus">
+      {clients.map((c) => (
+        <li key={c.id} role="option" aria-selected="false">
+          <button
+            type="button"
+            onMouseDown={(e) => {
+              e.preventDefault();
+              onPick(c);
+            }}
+          >
+            <strong>{c.nom_complet}</strong>
+            <span>{c.id_document} • {c.telephone}</span>
+          </button>
+        </li>
+      ))}
+    </ul>
+  );
+}
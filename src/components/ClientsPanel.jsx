@@ -0,0 +1,120 @@
+import React, { useEffect, useState } from 'react';
+import OperatorBadge from './OperatorBadge.jsx';
+import { clientKeyOf, clientRange, clientStats, clientTransactions, normalizeDocument, normalizePhone } from '../clients.js';
+import { getOperator } from '../operators.js';
+import { formatCurrency, formatDate } from '../format.js';
+import { TRANSACTION_TYPES, typeLabel } from '../transactionTypes.js';
+
+/*
+  ClientsPanel: registre des clients et fiche détaillée (historique, totaux,
+  dernière visite). `onNewTransaction(client)` préremplit le formulaire.
+  Seuls les jours entre la première et la dernière visite du client
+  sélectionné sont lus (`onRangeChange(clientRange)`).
+*/
+export default function ClientsPanel({ clients, transactions, operators, onRangeChange, onNewTransaction }) {
+  const [query, setQuery] = useState('');
+  const [selectedId, setSelectedId] = useState(null);
+
+  const q = query.trim().toLowerCase();
+  const visible = clients
+    .filter((c) => !q
+      || c.nom_complet.toLowerCase().includes(q)
+      || (normalizeDocument(q) && clientKeyOf(c).includes(normalizeDocument(q)))
+      || (normalizePhone(q) && c.phones.some((p) => p.includes(normalizePhone(q)))))
+    .sort((a, b) => (a.last_visit < b.last_visit ? 1 : -1));
+
+  const selected = clients.find((c) => c.id === selectedId) || null;
+  const range = selected ? clientRange(selected) : null;
+  const history = selected ? clientTransactions(transactions || [], selected) : [];
+
+  useEffect(() => {
+    onRangeChange(range);
+  }, [range ? `${range.from}|${range.to}` : '', onRangeChange]);
+  const stats = clientStats(history);
+
+  return (
+    <>
+      <section className="form-section">
+        <h2>Clients</h2>
+        <input
+          type="search"
+          className="form-input"
+          value={query}
+          onChange={(e) => setQuery(e.target.value)}
+          placeholder="Nom, téléphone ou document"
+          aria-label="Rechercher un client"
+        />
+        {visible.length === 0 ? (
+          <div className="empty-state-subtext">Aucun client.</div>
+        ) : (
+          <ul className="client-list">
+            {visible.map((c) => (
+              <li key={c.id}>
+                <button
+                  type="button"
+                  className={`client-list-item ${c.id === selectedId ? 'active' : ''}`}
+                  onClick={() => setSelectedId(c.id)}
+                >
+                  <strong>{c.nom_complet}</strong>
+                  <span>{c.telephone} • {formatDate(c.last_visit)}</span>
+                </button>
+              </li>
+            ))}
+          </ul>
+        )}
+      </section>
+
+      <section className="transactions-section">
+        {!selected ? (
+          <div className="empty-state">
+            <div className="empty-state-icon">👥</div>
+            <div className="empty-state-text">Sélectionnez un client</div>
+          </div>
+        ) : (
+          <>
+            <h2>{selected.nom_complet}</h2>
+            <p className="transactions-description">
+              {selected.id_document} • {selected.phones.join(', ')} • client depuis le {formatDate(selected.first_visit)}
+            </p>
+            <div className="client-stats">
+              <div><span>Opérations</span><strong>{stats.count}</strong></div>
+              {Object.entries(stats.byType)
+                .filter(([, tot]) => tot.count > 0)
+                .map(([type, tot]) => (
+                  <div key={type}><span>{TRANSACTION_TYPES[type].icon} {TRANSACTION_TYPES[type].plural}</span><strong>{formatCurrency(tot.total)}</strong></div>
+                ))}
+              <div><span>Dernière visite</span><strong>{stats.lastVisit ? formatDate(stats.lastVisit) : '—'}</strong></div>
+            </div>
+            <button type="button" className="btn-export" onClick={() => onNewTransaction(selected)}>
+              ➕ Nouvelle transaction
+            </button>
+            <div className="transactions-table-container always-visible">
+              <table className="transactions-table compact">
+                <thead>
+                  <tr>
+                    <th scope="col">Date</th>
+                    <th scope="col">Type</th>
+                    <th scope="col">Opérateur</th>
+                    <th scope="col">Montant</th>
+                    <th scope="col">Statut</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {history.map((t) => (
+                    <tr key={t.id} className={t.status === 'cancelled' ? 'cancelled-row' : undefined}>
+                      <td>{formatDate(t.created_at)}</td>
+                      <td>{typeLabel(t.type)}</td>
+                      <td><OperatorBadge operator={getOperator(operators, t.operator)} compact /></td>
+                      <td style={{ textAlign: 'right', fontWeight: '600' }}>{formatCurrency(t.montant)}</td>
+                      <td><span className={`status-badge ${t.status}`}>{t.status}</span></td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          </>
+        )}
+      </section>
+    </>
+  );
+}
@@ -0,0 +1,233 @@
+import React, { useEffect, useState } from 'react';
+import OperatorBadge from './OperatorBadge.jsx';
+import {
+  COIN_DENOMINATIONS,
+  NOTE_DENOMINATIONS,
+  buildClosing,
+  closingRange,
+  computeExpected,
+  countTotal,
+  localDateKey
+} from '../closing.js';
+import { formatAmountInput, formatCurrency, formatDate, parseAmount } from '../format.js';
+import { TRANSACTION_TYPES } from '../transactionTypes.js';
+
+const varianceClass = (v) => (v === 0 ? 'balanced' : v > 0 ? 'surplus' : 'shortfall');
+
+function VarianceLine({ label, expected, counted }) {
+  const variance = counted - expected;
+  return (
+    <tr>
+      <td>{label}</td>
+      <td style={{ textAlign: 'right' }}>{formatCurrency(expected)}</td>
+      <td style={{ textAlign: 'right' }}>{formatCurrency(counted)}</td>
+      <td style={{ textAlign: 'right' }} className={`variance ${varianceClass(variance)}`}>
+        {variance > 0 ? '+' : ''}{formatCurrency(variance)}
+      </td>
+    </tr>
+  );
+}
+
+/*
+  ClosingPanel: comptage du tiroir par coupure, relevé e-money par opérateur
+  et comparaison avec les montants attendus avant clôture de la journée.
+  `transactions` couvre les jours demandés par `onRangeChange(closingRange)`,
+  null tant qu'ils ne sont pas lus.
+*/
+export default function ClosingPanel({ operators, floatEntries, transactions, closings, onRangeChange, onCloseDay, onExportPDF }) {
+  const [dateKey, setDateKey] = useState(localDateKey());
+  const [counts, setCounts] = useState({});
+  const [emoneyCounted, setEmoneyCounted] = useState({});
+  const [note, setNote] = useState('');
+  const [carryForward, setCarryForward] = useState(true);
+  const [saving, setSaving] = useState(false);
+
+  const existing = closings.find((c) => c.date === dateKey);
+  const range = closingRange(dateKey, floatEntries, operators);
+  const expected = computeExpected(dateKey, floatEntries, transactions || []);
+  const cashCounted = countTotal(counts);
+  const isToday = dateKey === localDateKey();
+
+  useEffect(() => {
+    onRangeChange(range);
+  }, [range.from, range.to, onRangeChange]);
+
+  function setCount(key, value) {
+    const qty = value.replace(/\D/g, '');
+    setCounts((c) => ({ ...c, [key]: qty === '' ? '' : parseInt(qty, 10) }));
+  }
+
+  async function handleSubmit(e) {
+    e.preventDefault();
+    const emoney = Object.fromEntries(operators.map((op) => [op.id, parseAmount(emoneyCounted[op.id] || '')]));
+    const closing = buildClosing({ dateKey, counts, emoneyCounted: emoney, expected, operators, note: note.trim() });
+    setSaving(true);
+    try {
+      const saved = await onCloseDay(closing, isToday && carryForward);
+      if (saved) {
+        setCounts({});
+        setEmoneyCounted({});
+        setNote('');
+      }
+    } finally {
+      setSaving(false);
+    }
+  }
+
+  const denominationRow = (kind, value) => {
+    const key = `${kind}-${value}`;
+    const qty = counts[key] || 0;
+    return (
+      <div key={key} className="denomination-row">
+        <label htmlFor={`count-${key}`}>{kind === 'note' ? '💵' : '🪙'} {formatCurrency(value)}</label>
+        <input
+          id={`count-${key}`}
+          className="form-input"
+          inputMode="numeric"
+          value={counts[key] === undefined ? '' : counts[key]}
+          onChange={(e) => setCount(key, e.target.value)}
+          placeholder="0"
+        />
+        <span className="denomination-subtotal">{formatCurrency(qty * value)}</span>
+      </div>
+    );
+  };
+
+  const pastClosings = [...closings].sort((a, b) => (a.date < b.date ? 1 : -1));
+
+  return (
+    <>
+      <section className="form-section">
+        <h2>Clôture de caisse</h2>
+        <div className="form-group">
+          <label className="form-label" htmlFor="closing-date">Journée</label>
+          <input
+            id="closing-date"
+            type="date"
+            className="form-input"
+            value={dateKey}
+            max={localDateKey()}
+            onChange={(e) => setDateKey(e.target.value || localDateKey())}
+          />
+        </div>
+
+        {existing ? (
+          <div className="closing-done">
+            <p>✅ Journée clôturée le {formatDate(existing.closed_at)}.</p>
+            <p>Écart cash : <strong className={`variance ${varianceClass(existing.cash_variance)}`}>{formatCurrency(existing.cash_variance)}</strong></p>
+            <button type="button" className="btn-export" onClick={() => onExportPDF(existing)}>🧾 Télécharger le PDF</button>
+          </div>
+        ) : (
+          <form onSubmit={handleSubmit}>
+            <p className="transactions-description">
+              {expected.count} transaction(s)
+              {Object.entries(expected.byType)
+                .filter(([, tot]) => tot.count > 0)
+                .map(([type, tot]) => ` — ${TRANSACTION_TYPES[type].plural.toLowerCase()} ${formatCurrency(tot.total)}`)
+                .join('')}.
+            </p>
+
+            <h3 className="float-form-title">Billets</h3>
+            <div className="denomination-grid">
+              {NOTE_DENOMINATIONS.map((v) => denominationRow('note', v))}
+            </div>
+            <h3 className="float-form-title">Pièces</h3>
+            <div className="denomination-grid">
+              {COIN_DENOMINATIONS.map((v) => denominationRow('coin', v))}
+            </div>
+
+            <h3 className="float-form-title">Solde e-money de clôture</h3>
+            {operators.map((op) => (
+              <div key={op.id} className="form-group denomination-row">
+                <label htmlFor={`emoney-${op.id}`}><OperatorBadge operator={op} /></label>
+                <input
+                  id={`emoney-${op.id}`}
+                  className="form-input"
+                  inputMode="numeric"
+                  value={emoneyCounted[op.id] || ''}
+                  onChange={(e) => setEmoneyCounted((m) => ({ ...m, [op.id]: formatAmountInput(e.target.value) }))}
+                  placeholder="0"
+                />
+              </div>
+            ))}
+
+            <div className="form-group">
+              <label className="form-label" htmlFor="closing-note">Observation</label>
+              <input
+                id="closing-note"
+                className="form-input"
+                value={note}
+                onChange={(e) => setNote(e.target.value)}
+                placeholder="Explication d'un écart éventuel"
+              />
+            </div>
+
+            {isToday && (
+              <label className="checkbox-label">
+                <input type="checkbox" checked={carryForward} onChange={(e) => setCarryForward(e.target.checked)} />
+                Reprendre les montants comptés comme soldes d'ouverture
+              </label>
+            )}
+
+            <button type="submit" className="submit-button" disabled={saving || !transactions}>
+              {saving ? '⏳ Clôture...' : transactions ? '🔒 Clôturer la journée' : '⏳ Chargement...'}
+            </button>
+          </form>
+        )}
+      </section>
+
+      <section className="transactions-section closing-summary">
+        <h2>Rapprochement</h2>
+        {!existing && (
+          <>
+            {expected.initialized.size === 0 && (
+              <p className="transactions-description">
+                ⚠️ Aucun solde d'ouverture saisi (onglet Float): les montants attendus partent de zéro.
+              </p>
+            )}
+            <div className="transactions-table-container always-visible">
+              <table className="transactions-table compact">
+                <thead>
+                  <tr>
+                    <th scope="col">Compte</th>
+                    <th scope="col">Attendu</th>
+                    <th scope="col">Compté</th>
+                    <th scope="col">Écart</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  <VarianceLine label="💵 Cash" expected={expected.cash} counted={cashCounted} />
+                  {operators.map((op) => (
+                    <VarianceLine
+                      key={op.id}
+                      label={`📱 ${op.name}`}
+                      expected={expected.emoney[op.id] || 0}
+                      counted={parseAmount(emoneyCounted[op.id] || '')}
+                    />
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          </>
+        )}
+
+        <h3 className="float-form-title closings-title">Clôtures précédentes</h3>
+        {pastClosings.length === 0 ? (
+          <div className="empty-state-subtext">Aucune clôture enregistrée.</div>
+        ) : (
+          <ul className="closing-list">
+            {pastClosings.map((c) => (
+              <li key={c.date}>
+                <button type="button" className="link-button" onClick={() => setDateKey(c.date)}>
+                  {c.date.split('-').reverse().join('/')}
+                </button>
+                <span className={`variance ${varianceClass(c.cash_variance)}`}>{formatCurrency(c.cash_variance)}</span>
+                <button type="button" className="page-btn" onClick={() => onExportPDF(c)} aria-label={`PDF de la clôture du ${c.date}`}>🧾</button>
+              </li>
+            ))}
+          </ul>
+        )}
+      </section>
+    </>
+  );
+}
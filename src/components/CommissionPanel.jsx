@@ -0,0 +1,179 @@
+import React, { useEffect, useState } from 'react';
+import { COMMISSION_MODES, PERIODS, commissionTotals, feeGridId, totalsRange } from '../commissions.js';
+import { formatCurrency } from '../format.js';
+import { TRANSACTION_TYPES, typeLabel } from '../transactionTypes.js';
+const emptyTier = () => ({ min: '', max: '', mode: 'fixed', value: '' });
+
+const toDraft = (grid) => (grid ? grid.tiers.map((t) => ({
+  min: String(t.min),
+  max: t.max === null ? '' : String(t.max),
+  mode: t.mode,
+  value: String(t.value)
+})) : [emptyTier()]);
+
+/*
+  CommissionPanel: éditeur des grilles de commission (tranches par opérateur
+  et type) et totaux de commission par jour / semaine / mois, sur les
+  dernières périodes seulement (`onRangeChange(totalsRange)`).
+*/
+export default function CommissionPanel({ operators, grids, transactions, onRangeChange, onSaveGrid }) {
+  const [operator, setOperator] = useState(operators[0] ? operators[0].id : '');
+  const [type, setType] = useState('deposit');
+  const [tiers, setTiers] = useState([emptyTier()]);
+  const [period, setPeriod] = useState('day');
+  const [totalsOperator, setTotalsOperator] = useState('');
+  const [saving, setSaving] = useState(false);
+
+  const currentGrid = grids.find((g) => g.id === feeGridId(operator, type));
+
+  useEffect(() => {
+    setTiers(toDraft(currentGrid));
+  }, [operator, type, currentGrid]);
+
+  const range = totalsRange(period);
+  useEffect(() => {
+    onRangeChange(range);
+  }, [range.from, range.to, onRangeChange]);
+
+  function updateTier(index, field, value) {
+    setTiers((list) => list.map((t, i) => (i === index ? { ...t, [field]: value } : t)));
+  }
+
+  async function handleSubmit(e) {
+    e.preventDefault();
+    const parsed = tiers
+      .filter((t) => t.min !== '' || t.value !== '')
+      .map((t) => ({
+        min: Number(t.min) || 0,
+        max: t.max === '' ? null : Number(t.max),
+        mode: t.mode,
+        value: Number(String(t.value).replace(',', '.'))
+      }));
+    setSaving(true);
+    try {
+      await onSaveGrid({ operator, type, tiers: parsed });
+    } finally {
+      setSaving(false);
+    }
+  }
+
+  // Filter by operator to compare with that operator's commission statement
+  const records = transactions || [];
+  const totals = commissionTotals(
+    totalsOperator ? records.filter((t) => t.operator === totalsOperator) : records,
+    period
+  );
+  const grandTotal = totals.reduce((sum, b) => sum + b.commission, 0);
+
+  return (
+    <>
+      <section className="form-section">
+        <h2>Grilles de commission</h2>
+        <form onSubmit={handleSubmit}>
+          <div className="form-row">
+            <div className="form-group">
+              <label className="form-label" htmlFor="grid-operator">Opérateur</label>
+              <select id="grid-operator" className="form-select" value={operator} onChange={(e) => setOperator(e.target.value)}>
+                {operators.map((op) => (
+                  <option key={op.id} value={op.id}>{op.name}</option>
+                ))}
+              </select>
+            </div>
+            <div className="form-group">
+              <label className="form-label" htmlFor="grid-type">Type</label>
+              <select id="grid-type" className="form-select" value={type} onChange={(e) => setType(e.target.value)}>
+                {Object.keys(TRANSACTION_TYPES).map((value) => (
+                  <option key={value} value={value}>{typeLabel(value)}</option>
+                ))}
+              </select>
+            </div>
+          </div>
+
+          <div className="tier-list">
+            <div className="tier-row tier-head" aria-hidden>
+              <span>De</span><span>À</span><span>Mode</span><span>Commission</span><span />
+            </div>
+            {tiers.map((tier, i) => (
+              <div key={i} className="tier-row">
+                <input className="form-input" inputMode="numeric" value={tier.min} placeholder="0"
+                  onChange={(e) => updateTier(i, 'min', e.target.value.replace(/\D/g, ''))} aria-label="Montant minimum" />
+                <input className="form-input" inputMode="numeric" value={tier.max} placeholder="∞"
+                  onChange={(e) => updateTier(i, 'max', e.target.value.replace(/\D/g, ''))} aria-label="Montant maximum" />
+                <select className="form-select" value={tier.mode} onChange={(e) => updateTier(i, 'mode', e.target.value)} aria-label="Mode de calcul">
+                  {Object.entries(COMMISSION_MODES).map(([mode, label]) => (
+                    <option key={mode} value={mode}>{label}</option>
+                  ))}
+                </select>
+                <input className="form-input" inputMode="decimal" value={tier.value} placeholder="0"
+                  onChange={(e) => updateTier(i, 'value', e.target.value.replace(/[^\d.,]/g, ''))} aria-label="Commission" />
+                <button type="button" className="page-btn" onClick={() => setTiers((list) => list.filter((_, j) => j !== i))}
+                  aria-label="Supprimer la tranche" disabled={tiers.length <= 1}>✕</button>
+              </div>
+            ))}
+          </div>
+          <button type="button" className="btn-export tier-add" onClick={() => setTiers((list) => [...list, emptyTier()])}>
+            ➕ Ajouter une tranche
+          </button>
+          <button type="submit" className="submit-button" disabled={saving}>
+            {saving ? '⏳ Enregistrement...' : '💾 Enregistrer la grille'}
+          </button>
+        </form>
+      </section>
+
+      <section className="transactions-section commission-totals">
+        <h2>Commissions</h2>
+        <small className="form-hint">Totaux sur {PERIODS[period].recent}.</small>
+        <div className="toolbar" role="group" aria-label="Période">
+          {Object.entries(PERIODS).map(([key, def]) => (
+            <button key={key} type="button" className={`page-btn ${period === key ? 'active' : ''}`} onClick={() => setPeriod(key)}>
+              {def.label}
+            </button>
+          ))}
+          <select
+            className="form-select toolbar-filter"
+            value={totalsOperator}
+            onChange={(e) => setTotalsOperator(e.target.value)}
+            aria-label="Filtrer par opérateur"
+          >
+            <option value="">Tous les opérateurs</option>
+            {operators.map((op) => (
+              <option key={op.id} value={op.id}>{op.name}</option>
+            ))}
+          </select>
+        </div>
+        {totals.length === 0 ? (
+          <div className="empty-state-subtext">Aucune transaction.</div>
+        ) : (
+          <div className="transactions-table-container always-visible">
+            <table className="transactions-table compact">
+              <thead>
+                <tr>
+                  <th scope="col">{PERIODS[period].label}</th>
+                  <th scope="col">Opérations</th>
+                  <th scope="col">Volume</th>
+                  <th scope="col">Commission</th>
+                </tr>
+              </thead>
+              <tbody>
+                {totals.map((b) => (
+                  <tr key={b.key}>
+                    <td>{b.key}</td>
+                    <td>{b.count}</td>
+                    <td style={{ textAlign: 'right' }}>{formatCurrency(b.volume)}</td>
+                    <td style={{ textAlign: 'right', fontWeight: '600' }}>{formatCurrency(b.commission)}</td>
+                  </tr>
+                ))}
+              </tbody>
+              <tfoot>
+                <tr>
+                  <td colSpan={3}><strong>Total</strong></td>
+                  <td style={{ textAlign: 'right', fontWeight: '700' }}>{formatCurrency(grandTotal)}</td>
+                </tr>
+              </tfoot>
+            </table>
+          </div>
+        )}
+      </section>
+    </>
+  );
+}
@@ -0,0 +1,45 @@
+import React from 'react';
+import Modal from './Modal.jsx';
+import { RULE_KINDS, isBlocking } from '../compliance.js';
+import { formatCurrency } from '../format.js';
+import { typeLabel } from '../transactionTypes.js';
+
+/*
+  ComplianceDialog: règles de conformité déclenchées par une transaction.
+  Avec une alerte bloquante la transaction est refusée (seul "Fermer" est
+  proposé); sinon l'agent peut l'enregistrer quand même.
+*/
+export default function ComplianceDialog({ transaction, alerts, onConfirm, onClose }) {
+  const blocked = isBlocking(alerts);
+
+  return (
+    <Modal title={blocked ? '⛔ Transaction refusée' : '⚠️ Contrôle de conformité'} onClose={onClose}>
+      <p className="transactions-description">
+        {typeLabel(transaction.type)} de {formatCurrency(transaction.montant)} — {transaction.nom_complet}
+      </p>
+      <ul className="compliance-alerts">
+        {alerts.map((a) => (
+          <li key={a.rule_id} className={`compliance-alert ${a.severity}`}>
+            <strong>{RULE_KINDS[a.kind] || a.kind}</strong>
+            <span>{a.message}</span>
+          </li>
+        ))}
+      </ul>
+      <p className="transactions-description">
+        {blocked
+          ? 'Cette opération dépasse une limite bloquante. Elle n\'est pas enregistrée et a été signalée au propriétaire.'
+          : 'L\'opération sera signalée au propriétaire pour revue.'}
+      </p>
+      <div className="modal-actions">
+        {blocked ? (
+          <button type="button" className="submit-button" onClick={onClose}>Fermer</button>
+        ) : (
+          <>
+            <button type="button" className="page-btn" onClick={onClose}>Annuler</button>
+            <button type="button" className="submit-button" onClick={onConfirm}>Enregistrer quand même</button>
+          </>
+        )}
+      </div>
+    </Modal>
+  );
+}
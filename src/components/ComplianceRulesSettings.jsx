@@ -0,0 +1,89 @@
+import React, { useEffect, useState } from 'react';
+import { PERIODS, RULE_KINDS, SEVERITIES } from '../compliance.js';
+import { formatAmountInput, parseAmount } from '../format.js';
+
+// Champs montants de chaque type de règle
+const AMOUNT_FIELDS = { single_amount: ['threshold'], cumulative: ['limit'], structuring: ['threshold'] };
+
+const FIELD_LABELS = { threshold: 'Seuil', limit: 'Limite' };
+
+/*
+  ComplianceRulesSettings: activation, gravité et seuils des règles de
+  conformité (voir compliance.js).
+*/
+export default function ComplianceRulesSettings({ rules, onSave }) {
+  const [draft, setDraft] = useState(rules);
+
+  useEffect(() => {
+    setDraft(rules);
+  }, [rules]);
+
+  function update(id, field, value) {
+    setDraft((list) => list.map((r) => (r.id === id ? { ...r, [field]: value } : r)));
+  }
+
+  function handleSubmit(e) {
+    e.preventDefault();
+    onSave(draft);
+  }
+
+  return (
+    <form onSubmit={handleSubmit}>
+      <div className="operator-settings-list">
+        {draft.map((rule) => (
+          <div key={rule.id} className="operator-settings-row compliance-rule-row">
+            <label>
+              <input type="checkbox" checked={rule.enabled} onChange={(e) => update(rule.id, 'enabled', e.target.checked)} />{' '}
+              {RULE_KINDS[rule.kind]}{rule.period ? ` (${PERIODS[rule.period].toLowerCase()})` : ''}
+            </label>
+            <select
+              className="form-select"
+              value={rule.severity}
+              onChange={(e) => update(rule.id, 'severity', e.target.value)}
+              aria-label={`Gravité: ${RULE_KINDS[rule.kind]}`}
+            >
+              {Object.entries(SEVERITIES).map(([id, label]) => (
+                <option key={id} value={id}>{label}</option>
+              ))}
+            </select>
+            {AMOUNT_FIELDS[rule.kind].map((field) => (
+              <input
+                key={field}
+                className="form-input"
+                inputMode="numeric"
+                value={formatAmountInput(String(rule[field]))}
+                onChange={(e) => update(rule.id, field, parseAmount(formatAmountInput(e.target.value)))}
+                aria-label={`${FIELD_LABELS[field]}: ${RULE_KINDS[rule.kind]}`}
+                title={FIELD_LABELS[field]}
+              />
+            ))}
+            {rule.kind === 'structuring' && (
+              <>
+                <input
+                  className="form-input"
+                  type="number"
+                  min="1"
+                  max="50"
+                  value={rule.margin}
+                  onChange={(e) => update(rule.id, 'margin', Math.max(1, Number(e.target.value) || 1))}
+                  aria-label="Marge sous le seuil (%)"
+                  title="Marge sous le seuil (%)"
+                />
+                <input
+                  className="form-input"
+                  type="number"
+                  min="2"
+                  value={rule.minCount}
+                  onChange={(e) => update(rule.id, 'minCount', Math.max(2, Number(e.target.value) || 2))}
+                  aria-label="Nombre de dépôts en 24 h"
+                  title="Nombre de dépôts en 24 h"
+                />
+              </>
+            )}
+          </div>
+        ))}
+      </div>
+      <button type="submit" className="submit-button">💾 Enregistrer les règles</button>
+    </form>
+  );
+}
@@ -0,0 +1,135 @@
+import React, { useState } from 'react';
+import Modal from './Modal.jsx';
+import TypeFields from './TypeFields.jsx';
+import { formatAmountInput, formatCurrency, parseAmount } from '../format.js';
+import { TRANSACTION_TYPES, TYPE_FIELDS, pickTypeFields, typeLabel } from '../transactionTypes.js';
+import { formatBFPhone, validateTransaction } from '../validation.js';
+
+/*
+  CorrectionDialog: annule une transaction ou la remplace par une version
+  corrigée. Motif obligatoire; l'auteur est le profil connecté (`user`).
+  L'original n'est jamais modifié au-delà de son statut.
+*/
+export default function CorrectionDialog({ transaction, operators, limits, user, onSubmit, onClose }) {
+  const [mode, setMode] = useState('correct'); // 'correct' | 'cancel'
+  const [fields, setFields] = useState({
+    type: transaction.type,
+    operator: transaction.operator || '',
+    nom_complet: transaction.nom_complet,
+    id_document: transaction.id_document,
+    telephone: formatBFPhone(transaction.telephone),
+    montant: formatAmountInput(String(transaction.montant)),
+    ...Object.fromEntries(TYPE_FIELDS.map((f) => [f.name, f.kind === 'phone' ? formatBFPhone(transaction[f.name] || '') : transaction[f.name] || '']))
+  });
+  const [reason, setReason] = useState('');
+  const [errors, setErrors] = useState({});
+  const [saving, setSaving] = useState(false);
+
+  function handleChange(e) {
+    const { name, value } = e.target;
+    setFields((f) => ({ ...f, [name]: name === 'montant' ? formatAmountInput(value) : value }));
+    setErrors(({ [name]: _, ...rest }) => rest);
+  }
+
+  async function handleSubmit(e) {
+    e.preventDefault();
+    let changes = null;
+    if (mode === 'correct') {
+      const draft = { ...fields, montant: parseAmount(fields.montant) };
+      const check = validateTransaction(draft, { operators, limits });
+      setErrors(check.errors);
+      if (Object.keys(check.errors).length) return;
+      // Les champs des autres types sont vidés: un changement de type ne laisse pas de reste
+      const cleared = Object.fromEntries(TYPE_FIELDS.map((f) => [f.name, '']));
+      changes = { ...draft, ...check.values, ...cleared, ...pickTypeFields(draft.type, check.values) };
+    }
+    setSaving(true);
+    try {
+      await onSubmit({ mode, changes, reason: reason.trim(), user });
+    } finally {
+      setSaving(false);
+    }
+  }
+
+  return (
+    <Modal title="Corriger ou annuler" onClose={onClose}>
+      <p className="transactions-description">
+        {typeLabel(transaction.type)} de {formatCurrency(transaction.montant)} — {transaction.nom_complet}
+      </p>
+      <form onSubmit={handleSubmit}>
+        <div className="toolbar" role="radiogroup" aria-label="Action">
+          <button type="button" className={`page-btn ${mode === 'correct' ? 'active' : ''}`} onClick={() => setMode('correct')}>
+            ✏️ Corriger
+          </button>
+          <button type="button" className={`page-btn ${mode === 'cancel' ? 'active' : ''}`} onClick={() => setMode('cancel')}>
+            🚫 Annuler
+          </button>
+        </div>
+
+        {mode === 'correct' && (
+          <>
+            <div className="form-row">
+              <div className="form-group">
+                <label className="form-label" htmlFor="corr-type">Type</label>
+                <select id="corr-type" name="type" className="form-select" value={fields.type} onChange={handleChange} aria-invalid={Boolean(errors.type)}>
+                  {Object.keys(TRANSACTION_TYPES).map((id) => (
+                    <option key={id} value={id}>{typeLabel(id)}</option>
+                  ))}
+                </select>
+                {errors.type && <small className="field-error" role="alert">{errors.type}</small>}
+              </div>
+              <div className="form-group">
+                <label className="form-label" htmlFor="corr-operator">Opérateur</label>
+                <select id="corr-operator" name="operator" className="form-select" value={fields.operator} onChange={handleChange} aria-invalid={Boolean(errors.operator)}>
+                  {operators.map((op) => (
+                    <option key={op.id} value={op.id}>{op.name}</option>
+                  ))}
+                </select>
+                {errors.operator && <small className="field-error" role="alert">{errors.operator}</small>}
+              </div>
+            </div>
+            <TypeFields type={fields.type} values={fields} errors={errors} onChange={handleChange} idPrefix="corr-" />
+            <div className="form-group">
+              <label className="form-label" htmlFor="corr-nom">Nom complet</label>
+              <input id="corr-nom" name="nom_complet" className="form-input" value={fields.nom_complet} onChange={handleChange} required aria-invalid={Boolean(errors.nom_complet)} />
+              {errors.nom_complet && <small className="field-error" role="alert">{errors.nom_complet}</small>}
+            </div>
+            <div className="form-row">
+              <div className="form-group">
+                <label className="form-label" htmlFor="corr-doc">CNIB / Passport</label>
+                <input id="corr-doc" name="id_document" className="form-input" value={fields.id_document} onChange={handleChange} required aria-invalid={Boolean(errors.id_document)} />
+                {errors.id_document && <small className="field-error" role="alert">{errors.id_document}</small>}
+              </div>
+              <div className="form-group">
+                <label className="form-label" htmlFor="corr-tel">Téléphone</label>
+                <input id="corr-tel" name="telephone" type="tel" className="form-input" value={fields.telephone} onChange={handleChange} required aria-invalid={Boolean(errors.telephone)} />
+                {errors.telephone && <small className="field-error" role="alert">{errors.telephone}</small>}
+              </div>
+            </div>
+            <div className="form-group">
+              <label className="form-label" htmlFor="corr-montant">Montant (FCFA)</label>
+              <input id="corr-montant" name="montant" inputMode="numeric" className="form-input" value={fields.montant} onChange={handleChange} required aria-invalid={Boolean(errors.montant)} />
+              {errors.montant && <small className="field-error" role="alert">{errors.montant}</small>}
+            </div>
+          </>
+        )}
+
+        <div className="form-group">
+          <label className="form-label" htmlFor="corr-reason">Motif *</label>
+          <input
+            id="corr-reason"
+            className="form-input"
+            value={reason}
+            onChange={(e) => setReason(e.target.value)}
+            placeholder="Ex: erreur de saisie du montant"
+            required
+          />
+        </div>
+        <p className="transactions-description">Modifié par <strong>{user}</strong></p>
+        <button type="submit" className="submit-button" disabled={saving}>
+          {saving ? '⏳ Enregistrement...' : mode === 'correct' ? '✅ Enregistrer la correction' : '🚫 Annuler la transaction'}
+        </button>
+      </form>
+    </Modal>
+  );
+}
@@ -0,0 +1,96 @@
+import React, { useState } from 'react';
+import BarChart from './BarChart.jsx';
+import HistoryFilters from './HistoryFilters.jsx';
+import { PERIODS } from '../commissions.js';
+import { averageTicket, busiestHours, hourlyCounts, periodLabel, todayVolume, trend, volumeByType } from '../dashboard.js';
+import { formatCurrency } from '../format.js';
+import { TRANSACTION_TYPES } from '../transactionTypes.js';
+
+// Une série par type; la couleur vient de .chart-bar.<type>
+const VOLUME_SERIES = Object.entries(TRANSACTION_TYPES).map(([key, type]) => ({ key, label: type.plural, className: key }));
+
+const COUNT_SERIES = [{ key: 'count', label: 'Opérations', className: 'count' }];
+
+/*
+  Dashboard: chiffres du jour, ticket moyen, heures de pointe et tendances.
+  `transactions` est déjà filtré (mêmes filtres que l'historique);
+  `todayTransactions` ignore la période choisie. Sans période, App ne lit
+  que le mois en cours (voir boundedFilters dans filters.js).
+*/
+export default function Dashboard({ transactions, todayTransactions, operators, filters, onFiltersChange }) {
+  const [period, setPeriod] = useState('day');
+
+  const today = todayVolume(todayTransactions);
+  const totals = volumeByType(transactions);
+  const hourly = hourlyCounts(transactions);
+  const peaks = busiestHours(hourly);
+  const series = trend(transactions, period);
+
+  const periodCount = Object.values(totals).reduce((sum, v) => sum + v.count, 0);
+  const periodLabel = filters.from || filters.to ? 'sur la période' : 'ce mois-ci';
+
+  const kpis = [
+    ...Object.entries(TRANSACTION_TYPES).map(([key, type]) => ({
+      label: `${type.plural} du jour`,
+      value: formatCurrency(today[key].volume),
+      detail: `${today[key].count} op.`
+    })),
+    { label: 'Ticket moyen', value: formatCurrency(averageTicket(transactions)), detail: `${periodCount} op. ${periodLabel}` },
+    {
+      label: 'Heures de pointe',
+      value: peaks.length ? peaks.map((h) => `${h.hour}h`).join(', ') : '—',
+      detail: peaks.length ? `${peaks[0].count} op. à ${peaks[0].hour}h` : 'Aucune opération'
+    }
+  ];
+
+  return (
+    <>
+      <section className="transactions-section">
+        <h2>Tableau de bord</h2>
+        <div className="toolbar">
+          <HistoryFilters operators={operators} filters={filters} onChange={onFiltersChange} showSort={false} />
+        </div>
+        <div className="kpi-grid">
+          {kpis.map((k) => (
+            <div key={k.label} className="kpi-card">
+              <span className="kpi-label">{k.label}</span>
+              <strong className="kpi-value">{k.value}</strong>
+              <small>{k.detail}</small>
+            </div>
+          ))}
+        </div>
+      </section>
+
+      <section className="transactions-section">
+        <div className="toolbar">
+          <h2>Tendance</h2>
+          <select
+            className="form-select toolbar-filter"
+            value={period}
+            onChange={(e) => setPeriod(e.target.value)}
+            aria-label="Période"
+          >
+            {Object.entries(PERIODS).map(([id, p]) => (
+              <option key={id} value={id}>{p.label}</option>
+            ))}
+          </select>
+        </div>
+        <BarChart
+          title="Volumes par période"
+          data={series.map((b) => ({ label: periodLabel(period, b.key), values: b }))}
+          series={VOLUME_SERIES}
+          formatValue={formatCurrency}
+        />
+      </section>
+
+      <section className="transactions-section">
+        <h2>Opérations par heure</h2>
+        <BarChart
+          title="Nombre d'opérations par heure"
+          data={hourly.map((h) => ({ label: `${h.hour}h`, values: h }))}
+          series={COUNT_SERIES}
+        />
+      </section>
+    </>
+  );
+}
@@ -0,0 +1,162 @@
+import React, { useState } from 'react';
+import { CASH_ACCOUNT, FLOAT_KINDS } from '../float.js';
+import { formatAmountInput, formatCurrency, formatDate, parseAmount } from '../format.js';
+
+const CASH_KINDS = ['cash_topup', 'cash_drop'];
+
+/*
+  FloatPanel: soldes cash / e-money, saisie des soldes d'ouverture et des
+  mouvements de réapprovisionnement. `accounts` = [{ id, label }].
+*/
+export default function FloatPanel({ position, entries, accounts, onAddEntry }) {
+  const [form, setForm] = useState({ kind: 'opening', account: CASH_ACCOUNT, amount: '', note: '' });
+  const [saving, setSaving] = useState(false);
+
+  const accountLabel = (id) => (accounts.find((a) => a.id === id) || { label: id }).label;
+  const balanceOf = (id) => (id === CASH_ACCOUNT ? position.cash : position.emoney[id.slice('emoney:'.length)] || 0);
+
+  // Les mouvements de cash portent toujours sur le tiroir; l'approvisionnement sur une puce
+  const accountChoices = CASH_KINDS.includes(form.kind)
+    ? accounts.filter((a) => a.id === CASH_ACCOUNT)
+    : form.kind === 'emoney_topup'
+      ? accounts.filter((a) => a.id !== CASH_ACCOUNT)
+      : accounts;
+
+  function handleKindChange(e) {
+    const kind = e.target.value;
+    setForm((f) => {
+      const next = { ...f, kind };
+      if (CASH_KINDS.includes(kind)) next.account = CASH_ACCOUNT;
+      else if (kind === 'emoney_topup' && f.account === CASH_ACCOUNT) {
+        next.account = (accounts.find((a) => a.id !== CASH_ACCOUNT) || { id: '' }).id;
+      }
+      return next;
+    });
+  }
+
+  async function handleSubmit(e) {
+    e.preventDefault();
+    const amount = parseAmount(form.amount);
+    if (form.kind !== 'opening' && amount <= 0) return;
+    setSaving(true);
+    try {
+      await onAddEntry({ kind: form.kind, account: form.account, amount, note: form.note.trim() });
+      setForm((f) => ({ ...f, amount: '', note: '' }));
+    } finally {
+      setSaving(false);
+    }
+  }
+
+  const recentEntries = [...entries]
+    .sort((a, b) => new Date(b.created_at) - new Date(a.created_at))
+    .slice(0, 20);
+
+  return (
+    <>
+      <section className="form-section">
+        <h2>Position du float</h2>
+        <div className="float-balances">
+          {accounts.map((a) => (
+            <div key={a.id} className={`float-balance ${balanceOf(a.id) < 0 ? 'negative' : ''}`}>
+              <span className="float-balance-label">{a.label}</span>
+              <span className="float-balance-amount">{formatCurrency(balanceOf(a.id))}</span>
+              {!position.initialized.has(a.id) && (
+                <span className="float-balance-hint">Solde d'ouverture non saisi</span>
+              )}
+            </div>
+          ))}
+        </div>
+
+        <h3 className="float-form-title">Nouveau mouvement</h3>
+        <form onSubmit={handleSubmit}>
+          <div className="form-group">
+            <label className="form-label" htmlFor="float-kind">Type de mouvement</label>
+            <select id="float-kind" className="form-select" value={form.kind} onChange={handleKindChange}>
+              {Object.entries(FLOAT_KINDS).map(([kind, def]) => (
+                <option key={kind} value={kind}>{def.label}</option>
+              ))}
+            </select>
+          </div>
+          <div className="form-group">
+            <label className="form-label" htmlFor="float-account">Compte</label>
+            <select
+              id="float-account"
+              className="form-select"
+              value={form.account}
+              onChange={(e) => setForm((f) => ({ ...f, account: e.target.value }))}
+            >
+              {accountChoices.map((a) => (
+                <option key={a.id} value={a.id}>{a.label}</option>
+              ))}
+            </select>
+          </div>
+          <div className="form-group">
+            <label className="form-label" htmlFor="float-amount">Montant (FCFA)</label>
+            <input
+              id="float-amount"
+              className="form-input"
+              value={form.amount}
+              onChange={(e) => setForm((f) => ({ ...f, amount: formatAmountInput(e.target.value) }))}
+              placeholder="0"
+              inputMode="numeric"
+              required
+            />
+          </div>
+          <div className="form-group">
+            <label className="form-label" htmlFor="float-note">Note</label>
+            <input
+              id="float-note"
+              className="form-input"
+              value={form.note}
+              onChange={(e) => setForm((f) => ({ ...f, note: e.target.value }))}
+              placeholder="Ex: versement Coris Bank, bordereau n°…"
+            />
+          </div>
+          <button type="submit" className="submit-button" disabled={saving}>
+            {saving ? '⏳ Enregistrement...' : '✅ Enregistrer le mouvement'}
+          </button>
+        </form>
+      </section>
+
+      <section className="transactions-section float-history">
+        <h2>Mouvements de float</h2>
+        {recentEntries.length === 0 ? (
+          <div className="empty-state">
+            <div className="empty-state-icon">💼</div>
+            <div className="empty-state-text">Aucun mouvement enregistré</div>
+            <div className="empty-state-subtext">Saisissez d'abord vos soldes d'ouverture</div>
+          </div>
+        ) : (
+          <div className="transactions-table-container always-visible">
+            <table className="transactions-table compact" aria-label="Mouvements de float">
+              <thead>
+                <tr>
+                  <th scope="col">Date</th>
+                  <th scope="col">Mouvement</th>
+                  <th scope="col">Compte</th>
+                  <th scope="col">Montant</th>
+                </tr>
+              </thead>
+              <tbody>
+                {recentEntries.map((e) => (
+                  <tr key={e.id}>
+                    <td>{formatDate(e.created_at)}</td>
+                    <td>
+                      {FLOAT_KINDS[e.kind] ? FLOAT_KINDS[e.kind].label : e.kind}
+                      {e.note && (<><br /><small style={{ color: 'var(--text-secondary)' }}>{e.note}</small></>)}
+                    </td>
+                    <td>{accountLabel(e.account)}</td>
+                    <td style={{ textAlign: 'right', fontWeight: '600' }}>
+                      {e.kind === 'opening' ? '= ' : e.amount > 0 ? '+ ' : '− '}
+                      {formatCurrency(Math.abs(e.amount))}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </section>
+    </>
+  );
+}
@@ -0,0 +1,61 @@
+import React from 'react';
+import Modal from './Modal.jsx';
+import { AUDIT_ACTIONS } from '../corrections.js';
+import { formatCurrency, formatDate } from '../format.js';
+import { TYPE_FIELDS, typeLabel } from '../transactionTypes.js';
+
+const FIELD_LABELS = {
+  type: 'Type',
+  operator: 'Opérateur',
+  nom_complet: 'Nom',
+  id_document: 'Document',
+  telephone: 'Téléphone',
+  montant: 'Montant',
+  ...Object.fromEntries(TYPE_FIELDS.map((f) => [f.name, f.label]))
+};
+
+/*
+  HistoryDialog: versions successives d'une transaction (original puis
+  remplacements) et journal d'audit de chacune.
+*/
+export default function HistoryDialog({ chain, auditEntries, currentId, onClose }) {
+  const formatValue = (field, value) => {
+    if (field === 'montant') return formatCurrency(value);
+    if (field === 'type') return typeLabel(value);
+    return value === '' ? '—' : String(value ?? '—');
+  };
+
+  return (
+    <Modal title="Historique de la transaction" onClose={onClose} wide>
+      <ol className="history-chain">
+        {chain.map((t) => (
+          <li key={t.id} className={`history-version ${t.id === currentId ? 'current' : ''}`}>
+            <div className="history-version-head">
+              <code>{t.id.slice(0, 8)}</code>
+              <span className={`status-badge ${t.status}`}>{t.status}</span>
+              <span>{typeLabel(t.type)} {formatCurrency(t.montant)}</span>
+            </div>
+            <ul className="history-entries">
+              {auditEntries.filter((a) => a.tx_id === t.id).map((a) => (
+                <li key={a.id}>
+                  <strong>{AUDIT_ACTIONS[a.action] || a.action}</strong> — {formatDate(a.at)}
+                  {a.user && <> par <em>{a.user}</em></>}
+                  {a.reason && <>: {a.reason}</>}
+                  {a.changes && (
+                    <ul>
+                      {Object.entries(a.changes).map(([field, { from, to }]) => (
+                        <li key={field}>
+                          {FIELD_LABELS[field] || field}: {formatValue(field, from)} → {formatValue(field, to)}
+                        </li>
+                      ))}
+                    </ul>
+                  )}
+                </li>
+              ))}
+            </ul>
+          </li>
+        ))}
+      </ol>
+    </Modal>
+  );
+}
@@ -0,0 +1,108 @@
+import React from 'react';
+import { DATE_PRESETS, DEFAULT_FILTERS, SORTABLE_FIELDS, STATUSES, TYPES, hasActiveFilters } from '../filters.js';
+import { formatAmountInput } from '../format.js';
+
+/*
+  HistoryFilters: opérateur, période, type, statut, fourchette de montant et
+  tri, partagés par l'historique et le tableau de bord (voir filters.js).
+*/
+export default function HistoryFilters({ operators, filters, onChange, showSort = true }) {
+  const update = (patch) => onChange({ ...filters, ...patch });
+  const set = (field) => (e) => update({ [field]: e.target.value });
+  const setAmount = (field) => (e) => update({ [field]: e.target.value.replace(/\D/g, '') });
+
+  function applyPreset(e) {
+    const preset = DATE_PRESETS[e.target.value];
+    if (preset) update(preset.range(new Date()));
+  }
+
+  return (
+    <div className="history-filters">
+      <select className="form-select" value={filters.operator} onChange={set('operator')} aria-label="Filtrer par opérateur">
+        <option value="">Tous les opérateurs</option>
+        {operators.map((op) => (
+          <option key={op.id} value={op.id}>{op.name}</option>
+        ))}
+      </select>
+      <select className="form-select" value={filters.type} onChange={set('type')} aria-label="Filtrer par type">
+        <option value="">Dépôts et retraits</option>
+        {Object.entries(TYPES).map(([id, label]) => (
+          <option key={id} value={id}>{label}</option>
+        ))}
+      </select>
+      <select className="form-select" value={filters.status} onChange={set('status')} aria-label="Filtrer par statut">
+        <option value="">Tous les statuts</option>
+        {Object.entries(STATUSES).map(([id, label]) => (
+          <option key={id} value={id}>{label}</option>
+        ))}
+      </select>
+      <select className="form-select" value="" onChange={applyPreset} aria-label="Période prédéfinie">
+        <option value="">Période…</option>
+        {Object.entries(DATE_PRESETS).map(([id, preset]) => (
+          <option key={id} value={id}>{preset.label}</option>
+        ))}
+      </select>
+      <input
+        type="date"
+        className="form-input"
+        value={filters.from}
+        max={filters.to || undefined}
+        onChange={set('from')}
+        aria-label="Du"
+        title="Du"
+      />
+      <input
+        type="date"
+        className="form-input"
+        value={filters.to}
+        min={filters.from || undefined}
+        onChange={set('to')}
+        aria-label="Au"
+        title="Au"
+      />
+      <input
+        className="form-input"
+        inputMode="numeric"
+        value={formatAmountInput(filters.min)}
+        onChange={setAmount('min')}
+        placeholder="Montant min."
+        aria-label="Montant minimum"
+      />
+      <input
+        className="form-input"
+        inputMode="numeric"
+        value={formatAmountInput(filters.max)}
+        onChange={setAmount('max')}
+        placeholder="Montant max."
+        aria-label="Montant maximum"
+      />
+      {showSort && (
+        <div className="history-sort">
+          <select className="form-select" value={filters.sort} onChange={set('sort')} aria-label="Trier par">
+            {Object.entries(SORTABLE_FIELDS).map(([id, label]) => (
+              <option key={id} value={id}>Tri: {label}</option>
+            ))}
+          </select>
+          <button
+            type="button"
+            className="page-btn"
+            onClick={() => update({ dir: filters.dir === 'asc' ? 'desc' : 'asc' })}
+            aria-label={filters.dir === 'asc' ? 'Ordre croissant' : 'Ordre décroissant'}
+            title={filters.dir === 'asc' ? 'Croissant' : 'Décroissant'}
+          >
+            {filters.dir === 'asc' ? '↑' : '↓'}
+          </button>
+        </div>
+      )}
+      {hasActiveFilters(filters) && (
+        <button
+          type="button"
+          className="page-btn"
+          onClick={() => onChange({ ...DEFAULT_FILTERS, sort: filters.sort, dir: filters.dir })}
+        >
+          ✕ Effacer les filtres
+        </button>
+      )}
+    </div>
+  );
+}
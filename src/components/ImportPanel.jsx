@@ -0,0 +1,194 @@
+import React, { useEffect, useMemo, useState } from 'react';
+import {
+  IMPORT_FIELDS,
+  PREVIEW_LIMIT,
+  buildPreview,
+  guessMapping,
+  importRange,
+  importableRows,
+  missingFields,
+  previewCounts,
+  readImportFile
+} from '../importer.js';
+import { getOperator } from '../operators.js';
+import { formatCurrency, formatDate } from '../format.js';
+import { typeLabel } from '../transactionTypes.js';
+
+/*
+  ImportPanel: import d'un historique Excel ou CSV (propriétaire uniquement).
+  L'agent choisit le fichier, vérifie la correspondance des colonnes puis
+  l'aperçu ligne par ligne. `onImport(transactions, fileName)` écrit les
+  lignes valides et non dupliquées, tout ou rien. Les doublons sont
+  cherchés dans `existing`, les jours couverts par le fichier
+  (`onRangeChange(importRange)`), null tant qu'ils ne sont pas lus.
+*/
+export default function ImportPanel({ operators, limits, feeGrids, users, currentUser, existing, closings, onRangeChange, onImport }) {
+  const [file, setFile] = useState(null); // { name, headers, rows }
+  const [mapping, setMapping] = useState({});
+  const [error, setError] = useState(null);
+  const [busy, setBusy] = useState(false);
+
+  async function handleFile(e) {
+    const selected = e.target.files[0];
+    e.target.value = '';
+    if (!selected) return;
+    setError(null);
+    setBusy(true);
+    try {
+      const { headers, rows } = await readImportFile(selected);
+      setFile({ name: selected.name, headers, rows });
+      setMapping(guessMapping(headers));
+    } catch (err) {
+      console.error(err);
+      setFile(null);
+      setError(err.message || 'Lecture du fichier impossible.');
+    } finally {
+      setBusy(false);
+    }
+  }
+
+  const missing = missingFields(mapping);
+  const range = file && !missing.length ? importRange(file.rows, mapping) : null;
+
+  useEffect(() => {
+    onRangeChange(range);
+  }, [range ? `${range.from}|${range.to}` : '', onRangeChange]);
+
+  const preview = useMemo(() => {
+    if (!file || missing.length) return [];
+    return buildPreview(
+      { rows: file.rows, mapping, fileName: file.name },
+      { operators, limits, feeGrids, users, user: currentUser, existing: existing || [], closings }
+    );
+  }, [file, mapping, operators, limits, feeGrids, users, currentUser, existing, closings]);
+  const counts = previewCounts(preview);
+
+  async function handleImport() {
+    const rows = importableRows(preview);
+    const ignored = counts.total - rows.length;
+    if (ignored && !window.confirm(`${ignored} ligne(s) ne seront pas importées (erreurs, doublons ou annulations).\n\nImporter les ${rows.length} autres ?`)) return;
+    setBusy(true);
+    setError(null);
+    try {
+      await onImport(rows.map((r) => r.tx), file.name);
+      setFile(null);
+    } catch (err) {
+      setError(err.message || 'Import impossible.');
+    } finally {
+      setBusy(false);
+    }
+  }
+
+  function rowState(r) {
+    if (r.skipped) return { className: 'cancelled', label: `Ignorée: ${r.skipped}` };
+    if (Object.keys(r.errors).length) return { className: 'rejected', label: Object.values(r.errors).join(' ') };
+    if (r.duplicate) return { className: 'pending', label: r.duplicate === 'file' ? 'Doublon dans le fichier' : 'Déjà enregistrée' };
+    return { className: 'synced', label: 'Prête' };
+  }
+
+  return (
+    <div>
+      <div className="form-group">
+        <label className="form-label" htmlFor="import-file">Fichier Excel (.xlsx) ou CSV</label>
+        <input
+          id="import-file"
+          type="file"
+          accept=".xlsx,.csv,.txt,text/csv,application/vnd.openxmlformats-officedocument.spreadsheetml.sheet"
+          className="form-input"
+          onChange={handleFile}
+          disabled={busy}
+        />
+        <small className="form-hint">Un export Excel de MobiLedger peut être réimporté tel quel.</small>
+      </div>
+
+      {file && (
+        <>
+          <div className="import-mapping">
+            {Object.entries(IMPORT_FIELDS).map(([field, { label, required }]) => (
+              <div key={field} className="form-group">
+                <label className="form-label" htmlFor={`import-map-${field}`}>
+                  {label}{required ? ' *' : ''}
+                </label>
+                <select
+                  id={`import-map-${field}`}
+                  className="form-select"
+                  value={mapping[field] ?? -1}
+                  onChange={(e) => setMapping((m) => ({ ...m, [field]: Number(e.target.value) }))}
+                >
+                  <option value={-1}>{required ? '— Choisir une colonne —' : '— Aucune —'}</option>
+                  {file.headers.map((h, i) => (
+                    <option key={i} value={i}>{h || `Colonne ${i + 1}`}</option>
+                  ))}
+                </select>
+              </div>
+            ))}
+          </div>
+
+          {missing.length > 0 ? (
+            <small className="field-error" role="alert">
+              Colonnes à indiquer: {missing.map((f) => IMPORT_FIELDS[f].label).join(', ')}.
+            </small>
+          ) : (
+            <>
+              <p className="import-summary">
+                <strong>{file.name}</strong>: {counts.total} ligne(s) — {counts.ready} prête(s),{' '}
+                {counts.errors} en erreur, {counts.duplicates} doublon(s), {counts.skipped} ignorée(s)
+              </p>
+              <div className="transactions-table-container always-visible">
+                <table className="transactions-table compact" aria-label="Aperçu de l'import">
+                  <thead>
+                    <tr>
+                      <th scope="col">Ligne</th>
+                      <th scope="col">Date</th>
+                      <th scope="col">Type</th>
+                      <th scope="col">Opérateur</th>
+                      <th scope="col">Client</th>
+                      <th scope="col">Document</th>
+                      <th scope="col">Téléphone</th>
+                      <th scope="col">Montant</th>
+                      <th scope="col">État</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {preview.slice(0, PREVIEW_LIMIT).map((r) => {
+                      const state = rowState(r);
+                      return (
+                        <tr key={r.line} className={`import-row ${state.className}`}>
+                          <td>{r.line}</td>
+                          <td>{r.tx.created_at ? formatDate(r.tx.created_at) : '—'}</td>
+                          <td>{typeLabel(r.tx.type)}</td>
+                          <td>{getOperator(operators, r.tx.operator).name}</td>
+                          <td>{r.tx.nom_complet}</td>
+                          <td>{r.tx.id_document}</td>
+                          <td>{r.tx.telephone}</td>
+                          <td>{Number.isNaN(r.tx.montant) ? '—' : formatCurrency(r.tx.montant)}</td>
+                          <td><span className={`status-badge ${state.className}`}>{state.label}</span></td>
+                        </tr>
+                      );
+                    })}
+                  </tbody>
+                </table>
+              </div>
+              {preview.length > PREVIEW_LIMIT && (
+                <small className="form-hint">Aperçu limité aux {PREVIEW_LIMIT} premières lignes.</small>
+              )}
+            </>
+          )}
+
+          <div className="import-actions">
+            <button type="button" className="page-btn" onClick={() => setFile(null)} disabled={busy}>Annuler</button>
+            <button
+              type="button"
+              className="submit-button"
+              onClick={handleImport}
+              disabled={busy || !existing || missing.length > 0 || counts.ready === 0}
+            >
+              {busy ? '⏳ Import en cours...' : `📥 Importer ${counts.ready} transaction(s)`}
+            </button>
+          </div>
+        </>
+      )}
+      {error && <small className="field-error" role="alert">{error}</small>}
+    </div>
+  );
+}
@@ -0,0 +1,128 @@
+import React, { useState } from 'react';
+
+/*
+  LockScreen: création du profil propriétaire au premier lancement (mode
+  'setup') ou choix du profil et déverrouillage (mode 'locked').
+  `onSubmit({ userId, name, pin })` lève une erreur lisible si le PIN est refusé.
+*/
+export default function LockScreen({ mode, users = [], onSubmit }) {
+  const [userId, setUserId] = useState(users.length === 1 ? users[0].id : '');
+  const [name, setName] = useState('');
+  const [pin, setPin] = useState('');
+  const [confirm, setConfirm] = useState('');
+  const [error, setError] = useState(null);
+  const [busy, setBusy] = useState(false);
+  const isSetup = mode === 'setup';
+
+  async function handleSubmit(e) {
+    e.preventDefault();
+    if (isSetup && pin !== confirm) {
+      setError('Les deux codes ne correspondent pas.');
+      return;
+    }
+    if (!isSetup && !userId) {
+      setError('Choisissez votre profil.');
+      return;
+    }
+    setBusy(true);
+    setError(null);
+    try {
+      await onSubmit({ userId: userId || null, name, pin });
+    } catch (err) {
+      setError(err.message || 'Code PIN refusé.');
+      setPin('');
+      setConfirm('');
+    } finally {
+      setBusy(false);
+    }
+  }
+
+  const digitsOnly = (value) => value.replace(/\D/g, '').slice(0, 8);
+
+  return (
+    <div className="lock-screen">
+      <form className="lock-card" onSubmit={handleSubmit}>
+        <div className="lock-icon" aria-hidden>🔐</div>
+        <h1>MobiLedger</h1>
+        <p className="transactions-description">
+          {isSetup
+            ? 'Créez le profil du propriétaire et choisissez un code PIN de 6 à 8 chiffres. Il chiffre les noms, documents et téléphones des clients sur cet appareil.'
+            : 'Choisissez votre profil et saisissez votre code PIN.'}
+        </p>
+        {isSetup && (
+          <div className="form-group">
+            <label className="form-label" htmlFor="owner-name">Votre nom</label>
+            <input
+              id="owner-name"
+              className="form-input"
+              value={name}
+              onChange={(e) => setName(e.target.value)}
+              autoComplete="name"
+              autoFocus
+              required
+            />
+          </div>
+        )}
+        {!isSetup && (
+          <div className="lock-profiles" role="radiogroup" aria-label="Profil">
+            {users.map((u) => (
+              <button
+                key={u.id}
+                type="button"
+                role="radio"
+                aria-checked={userId === u.id}
+                className={`page-btn ${userId === u.id ? 'active' : ''}`}
+                onClick={() => {
+                  setUserId(u.id);
+                  setError(null);
+                }}
+              >
+                {u.role === 'owner' ? '👑' : '👤'} {u.name}
+              </button>
+            ))}
+          </div>
+        )}
+        <div className="form-group">
+          <label className="form-label" htmlFor="pin">Code PIN</label>
+          <input
+            id="pin"
+            type="password"
+            inputMode="numeric"
+            autoComplete={isSetup ? 'new-password' : 'current-password'}
+            className="form-input lock-pin"
+            value={pin}
+            onChange={(e) => setPin(digitsOnly(e.target.value))}
+            aria-invalid={Boolean(error)}
+            aria-describedby={error ? 'pin-error' : undefined}
+            autoFocus={!isSetup}
+            required
+          />
+        </div>
+        {isSetup && (
+          <div className="form-group">
+            <label className="form-label" htmlFor="pin-confirm">Confirmer le code PIN</label>
+            <input
+              id="pin-confirm"
+              type="password"
+              inputMode="numeric"
+              autoComplete="new-password"
+              className="form-input lock-pin"
+              value={confirm}
+              onChange={(e) => setConfirm(digitsOnly(e.target.value))}
+              required
+            />
+          </div>
+        )}
+        {error && <small id="pin-error" className="field-error" role="alert">{error}</small>}
+        {isSetup && (
+          <p className="lock-warning">
+            ⚠️ Sans ce code, les données chiffrées sont irrécupérables. Notez-le en lieu sûr.
+          </p>
+        )}
+        <button type="submit" className="submit-button" disabled={busy}>
+          {busy ? '⏳ Vérification...' : isSetup ? '🔐 Créer le code PIN' : '🔓 Déverrouiller'}
+        </button>
+      </form>
+    </div>
+  );
+}
@@ -0,0 +1,19 @@
+import React from 'react';
+import { operatorInitials } from '../operators.js';
+
+export default function OperatorBadge({ operator, compact = false }) {
+  return (
+    <span
+      className={`operator-badge ${compact ? 'compact' : ''}`}
+      style={{ '--operator-color': operator.color }}
+      title={operator.name}
+    >
+      {operator.logo ? (
+        <img src={operator.logo} alt="" className="operator-logo" />
+      ) : (
+        <span className="operator-initials" aria-hidden>{operatorInitials(operator.name)}</span>
+      )}
+      {!compact && <span className="operator-name">{operator.name}</span>}
+    </span>
+  );
+}
@@ -0,0 +1,90 @@
+import React, { useEffect, useState } from 'react';
+import OperatorBadge from './OperatorBadge.jsx';
+import { operatorIdFromName } from '../operators.js';
+
+/*
+  OperatorSettings: édition de la liste des opérateurs (nom, couleur, logo).
+  Les identifiants ne changent jamais: ils sont stockés sur les transactions.
+*/
+export default function OperatorSettings({ operators, onSave }) {
+  const [draft, setDraft] = useState(operators);
+  const [newName, setNewName] = useState('');
+
+  useEffect(() => {
+    setDraft(operators);
+  }, [operators]);
+
+  function update(id, field, value) {
+    setDraft((list) => list.map((op) => (op.id === id ? { ...op, [field]: value } : op)));
+  }
+
+  function addOperator() {
+    const name = newName.trim();
+    if (!name) return;
+    const id = operatorIdFromName(name, draft.map((op) => op.id));
+    setDraft((list) => [...list, { id, name, color: '#64748b', logo: '' }]);
+    setNewName('');
+  }
+
+  function removeOperator(id) {
+    setDraft((list) => list.filter((op) => op.id !== id));
+  }
+
+  function handleSubmit(e) {
+    e.preventDefault();
+    onSave(draft);
+  }
+
+  return (
+    <form onSubmit={handleSubmit}>
+      <div className="operator-settings-list">
+        {draft.map((op) => (
+          <div key={op.id} className="operator-settings-row">
+            <OperatorBadge operator={op} compact />
+            <input
+              className="form-input"
+              value={op.name}
+              onChange={(e) => update(op.id, 'name', e.target.value)}
+              aria-label={`Nom de l'opérateur ${op.id}`}
+              required
+            />
+            <input
+              type="color"
+              className="operator-color-input"
+              value={op.color}
+              onChange={(e) => update(op.id, 'color', e.target.value)}
+              aria-label={`Couleur de ${op.name}`}
+            />
+            <input
+              className="form-input"
+              value={op.logo}
+              onChange={(e) => update(op.id, 'logo', e.target.value)}
+              placeholder="URL du logo (optionnel)"
+              aria-label={`Logo de ${op.name}`}
+            />
+            <button
+              type="button"
+              className="page-btn"
+              onClick={() => removeOperator(op.id)}
+              aria-label={`Retirer ${op.name}`}
+              disabled={draft.length <= 1}
+            >
+              ✕
+            </button>
+          </div>
+        ))}
+      </div>
+      <div className="operator-settings-add">
+        <input
+          className="form-input"
+          value={newName}
+          onChange={(e) => setNewName(e.target.value)}
+          placeholder="Nouvel opérateur (ex: Wave)"
+          aria-label="Nom du nouvel opérateur"
+        />
+        <button type="button" className="btn-export" onClick={addOperator}>➕ Ajouter</button>
+      </div>
+      <button type="submit" className="submit-button">💾 Enregistrer les opérateurs</button>
+    </form>
+  );
+}
@@ -0,0 +1,65 @@
+import React, { useState } from 'react';
+
+/*
+  PinSettings: changement du code PIN. Toutes les données personnelles sont
+  rechiffrées avec une nouvelle clé (voir vault.changePin).
+*/
+export default function PinSettings({ onChangePin }) {
+  const [form, setForm] = useState({ current: '', next: '', confirm: '' });
+  const [error, setError] = useState(null);
+  const [busy, setBusy] = useState(false);
+
+  function handleChange(e) {
+    const { name, value } = e.target;
+    setForm((f) => ({ ...f, [name]: value.replace(/\D/g, '').slice(0, 8) }));
+    setError(null);
+  }
+
+  async function handleSubmit(e) {
+    e.preventDefault();
+    if (form.next !== form.confirm) {
+      setError('Les deux nouveaux codes ne correspondent pas.');
+      return;
+    }
+    setBusy(true);
+    try {
+      await onChangePin(form.current, form.next);
+      setForm({ current: '', next: '', confirm: '' });
+    } catch (err) {
+      setError(err.message || 'Changement de code PIN impossible.');
+    } finally {
+      setBusy(false);
+    }
+  }
+
+  const field = (name, label, autoComplete) => (
+    <div className="form-group">
+      <label className="form-label" htmlFor={`pin-${name}`}>{label}</label>
+      <input
+        id={`pin-${name}`}
+        name={name}
+        type="password"
+        inputMode="numeric"
+        autoComplete={autoComplete}
+        className="form-input"
+        value={form[name]}
+        onChange={handleChange}
+        required
+      />
+    </div>
+  );
+
+  return (
+    <form onSubmit={handleSubmit}>
+      {field('current', 'Code PIN actuel', 'current-password')}
+      <div className="form-row">
+        {field('next', 'Nouveau code PIN', 'new-password')}
+        {field('confirm', 'Confirmer', 'new-password')}
+      </div>
+      {error && <small className="field-error" role="alert">{error}</small>}
+      <button type="submit" className="submit-button" disabled={busy}>
+        {busy ? '⏳ Rechiffrement des données...' : '🔑 Changer le code PIN'}
+      </button>
+    </form>
+  );
+}
@@ -0,0 +1,74 @@
+import React, { useState } from 'react';
+import Modal from './Modal.jsx';
+import {
+  RECEIPT_FORMATS,
+  amountInWords,
+  buildReceiptPDF,
+  canShareFiles,
+  maskDocument,
+  printReceipt,
+  receiptFileName,
+  shareReceipt
+} from '../receipt.js';
+import { formatCurrency, formatDate } from '../format.js';
+import { typeLabel } from '../transactionTypes.js';
+
+/*
+  ReceiptDialog: reçu client d'une transaction, en ticket 58 mm ou A6.
+  Téléchargement, impression ou partage (WhatsApp, SMS...) via l'API Web
+  Share quand le navigateur la propose.
+*/
+export default function ReceiptDialog({ transaction, operators, agent, onClose }) {
+  const [format, setFormat] = useState('thermal58');
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState(null);
+
+  async function run(action) {
+    setBusy(true);
+    setError(null);
+    try {
+      const doc = await buildReceiptPDF(transaction, { operators, agent, format });
+      await action(doc);
+    } catch (err) {
+      console.error(err);
+      setError('Impossible de générer le reçu.');
+    } finally {
+      setBusy(false);
+    }
+  }
+
+  return (
+    <Modal title={`Reçu ${transaction.id.slice(0, 8)}`} onClose={onClose}>
+      <p className="transactions-description">
+        {typeLabel(transaction.type)} de <strong>{formatCurrency(transaction.montant)}</strong>{' '}
+        ({amountInWords(transaction.montant)} francs CFA) — {transaction.nom_complet}, document {maskDocument(transaction.id_document)},{' '}
+        le {formatDate(transaction.created_at)}.
+      </p>
+      {!agent.name && (
+        <small className="form-hint">Renseignez le nom du kiosque dans Paramètres → Identité de l'agent pour l'afficher en tête du reçu.</small>
+      )}
+      <div className="form-group">
+        <label className="form-label" htmlFor="receipt-format">Format</label>
+        <select id="receipt-format" className="form-select" value={format} onChange={(e) => setFormat(e.target.value)}>
+          {Object.entries(RECEIPT_FORMATS).map(([id, { label }]) => (
+            <option key={id} value={id}>{label}</option>
+          ))}
+        </select>
+      </div>
+      {error && <small className="field-error" role="alert">{error}</small>}
+      <div className="modal-actions">
+        <button type="button" className="page-btn" onClick={() => run((doc) => doc.save(receiptFileName(transaction)))} disabled={busy}>
+          📥 Télécharger
+        </button>
+        <button type="button" className="page-btn" onClick={() => run(printReceipt)} disabled={busy}>
+          🖨️ Imprimer
+        </button>
+        {canShareFiles() && (
+          <button type="button" className="submit-button" onClick={() => run((doc) => shareReceipt(doc, transaction))} disabled={busy}>
+            📤 Partager
+          </button>
+        )}
+      </div>
+    </Modal>
+  );
+}
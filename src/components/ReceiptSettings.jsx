@@ -0,0 +1,46 @@
+import React, { useEffect, useState } from 'react';
+
+const FIELDS = [
+  { name: 'name', label: 'Nom du kiosque', placeholder: 'Kiosque Wend-Panga' },
+  { name: 'address', label: 'Adresse', placeholder: 'Secteur 15, Ouagadougou' },
+  { name: 'phone', label: 'Téléphone', placeholder: '+226 70 00 00 00' },
+  { name: 'code', label: 'Code agent', placeholder: 'Fourni par l\'opérateur' }
+];
+
+/*
+  ReceiptSettings: coordonnées de l'agent imprimées en tête des reçus clients
+  et du registre des opérations.
+*/
+export default function ReceiptSettings({ agent, onSave }) {
+  const [draft, setDraft] = useState(agent);
+
+  useEffect(() => {
+    setDraft(agent);
+  }, [agent]);
+
+  function handleSubmit(e) {
+    e.preventDefault();
+    onSave(draft);
+  }
+
+  const renderField = (f) => (
+    <div key={f.name} className="form-group">
+      <label className="form-label" htmlFor={`receipt-${f.name}`}>{f.label}</label>
+      <input
+        id={`receipt-${f.name}`}
+        className="form-input"
+        value={draft[f.name]}
+        placeholder={f.placeholder}
+        onChange={(e) => setDraft((d) => ({ ...d, [f.name]: e.target.value }))}
+      />
+    </div>
+  );
+
+  return (
+    <form onSubmit={handleSubmit}>
+      <div className="form-row">{FIELDS.slice(0, 2).map(renderField)}</div>
+      <div className="form-row">{FIELDS.slice(2).map(renderField)}</div>
+      <button type="submit" className="submit-button">💾 Enregistrer</button>
+    </form>
+  );
+}
@@ -0,0 +1,157 @@
+import React, { useEffect, useMemo, useState } from 'react';
+import OperatorBadge from './OperatorBadge.jsx';
+import { MATCH_WINDOW_MINUTES, SMS_PARSERS, parseSms, reconcile, reconcileRange, splitMessages } from '../reconciliation.js';
+import { localDateKey } from '../closing.js';
+import { getOperator } from '../operators.js';
+import { formatCurrency, formatDate } from '../format.js';
+import { typeLabel } from '../transactionTypes.js';
+
+/*
+  ReconciliationPanel: l'agent colle les SMS de confirmation reçus des
+  opérateurs. Les SMS rapprochés d'une transaction sont enregistrés via
+  `onSave(matched)`; les SMS sans transaction et les transactions du jour
+  sans SMS restent affichés pour que les trous du registre se voient.
+  Seuls la journée et les jours des SMS sont lus (`onRangeChange(reconcileRange)`).
+*/
+export default function ReconciliationPanel({ transactions, operators, onRangeChange, onSave }) {
+  const [text, setText] = useState('');
+  const [operator, setOperator] = useState('');
+  const [day, setDay] = useState(localDateKey());
+  const [messages, setMessages] = useState(null);
+  const [busy, setBusy] = useState(false);
+
+  const result = useMemo(() => reconcile(messages || [], transactions || [], { day }), [messages, transactions, day]);
+  const range = reconcileRange(messages || [], day);
+
+  useEffect(() => {
+    onRangeChange(range);
+  }, [range.from, range.to, onRangeChange]);
+
+  function handleAnalyze(e) {
+    e.preventDefault();
+    setMessages(splitMessages(text, operator).map((m) => parseSms(m, operator)));
+  }
+
+  async function handleSave() {
+    setBusy(true);
+    try {
+      await onSave(result.matched);
+      setText('');
+      setMessages(null);
+    } finally {
+      setBusy(false);
+    }
+  }
+
+  const operatorName = (id) => getOperator(operators, id).name;
+
+  return (
+    <section className="transactions-section">
+      <h2>Rapprochement SMS</h2>
+      <form onSubmit={handleAnalyze}>
+        <div className="form-row">
+          <div className="form-group">
+            <label className="form-label" htmlFor="sms-operator">Opérateur</label>
+            <select id="sms-operator" className="form-select" value={operator} onChange={(e) => setOperator(e.target.value)}>
+              <option value="">Détection automatique</option>
+              {Object.keys(SMS_PARSERS).map((id) => (
+                <option key={id} value={id}>{operatorName(id)}</option>
+              ))}
+            </select>
+          </div>
+          <div className="form-group">
+            <label className="form-label" htmlFor="sms-day">Journée</label>
+            <input id="sms-day" type="date" className="form-input" value={day} max={localDateKey()} onChange={(e) => setDay(e.target.value)} />
+          </div>
+        </div>
+        <div className="form-group">
+          <label className="form-label" htmlFor="sms-text">SMS de confirmation</label>
+          <textarea
+            id="sms-text"
+            className="form-input sms-input"
+            rows={6}
+            value={text}
+            onChange={(e) => setText(e.target.value)}
+            placeholder="Collez un ou plusieurs SMS, séparés par une ligne vide"
+          />
+          <small className="form-hint">
+            Un SMS daté est rapproché d'une transaction saisie à ±{MATCH_WINDOW_MINUTES} min, un SMS sans date
+            d'une transaction de la journée choisie.
+          </small>
+        </div>
+        <button type="submit" className="submit-button" disabled={!text.trim()}>🔎 Analyser</button>
+      </form>
+
+      {messages && (
+        <div className="reconciliation-results">
+          <h3>✅ Rapprochés ({result.matched.length})</h3>
+          {result.matched.length === 0 ? (
+            <div className="empty-state-subtext">Aucun nouveau rapprochement.</div>
+          ) : (
+            <>
+              <ul className="reconciliation-list">
+                {result.matched.map(({ sms, tx }) => (
+                  <li key={sms.reference}>
+                    <OperatorBadge operator={getOperator(operators, tx.operator)} compact />{' '}
+                    <code>{sms.reference}</code> → {typeLabel(tx.type)} {formatCurrency(tx.montant)} — {tx.nom_complet}{' '}
+                    <small>({formatDate(tx.created_at)}, réf. {tx.id.slice(0, 8)})</small>
+                  </li>
+                ))}
+              </ul>
+              <button type="button" className="submit-button" onClick={handleSave} disabled={busy || !transactions}>
+                {busy ? '⏳ Enregistrement...' : `💾 Enregistrer ${result.matched.length} référence(s)`}
+              </button>
+            </>
+          )}
+
+          {result.known.length > 0 && (
+            <p className="empty-state-subtext">{result.known.length} SMS déjà rapproché(s) précédemment.</p>
+          )}
+
+          {result.unmatched.length > 0 && (
+            <>
+              <h3>⚠️ SMS sans transaction ({result.unmatched.length})</h3>
+              <ul className="reconciliation-list gap">
+                {result.unmatched.map((sms) => (
+                  <li key={sms.reference}>
+                    {operatorName(sms.operator)} <code>{sms.reference}</code> — {sms.type ? typeLabel(sms.type) : '—'} {formatCurrency(sms.montant)}
+                    {sms.telephone ? ` • ${sms.telephone}` : ''}{sms.date ? ` • ${formatDate(sms.date)}` : ''}
+                  </li>
+                ))}
+              </ul>
+            </>
+          )}
+
+          {result.unparsed.length > 0 && (
+            <>
+              <h3>❓ SMS non reconnus ({result.unparsed.length})</h3>
+              <ul className="reconciliation-list gap">
+                {result.unparsed.map((sms, i) => (
+                  <li key={i}>
+                    <small className="field-error">{sms.error}</small>
+                    <span className="sms-raw">{sms.raw}</span>
+                  </li>
+                ))}
+              </ul>
+            </>
+          )}
+        </div>
+      )}
+
+      <h3>📭 Transactions sans SMS le {day.split('-').reverse().join('/')} ({result.missing.length})</h3>
+      {result.missing.length === 0 ? (
+        <div className="empty-state-subtext">Toutes les transactions de la journée ont leur SMS.</div>
+      ) : (
+        <ul className="reconciliation-list gap">
+          {result.missing.map((t) => (
+            <li key={t.id}>
+              <OperatorBadge operator={getOperator(operators, t.operator)} compact />{' '}
+              {typeLabel(t.type)} {formatCurrency(t.montant)} — {t.nom_complet} • {t.telephone}{' '}
+              <small>({formatDate(t.created_at)}, réf. {t.id.slice(0, 8)})</small>
+            </li>
+          ))}
+        </ul>
+      )}
+    </section>
+  );
+}
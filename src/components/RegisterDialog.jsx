@@ -0,0 +1,109 @@
+import React, { useEffect, useState } from 'react';
+import Modal from './Modal.jsx';
+import { currentMonthRange } from '../register.js';
+import { localDateKey } from '../closing.js';
+
+/*
+  RegisterDialog: choix de la période (et éventuellement d'un opérateur)
+  du registre officiel. Par défaut la période filtrée de l'historique, sinon
+  le mois en cours. `onCount(range)` compte les opérations de la période
+  (promesse), `onExport({ from, to, operator })` produit le PDF.
+*/
+export default function RegisterDialog({ operators, initialRange, onCount, onExport, onClose }) {
+  const [range, setRange] = useState(() => ({ operator: '', ...currentMonthRange(), ...initialRange }));
+  const [count, setCount] = useState(0);
+  const valid = range.from && range.to && range.from <= range.to;
+
+  useEffect(() => {
+    if (!valid) {
+      setCount(0);
+      return undefined;
+    }
+    let stale = false;
+    onCount(range)
+      .then((n) => {
+        if (!stale) setCount(n);
+      })
+      .catch((err) => console.error('Failed counting register rows', err));
+    return () => {
+      stale = true;
+    };
+  }, [valid, range.from, range.to, range.operator]);
+
+  function handleMonth(value) {
+    if (!value) return;
+    const [y, m] = value.split('-').map(Number);
+    const last = localDateKey(new Date(y, m, 0));
+    const today = localDateKey();
+    setRange((r) => ({ ...r, from: `${value}-01`, to: last > today ? today : last }));
+  }
+
+  function handleSubmit(e) {
+    e.preventDefault();
+    if (!valid) return;
+    onExport(range);
+  }
+
+  return (
+    <Modal title="Registre des opérations" onClose={onClose}>
+      <form onSubmit={handleSubmit}>
+        <div className="form-group">
+          <label className="form-label" htmlFor="register-month">Mois</label>
+          <input
+            id="register-month"
+            type="month"
+            className="form-input"
+            value={range.from.slice(0, 7)}
+            max={localDateKey().slice(0, 7)}
+            onChange={(e) => handleMonth(e.target.value)}
+          />
+        </div>
+        <div className="form-row">
+          <div className="form-group">
+            <label className="form-label" htmlFor="register-from">Du</label>
+            <input
+              id="register-from"
+              type="date"
+              className="form-input"
+              value={range.from}
+              onChange={(e) => setRange((r) => ({ ...r, from: e.target.value }))}
+              required
+            />
+          </div>
+          <div className="form-group">
+            <label className="form-label" htmlFor="register-to">Au</label>
+            <input
+              id="register-to"
+              type="date"
+              className="form-input"
+              value={range.to}
+              onChange={(e) => setRange((r) => ({ ...r, to: e.target.value }))}
+              aria-invalid={!valid}
+              required
+            />
+          </div>
+        </div>
+        <div className="form-group">
+          <label className="form-label" htmlFor="register-operator">Opérateur</label>
+          <select
+            id="register-operator"
+            className="form-select"
+            value={range.operator}
+            onChange={(e) => setRange((r) => ({ ...r, operator: e.target.value }))}
+          >
+            <option value="">Tous les opérateurs</option>
+            {operators.map((op) => (
+              <option key={op.id} value={op.id}>{op.name}</option>
+            ))}
+          </select>
+        </div>
+        {!valid && <small className="field-error" role="alert">La date de fin précède la date de début.</small>}
+        <p className="transactions-description">{count} opération(s) sur la période.</p>
+        <div className="modal-actions">
+          <button type="button" className="page-btn" onClick={onClose}>Annuler</button>
+          <button type="submit" className="submit-button" disabled={!valid || count === 0}>🧾 Générer le registre</button>
+        </div>
+      </form>
+    </Modal>
+  );
+}
@@ -0,0 +1,97 @@
+import React, { useState } from 'react';
+import { formatCurrency, formatDate } from '../format.js';
+import { TYPE_FIELDS, typeLabel } from '../transactionTypes.js';
+
+const FIELD_LABELS = {
+  type: 'Type',
+  operator: 'Opérateur',
+  nom_complet: 'Nom',
+  id_document: 'Document',
+  telephone: 'Téléphone',
+  montant: 'Montant',
+  status: 'Statut',
+  replaced_by: 'Remplacée par',
+  ...Object.fromEntries(TYPE_FIELDS.map((f) => [f.name, f.label]))
+};
+
+const STATUS_LABELS = { pending: 'en attente', synced: 'synchronisée', rejected: 'rejetée', cancelled: 'annulée' };
+
+function formatValue(field, value) {
+  if (value === undefined || value === null || value === '') return '—';
+  if (field === 'montant') return formatCurrency(value);
+  if (field === 'type') return typeLabel(value);
+  if (field === 'status') return STATUS_LABELS[value] || value;
+  if (field === 'replaced_by') return value.slice(0, 8);
+  return String(value);
+}
+
+/*
+  SyncConflicts: transactions modifiées en même temps sur deux appareils.
+  La version retenue est déjà appliquée; la liste montre ce qui a été écarté
+  pour que le propriétaire corrige à la main si besoin.
+  `onAcknowledge(conflict)` marque le conflit comme vu.
+*/
+export default function SyncConflicts({ conflicts, onAcknowledge }) {
+  const [filter, setFilter] = useState('open'); // 'open' | 'all'
+
+  const visible = filter === 'open' ? conflicts.filter((c) => c.status === 'open') : conflicts;
+
+  return (
+    <>
+      <div className="toolbar">
+        <select
+          className="form-select toolbar-filter"
+          value={filter}
+          onChange={(e) => setFilter(e.target.value)}
+          aria-label="Filtrer les conflits"
+        >
+          <option value="open">À vérifier</option>
+          <option value="all">Tous</option>
+        </select>
+      </div>
+      {visible.length === 0 ? (
+        <div className="empty-state-subtext">Aucun conflit {filter === 'open' ? 'à vérifier' : ''}.</div>
+      ) : (
+        <ul className="compliance-alerts">
+          {visible.map((c) => {
+            // `local` est vide pour une transaction reçue mais refusée (journée clôturée)
+            const kept = (c.winner === 'remote' ? c.remote : c.local) || {};
+            const dropped = (c.winner === 'remote' ? c.local : c.remote) || {};
+            const shown = c.local ? kept : c.remote;
+            return (
+              <li key={c.id} className="compliance-alert">
+                <div className="compliance-alert-header">
+                  <strong>Réf. {c.tx_id.slice(0, 8)}</strong>
+                  <span className="status-badge pending">
+                    {c.winner === 'remote' ? 'Version d\'un autre appareil retenue' : 'Version de cet appareil retenue'}
+                  </span>
+                </div>
+                <span>{typeLabel(shown.type)} {formatCurrency(shown.montant)} • {shown.nom_complet}</span>
+                {c.reason && <span>{c.reason}: version reçue non appliquée.</span>}
+                {c.fields.length === 0 ? (
+                  <small>Mêmes valeurs, versions écrites séparément.</small>
+                ) : (
+                  <ul className="history-entries">
+                    {c.fields.map((field) => (
+                      <li key={field}>
+                        {FIELD_LABELS[field] || field}: {formatValue(field, kept[field])} (écarté: {formatValue(field, dropped[field])})
+                      </li>
+                    ))}
+                  </ul>
+                )}
+                <small>Détecté le {formatDate(c.detected_at)}</small>
+                {c.status === 'reviewed' ? (
+                  <small>✅ Vu par {c.reviewed_by} le {formatDate(c.reviewed_at)}</small>
+                ) : (
+                  <div className="compliance-review">
+                    <button type="button" className="page-btn" onClick={() => onAcknowledge(c)}>✅ Marquer vu</button>
+                  </div>
+                )}
+              </li>
+            );
+          })}
+        </ul>
+      )}
+    </>
+  );
+}
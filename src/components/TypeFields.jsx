@@ -0,0 +1,57 @@
+import React from 'react';
+import { getTransactionType } from '../transactionTypes.js';
+import { formatBFPhone } from '../validation.js';
+
+/*
+  TypeFields: champs propres au type choisi (numéro du bénéficiaire,
+  facturier et référence...), déclarés dans transactionTypes.js.
+  `values` et `errors` sont indexés par nom de champ; `idPrefix` évite les
+  collisions d'id entre le formulaire et la fenêtre de correction.
+*/
+export default function TypeFields({ type, values, errors, onChange, idPrefix = '' }) {
+  const { fields } = getTransactionType(type);
+  if (!fields.length) return null;
+
+  // Même présentation que le téléphone du client
+  function handlePhoneBlur(e) {
+    const { name, value } = e.target;
+    onChange({ target: { name, value: formatBFPhone(value) } });
+  }
+
+  return fields.map((field) => {
+    const id = `${idPrefix}${field.name}`;
+    const error = errors[field.name];
+    const common = {
+      id,
+      name: field.name,
+      value: values[field.name] || '',
+      onChange,
+      'aria-invalid': Boolean(error),
+      'aria-describedby': error ? `${id}-error` : undefined,
+      required: field.required
+    };
+    return (
+      <div key={field.name} className="form-group">
+        <label className="form-label" htmlFor={id}>{field.label}</label>
+        {field.kind === 'select' ? (
+          <select {...common} className="form-select">
+            <option value="">Choisir...</option>
+            {field.options.map((option) => (
+              <option key={option} value={option}>{option}</option>
+            ))}
+          </select>
+        ) : (
+          <input
+            {...common}
+            className="form-input"
+            placeholder={field.placeholder}
+            type={field.kind === 'phone' ? 'tel' : 'text'}
+            autoComplete="off"
+            onBlur={field.kind === 'phone' ? handlePhoneBlur : undefined}
+          />
+        )}
+        {error && <small id={`${id}-error`} className="field-error" role="alert">{error}</small>}
+      </div>
+    );
+  });
+}
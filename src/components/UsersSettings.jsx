@@ -0,0 +1,131 @@
+import React, { useState } from 'react';
+import { ROLES } from '../users.js';
+
+/*
+  UsersSettings: profils des agents (propriétaire uniquement). Chaque profil
+  a son propre code PIN; supprimer un profil rechiffre les données pour que
+  son PIN ne les ouvre plus.
+*/
+export default function UsersSettings({ users, currentUserId, onAdd, onUpdate, onRemove }) {
+  const [form, setForm] = useState({ name: '', role: 'cashier', pin: '', confirm: '' });
+  const [error, setError] = useState(null);
+  const [busy, setBusy] = useState(false);
+
+  function handleChange(e) {
+    const { name, value } = e.target;
+    setForm((f) => ({ ...f, [name]: name === 'pin' || name === 'confirm' ? value.replace(/\D/g, '').slice(0, 8) : value }));
+    setError(null);
+  }
+
+  async function run(action) {
+    setBusy(true);
+    setError(null);
+    try {
+      await action();
+      return true;
+    } catch (err) {
+      setError(err.message || 'Opération impossible.');
+      return false;
+    } finally {
+      setBusy(false);
+    }
+  }
+
+  async function handleSubmit(e) {
+    e.preventDefault();
+    if (form.pin !== form.confirm) {
+      setError('Les deux codes ne correspondent pas.');
+      return;
+    }
+    const ok = await run(() => onAdd({ name: form.name, role: form.role, pin: form.pin }));
+    if (ok) setForm({ name: '', role: 'cashier', pin: '', confirm: '' });
+  }
+
+  function handleRemove(user) {
+    if (!window.confirm(`Supprimer le profil ${user.name} ? Ses transactions restent attribuées à son nom.`)) return;
+    run(() => onRemove(user.id));
+  }
+
+  return (
+    <div>
+      <div className="users-list">
+        {users.map((u) => (
+          <div key={u.id} className="user-row">
+            <span>{u.role === 'owner' ? '👑' : '👤'}</span>
+            <strong>{u.name}</strong>
+            <select
+              className="form-select"
+              value={u.role}
+              onChange={(e) => run(() => onUpdate(u.id, { name: u.name, role: e.target.value }))}
+              aria-label={`Rôle de ${u.name}`}
+              disabled={busy || u.id === currentUserId}
+            >
+              {Object.entries(ROLES).map(([id, label]) => (
+                <option key={id} value={id}>{label}</option>
+              ))}
+            </select>
+            <button
+              type="button"
+              className="page-btn"
+              onClick={() => handleRemove(u)}
+              aria-label={`Supprimer ${u.name}`}
+              disabled={busy || u.id === currentUserId}
+            >
+              ✕
+            </button>
+          </div>
+        ))}
+      </div>
+      <form onSubmit={handleSubmit}>
+        <div className="form-row">
+          <div className="form-group">
+            <label className="form-label" htmlFor="user-name">Nom</label>
+            <input id="user-name" name="name" className="form-input" value={form.name} onChange={handleChange} required />
+          </div>
+          <div className="form-group">
+            <label className="form-label" htmlFor="user-role">Rôle</label>
+            <select id="user-role" name="role" className="form-select" value={form.role} onChange={handleChange}>
+              {Object.entries(ROLES).map(([id, label]) => (
+                <option key={id} value={id}>{label}</option>
+              ))}
+            </select>
+          </div>
+        </div>
+        <div className="form-row">
+          <div className="form-group">
+            <label className="form-label" htmlFor="user-pin">Code PIN</label>
+            <input
+              id="user-pin"
+              name="pin"
+              type="password"
+              inputMode="numeric"
+              autoComplete="new-password"
+              className="form-input"
+              value={form.pin}
+              onChange={handleChange}
+              required
+            />
+          </div>
+          <div className="form-group">
+            <label className="form-label" htmlFor="user-pin-confirm">Confirmer</label>
+            <input
+              id="user-pin-confirm"
+              name="confirm"
+              type="password"
+              inputMode="numeric"
+              autoComplete="new-password"
+              className="form-input"
+              value={form.confirm}
+              onChange={handleChange}
+              required
+            />
+          </div>
+        </div>
+        {error && <small className="field-error" role="alert">{error}</small>}
+        <button type="submit" className="submit-button" disabled={busy}>
+          {busy ? '⏳ Enregistrement...' : '➕ Ajouter le profil'}
+        </button>
+      </form>
+    </div>
+  );
+}
@@ -0,0 +1,79 @@
+/*
+  Conflits de synchronisation.
+
+  Quand deux appareils ont modifié la même transaction, la règle de
+  revisions.js choisit une version et la synchronisation l'applique sans
+  attendre personne. La version écartée n'est pas perdue: elle est gardée
+  ici, avec la version retenue, pour que le propriétaire puisse vérifier et
+  corriger à la main si besoin. Les deux versions contiennent des données
+  personnelles et sont chiffrées comme le journal d'audit.
+*/
+import { CONFLICTS_STORE, getAllRecords, openDB, putRecord, uuidv4 } from './db.js';
+import { openFields, sealFields } from './crypto.js';
+import { CORRECTABLE_FIELDS } from './corrections.js';
+
+export const CONFLICT_SEALED_FIELDS = ['local', 'remote'];
+
+// Champs comparés entre les deux versions
+export const CONFLICT_FIELDS = [...CORRECTABLE_FIELDS, 'status', 'replaced_by'];
+
+// Champs de suivi de l'envoi, propres à chaque appareil: ils ne font pas partie de la version
+const SYNC_STATE_FIELDS = ['sync_attempts', 'next_retry_at', 'last_sync_error', 'sync_error', 'synced_at', 'sync_dirty', 'idempotency_key'];
+
+function versionOf(record) {
+  return Object.fromEntries(Object.entries(record).filter(([key]) => !SYNC_STATE_FIELDS.includes(key)));
+}
+
+const blank = (value) => (value === undefined || value === null ? '' : value);
+
+export function conflictingFields(local, remote) {
+  return CONFLICT_FIELDS.filter((field) => blank(local[field]) !== blank(remote[field]));
+}
+
+/*
+  `winner`: 'local' ou 'remote', la version appliquée sur cet appareil.
+  `local` est null pour une transaction reçue mais pas enregistrée ici;
+  `reason` explique un refus qui ne vient pas de la règle des révisions
+  (journée clôturée).
+*/
+export function buildConflict(local, remote, winner, { at = new Date().toISOString(), reason = null } = {}) {
+  return {
+    id: uuidv4(),
+    tx_id: remote.id,
+    detected_at: at,
+    winner,
+    reason,
+    fields: conflictingFields(local || {}, remote),
+    local: local ? versionOf(local) : null,
+    remote: versionOf(remote),
+    status: 'open',
+    reviewed_at: null,
+    reviewed_by: null
+  };
+}
+
+export async function recordConflicts(conflicts) {
+  if (!conflicts.length) return 0;
+  const records = await Promise.all(conflicts.map((c) => sealFields(c, CONFLICT_SEALED_FIELDS)));
+  const db = await openDB();
+  return new Promise((resolve, reject) => {
+    const txDB = db.transaction(CONFLICTS_STORE, 'readwrite');
+    const store = txDB.objectStore(CONFLICTS_STORE);
+    records.forEach((r) => store.add(r));
+    txDB.oncomplete = () => resolve(records.length);
+    txDB.onerror = () => reject(txDB.error);
+  });
+}
+
+// Plus récents d'abord
+export async function getConflicts() {
+  const records = await getAllRecords(CONFLICTS_STORE);
+  const conflicts = await Promise.all(records.map((r) => openFields(r, CONFLICT_SEALED_FIELDS)));
+  return conflicts.sort((a, b) => (a.detected_at < b.detected_at ? 1 : -1));
+}
+
+export async function acknowledgeConflict(conflict, { user }) {
+  const reviewed = { ...conflict, status: 'reviewed', reviewed_by: user, reviewed_at: new Date().toISOString() };
+  await putRecord(CONFLICTS_STORE, await sealFields(reviewed, CONFLICT_SEALED_FIELDS));
+  return reviewed;
+}
@@ -0,0 +1,192 @@
+/*
+  Annulations et corrections de transactions.
+
+  Rien n'est jamais écrasé ni supprimé:
+  - annuler   : l'original passe au statut `cancelled` (motif, auteur, date)
+  - corriger  : l'original est annulé et un enregistrement de remplacement
+                est créé avec `replaces: <id original>`; l'original reçoit
+                `replaced_by: <nouvel id>`
+  Chaque action est tracée dans le store `audit_log`. Les transactions déjà
+  clôturées (closing_date) ne peuvent être ni annulées ni corrigées.
+*/
+import { AUDIT_STORE, STORE_NAME, getAllRecords, getDeviceId, getTransaction, openDB, putRecord, uuidv4 } from './db.js';
+import { openFields, sealFields, sealValue } from './crypto.js';
+import { TYPE_FIELDS } from './transactionTypes.js';
+import { nextRevision } from './revisions.js';
+
+// Champs qu'une correction peut modifier, dont ceux propres aux types
+export const CORRECTABLE_FIELDS = ['type', 'operator', 'nom_complet', 'id_document', 'telephone', 'montant', ...TYPE_FIELDS.map((f) => f.name)];
+
+// `changes` contient les anciennes et nouvelles valeurs: chiffré comme les transactions
+export const AUDIT_SEALED_FIELDS = ['changes'];
+
+export const AUDIT_ACTIONS = {
+  create: 'Création',
+  cancel: 'Annulation',
+  correct: 'Correction',
+  replace: 'Remplacement',
+  import: 'Import'
+};
+
+// Les transactions annulées restent visibles mais ne comptent dans aucun total
+export function isActiveTransaction(t) {
+  return t.status !== 'cancelled';
+}
+
+export function auditEntry(txId, action, { reason = '', user = '', changes = null, relatedId = null, at }) {
+  return { id: uuidv4(), tx_id: txId, action, reason, user, changes, related_id: relatedId, at };
+}
+
+export function logCreation(tx, user = '') {
+  return putRecord(AUDIT_STORE, auditEntry(tx.id, 'create', { user, at: tx.created_at }));
+}
+
+// Un champ absent et un champ vide (champ d'un autre type) sont identiques
+const blank = (value) => (value === undefined || value === null ? '' : value);
+
+export function diffFields(original, changes) {
+  return CORRECTABLE_FIELDS.reduce((acc, field) => {
+    if (changes[field] !== undefined && blank(changes[field]) !== blank(original[field])) {
+      acc[field] = { from: original[field], to: changes[field] };
+    }
+    return acc;
+  }, {});
+}
+
+function assertCorrectable(record, id) {
+  if (!record) throw new Error(`Transaction ${id} introuvable.`);
+  if (record.closing_date) throw new Error(`Transaction verrouillée par la clôture du ${record.closing_date}.`);
+  if (record.status === 'cancelled') throw new Error('Cette transaction est déjà annulée.');
+}
+
+/*
+  cancelTransaction / correctTransaction: une seule transaction IndexedDB
+  couvre l'original, le remplacement et le journal (tout ou rien).
+  `changes` ne contient que des CORRECTABLE_FIELDS. Le remplacement et le
+  détail des modifications (données personnelles) sont chiffrés au préalable.
+*/
+export async function cancelTransaction(id, { reason, user }) {
+  return writeCorrection(id, null, { reason, user });
+}
+
+export async function correctTransaction(id, changes, { reason, user }) {
+  return writeCorrection(id, changes, { reason, user });
+}
+
+async function writeCorrection(id, changes, { reason, user }) {
+  if (!reason || !reason.trim()) throw new Error('Le motif est obligatoire.');
+  if (!user || !user.trim()) throw new Error('L\'auteur de la modification est obligatoire.');
+  const original = await getTransaction(id);
+  assertCorrectable(original, id);
+
+  const at = new Date().toISOString();
+  const deviceId = await getDeviceId();
+  const cancelFields = {
+    status: 'cancelled',
+    previous_status: original.status,
+    cancelled_at: at,
+    cancelled_by: user,
+    cancel_reason: reason,
+    sync_dirty: true,
+    ...nextRevision(original, deviceId, at)
+  };
+
+  let replacement = null;
+  let sealedReplacement = null;
+  let sealedDiff = null;
+  if (changes) {
+    const diff = diffFields(original, changes);
+    if (Object.keys(diff).length === 0) throw new Error('Aucune modification à enregistrer.');
+    replacement = {
+      ...Object.fromEntries(Object.entries(original).filter(([key]) => ![
+        'status', 'synced_at', 'sync_attempts', 'next_retry_at', 'last_sync_error', 'sync_error', 'sync_dirty'
+      ].includes(key))),
+      ...changes,
+      ...nextRevision({}, deviceId, at),
+      id: uuidv4(),
+      replaces: id,
+      status: 'pending',
+      corrected_at: at,
+      corrected_by: user
+    };
+    cancelFields.replaced_by = replacement.id;
+    sealedReplacement = await sealFields(replacement);
+    sealedDiff = await sealValue(diff);
+  }
+
+  const db = await openDB();
+  return new Promise((resolve, reject) => {
+    const txDB = db.transaction([STORE_NAME, AUDIT_STORE], 'readwrite');
+    const store = txDB.objectStore(STORE_NAME);
+    const audit = txDB.objectStore(AUDIT_STORE);
+
+    // Relu dans la transaction: une clôture ou une autre correction a pu passer entre-temps
+    const getReq = store.get(id);
+    getReq.onsuccess = () => {
+      try {
+        assertCorrectable(getReq.result, id);
+      } catch (err) {
+        txDB.abort();
+        reject(err);
+        return;
+      }
+      store.put({ ...getReq.result, ...cancelFields });
+      if (!replacement) {
+        audit.add(auditEntry(id, 'cancel', { reason, user, at }));
+        return;
+      }
+      store.add(sealedReplacement);
+      audit.add(auditEntry(id, 'correct', { reason, user, at, changes: sealedDiff, relatedId: replacement.id }));
+      audit.add(auditEntry(replacement.id, 'replace', { reason, user, at, changes: sealedDiff, relatedId: id }));
+    };
+    txDB.oncomplete = () => resolve({ cancelled: { ...original, ...cancelFields }, replacement });
+    txDB.onerror = () => reject(txDB.error);
+  });
+}
+
+export async function getAuditLog(txId) {
+  const db = await openDB();
+  return new Promise((resolve, reject) => {
+    const req = db.transaction(AUDIT_STORE, 'readonly').objectStore(AUDIT_STORE).index('tx_id').getAll(txId);
+    req.onsuccess = () => resolve(openAuditEntries(req.result || []).then((list) => list.sort((a, b) => (a.at < b.at ? -1 : 1))));
+    req.onerror = () => reject(req.error);
+  });
+}
+
+function openAuditEntries(entries) {
+  return Promise.all(entries.map((a) => openFields(a, AUDIT_SEALED_FIELDS)));
+}
+
+export async function getAllAuditEntries() {
+  return openAuditEntries(await getAllRecords(AUDIT_STORE));
+}
+
+// Chaîne complète d'un enregistrement: originaux successifs puis remplacements, lus un par un
+export async function loadCorrectionChain(id) {
+  let first = await getTransaction(id);
+  const seen = new Set();
+  while (first && first.replaces && !seen.has(first.id)) {
+    seen.add(first.id);
+    const previous = await getTransaction(first.replaces);
+    if (!previous) break;
+    first = previous;
+  }
+  const chain = [];
+  let current = first;
+  while (current && !chain.some((c) => c.id === current.id)) {
+    chain.push(current);
+    current = current.replaced_by ? await getTransaction(current.replaced_by) : null;
+  }
+  return chain;
+}
+
+// Résumé texte pour les exports: "Annulée par X le ...: motif → remplacée par abcd1234"
+export function historySummary(t) {
+  const parts = [];
+  if (t.replaces) parts.push(`Corrige ${t.replaces.slice(0, 8)}`);
+  if (t.status === 'cancelled') {
+    parts.push(`Annulée par ${t.cancelled_by} le ${new Date(t.cancelled_at).toLocaleString('fr-FR')}: ${t.cancel_reason}`);
+  }
+  if (t.replaced_by) parts.push(`Remplacée par ${t.replaced_by.slice(0, 8)}`);
+  return parts.join(' — ');
+}
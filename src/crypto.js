@@ -0,0 +1,205 @@
+/*
+  Chiffrement des données personnelles (Web Crypto).
+
+  - Clé de données (DEK) : AES-GCM 256 aléatoire, ne quitte jamais la mémoire
+    en clair. Elle est scellée pour chaque profil avec sa clé publique ECDH
+    P-256; la clé privée du profil est elle-même enveloppée par une clé
+    dérivée de son PIN (PBKDF2-SHA-256). Voir vault.js.
+  - Chaque champ sensible est chiffré séparément, en place:
+      "enc1:<iv base64>:<données base64>"
+    ce qui permet de chiffrer un patch sans relire l'enregistrement.
+  - La clé n'existe qu'après déverrouillage; lock() l'oublie.
+
+  Ce module ne dépend pas de db.js (db.js l'importe).
+*/
+import { SEALED_TYPE_FIELDS } from './transactionTypes.js';
+
+// Les champs des types marqués `sealed` (numéro du bénéficiaire...) sont aussi des données personnelles
+export const PII_FIELDS = ['nom_complet', 'id_document', 'telephone', ...SEALED_TYPE_FIELDS];
+export const PBKDF2_ITERATIONS = 310000;
+const PREFIX = 'enc1:';
+
+export class VaultError extends Error {
+  constructor(message, { code = 'unknown' } = {}) {
+    super(message);
+    this.name = 'VaultError';
+    this.code = code; // 'locked' | 'bad_pin' | 'weak_pin' | 'not_configured' | 'corrupted'
+  }
+}
+
+let sessionKey = null;
+
+export function isUnlocked() {
+  return sessionKey !== null;
+}
+
+export function setSessionKey(key) {
+  sessionKey = key;
+}
+
+export function getSessionKey() {
+  return sessionKey;
+}
+
+export function lock() {
+  sessionKey = null;
+}
+
+/* ---------- Encodage ---------- */
+export function toBase64(bytes) {
+  let binary = '';
+  new Uint8Array(bytes).forEach((b) => {
+    binary += String.fromCharCode(b);
+  });
+  return btoa(binary);
+}
+
+export function fromBase64(text) {
+  return Uint8Array.from(atob(text), (c) => c.charCodeAt(0));
+}
+
+export function randomBytes(length) {
+  return crypto.getRandomValues(new Uint8Array(length));
+}
+
+/* ---------- Clés ---------- */
+// `usages`: enveloppe de clés (PIN) ou chiffrement direct (mot de passe de sauvegarde)
+export async function deriveKeyFromPin(pin, salt, iterations = PBKDF2_ITERATIONS, usages = ['wrapKey', 'unwrapKey']) {
+  const material = await crypto.subtle.importKey('raw', new TextEncoder().encode(pin), 'PBKDF2', false, ['deriveKey']);
+  return crypto.subtle.deriveKey(
+    { name: 'PBKDF2', salt, iterations, hash: 'SHA-256' },
+    material,
+    { name: 'AES-GCM', length: 256 },
+    false,
+    usages
+  );
+}
+
+// Extractible uniquement pour pouvoir être enveloppée à la création
+export function generateDataKey() {
+  return crypto.subtle.generateKey({ name: 'AES-GCM', length: 256 }, true, ['encrypt', 'decrypt']);
+}
+
+/* ---------- Clés de profil (ECDH P-256) ---------- */
+const ECDH = { name: 'ECDH', namedCurve: 'P-256' };
+
+export function generateUserKeyPair() {
+  return crypto.subtle.generateKey(ECDH, true, ['deriveKey']);
+}
+
+// Clé privée du profil enveloppée par son PIN
+export async function wrapPrivateKey(privateKey, pin) {
+  const salt = randomBytes(16);
+  const wrappingKey = await deriveKeyFromPin(pin, salt, PBKDF2_ITERATIONS);
+  const iv = randomBytes(12);
+  const wrapped = await crypto.subtle.wrapKey('pkcs8', privateKey, wrappingKey, { name: 'AES-GCM', iv });
+  return { iterations: PBKDF2_ITERATIONS, salt: toBase64(salt), iv: toBase64(iv), wrapped: toBase64(wrapped) };
+}
+
+export async function unwrapPrivateKey(slot, pin) {
+  const wrappingKey = await deriveKeyFromPin(pin, fromBase64(slot.salt), slot.iterations);
+  try {
+    return await crypto.subtle.unwrapKey(
+      'pkcs8',
+      fromBase64(slot.wrapped),
+      wrappingKey,
+      { name: 'AES-GCM', iv: fromBase64(slot.iv) },
+      ECDH,
+      false,
+      ['deriveKey']
+    );
+  } catch (err) {
+    throw new VaultError('Code PIN incorrect.', { code: 'bad_pin' });
+  }
+}
+
+function sharedWrappingKey(privateKey, publicKey) {
+  return crypto.subtle.deriveKey(
+    { name: 'ECDH', public: publicKey },
+    privateKey,
+    { name: 'AES-GCM', length: 256 },
+    false,
+    ['wrapKey', 'unwrapKey']
+  );
+}
+
+// Scelle la clé de données pour un profil, sans connaître son PIN (clé éphémère)
+export async function sealDataKeyFor(dataKey, publicJwk) {
+  const publicKey = await crypto.subtle.importKey('jwk', publicJwk, ECDH, false, []);
+  const ephemeral = await generateUserKeyPair();
+  const iv = randomBytes(12);
+  const wrapped = await crypto.subtle.wrapKey('raw', dataKey, await sharedWrappingKey(ephemeral.privateKey, publicKey), { name: 'AES-GCM', iv });
+  return { epk: await crypto.subtle.exportKey('jwk', ephemeral.publicKey), iv: toBase64(iv), wrapped: toBase64(wrapped) };
+}
+
+export async function openDataKeyWith(envelope, privateKey) {
+  const epk = await crypto.subtle.importKey('jwk', envelope.epk, ECDH, false, []);
+  try {
+    return await crypto.subtle.unwrapKey(
+      'raw',
+      fromBase64(envelope.wrapped),
+      await sharedWrappingKey(privateKey, epk),
+      { name: 'AES-GCM', iv: fromBase64(envelope.iv) },
+      { name: 'AES-GCM', length: 256 },
+      true,
+      ['encrypt', 'decrypt']
+    );
+  } catch (err) {
+    throw new VaultError('Clé de profil invalide.', { code: 'corrupted' });
+  }
+}
+
+export function exportPublicKey(publicKey) {
+  return crypto.subtle.exportKey('jwk', publicKey);
+}
+
+/* ---------- Champs chiffrés ---------- */
+export function isSealed(value) {
+  return typeof value === 'string' && value.startsWith(PREFIX);
+}
+
+function requireKey(key) {
+  const k = key || sessionKey;
+  if (!k) throw new VaultError('Application verrouillée: saisissez votre code PIN.', { code: 'locked' });
+  return k;
+}
+
+export async function sealValue(value, key) {
+  const k = requireKey(key);
+  const iv = randomBytes(12);
+  const data = await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, k, new TextEncoder().encode(JSON.stringify(value)));
+  return `${PREFIX}${toBase64(iv)}:${toBase64(data)}`;
+}
+
+export async function openValue(value, key) {
+  if (!isSealed(value)) return value;
+  const k = requireKey(key);
+  const [iv, data] = value.slice(PREFIX.length).split(':');
+  try {
+    const plain = await crypto.subtle.decrypt({ name: 'AES-GCM', iv: fromBase64(iv) }, k, fromBase64(data));
+    return JSON.parse(new TextDecoder().decode(plain));
+  } catch (err) {
+    throw new VaultError('Donnée chiffrée illisible avec la clé actuelle.', { code: 'corrupted' });
+  }
+}
+
+// Chiffre les `fields` présents de `record` (les autres champs restent lisibles)
+export async function sealFields(record, fields = PII_FIELDS, key) {
+  const out = { ...record };
+  await Promise.all(fields.map(async (f) => {
+    if (out[f] !== undefined && out[f] !== null && !isSealed(out[f])) out[f] = await sealValue(out[f], key);
+  }));
+  return out;
+}
+
+export async function openFields(record, fields = PII_FIELDS, key) {
+  const out = { ...record };
+  await Promise.all(fields.map(async (f) => {
+    if (isSealed(out[f])) out[f] = await openValue(out[f], key);
+  }));
+  return out;
+}
+
+export function hasSealedFields(record, fields = PII_FIELDS) {
+  return fields.some((f) => isSealed(record[f]));
+}
@@ -0,0 +1,91 @@
+/*
+  Indicateurs du tableau de bord, calculés sur les transactions chargées
+  depuis IndexedDB (déjà passées par les filtres de l'historique, voir
+  filters.js). Les annulations ne comptent pas.
+*/
+import { isActiveTransaction } from './corrections.js';
+import { PERIODS } from './commissions.js';
+import { localDateKey } from './closing.js';
+import { TRANSACTION_TYPES } from './transactionTypes.js';
+
+// Nombre de périodes affichées sur les courbes de tendance
+export const TREND_LENGTHS = { day: 14, week: 12, month: 12 };
+
+const amountOf = (t) => Number(t.montant) || 0;
+
+const typeIds = () => Object.keys(TRANSACTION_TYPES);
+
+// { [type]: { count, volume } } pour chaque type du registre (les types inconnus sont ignorés)
+export function volumeByType(transactions) {
+  const initial = Object.fromEntries(typeIds().map((type) => [type, { count: 0, volume: 0 }]));
+  return transactions.filter(isActiveTransaction).reduce((acc, t) => {
+    const bucket = acc[t.type];
+    if (!bucket) return acc;
+    bucket.count += 1;
+    bucket.volume += amountOf(t);
+    return acc;
+  }, initial);
+}
+
+export function todayVolume(transactions, now = new Date()) {
+  const today = localDateKey(now);
+  return volumeByType(transactions.filter((t) => localDateKey(t.created_at) === today));
+}
+
+export function averageTicket(transactions) {
+  const active = transactions.filter(isActiveTransaction);
+  if (!active.length) return 0;
+  return Math.round(active.reduce((s, t) => s + amountOf(t), 0) / active.length);
+}
+
+// Nombre d'opérations par heure locale: [{ hour: 0..23, count }]
+export function hourlyCounts(transactions) {
+  const counts = Array.from({ length: 24 }, (_, hour) => ({ hour, count: 0 }));
+  transactions.filter(isActiveTransaction).forEach((t) => {
+    counts[new Date(t.created_at).getHours()].count += 1;
+  });
+  return counts;
+}
+
+export function busiestHours(hourly, limit = 3) {
+  return hourly
+    .filter((h) => h.count > 0)
+    .sort((a, b) => b.count - a.count || a.hour - b.hour)
+    .slice(0, limit);
+}
+
+// Clés des `length` dernières périodes jusqu'à `now`, de la plus ancienne à la plus récente
+export function periodKeys(period, length, now = new Date()) {
+  const keys = [];
+  const cursor = new Date(now.getFullYear(), now.getMonth(), now.getDate());
+  while (keys.length < length) {
+    const key = PERIODS[period].key(cursor);
+    if (keys[0] !== key) keys.unshift(key);
+    if (period === 'month') cursor.setMonth(cursor.getMonth() - 1, 1);
+    else cursor.setDate(cursor.getDate() - (period === 'week' ? 7 : 1));
+  }
+  return keys;
+}
+
+/*
+  trend: volumes par période [{ key, count, [type]: volume }], les
+  périodes sans opération valent zéro pour que l'axe reste régulier.
+*/
+export function trend(transactions, period = 'day', length = TREND_LENGTHS[period], now = new Date()) {
+  const empty = Object.fromEntries(typeIds().map((type) => [type, 0]));
+  const buckets = new Map(periodKeys(period, length, now).map((key) => [key, { key, ...empty, count: 0 }]));
+  transactions.filter(isActiveTransaction).forEach((t) => {
+    const bucket = buckets.get(PERIODS[period].key(new Date(t.created_at)));
+    if (!bucket) return;
+    bucket.count += 1;
+    if (t.type in empty) bucket[t.type] += amountOf(t);
+  });
+  return [...buckets.values()];
+}
+
+// Libellé court d'une clé de période pour l'axe: 31/05, S22, 05/24
+export function periodLabel(period, key) {
+  if (period === 'week') return `S${key.split('-W')[1]}`;
+  const [y, m, d] = key.split('-');
+  return period === 'month' ? `${m}/${y.slice(2)}` : `${d}/${m}`;
+}
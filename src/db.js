@@ -0,0 +1,431 @@
+/* ---------- Simple IndexedDB helper (no external libs) ---------- */
+import { openFields, sealFields } from './crypto.js';
+
+export const DB_NAME = 'mm_transactions_db';
+export const STORE_NAME = 'transactions';
+export const SETTINGS_STORE = 'settings';
+export const FLOAT_STORE = 'float_entries';
+export const CLOSINGS_STORE = 'closings';
+export const FEE_GRIDS_STORE = 'fee_grids';
+export const AUDIT_STORE = 'audit_log';
+export const CLIENTS_STORE = 'clients';
+export const ALERTS_STORE = 'alerts';
+export const CONFLICTS_STORE = 'sync_conflicts';
+
+// Identifiant de cet appareil (settings), posé sur chaque révision qu'il écrit
+export const DEVICE_ID_KEY = 'device_id';
+
+// Fields the sync layer may still write on a record locked by a daily closing
+export const SYNC_FIELDS = ['status', 'synced_at', 'sync_attempts', 'next_retry_at', 'last_sync_error', 'sync_error', 'sync_dirty'];
+
+// Operator SMS reference (reconciliation.js): evidence only, kept on this device (never synced), also allowed after a closing
+export const RECONCILIATION_FIELDS = ['operator_ref', 'operator_balance', 'reconciled_at', 'reconciled_by'];
+
+/* ---------- Schema migrations ----------
+  Ordered list of upgrade steps. Each step runs once, inside the
+  `versionchange` transaction, for every install older than its version:
+  a v1 database (mobile_money.jsx) goes through steps 2..n in order.
+  Never edit a released step: append a new one and DB_VERSION follows.
+
+  `up(db, tx, context)` changes the schema; `records` maps a store name to
+  `fn(record, context)`, which returns the upgraded record or null when
+  there is nothing to change. Keeping the record changes apart lets a
+  backup made by an older version go through them too (migrateRecords).
+*/
+
+/*
+  Walk `storeName` once and chain the transforms of every step, in step
+  order: two cursors over the same store would each write back the record
+  as they read it and the last one would undo the other.
+*/
+function applyTransforms(tx, storeName, fns, context) {
+  tx.objectStore(storeName).openCursor().onsuccess = (e) => {
+    const cursor = e.target.result;
+    if (!cursor) return;
+    const updated = fns.reduce((record, fn) => fn(record, context) || record, cursor.value);
+    if (updated !== cursor.value) cursor.update(updated);
+    cursor.continue();
+  };
+}
+
+// Legacy records (mobile_money.jsx) stored the client name as `prenom` + `nom`
+export function mergeLegacyName(record) {
+  if (record.nom_complet || (record.prenom === undefined && record.nom === undefined)) return null;
+  const { prenom, nom, ...rest } = record;
+  return { ...rest, nom_complet: [prenom, nom].map((s) => (s || '').trim()).filter(Boolean).join(' ') };
+}
+
+export const MIGRATIONS = [
+  {
+    version: 1,
+    description: 'transactions store',
+    up(db) {
+      const store = db.createObjectStore(STORE_NAME, { keyPath: 'id' });
+      store.createIndex('status', 'status', { unique: false });
+      store.createIndex('created_at', 'created_at', { unique: false });
+    }
+  },
+  {
+    version: 2,
+    description: 'key/value settings (sync endpoint, token...)',
+    up(db) {
+      db.createObjectStore(SETTINGS_STORE, { keyPath: 'key' });
+    }
+  },
+  {
+    version: 3,
+    description: 'float movements (opening balances, top-ups, cash drops)',
+    up(db) {
+      const floatStore = db.createObjectStore(FLOAT_STORE, { keyPath: 'id' });
+      floatStore.createIndex('created_at', 'created_at', { unique: false });
+    }
+  },
+  {
+    version: 4,
+    description: 'operator of each transaction',
+    up(db, tx) {
+      tx.objectStore(STORE_NAME).createIndex('operator', 'operator', { unique: false });
+    }
+  },
+  {
+    version: 5,
+    description: 'daily cash closings, keyed by local date (YYYY-MM-DD)',
+    up(db) {
+      db.createObjectStore(CLOSINGS_STORE, { keyPath: 'date' });
+    }
+  },
+  {
+    version: 6,
+    description: 'commission grids, one per operator and transaction type',
+    up(db) {
+      db.createObjectStore(FEE_GRIDS_STORE, { keyPath: 'id' });
+    }
+  },
+  {
+    version: 7,
+    description: 'audit trail of creations, cancellations and corrections',
+    up(db) {
+      const auditStore = db.createObjectStore(AUDIT_STORE, { keyPath: 'id' });
+      auditStore.createIndex('tx_id', 'tx_id', { unique: false });
+    }
+  },
+  {
+    version: 8,
+    description: 'merge legacy prenom/nom into nom_complet',
+    records: { [STORE_NAME]: mergeLegacyName }
+  },
+  {
+    version: 9,
+    description: 'customer registry, filled from transactions (see clients.js)',
+    up(db) {
+      const clients = db.createObjectStore(CLIENTS_STORE, { keyPath: 'id' });
+      clients.createIndex('phones', 'phones', { unique: false, multiEntry: true });
+      clients.createIndex('last_visit', 'last_visit', { unique: false });
+    }
+  },
+  {
+    version: 10,
+    description: 'compliance alerts awaiting review (see compliance.js)',
+    up(db) {
+      const alerts = db.createObjectStore(ALERTS_STORE, { keyPath: 'id' });
+      alerts.createIndex('status', 'status', { unique: false });
+      alerts.createIndex('tx_id', 'tx_id', { unique: false });
+    }
+  },
+  {
+    version: 11,
+    description: 'type and amount indexes for the history filters (see filters.js)',
+    up(db, tx) {
+      const store = tx.objectStore(STORE_NAME);
+      store.createIndex('type', 'type', { unique: false });
+      store.createIndex('montant', 'montant', { unique: false });
+    }
+  },
+  {
+    version: 12,
+    description: 'compound indexes: date order within a status, type or operator, for cursor pagination (see query.js)',
+    up(db, tx) {
+      const store = tx.objectStore(STORE_NAME);
+      store.createIndex('status_created_at', ['status', 'created_at'], { unique: false });
+      store.createIndex('type_created_at', ['type', 'created_at'], { unique: false });
+      store.createIndex('operator_created_at', ['operator', 'created_at'], { unique: false });
+    }
+  },
+  {
+    version: 13,
+    description: 'two-way sync: device id, revision of every transaction and the conflicts list (see sync.js)',
+    up(db, tx, context) {
+      const conflicts = db.createObjectStore(CONFLICTS_STORE, { keyPath: 'id' });
+      conflicts.createIndex('detected_at', 'detected_at', { unique: false });
+      conflicts.createIndex('tx_id', 'tx_id', { unique: false });
+      context.deviceId = uuidv4();
+      tx.objectStore(SETTINGS_STORE).put({ key: DEVICE_ID_KEY, value: context.deviceId });
+    },
+    // Existing records become revision 1 of this device
+    records: {
+      [STORE_NAME]: (record, { deviceId }) => (record.rev ? null : {
+        ...record,
+        rev: 1,
+        device_id: deviceId,
+        updated_at: record.created_at
+      })
+    }
+  },
+  {
+    version: 14,
+    description: 'drop the clients phones index: phones are encrypted with a random IV, it could never match (lookup is in memory, see clients.js)',
+    up(db, tx) {
+      tx.objectStore(CLIENTS_STORE).deleteIndex('phones');
+    }
+  }
+];
+
+export const DB_VERSION = MIGRATIONS[MIGRATIONS.length - 1].version;
+
+// Record transforms of the steps after `fromVersion`, in step order: store name -> [fn]
+function recordTransforms(fromVersion, toVersion = DB_VERSION) {
+  const transforms = new Map();
+  MIGRATIONS
+    .filter((m) => m.version > fromVersion && m.version <= toVersion && m.records)
+    .forEach((m) => Object.entries(m.records).forEach(([storeName, fn]) => {
+      transforms.set(storeName, [...(transforms.get(storeName) || []), fn]);
+    }));
+  return transforms;
+}
+
+export function runMigrations(db, tx, oldVersion, newVersion = DB_VERSION) {
+  const context = {};
+  MIGRATIONS
+    .filter((m) => m.version > oldVersion && m.version <= newVersion && m.up)
+    .forEach((m) => m.up(db, tx, context));
+  recordTransforms(oldVersion, newVersion).forEach((fns, storeName) => applyTransforms(tx, storeName, fns, context));
+}
+
+/*
+  migrateRecords: the record changes of the steps after `fromVersion`,
+  applied to plain records of `storeName` (a backup made by an older
+  version, see backup.js). `context` stands for what the skipped `up`
+  steps would have set, e.g. { deviceId }.
+*/
+export function migrateRecords(storeName, records, fromVersion, context) {
+  const fns = recordTransforms(fromVersion).get(storeName) || [];
+  return records.map((record) => fns.reduce((current, fn) => fn(current, context) || current, record));
+}
+
+/*
+  One connection shared by every operation (opening one per call costs a
+  few milliseconds each time on low-end phones). It is dropped when another
+  tab upgrades the schema or the browser closes it; the next call reopens.
+*/
+let connection = null;
+
+export function openDB() {
+  if (connection) return connection;
+  connection = new Promise((resolve, reject) => {
+    const req = indexedDB.open(DB_NAME, DB_VERSION);
+    req.onupgradeneeded = (e) => {
+      runMigrations(e.target.result, e.target.transaction, e.oldVersion, e.newVersion);
+    };
+    req.onsuccess = () => {
+      const db = req.result;
+      // Another tab is upgrading the schema: release this connection so it is not blocked
+      db.onversionchange = () => {
+        db.close();
+        connection = null;
+      };
+      db.onclose = () => {
+        connection = null;
+      };
+      resolve(db);
+    };
+    req.onerror = () => {
+      connection = null;
+      reject(req.error);
+    };
+    req.onblocked = () => console.warn('Mise à jour de la base bloquée: fermez les autres onglets MobiLedger.');
+  });
+  return connection;
+}
+
+export async function closeDB() {
+  const pending = connection;
+  connection = null;
+  if (pending) (await pending).close();
+}
+
+/*
+  Transactions: les champs personnels (crypto.PII_FIELDS) sont chiffrés avant
+  écriture et déchiffrés à la lecture. Le chiffrement se fait avant d'ouvrir
+  la transaction IndexedDB, qui se fermerait pendant un await.
+*/
+export async function addTransaction(tx) {
+  const sealed = await sealFields(tx);
+  const db = await openDB();
+  return new Promise((resolve, reject) => {
+    const txDB = db.transaction(STORE_NAME, 'readwrite');
+    const store = txDB.objectStore(STORE_NAME);
+    const req = store.add(sealed);
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+  });
+}
+
+/*
+  putTransactions: écrit des versions complètes (synchronisation entrante),
+  toutes dans une seule transaction IndexedDB. Même verrou que
+  updateTransaction: sur une transaction clôturée, seuls les SYNC_FIELDS et
+  RECONCILIATION_FIELDS peuvent changer. Les versions enregistrées sont
+  comparées en clair avant l'écriture, puis relues dedans au cas où une
+  clôture serait passée entre-temps.
+*/
+export async function putTransactions(records) {
+  const stored = await Promise.all(records.map((r) => getTransaction(r.id)));
+  records.forEach((r, i) => {
+    if (stored[i] && stored[i].closing_date && lockedFieldChanges(stored[i], r).length) throw lockedError(stored[i]);
+  });
+  const sealed = await Promise.all(records.map((r) => sealFields(r)));
+  const db = await openDB();
+  return new Promise((resolve, reject) => {
+    const txDB = db.transaction(STORE_NAME, 'readwrite');
+    const store = txDB.objectStore(STORE_NAME);
+    sealed.forEach((r, i) => {
+      const getReq = store.get(r.id);
+      getReq.onsuccess = () => {
+        const current = getReq.result;
+        if (current && current.closing_date && !(stored[i] && stored[i].closing_date)) {
+          txDB.abort();
+          reject(lockedError(current));
+          return;
+        }
+        store.put(r);
+      };
+    });
+    txDB.oncomplete = () => resolve(records);
+    txDB.onerror = () => reject(txDB.error);
+  });
+}
+
+// Champs figés par une clôture qui diffèrent entre la version enregistrée et `next` (en clair)
+export function lockedFieldChanges(stored, next) {
+  return [...new Set([...Object.keys(stored), ...Object.keys(next)])]
+    .filter((k) => !SYNC_FIELDS.includes(k) && !RECONCILIATION_FIELDS.includes(k))
+    .filter((k) => JSON.stringify(stored[k]) !== JSON.stringify(next[k]));
+}
+
+function lockedError(record) {
+  return new Error(`Transaction verrouillée par la clôture du ${record.closing_date}`);
+}
+
+// Most recent first, read in index order (no sort in memory)
+export async function getAllTransactions() {
+  const db = await openDB();
+  return new Promise((resolve, reject) => {
+    const txDB = db.transaction(STORE_NAME, 'readonly');
+    const index = txDB.objectStore(STORE_NAME).index('created_at');
+    const req = index.getAll();
+    req.onsuccess = () => resolve(Promise.all((req.result || []).reverse().map((t) => openFields(t))));
+    req.onerror = () => reject(req.error);
+  });
+}
+
+export async function getTransaction(id) {
+  const db = await openDB();
+  return new Promise((resolve, reject) => {
+    const req = db.transaction(STORE_NAME, 'readonly').objectStore(STORE_NAME).get(id);
+    req.onsuccess = () => resolve(req.result ? openFields(req.result) : null);
+    req.onerror = () => reject(req.error);
+  });
+}
+
+// `range` est un IDBKeyRange sur l'index `indexName` (status, created_at, operator, type, montant)
+export async function getTransactionsByIndex(indexName, range) {
+  const db = await openDB();
+  return new Promise((resolve, reject) => {
+    const req = db.transaction(STORE_NAME, 'readonly').objectStore(STORE_NAME).index(indexName).getAll(range);
+    req.onsuccess = () => resolve(Promise.all((req.result || []).map((t) => openFields(t))));
+    req.onerror = () => reject(req.error);
+  });
+}
+
+export async function updateTransaction(id, patch) {
+  const sealedPatch = await sealFields(patch);
+  const db = await openDB();
+  return new Promise((resolve, reject) => {
+    const txDB = db.transaction(STORE_NAME, 'readwrite');
+    const store = txDB.objectStore(STORE_NAME);
+    const getReq = store.get(id);
+    getReq.onsuccess = () => {
+      const record = getReq.result;
+      if (!record) return reject(new Error('Not found'));
+      if (record.closing_date && Object.keys(patch).some((k) => !SYNC_FIELDS.includes(k) && !RECONCILIATION_FIELDS.includes(k))) {
+        return reject(lockedError(record));
+      }
+      const updated = { ...record, ...sealedPatch };
+      const putReq = store.put(updated);
+      putReq.onsuccess = () => resolve(openFields(updated));
+      putReq.onerror = () => reject(putReq.error);
+    };
+    getReq.onerror = () => reject(getReq.error);
+  });
+}
+
+/* ---------- Generic store access ---------- */
+export async function getAllRecords(storeName) {
+  const db = await openDB();
+  return new Promise((resolve, reject) => {
+    const txDB = db.transaction(storeName, 'readonly');
+    const req = txDB.objectStore(storeName).getAll();
+    req.onsuccess = () => resolve(req.result || []);
+    req.onerror = () => reject(req.error);
+  });
+}
+
+export async function putRecord(storeName, record) {
+  const db = await openDB();
+  return new Promise((resolve, reject) => {
+    const txDB = db.transaction(storeName, 'readwrite');
+    const req = txDB.objectStore(storeName).put(record);
+    req.onsuccess = () => resolve(record);
+    req.onerror = () => reject(req.error);
+  });
+}
+
+/* ---------- Settings (key/value) ---------- */
+export async function getSetting(key, fallback = null) {
+  const db = await openDB();
+  return new Promise((resolve, reject) => {
+    const txDB = db.transaction(SETTINGS_STORE, 'readonly');
+    const req = txDB.objectStore(SETTINGS_STORE).get(key);
+    req.onsuccess = () => resolve(req.result ? req.result.value : fallback);
+    req.onerror = () => reject(req.error);
+  });
+}
+
+export async function setSetting(key, value) {
+  const db = await openDB();
+  return new Promise((resolve, reject) => {
+    const txDB = db.transaction(SETTINGS_STORE, 'readwrite');
+    const req = txDB.objectStore(SETTINGS_STORE).put({ key, value });
+    req.onsuccess = () => resolve(value);
+    req.onerror = () => reject(req.error);
+  });
+}
+
+// Created on first use for databases that never went through migration 13
+let deviceId = null;
+
+export async function getDeviceId() {
+  if (!deviceId) {
+    deviceId = (await getSetting(DEVICE_ID_KEY)) || (await setSetting(DEVICE_ID_KEY, uuidv4()));
+  }
+  return deviceId;
+}
+
+/* ---------- Utility: generate UUID (simple) ---------- */
+export function uuidv4() {
+  return 'xxxxxxxx-xxxx-4xxx-yxxx-xxxxxxxxxxxx'.replace(/[xy]/g, function (c) {
+    const r = (Math.random() * 16) | 0;
+    const v = c === 'x' ? r : (r & 0x3) | 0x8;
+    return v.toString(16);
+  });
+}
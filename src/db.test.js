@@ -0,0 +1,136 @@
+import 'fake-indexeddb/auto';
+import { IDBFactory } from 'fake-indexeddb';
+import { afterEach, beforeEach, describe, expect, it } from 'vitest';
+import {
+  ALERTS_STORE,
+  AUDIT_STORE,
+  CLIENTS_STORE,
+  CLOSINGS_STORE,
+  CONFLICTS_STORE,
+  DB_NAME,
+  DB_VERSION,
+  DEVICE_ID_KEY,
+  FEE_GRIDS_STORE,
+  FLOAT_STORE,
+  SETTINGS_STORE,
+  STORE_NAME,
+  closeDB,
+  getAllTransactions,
+  getSetting,
+  mergeLegacyName,
+  openDB
+} from './db.js';
+
+/* ---------- Fixtures ---------- */
+
+// Base telle que la créait mobile_money.jsx (version 1, prénom et nom séparés)
+function openLegacyDB(records) {
+  return new Promise((resolve, reject) => {
+    const req = indexedDB.open(DB_NAME, 1);
+    req.onupgradeneeded = () => {
+      const store = req.result.createObjectStore(STORE_NAME, { keyPath: 'id' });
+      store.createIndex('status', 'status', { unique: false });
+      store.createIndex('created_at', 'created_at', { unique: false });
+      records.forEach((r) => store.add(r));
+    };
+    req.onsuccess = () => {
+      req.result.close();
+      resolve();
+    };
+    req.onerror = () => reject(req.error);
+  });
+}
+
+const legacy = (id, fields) => ({
+  id,
+  type: 'deposit',
+  id_document: 'B1234567',
+  telephone: '70112233',
+  montant: 5000,
+  status: 'pending',
+  created_at: `2024-05-3${id}T10:00:00.000Z`,
+  ...fields
+});
+
+const indexNames = (db, store) => [...db.transaction(store, 'readonly').objectStore(store).indexNames].sort();
+const byId = (records) => Object.fromEntries(records.map((t) => [t.id, t]));
+
+beforeEach(() => {
+  // Une base vierge par test
+  globalThis.indexedDB = new IDBFactory();
+});
+
+afterEach(async () => {
+  await closeDB();
+});
+
+/* ---------- Migrations ---------- */
+
+describe('mergeLegacyName', () => {
+  it('joins prenom and nom and drops them', () => {
+    expect(mergeLegacyName({ id: '1', prenom: ' Awa ', nom: 'Ouédraogo' })).toEqual({ id: '1', nom_complet: 'Awa Ouédraogo' });
+  });
+
+  it('keeps the part that is present', () => {
+    expect(mergeLegacyName({ id: '1', prenom: '', nom: 'Sawadogo' })).toEqual({ id: '1', nom_complet: 'Sawadogo' });
+  });
+
+  it('leaves current records alone', () => {
+    expect(mergeLegacyName({ id: '1', nom_complet: 'Awa Ouédraogo' })).toBeNull();
+    expect(mergeLegacyName({ id: '1' })).toBeNull();
+  });
+});
+
+describe('upgrade from a v1 database (mobile_money.jsx)', () => {
+  beforeEach(() => openLegacyDB([
+    legacy('1', { prenom: 'Awa', nom: 'Ouédraogo' }),
+    legacy('2', { prenom: 'Issa', nom: '' }),
+    legacy('3', { status: 'synced', prenom: '  Moussa ', nom: ' Kaboré  ' })
+  ]));
+
+  it('reaches the current version with every store', async () => {
+    const db = await openDB();
+    expect(db.version).toBe(DB_VERSION);
+    expect([...db.objectStoreNames].sort()).toEqual([
+      ALERTS_STORE, AUDIT_STORE, CLIENTS_STORE, CLOSINGS_STORE, FEE_GRIDS_STORE,
+      FLOAT_STORE, SETTINGS_STORE, CONFLICTS_STORE, STORE_NAME
+    ].sort());
+  });
+
+  it('merges prenom and nom into nom_complet', async () => {
+    const records = byId(await getAllTransactions());
+    expect(records['1'].nom_complet).toBe('Awa Ouédraogo');
+    expect(records['2'].nom_complet).toBe('Issa');
+    expect(records['3'].nom_complet).toBe('Moussa Kaboré');
+    Object.values(records).forEach((t) => {
+      expect(t).not.toHaveProperty('prenom');
+      expect(t).not.toHaveProperty('nom');
+    });
+  });
+
+  it('keeps the legacy fields and statuses', async () => {
+    const moussa = byId(await getAllTransactions())['3'];
+    expect(moussa).toMatchObject({ type: 'deposit', montant: 5000, status: 'synced', telephone: '70112233' });
+  });
+
+  it('creates the indexes added along the way', async () => {
+    const db = await openDB();
+    expect(indexNames(db, STORE_NAME)).toEqual([
+      'created_at', 'montant', 'operator', 'operator_created_at',
+      'status', 'status_created_at', 'type', 'type_created_at'
+    ]);
+    expect(indexNames(db, FLOAT_STORE)).toEqual(['created_at']);
+    expect(indexNames(db, AUDIT_STORE)).toEqual(['tx_id']);
+    expect(indexNames(db, CLIENTS_STORE)).toEqual(['last_visit']);
+    expect(indexNames(db, ALERTS_STORE)).toEqual(['status', 'tx_id']);
+    expect(indexNames(db, CONFLICTS_STORE)).toEqual(['detected_at', 'tx_id']);
+  });
+
+  it('stamps every record as revision 1 of this device', async () => {
+    const deviceId = await getSetting(DEVICE_ID_KEY);
+    expect(deviceId).toMatch(/^[0-9a-f-]{36}$/);
+    (await getAllTransactions()).forEach((t) => {
+      expect(t).toMatchObject({ rev: 1, device_id: deviceId, updated_at: t.created_at });
+    });
+  });
+});
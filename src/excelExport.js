@@ -0,0 +1,246 @@
+/*
+  Classeur Excel pour la comptabilité.
+
+  - Synthèse     : totaux par type, par statut, par opérateur et par agent,
+                   en formules (NB.SI.ENS / SOMME.SI.ENS) sur la feuille Transactions
+  - Transactions : toutes les lignes exportées
+  - une feuille par jour ou par opérateur (`groupBy`)
+  - Journal d'audit des transactions exportées
+
+  Montants en nombres au format FCFA, dates en vraies cellules date, en-tête
+  figé, filtre automatique et ligne de total en formules (hors annulations).
+*/
+import ExcelJS from 'exceljs';
+import { AUDIT_ACTIONS, historySummary, isActiveTransaction } from './corrections.js';
+import { getOperator } from './operators.js';
+import { STATUSES, TYPES } from './filters.js';
+import { localDateKey } from './closing.js';
+import { TYPE_EXPORT_COLUMNS } from './transactionTypes.js';
+import { formatDate, timestamp } from './format.js';
+
+export const GROUP_BY = {
+  day: 'Une feuille par jour',
+  operator: 'Une feuille par opérateur'
+};
+
+const FCFA_FORMAT = '#,##0 "FCFA"';
+const DATE_FORMAT = 'dd/mm/yyyy hh:mm';
+const MAIN_SHEET = 'Transactions';
+
+const COLUMNS = [
+  { header: 'Réf.', key: 'ref', width: 10 },
+  { header: 'Réf. opérateur', key: 'operator_ref', width: 22 },
+  { header: 'Date', key: 'date', width: 17, style: { numFmt: DATE_FORMAT } },
+  { header: 'Type', key: 'type', width: 20 },
+  { header: 'Opérateur', key: 'operator', width: 16 },
+  { header: 'Client', key: 'client', width: 24 },
+  { header: 'CNIB/Passport', key: 'document', width: 16 },
+  { header: 'Téléphone', key: 'phone', width: 16 },
+  // Colonnes déclarées par les types (bénéficiaire, facture...), vides pour les autres types
+  ...TYPE_EXPORT_COLUMNS,
+  { header: 'Montant', key: 'amount', width: 16, style: { numFmt: FCFA_FORMAT } },
+  { header: 'Commission', key: 'commission', width: 14, style: { numFmt: FCFA_FORMAT } },
+  { header: 'Statut', key: 'status', width: 14 },
+  { header: 'Agent', key: 'agent', width: 16 },
+  { header: 'Historique', key: 'history', width: 40 }
+];
+
+// Lettre de colonne de `key` dans COLUMNS (A, B...)
+const col = (key) => String.fromCharCode(65 + COLUMNS.findIndex((c) => c.key === key));
+
+/*
+  ExcelJS écrit les dates en UTC: on décale pour que la cellule affiche
+  l'heure locale du kiosque.
+*/
+function excelDate(iso) {
+  const d = new Date(iso);
+  return new Date(d.getTime() - d.getTimezoneOffset() * 60000);
+}
+
+// Noms de feuille: 31 caractères max, sans : \ / ? * [ ]
+function sheetName(name, used) {
+  const base = name.replace(/[:\\/?*[\]]/g, '-').slice(0, 28) || 'Feuille';
+  let candidate = base;
+  let i = 2;
+  while (used.has(candidate.toLowerCase())) candidate = `${base} ${i++}`;
+  used.add(candidate.toLowerCase());
+  return candidate;
+}
+
+function toRow(t, operators) {
+  return {
+    ref: t.id.slice(0, 8),
+    operator_ref: t.operator_ref || '',
+    date: excelDate(t.created_at),
+    type: TYPES[t.type] || t.type,
+    operator: getOperator(operators, t.operator).name,
+    client: t.nom_complet,
+    document: t.id_document,
+    phone: t.telephone,
+    ...Object.fromEntries(TYPE_EXPORT_COLUMNS.map((c) => [c.key, t[c.key] || ''])),
+    amount: Number(t.montant) || 0,
+    commission: Number(t.commission) || 0,
+    status: STATUSES[t.status] || t.status,
+    agent: t.created_by_name || '',
+    history: historySummary(t)
+  };
+}
+
+function styleHeader(sheet, columnCount) {
+  const header = sheet.getRow(1);
+  header.font = { bold: true };
+  header.fill = { type: 'pattern', pattern: 'solid', fgColor: { argb: 'FFE2E8F0' } };
+  sheet.views = [{ state: 'frozen', ySplit: 1 }];
+  sheet.autoFilter = { from: { row: 1, column: 1 }, to: { row: 1, column: columnCount } };
+}
+
+// Feuille de transactions suivie d'une ligne de total
+function addTransactionSheet(workbook, name, transactions, operators) {
+  const sheet = workbook.addWorksheet(name);
+  sheet.columns = COLUMNS;
+  transactions.forEach((t) => sheet.addRow(toRow(t, operators)));
+  styleHeader(sheet, COLUMNS.length);
+
+  const last = transactions.length + 1;
+  const active = transactions.filter(isActiveTransaction);
+  const sum = (field) => active.reduce((s, t) => s + (Number(t[field]) || 0), 0);
+  const total = sheet.addRow({ ref: 'Total' });
+  total.font = { bold: true };
+  // Les annulations restent listées mais ne comptent pas dans les totaux
+  ['amount', 'commission'].forEach((key) => {
+    const range = `${col(key)}2:${col(key)}${last}`;
+    total.getCell(key).value = {
+      formula: `SUMIFS(${range},${col('status')}2:${col('status')}${last},"<>${STATUSES.cancelled}")`,
+      result: sum(key === 'amount' ? 'montant' : 'commission')
+    };
+  });
+  // SOUS.TOTAL(103) ne compte que les lignes laissées visibles par le filtre automatique
+  total.getCell('type').value = 'Lignes visibles:';
+  total.getCell('operator').value = { formula: `SUBTOTAL(103,${col('ref')}2:${col('ref')}${last})`, result: transactions.length };
+  return sheet;
+}
+
+/*
+  Tableau de synthèse: une ligne par valeur de `field`, formules sur la
+  feuille Transactions. `activeOnly` exclut les annulations.
+*/
+function addSummaryTable(sheet, title, field, values, transactions, { activeOnly = true } = {}) {
+  const ref = (key) => `'${MAIN_SHEET}'!$${col(key)}:$${col(key)}`;
+  const extra = activeOnly ? `,${ref('status')},"<>${STATUSES.cancelled}"` : '';
+  const titleRow = sheet.addRow([title]);
+  titleRow.font = { bold: true, size: 12 };
+  const header = sheet.addRow(['', 'Nombre', 'Montant', 'Commission']);
+  header.font = { bold: true };
+  const first = header.number + 1;
+
+  values.forEach(({ label, match }) => {
+    const rows = transactions.filter((t) => match(t) && (!activeOnly || isActiveTransaction(t)));
+    const criteria = `${ref(field)},"${label.replace(/"/g, '""')}"${extra}`;
+    sheet.addRow([
+      label,
+      { formula: `COUNTIFS(${criteria})`, result: rows.length },
+      { formula: `SUMIFS(${ref('amount')},${criteria})`, result: rows.reduce((s, t) => s + (Number(t.montant) || 0), 0) },
+      { formula: `SUMIFS(${ref('commission')},${criteria})`, result: rows.reduce((s, t) => s + (Number(t.commission) || 0), 0) }
+    ]);
+  });
+
+  const last = sheet.lastRow.number;
+  const total = sheet.addRow(['Total', ...['B', 'C', 'D'].map((c) => ({ formula: `SUM(${c}${first}:${c}${last})` }))]);
+  total.font = { bold: true };
+  sheet.addRow([]);
+}
+
+function addSummarySheet(workbook, transactions, operators, filtersLabel) {
+  const sheet = workbook.addWorksheet('Synthèse');
+  sheet.columns = [
+    { key: 'label', width: 28 },
+    { key: 'count', width: 10 },
+    { key: 'amount', width: 18, style: { numFmt: FCFA_FORMAT } },
+    { key: 'commission', width: 16, style: { numFmt: FCFA_FORMAT } }
+  ];
+  sheet.addRow(['Export des transactions']).font = { bold: true, size: 14 };
+  sheet.addRow([`Édité le ${formatDate(new Date().toISOString())}`]);
+  if (filtersLabel) sheet.addRow([`Filtres: ${filtersLabel}`]);
+  sheet.addRow([]);
+
+  const distinct = (keyOf) => [...new Set(transactions.map(keyOf))];
+  addSummaryTable(sheet, 'Par type (hors annulations)', 'type',
+    Object.entries(TYPES).map(([id, label]) => ({ label, match: (t) => t.type === id })), transactions);
+  addSummaryTable(sheet, 'Par statut', 'status',
+    Object.entries(STATUSES).map(([id, label]) => ({ label, match: (t) => t.status === id })), transactions, { activeOnly: false });
+  addSummaryTable(sheet, 'Par opérateur (hors annulations)', 'operator',
+    distinct((t) => getOperator(operators, t.operator).name).map((label) => ({ label, match: (t) => getOperator(operators, t.operator).name === label })),
+    transactions);
+  addSummaryTable(sheet, 'Par agent (hors annulations)', 'agent',
+    distinct((t) => t.created_by_name || '').filter(Boolean).map((label) => ({ label, match: (t) => t.created_by_name === label })),
+    transactions);
+  return sheet;
+}
+
+function addAuditSheet(workbook, auditEntries) {
+  const sheet = workbook.addWorksheet('Journal d\'audit');
+  sheet.columns = [
+    { header: 'Date', key: 'at', width: 17, style: { numFmt: DATE_FORMAT } },
+    { header: 'Réf.', key: 'ref', width: 10 },
+    { header: 'Action', key: 'action', width: 14 },
+    { header: 'Par', key: 'user', width: 16 },
+    { header: 'Motif', key: 'reason', width: 30 },
+    { header: 'Modifications', key: 'changes', width: 40 },
+    { header: 'Réf. liée', key: 'related', width: 10 }
+  ];
+  auditEntries.forEach((a) => sheet.addRow({
+    at: excelDate(a.at),
+    ref: a.tx_id.slice(0, 8),
+    action: AUDIT_ACTIONS[a.action] || a.action,
+    user: a.user,
+    reason: a.reason,
+    changes: a.changes ? Object.entries(a.changes).map(([f, c]) => `${f}: ${c.from} → ${c.to}`).join('; ') : '',
+    related: a.related_id ? a.related_id.slice(0, 8) : ''
+  }));
+  styleHeader(sheet, 7);
+}
+
+/*
+  buildWorkbook: `transactions` est la liste filtrée telle qu'affichée,
+  `auditEntries` le journal complet (seules les entrées de ces transactions
+  sont reprises).
+*/
+export function buildWorkbook(transactions, { operators, auditEntries = [], groupBy = 'day', filtersLabel = '' }) {
+  const workbook = new ExcelJS.Workbook();
+  workbook.creator = 'MobiLedger';
+  workbook.created = new Date();
+  // Les totaux de synthèse n'ont pas de résultat précalculé: Excel recalcule à l'ouverture
+  workbook.calcProperties.fullCalcOnLoad = true;
+
+  addSummarySheet(workbook, transactions, operators, filtersLabel);
+  addTransactionSheet(workbook, MAIN_SHEET, transactions, operators);
+
+  const used = new Set([MAIN_SHEET, 'Synthèse', 'Journal d\'audit'].map((n) => n.toLowerCase()));
+  const groups = new Map();
+  [...transactions]
+    .sort((a, b) => (a.created_at < b.created_at ? -1 : 1))
+    .forEach((t) => {
+      const key = groupBy === 'operator' ? getOperator(operators, t.operator).name : localDateKey(t.created_at);
+      if (!groups.has(key)) groups.set(key, []);
+      groups.get(key).push(t);
+    });
+  groups.forEach((list, key) => {
+    const label = groupBy === 'operator' ? key : key.split('-').reverse().join('-');
+    addTransactionSheet(workbook, sheetName(label, used), list, operators);
+  });
+
+  const ids = new Set(transactions.map((t) => t.id));
+  addAuditSheet(workbook, auditEntries.filter((a) => ids.has(a.tx_id)).sort((a, b) => (a.at < b.at ? -1 : 1)));
+  return workbook;
+}
+
+export async function downloadWorkbook(workbook, prefix = 'transactions') {
+  const buffer = await workbook.xlsx.writeBuffer();
+  const blob = new Blob([buffer], { type: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet' });
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = `${prefix}-${timestamp()}.xlsx`;
+  a.click();
+  URL.revokeObjectURL(url);
+}
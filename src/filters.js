@@ -0,0 +1,209 @@
+/*
+  Filtres structurés de l'historique (et du tableau de bord).
+
+  filters = { operator, from, to, type, status, min, max, sort, dir }
+  Les dates sont des jours locaux YYYY-MM-DD inclus, les montants des
+  chaînes de chiffres ('' = pas de borne). L'état est reflété dans l'URL
+  (?op=orange&from=2024-05-20&type=withdrawal&status=pending&min=100000)
+  pour survivre à un rechargement. La recherche libre n'y figure pas: elle
+  porte sur des noms et numéros de clients.
+*/
+import { getAllTransactions, getTransactionsByIndex } from './db.js';
+import { dayBounds, localDateKey } from './closing.js';
+import { TRANSACTION_TYPES } from './transactionTypes.js';
+
+export const DEFAULT_FILTERS = {
+  operator: '',
+  from: '',
+  to: '',
+  type: '',
+  status: '',
+  min: '',
+  max: '',
+  sort: 'created_at',
+  dir: 'desc'
+};
+
+// Nom du paramètre d'URL de chaque filtre
+const QUERY_PARAMS = {
+  operator: 'op',
+  from: 'from',
+  to: 'to',
+  type: 'type',
+  status: 'status',
+  min: 'min',
+  max: 'max',
+  sort: 'sort',
+  dir: 'dir'
+};
+
+// Libellés des types, dans l'ordre du registre
+export const TYPES = Object.fromEntries(Object.entries(TRANSACTION_TYPES).map(([id, type]) => [id, type.label]));
+
+export const STATUSES = {
+  pending: 'En attente',
+  synced: 'Synchronisée',
+  rejected: 'Rejetée',
+  cancelled: 'Annulée'
+};
+
+export const SORTABLE_FIELDS = {
+  created_at: 'Date',
+  nom_complet: 'Client',
+  operator: 'Opérateur',
+  montant: 'Montant',
+  status: 'Statut'
+};
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// Périodes prêtes à l'emploi: { from, to } relatifs à `now`
+export const DATE_PRESETS = {
+  today: { label: 'Aujourd\'hui', range: (now) => ({ from: localDateKey(now), to: localDateKey(now) }) },
+  week: {
+    label: '7 derniers jours',
+    range: (now) => ({ from: localDateKey(new Date(now.getFullYear(), now.getMonth(), now.getDate() - 6)), to: localDateKey(now) })
+  },
+  month: {
+    label: 'Ce mois-ci',
+    range: (now) => ({ from: localDateKey(new Date(now.getFullYear(), now.getMonth(), 1)), to: localDateKey(now) })
+  }
+};
+
+/*
+  boundedFilters: sans période choisie, les totaux de l'historique et le
+  tableau de bord portent sur le mois en cours au lieu de relire tout le
+  magasin après chaque écriture. Liste et compteur gardent `filters`.
+*/
+export function boundedFilters(filters, now = new Date()) {
+  if (filters.from || filters.to) return filters;
+  return { ...filters, ...DATE_PRESETS.month.range(now) };
+}
+
+/* ---------- URL ---------- */
+
+function sanitize(filters) {
+  const clean = { ...DEFAULT_FILTERS, ...filters };
+  ['from', 'to'].forEach((f) => {
+    if (!DATE_PATTERN.test(clean[f])) clean[f] = '';
+  });
+  ['min', 'max'].forEach((f) => {
+    clean[f] = String(clean[f]).replace(/\D/g, '');
+  });
+  if (!TYPES[clean.type]) clean.type = '';
+  if (!STATUSES[clean.status]) clean.status = '';
+  if (!SORTABLE_FIELDS[clean.sort]) clean.sort = DEFAULT_FILTERS.sort;
+  if (clean.dir !== 'asc') clean.dir = 'desc';
+  return clean;
+}
+
+export function filtersFromQuery(search) {
+  const params = new URLSearchParams(search);
+  const filters = {};
+  Object.entries(QUERY_PARAMS).forEach(([field, param]) => {
+    if (params.has(param)) filters[field] = params.get(param);
+  });
+  return sanitize(filters);
+}
+
+// Seuls les filtres différents des valeurs par défaut apparaissent dans l'URL
+export function filtersToQuery(filters) {
+  const params = new URLSearchParams();
+  Object.entries(QUERY_PARAMS).forEach(([field, param]) => {
+    if (filters[field] !== DEFAULT_FILTERS[field]) params.set(param, filters[field]);
+  });
+  const query = params.toString();
+  return query ? `?${query}` : '';
+}
+
+// Résumé lisible pour les exports: "Retrait, En attente, à partir du 20/05/2024"
+export function describeFilters(filters, operators = []) {
+  const day = (key) => key.split('-').reverse().join('/');
+  const parts = [];
+  if (filters.operator) parts.push((operators.find((op) => op.id === filters.operator) || { name: filters.operator }).name);
+  if (filters.type) parts.push(TYPES[filters.type]);
+  if (filters.status) parts.push(STATUSES[filters.status]);
+  if (filters.from && filters.to) parts.push(`du ${day(filters.from)} au ${day(filters.to)}`);
+  else if (filters.from) parts.push(`à partir du ${day(filters.from)}`);
+  else if (filters.to) parts.push(`jusqu'au ${day(filters.to)}`);
+  if (filters.min !== '') parts.push(`montant ≥ ${filters.min}`);
+  if (filters.max !== '') parts.push(`montant ≤ ${filters.max}`);
+  return parts.join(', ');
+}
+
+export function hasActiveFilters(filters) {
+  return ['operator', 'from', 'to', 'type', 'status', 'min', 'max'].some((f) => filters[f] !== DEFAULT_FILTERS[f]);
+}
+
+/* ---------- Filtrage et tri en mémoire ---------- */
+
+export function matchesFilters(t, filters) {
+  const amount = Number(t.montant) || 0;
+  if (filters.operator && (t.operator || '') !== filters.operator) return false;
+  if (filters.type && t.type !== filters.type) return false;
+  if (filters.status && t.status !== filters.status) return false;
+  if (filters.min !== '' && amount < Number(filters.min)) return false;
+  if (filters.max !== '' && amount > Number(filters.max)) return false;
+  if (filters.from || filters.to) {
+    const day = localDateKey(t.created_at);
+    if ((filters.from && day < filters.from) || (filters.to && day > filters.to)) return false;
+  }
+  return true;
+}
+
+export function sortTransactions(transactions, { sort = DEFAULT_FILTERS.sort, dir = DEFAULT_FILTERS.dir } = {}) {
+  const sign = dir === 'asc' ? 1 : -1;
+  const value = (t) => (sort === 'montant' ? Number(t.montant) || 0 : String(t[sort] || '').toLowerCase());
+  return [...transactions].sort((a, b) => {
+    const va = value(a);
+    const vb = value(b);
+    if (va === vb) return a.created_at < b.created_at ? 1 : -1;
+    return va < vb ? -sign : sign;
+  });
+}
+
+export function applyFilters(transactions, filters) {
+  return sortTransactions(transactions.filter((t) => matchesFilters(t, filters)), filters);
+}
+
+/* ---------- Requête IndexedDB ---------- */
+
+/*
+  pickIndex: index le plus sélectif pour ces filtres. La période passe en
+  premier (l'historique grossit tous les jours), puis le statut, le type,
+  les montants et l'opérateur. Retourne null s'il n'y a aucun filtre.
+*/
+export function pickIndex(filters) {
+  if (filters.from || filters.to) {
+    const lower = filters.from ? dayBounds(filters.from).start.toISOString() : undefined;
+    const upper = filters.to ? dayBounds(filters.to).end.toISOString() : undefined;
+    return { index: 'created_at', lower, upper };
+  }
+  if (filters.status) return { index: 'status', only: filters.status };
+  if (filters.type) return { index: 'type', only: filters.type };
+  if (filters.min !== '' || filters.max !== '') {
+    return {
+      index: 'montant',
+      lower: filters.min !== '' ? Number(filters.min) : undefined,
+      upper: filters.max !== '' ? Number(filters.max) : undefined
+    };
+  }
+  if (filters.operator) return { index: 'operator', only: filters.operator };
+  return null;
+}
+
+function toKeyRange({ only, lower, upper }) {
+  if (only !== undefined) return IDBKeyRange.only(only);
+  if (lower !== undefined && upper !== undefined) return IDBKeyRange.bound(lower, upper);
+  if (lower !== undefined) return IDBKeyRange.lowerBound(lower);
+  return IDBKeyRange.upperBound(upper);
+}
+
+// Lit via l'index choisi puis applique en mémoire les autres filtres et le tri
+export async function queryTransactions(filters) {
+  const plan = pickIndex(filters);
+  const candidates = plan
+    ? await getTransactionsByIndex(plan.index, toKeyRange(plan))
+    : await getAllTransactions();
+  return applyFilters(candidates, filters);
+}
@@ -0,0 +1,133 @@
+/*
+  Gestion du float de l'agent.
+
+  Deux types de comptes:
+  - `cash`              : l'espèce dans le tiroir (commune à tous les opérateurs)
+  - `emoney:<operateur>`: le solde électronique de chaque puce opérateur
+
+  Un mouvement de float est { id, kind, account, amount, note, created_at }.
+  `opening` fixe le solde du compte à `amount`; les autres kinds ajoutent
+  `amount` (signé). Les transactions clients s'appliquent ensuite:
+  un dépôt fait baisser l'e-money et monter le cash, un retrait l'inverse.
+*/
+import { FLOAT_STORE, getAllRecords, putRecord, uuidv4 } from './db.js';
+import { formatCurrency } from './format.js';
+import { isActiveTransaction } from './corrections.js';
+import { getTransactionType } from './transactionTypes.js';
+
+export const CASH_ACCOUNT = 'cash';
+
+export const FLOAT_KINDS = {
+  opening: { label: 'Solde d\'ouverture', sign: 0 },
+  emoney_topup: { label: 'Approvisionnement e-money', sign: 1 },
+  cash_topup: { label: 'Apport de cash', sign: 1 },
+  cash_drop: { label: 'Versement de cash (banque/coffre)', sign: -1 }
+};
+
+export function emoneyAccount(operator) {
+  return `emoney:${operator || ''}`;
+}
+
+// Effet d'une transaction client sur chaque compte (signes déclarés par son type)
+export function transactionEffects(t) {
+  const amount = Number(t.montant) || 0;
+  const { cash, emoney } = getTransactionType(t.type).float;
+  return [
+    { account: CASH_ACCOUNT, delta: cash * amount },
+    { account: emoneyAccount(t.operator), delta: emoney * amount }
+  ].filter((effect) => effect.delta !== 0);
+}
+
+/*
+  computeFloatPosition: solde courant de chaque compte.
+  Retourne { cash, emoney: { [operateur]: solde }, initialized: Set<account> }.
+  Seuls les mouvements postérieurs au dernier `opening` d'un compte comptent.
+*/
+export function computeFloatPosition(entries, transactions, until = null) {
+  const limit = until ? new Date(until).getTime() : Infinity;
+  const openings = new Map(); // account -> latest opening entry
+  entries.forEach((e) => {
+    if (e.kind !== 'opening' || new Date(e.created_at).getTime() > limit) return;
+    const current = openings.get(e.account);
+    if (!current || e.created_at > current.created_at) openings.set(e.account, e);
+  });
+
+  const balances = new Map();
+  openings.forEach((e, account) => balances.set(account, Number(e.amount) || 0));
+  const apply = (account, delta, createdAt) => {
+    const time = new Date(createdAt).getTime();
+    if (time > limit) return;
+    const opening = openings.get(account);
+    if (opening && createdAt <= opening.created_at) return;
+    balances.set(account, (balances.get(account) || 0) + delta);
+  };
+
+  entries.forEach((e) => {
+    if (e.kind !== 'opening') apply(e.account, Number(e.amount) || 0, e.created_at);
+  });
+  transactions.filter(isActiveTransaction).forEach((t) => {
+    transactionEffects(t).forEach(({ account, delta }) => apply(account, delta, t.created_at));
+  });
+
+  const emoney = {};
+  balances.forEach((value, account) => {
+    if (account.startsWith('emoney:')) emoney[account.slice('emoney:'.length)] = value;
+  });
+  return {
+    cash: balances.get(CASH_ACCOUNT) || 0,
+    emoney,
+    totalEmoney: Object.values(emoney).reduce((sum, v) => sum + v, 0),
+    initialized: new Set(openings.keys())
+  };
+}
+
+/*
+  floatScanStart: date à partir de laquelle les transactions comptent pour
+  la position actuelle de ces comptes, la plus ancienne de leurs dernières
+  ouvertures. null si l'un d'eux n'a jamais été ouvert: tout l'historique compte.
+  `until` (ISO) ignore les ouvertures postérieures, comme computeFloatPosition.
+*/
+export function floatScanStart(entries, accounts, until = null) {
+  const latest = new Map();
+  entries.forEach((e) => {
+    if (e.kind !== 'opening' || (until && e.created_at > until)) return;
+    if (!latest.has(e.account) || e.created_at > latest.get(e.account)) latest.set(e.account, e.created_at);
+  });
+  if (!accounts.length || accounts.some((account) => !latest.has(account))) return null;
+  return accounts.map((account) => latest.get(account)).sort()[0];
+}
+
+/*
+  checkFloatCoverage: message d'avertissement si le float ne couvre pas
+  la transaction, sinon null. Les comptes jamais initialisés ne sont pas vérifiés.
+*/
+export function checkFloatCoverage(position, tx) {
+  const shortfall = transactionEffects(tx)
+    .filter(({ account, delta }) => delta < 0 && position.initialized.has(account))
+    .map(({ account, delta }) => {
+      const available = account === CASH_ACCOUNT ? position.cash : position.emoney[account.slice('emoney:'.length)] || 0;
+      return { account, available, needed: -delta };
+    })
+    .find(({ available, needed }) => available < needed);
+  if (!shortfall) return null;
+  const what = shortfall.account === CASH_ACCOUNT ? 'Cash insuffisant' : 'E-money insuffisante';
+  return `${what}: ${formatCurrency(shortfall.available)} disponibles, ${formatCurrency(shortfall.needed)} nécessaires (${getTransactionType(tx.type).label}).`;
+}
+
+export function getFloatEntries() {
+  return getAllRecords(FLOAT_STORE);
+}
+
+// `at` date le mouvement (ISO), maintenant par défaut; une reprise de clôture prend la fin de la journée clôturée
+export function addFloatEntry({ kind, account, amount, note = '', at = new Date().toISOString() }) {
+  if (!FLOAT_KINDS[kind]) throw new Error(`Type de mouvement inconnu: ${kind}`);
+  const sign = FLOAT_KINDS[kind].sign;
+  return putRecord(FLOAT_STORE, {
+    id: uuidv4(),
+    kind,
+    account,
+    amount: sign === 0 ? Math.abs(amount) : sign * Math.abs(amount),
+    note,
+    created_at: at
+  });
+}
@@ -0,0 +1,44 @@
+/* ---------- Formatting helpers (fr-FR, FCFA) ---------- */
+export const formatCurrency = (amount) => {
+  return new Intl.NumberFormat('fr-FR', {
+    style: 'currency',
+    currency: 'XOF',
+    minimumFractionDigits: 0,
+    maximumFractionDigits: 0
+  }).format(amount);
+};
+
+export const formatDate = (dateString) => {
+  return new Date(dateString).toLocaleDateString('fr-FR', {
+    day: '2-digit',
+    month: '2-digit',
+    year: 'numeric',
+    hour: '2-digit',
+    minute: '2-digit'
+  });
+};
+
+// Format amount with thousand separators
+export const formatAmountInput = (value) => {
+  // Remove all non-digit characters
+  const numericValue = value.replace(/\D/g, '');
+  if (numericValue === '') return '';
+
+  // Add thousand separators
+  return numericValue.replace(/\B(?=(\d{3})+(?!\d))/g, ' ');
+};
+
+// Amount with plain-space separators: jsPDF standard fonts render Intl's narrow no-break spaces badly
+export const formatPlainAmount = (amount) => formatAmountInput(String(Math.round(Number(amount) || 0)));
+
+// Parse amount from formatted string
+export const parseAmount = (formattedAmount) => {
+  const numericValue = formattedAmount.replace(/\s/g, '');
+  return numericValue === '' ? 0 : parseInt(numericValue, 10);
+};
+
+// File-name friendly timestamp, e.g. 2024-05-31_18-04
+export const timestamp = (date = new Date()) => {
+  const pad = (n) => String(n).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}_${pad(date.getHours())}-${pad(date.getMinutes())}`;
+};
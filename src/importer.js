@@ -0,0 +1,377 @@
+/*
+  Import de transactions depuis un fichier Excel (.xlsx) ou CSV.
+
+  1. readImportFile  : lit la feuille (ou le CSV) en tableau de cellules
+  2. guessMapping    : associe les colonnes aux champs (l'agent peut corriger)
+  3. buildPreview    : une ligne d'aperçu par ligne du fichier, avec ses
+                       erreurs de validation et les doublons détectés
+  4. importTransactions : écrit les lignes retenues et leur journal d'audit
+                       dans une seule transaction IndexedDB (tout ou rien)
+
+  Le classeur produit par buildWorkbook (excelExport.js) est reconnu tel
+  quel: feuille Transactions, en-têtes, dates, libellés de type et de statut.
+  Les lignes annulées sont ignorées, la ligne de total aussi.
+*/
+import ExcelJS from 'exceljs';
+import { AUDIT_STORE, STORE_NAME, getDeviceId, openDB, uuidv4 } from './db.js';
+import { sealFields } from './crypto.js';
+import { nextRevision } from './revisions.js';
+import { auditEntry } from './corrections.js';
+import { normalizeDocument, upsertClientsFromTransactions } from './clients.js';
+import { computeCommission } from './commissions.js';
+import { localDateKey } from './closing.js';
+import { STATUSES } from './filters.js';
+import { detectPhoneNetwork, validateTransaction } from './validation.js';
+import { TYPE_EXPORT_COLUMNS, TYPE_FIELDS, findTypeByLabel } from './transactionTypes.js';
+
+/*
+  Champs reconnus. `aliases` sont des en-têtes normalisés (minuscules, sans
+  accents ni ponctuation). Les champs facultatifs ont une valeur par défaut;
+  les champs propres aux types (registre) ne sont exigés que pour leur type.
+*/
+export const IMPORT_FIELDS = {
+  created_at: { label: 'Date', required: true, aliases: ['date', 'date heure', 'created at', 'horodatage'] },
+  type: { label: 'Type', required: true, aliases: ['type', 'operation', 'sens'] },
+  operator: { label: 'Opérateur', required: false, aliases: ['operateur', 'operator', 'reseau'] },
+  nom_complet: { label: 'Nom complet', required: true, aliases: ['client', 'nom complet', 'nom', 'nom complet client', 'name'] },
+  id_document: { label: 'CNIB / Passeport', required: true, aliases: ['cnib passport', 'cnib passeport', 'cnib', 'passeport', 'document', 'id document', 'piece'] },
+  telephone: { label: 'Téléphone', required: true, aliases: ['telephone', 'tel', 'phone', 'numero'] },
+  montant: { label: 'Montant', required: true, aliases: ['montant', 'amount', 'somme'] },
+  commission: { label: 'Commission', required: false, aliases: ['commission', 'frais'] },
+  status: { label: 'Statut', required: false, aliases: ['statut', 'status', 'etat'] },
+  created_by_name: { label: 'Agent', required: false, aliases: ['agent', 'caissier'] },
+  ref: { label: 'Réf.', required: false, aliases: ['ref', 'reference'] },
+  operator_ref: { label: 'Réf. opérateur', required: false, aliases: ['ref operateur', 'reference operateur', 'id trans'] },
+  // En-têtes de l'export Excel et libellés du formulaire
+  ...Object.fromEntries(TYPE_FIELDS.map((f) => [f.name, {
+    label: f.label,
+    required: false,
+    aliases: [f.label, ...TYPE_EXPORT_COLUMNS.filter((c) => c.key === f.name).map((c) => c.header)].map(normalizeHeader)
+  }]))
+};
+
+// Au-delà, l'aperçu n'affiche que les premières lignes (le compte reste exact)
+export const PREVIEW_LIMIT = 200;
+
+const PREFERRED_SHEET = 'Transactions';
+
+// "CNIB/Passport" -> "cnib passport"
+function normalizeHeader(value) {
+  return String(value || '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim();
+}
+
+/* ---------- Lecture du fichier ---------- */
+
+/*
+  buildWorkbook décale les dates pour que la cellule affiche l'heure locale
+  (voir excelDate): les composantes UTC lues sont donc l'heure locale.
+*/
+function fromExcelDate(d) {
+  return new Date(d.getUTCFullYear(), d.getUTCMonth(), d.getUTCDate(), d.getUTCHours(), d.getUTCMinutes(), d.getUTCSeconds());
+}
+
+// Valeur affichable d'une cellule ExcelJS (formule, texte riche, lien...)
+function cellValue(value) {
+  if (value === null || value === undefined) return '';
+  if (value instanceof Date) return fromExcelDate(value);
+  if (typeof value === 'object') {
+    if ('result' in value) return cellValue(value.result);
+    if (Array.isArray(value.richText)) return value.richText.map((r) => r.text).join('');
+    if ('text' in value) return cellValue(value.text);
+    return '';
+  }
+  return value;
+}
+
+async function readWorkbook(file) {
+  const workbook = new ExcelJS.Workbook();
+  await workbook.xlsx.load(await file.arrayBuffer());
+  const sheet = workbook.getWorksheet(PREFERRED_SHEET) || workbook.worksheets[0];
+  if (!sheet) throw new Error('Le classeur ne contient aucune feuille.');
+  const rows = [];
+  sheet.eachRow({ includeEmpty: true }, (row, number) => {
+    const cells = [];
+    for (let c = 1; c <= sheet.columnCount; c++) cells.push(cellValue(row.getCell(c).value));
+    rows[number - 1] = cells;
+  });
+  return Array.from(rows, (r) => r || []);
+}
+
+// Séparateur le plus fréquent de la première ligne (Excel FR exporte en ';')
+function detectDelimiter(line) {
+  return [';', ',', '\t'].reduce((best, d) => (line.split(d).length > line.split(best).length ? d : best), ';');
+}
+
+/*
+  parseCSV: RFC 4180 (guillemets doublés, retours à la ligne dans les
+  champs). Le lecteur CSV d'ExcelJS dépend des flux Node et n'est pas
+  disponible dans le navigateur.
+*/
+export function parseCSV(text) {
+  const source = text.replace(/^\uFEFF/, '');
+  const delimiter = detectDelimiter(source.split(/\r?\n/, 1)[0]);
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+  for (let i = 0; i < source.length; i++) {
+    const ch = source[i];
+    if (quoted) {
+      if (ch === '"' && source[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (ch === '"') {
+        quoted = false;
+      } else {
+        field += ch;
+      }
+    } else if (ch === '"' && field === '') {
+      quoted = true;
+    } else if (ch === delimiter) {
+      row.push(field);
+      field = '';
+    } else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && source[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += ch;
+    }
+  }
+  if (field !== '' || row.length) rows.push([...row, field]);
+  return rows;
+}
+
+/*
+  readImportFile: { headers, rows } où rows sont les lignes de données
+  (tableaux de cellules alignés sur headers).
+*/
+export async function readImportFile(file) {
+  const name = (file.name || '').toLowerCase();
+  let table;
+  if (name.endsWith('.xlsx')) table = await readWorkbook(file);
+  else if (name.endsWith('.csv') || name.endsWith('.txt')) table = parseCSV(await file.text());
+  else throw new Error('Format non pris en charge: choisissez un fichier .xlsx ou .csv.');
+
+  const headerIndex = table.findIndex((r) => r.some((c) => String(c).trim() !== ''));
+  if (headerIndex < 0) throw new Error('Le fichier est vide.');
+  const headers = table[headerIndex].map((c) => String(c).trim());
+  return { headers, rows: table.slice(headerIndex + 1) };
+}
+
+/* ---------- Correspondance des colonnes ---------- */
+
+// { champ: index de colonne ou -1 }, chaque colonne n'est attribuée qu'une fois
+export function guessMapping(headers) {
+  const normalized = headers.map(normalizeHeader);
+  const used = new Set();
+  const mapping = {};
+  Object.entries(IMPORT_FIELDS).forEach(([field, { aliases }]) => {
+    const index = aliases
+      .map((alias) => normalized.findIndex((h, i) => h === alias && !used.has(i)))
+      .find((i) => i >= 0);
+    mapping[field] = index === undefined ? -1 : index;
+    if (index !== undefined) used.add(index);
+  });
+  return mapping;
+}
+
+export function missingFields(mapping) {
+  return Object.entries(IMPORT_FIELDS)
+    .filter(([field, { required }]) => required && !(mapping[field] >= 0))
+    .map(([field]) => field);
+}
+
+/* ---------- Lecture des valeurs ---------- */
+
+// Libellé ou identifiant de type, reconnu par les alias du registre
+function parseType(value) {
+  const text = normalizeHeader(value);
+  return findTypeByLabel(text) || text;
+}
+
+function parseNumber(value) {
+  if (typeof value === 'number') return Math.round(value);
+  // "150 000 FCFA", "150.000" -> 150000 (pas de centimes en FCFA)
+  const digits = String(value || '').replace(/[.,]\d{1,2}\s*(FCFA|F)?\s*$/i, '').replace(/\D/g, '');
+  return digits ? Number(digits) : NaN;
+}
+
+// Date locale depuis une cellule date, "31/05/2024 14:05[:09]" ou ISO 8601
+export function parseDate(value) {
+  if (value instanceof Date) return Number.isNaN(value.getTime()) ? null : value;
+  const text = String(value || '').trim();
+  const fr = text.match(/^(\d{1,2})\/(\d{1,2})\/(\d{4})(?:[ T]+(\d{1,2})[:h](\d{2})(?::(\d{2}))?)?$/);
+  if (fr) {
+    const [, d, m, y, hh = 0, mm = 0, ss = 0] = fr;
+    const date = new Date(Number(y), Number(m) - 1, Number(d), Number(hh), Number(mm), Number(ss));
+    return date.getMonth() === Number(m) - 1 ? date : null;
+  }
+  if (/^\d{4}-\d{2}-\d{2}/.test(text)) {
+    const date = new Date(text);
+    return Number.isNaN(date.getTime()) ? null : date;
+  }
+  return null;
+}
+
+function parseStatus(value) {
+  const text = normalizeHeader(value);
+  if (!text) return '';
+  return Object.keys(STATUSES).find((id) => id === text || normalizeHeader(STATUSES[id]) === text) || '';
+}
+
+// Identifiant ou nom de l'opérateur ("Orange Money", "orange", "ORANGE")
+function parseOperator(value, operators) {
+  const text = normalizeHeader(value);
+  if (!text) return '';
+  const match = operators.find((op) => normalizeHeader(op.id) === text || normalizeHeader(op.name) === text)
+    || operators.find((op) => normalizeHeader(op.name).startsWith(text) || text.startsWith(normalizeHeader(op.id)));
+  return match ? match.id : String(value).trim();
+}
+
+/* ---------- Aperçu ---------- */
+
+// Même minute, même document, même montant, même type: considéré comme la même opération
+function fingerprint(t) {
+  return [new Date(t.created_at).toISOString().slice(0, 16), normalizeDocument(t.id_document), Number(t.montant), t.type].join('|');
+}
+
+/*
+  buildPreview: une entrée par ligne de données non vide
+  { line, tx, errors: { champ: message }, duplicate: 'existing'|'file'|null, skipped: motif|null }
+  `existing` sont les transactions déjà enregistrées (déchiffrées), `closings`
+  les clôtures: une journée clôturée n'accepte plus de transaction.
+*/
+export function buildPreview({ rows, mapping, fileName = '' }, {
+  operators = [], limits = {}, feeGrids = [], users = [], user, existing = [], closings = [], now = new Date()
+}) {
+  const closed = new Set(closings.map((c) => c.date));
+  const knownRefs = new Set(existing.map((t) => t.id.slice(0, 8)));
+  const knownPrints = new Set(existing.map(fingerprint));
+  const filePrints = new Set();
+  const importedAt = now.toISOString();
+  const cell = (row, field) => (mapping[field] >= 0 ? row[mapping[field]] ?? '' : '');
+
+  const preview = [];
+  rows.forEach((row, i) => {
+    // Ligne vide ou ligne de total: aucune donnée client
+    if (['nom_complet', 'id_document', 'telephone'].every((f) => String(cell(row, f)).trim() === '')) return;
+
+    const date = parseDate(cell(row, 'created_at'));
+    const status = parseStatus(cell(row, 'status'));
+    const agent = String(cell(row, 'created_by_name')).trim();
+    const author = agent ? users.find((u) => u.name === agent) : user;
+    const draft = {
+      type: parseType(cell(row, 'type')),
+      operator: parseOperator(cell(row, 'operator'), operators),
+      nom_complet: String(cell(row, 'nom_complet')),
+      id_document: String(cell(row, 'id_document')),
+      telephone: String(cell(row, 'telephone')),
+      montant: parseNumber(cell(row, 'montant')),
+      ...Object.fromEntries(TYPE_FIELDS.map((f) => [f.name, String(cell(row, f.name))]))
+    };
+    // Sans colonne opérateur, on se fie au préfixe du numéro
+    const network = detectPhoneNetwork(draft.telephone);
+    const operator = draft.operator || (operators.some((op) => op.id === network) ? network : '');
+    const { errors, values } = validateTransaction({ ...draft, operator }, { operators, limits });
+
+    if (!date) errors.created_at = 'Date illisible (attendu JJ/MM/AAAA HH:MM).';
+    else if (date > now) errors.created_at = 'Date dans le futur.';
+    else if (closed.has(localDateKey(date))) errors.created_at = `Journée du ${localDateKey(date).split('-').reverse().join('/')} déjà clôturée.`;
+
+    const tx = {
+      id: uuidv4(),
+      type: draft.type,
+      operator,
+      ...values,
+      montant: draft.montant,
+      // Nouvel id, inconnu du serveur même si le fichier la dit synchronisée: elle part au prochain envoi
+      status: 'pending',
+      created_by: author ? author.id : '',
+      created_by_name: agent || (user ? user.name : ''),
+      created_at: date ? date.toISOString() : '',
+      imported_at: importedAt,
+      import_file: fileName
+    };
+    const operatorRef = String(cell(row, 'operator_ref')).trim();
+    if (operatorRef) tx.operator_ref = operatorRef;
+    const commission = parseNumber(cell(row, 'commission'));
+    tx.commission = Number.isNaN(commission) ? computeCommission(feeGrids, tx) : commission;
+
+    let duplicate = null;
+    let skipped = null;
+    if (status === 'cancelled') skipped = `${STATUSES.cancelled} dans le fichier`;
+    else if (Object.keys(errors).length === 0) {
+      const print = fingerprint(tx);
+      const ref = String(cell(row, 'ref')).trim();
+      if ((ref && knownRefs.has(ref)) || knownPrints.has(print)) duplicate = 'existing';
+      else if (filePrints.has(print)) duplicate = 'file';
+      filePrints.add(print);
+    }
+    preview.push({ line: i + 2, tx, errors, duplicate, skipped });
+  });
+  return preview;
+}
+
+// Jours couverts par le fichier: les doublons ne sont cherchés que parmi les transactions de ces jours
+export function importRange(rows, mapping) {
+  if (!(mapping.created_at >= 0)) return null;
+  const keys = rows.map((row) => parseDate(row[mapping.created_at])).filter(Boolean).map((d) => localDateKey(d)).sort();
+  return keys.length ? { from: keys[0], to: keys[keys.length - 1] } : null;
+}
+
+// Lignes qui seront réellement écrites
+export function importableRows(preview) {
+  return preview.filter((r) => !r.skipped && !r.duplicate && Object.keys(r.errors).length === 0);
+}
+
+export function previewCounts(preview) {
+  return {
+    total: preview.length,
+    ready: importableRows(preview).length,
+    errors: preview.filter((r) => !r.skipped && Object.keys(r.errors).length > 0).length,
+    duplicates: preview.filter((r) => r.duplicate).length,
+    skipped: preview.filter((r) => r.skipped).length
+  };
+}
+
+/* ---------- Écriture ---------- */
+
+/*
+  importTransactions: les transactions et leurs entrées de journal sont
+  écrites dans une seule transaction IndexedDB: la moindre erreur (clé en
+  double, quota...) annule tout l'import. Le registre clients est mis à jour
+  ensuite, comme après une saisie. Chaque ligne devient la révision 1 de
+  cet appareil.
+*/
+export async function importTransactions(transactions, { user, fileName = '' }) {
+  if (!transactions.length) throw new Error('Aucune transaction à importer.');
+  const at = new Date().toISOString();
+  const deviceId = await getDeviceId();
+  const sealed = await Promise.all(transactions.map((t) => sealFields({ ...t, ...nextRevision({}, deviceId, at) })));
+  const reason = fileName ? `Import de ${fileName}` : 'Import';
+
+  const db = await openDB();
+  await new Promise((resolve, reject) => {
+    const txDB = db.transaction([STORE_NAME, AUDIT_STORE], 'readwrite');
+    const store = txDB.objectStore(STORE_NAME);
+    const audit = txDB.objectStore(AUDIT_STORE);
+    sealed.forEach((record) => {
+      store.add(record);
+      audit.add(auditEntry(record.id, 'import', { reason, user, at }));
+    });
+    txDB.oncomplete = () => resolve();
+    // Une requête en échec annule toute la transaction: l'erreur n'est connue qu'à l'abandon
+    txDB.onabort = () => reject(txDB.error || new Error('Import annulé.'));
+  });
+
+  await upsertClientsFromTransactions(transactions);
+  return transactions;
+}
@@ -0,0 +1,128 @@
+import { describe, expect, it } from 'vitest';
+import { buildPreview, guessMapping, importRange, importableRows, parseCSV, previewCounts } from './importer.js';
+
+const OPERATORS = [{ id: 'orange', name: 'Orange Money' }, { id: 'moov', name: 'Moov Money' }];
+const NOW = new Date(2024, 5, 1, 12, 0);
+
+const HEADERS = ['Date', 'Type', 'Opérateur', 'Client', 'CNIB/Passport', 'Téléphone', 'Montant', 'Statut', 'Réf.'];
+const row = (fields = {}) => {
+  const values = {
+    date: '31/05/2024 14:05',
+    type: 'Dépôt',
+    operator: 'Orange Money',
+    client: 'Awa Ouédraogo',
+    document: 'B1234567',
+    phone: '76 11 22 33',
+    amount: '50 000 FCFA',
+    status: '',
+    ref: '',
+    ...fields
+  };
+  return [values.date, values.type, values.operator, values.client, values.document, values.phone, values.amount, values.status, values.ref];
+};
+
+const preview = (rows, options = {}) => buildPreview(
+  { rows, mapping: guessMapping(HEADERS), fileName: 'historique.csv' },
+  { operators: OPERATORS, user: { id: 'u1', name: 'Issa' }, now: NOW, ...options }
+);
+
+/* ---------- CSV ---------- */
+
+describe('parseCSV', () => {
+  it('detects the delimiter of the first line', () => {
+    expect(parseCSV('a;b;c\n1;2;3')).toEqual([['a', 'b', 'c'], ['1', '2', '3']]);
+    expect(parseCSV('a,b\n1,2')).toEqual([['a', 'b'], ['1', '2']]);
+    expect(parseCSV('a\tb\n1\t2')).toEqual([['a', 'b'], ['1', '2']]);
+  });
+
+  it('handles quotes, doubled quotes and line breaks inside fields', () => {
+    expect(parseCSV('nom;note\r\n"Kaboré; Moussa";"dit ""le grand""\nsur deux lignes"\r\n')).toEqual([
+      ['nom', 'note'],
+      ['Kaboré; Moussa', 'dit "le grand"\nsur deux lignes']
+    ]);
+  });
+
+  it('drops the byte order mark written by Excel', () => {
+    expect(parseCSV('\uFEFFDate;Montant\n31/05/2024;5000')[0]).toEqual(['Date', 'Montant']);
+  });
+});
+
+/* ---------- Aperçu ---------- */
+
+describe('guessMapping', () => {
+  it('recognizes the headers of the Excel export', () => {
+    expect(guessMapping(HEADERS)).toMatchObject({
+      created_at: 0, type: 1, operator: 2, nom_complet: 3, id_document: 4, telephone: 5, montant: 6, status: 7, ref: 8, commission: -1
+    });
+  });
+});
+
+describe('buildPreview', () => {
+  it('turns a valid row into a normalized transaction', () => {
+    const [line] = preview([row()]);
+    expect(line).toMatchObject({ line: 2, errors: {}, duplicate: null, skipped: null });
+    expect(line.tx).toMatchObject({
+      type: 'deposit',
+      operator: 'orange',
+      nom_complet: 'Awa Ouédraogo',
+      id_document: 'B1234567',
+      telephone: '+22676112233',
+      montant: 50000,
+      created_at: new Date(2024, 4, 31, 14, 5).toISOString(),
+      created_by: 'u1',
+      created_by_name: 'Issa',
+      import_file: 'historique.csv'
+    });
+  });
+
+  it('imports every row as pending, whatever the status in the file', () => {
+    const lines = preview([row({ status: 'Synchronisée' }), row({ date: '31/05/2024 15:00', status: 'Rejetée' })]);
+    expect(lines.map((l) => l.tx.status)).toEqual(['pending', 'pending']);
+  });
+
+  it('falls back on the network of the number without an operator', () => {
+    const [line] = preview([row({ operator: '', phone: '70112233' })]);
+    expect(line.tx.operator).toBe('moov');
+  });
+
+  it('reports unreadable, future and closed dates', () => {
+    const [bad, future, closed] = preview(
+      [row({ date: '31/02/2024' }), row({ date: '02/06/2024 08:00' }), row({ date: '30/05/2024 09:00' })],
+      { closings: [{ date: '2024-05-30' }] }
+    );
+    expect(bad.errors.created_at).toMatch(/illisible/);
+    expect(future.errors.created_at).toBe('Date dans le futur.');
+    expect(closed.errors.created_at).toBe('Journée du 30/05/2024 déjà clôturée.');
+  });
+
+  it('flags duplicates of stored transactions and within the file', () => {
+    const existing = [{
+      id: 'abcdef12-0000-4000-8000-000000000000',
+      type: 'deposit',
+      id_document: 'B1234567',
+      montant: 50000,
+      created_at: new Date(2024, 4, 31, 14, 5, 30).toISOString()
+    }];
+    const lines = preview([
+      row(),
+      row({ date: '31/05/2024 15:00' }),
+      row({ date: '31/05/2024 15:00' }),
+      row({ date: '31/05/2024 16:00', ref: 'abcdef12' })
+    ], { existing });
+    expect(lines.map((l) => l.duplicate)).toEqual(['existing', null, 'file', 'existing']);
+  });
+
+  it('skips cancelled rows and blank or total lines', () => {
+    const lines = preview([row({ status: 'Annulée' }), ['', '', '', '', '', '', '150 000'], row({ amount: 'abc' })]);
+    expect(lines).toHaveLength(2);
+    expect(lines[0].skipped).toBe('Annulée dans le fichier');
+    expect(lines[1].errors.montant).toBeTruthy();
+    expect(importableRows(lines)).toEqual([]);
+    expect(previewCounts(lines)).toEqual({ total: 2, ready: 0, errors: 1, duplicates: 0, skipped: 1 });
+  });
+
+  it('covers the days of the file', () => {
+    const rows = [row({ date: '29/05/2024 08:00' }), row(), row({ date: 'hier' })];
+    expect(importRange(rows, guessMapping(HEADERS))).toEqual({ from: '2024-05-29', to: '2024-05-31' });
+  });
+});
@@ -9,16 +9,3 @@ ReactDOM.createRoot(document.getElementById('root')).render(
     <App />
   </React.StrictMode>,
 )
-
-// Enregistrement du service worker pour le mode offline
-if ('serviceWorker' in navigator) {
-  window.addEventListener('load', () => {
-    navigator.serviceWorker.register('/service-worker.js')
-      .then(reg => {
-        console.log('Service Worker enregistré avec succès:', reg);
-      })
-      .catch(err => {
-        console.error('Erreur lors de l\'enregistrement du Service Worker:', err);
-      });
-  });
-}
@@ -0,0 +1,74 @@
+/*
+  Opérateurs mobile money servis par le kiosque.
+  La liste est configurable (Paramètres) et stockée dans le store `settings`.
+  `logo` est une URL (ou data: URI); à défaut on affiche les initiales sur la couleur.
+*/
+import { getSetting, setSetting } from './db.js';
+import { isActiveTransaction } from './corrections.js';
+import { cashFlow } from './transactionTypes.js';
+
+export const OPERATORS_KEY = 'operators';
+
+export const DEFAULT_OPERATORS = [
+  { id: 'orange', name: 'Orange Money', color: '#ff7900', logo: '' },
+  { id: 'moov', name: 'Moov Money', color: '#0066b3', logo: '' },
+  { id: 'coris', name: 'Coris Money', color: '#e30613', logo: '' },
+  { id: 'sank', name: 'Sank Money', color: '#00a651', logo: '' }
+];
+
+export const UNKNOWN_OPERATOR = { id: '', name: 'Non précisé', color: '#94a3b8', logo: '' };
+
+export async function loadOperators() {
+  const saved = await getSetting(OPERATORS_KEY, null);
+  return Array.isArray(saved) && saved.length ? saved : DEFAULT_OPERATORS;
+}
+
+export function saveOperators(operators) {
+  const cleaned = operators
+    .map((op) => ({ ...op, name: (op.name || '').trim(), logo: (op.logo || '').trim() }))
+    .filter((op) => op.id && op.name);
+  return setSetting(OPERATORS_KEY, cleaned);
+}
+
+export function getOperator(operators, id) {
+  if (!id) return UNKNOWN_OPERATOR;
+  return operators.find((op) => op.id === id) || { ...UNKNOWN_OPERATOR, id, name: id };
+}
+
+export function operatorInitials(name) {
+  return name
+    .split(/\s+/)
+    .filter(Boolean)
+    .slice(0, 2)
+    .map((w) => w[0].toUpperCase())
+    .join('');
+}
+
+// Identifiant stable dérivé du nom ("Wave Mobile" -> "wave-mobile")
+export function operatorIdFromName(name, existingIds = []) {
+  const base = name
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-|-$/g, '') || 'operateur';
+  let id = base;
+  let i = 2;
+  while (existingIds.includes(id)) id = `${base}-${i++}`;
+  return id;
+}
+
+/*
+  totalsByOperator: { [operatorId]: { count, cash_in, cash_out } } pour une liste de transactions,
+  ventilé selon le sens du cash de chaque type (cashFlow). Les transactions annulées sont ignorées.
+*/
+export function totalsByOperator(transactions) {
+  return transactions.filter(isActiveTransaction).reduce((acc, t) => {
+    const key = t.operator || '';
+    const bucket = acc[key] || (acc[key] = { count: 0, cash_in: 0, cash_out: 0 });
+    bucket.count += 1;
+    const flow = cashFlow(t);
+    if (flow) bucket[`cash_${flow}`] += Number(t.montant) || 0;
+    return acc;
+  }, {});
+}
@@ -0,0 +1,213 @@
+/*
+  Requêtes par curseur sur les transactions.
+
+  Au lieu de tout lire (getAll) puis trier et paginer en mémoire, on
+  parcourt l'index qui donne déjà l'ordre voulu et on s'arrête dès que la
+  page est pleine. Seuls les enregistrements retournés sont déchiffrés: les
+  filtres ne portent que sur des champs en clair.
+
+  Pagination par clé (keyset): chaque page retourne `next` = { key, id },
+  clé d'index et clé primaire du dernier élément; la page suivante reprend
+  juste après, sans recompter les précédentes. `offset` permet de sauter
+  directement à une page (le curseur avance sans déchiffrer).
+
+  Le tri par client (nom chiffré), opérateur ou statut n'a pas d'index
+  utilisable: ces requêtes retombent sur queryTransactions (filters.js).
+*/
+import { STORE_NAME, openDB } from './db.js';
+import { openFields } from './crypto.js';
+import { dayBounds } from './closing.js';
+import { hasActiveFilters, matchesFilters, queryTransactions, sortTransactions } from './filters.js';
+
+export const DEFAULT_PAGE_SIZE = 20;
+
+// Au-delà de toute date ISO: borne haute des index composés
+const MAX_DATE = '\uffff';
+
+function dateBounds(filters) {
+  return {
+    from: filters.from ? dayBounds(filters.from).start.toISOString() : '',
+    to: filters.to ? dayBounds(filters.to).end.toISOString() : MAX_DATE
+  };
+}
+
+/*
+  planQuery: index, bornes et sens de parcours pour ces filtres, ou null si
+  le tri demandé n'a pas d'index. `covered` indique que l'index applique à
+  lui seul tous les filtres actifs (comptage direct par IDBIndex.count).
+*/
+export function planQuery(filters) {
+  const direction = filters.dir === 'asc' ? 'next' : 'prev';
+  const dated = Boolean(filters.from || filters.to);
+
+  if (filters.sort === 'montant') {
+    return {
+      index: 'montant',
+      lower: filters.min !== '' ? Number(filters.min) : undefined,
+      upper: filters.max !== '' ? Number(filters.max) : undefined,
+      direction,
+      covered: !dated && !filters.status && !filters.type && !filters.operator
+    };
+  }
+  if (filters.sort !== 'created_at') return null;
+
+  const { from, to } = dateBounds(filters);
+  const amounts = filters.min !== '' || filters.max !== '';
+  // Le préfixe le plus sélectif d'abord, les autres filtres sont vérifiés en mémoire
+  const prefix = ['status', 'type', 'operator'].find((field) => filters[field]);
+  if (prefix) {
+    const others = ['status', 'type', 'operator'].filter((field) => field !== prefix && filters[field]);
+    return {
+      index: `${prefix}_created_at`,
+      lower: [filters[prefix], from],
+      upper: [filters[prefix], to],
+      direction,
+      covered: !others.length && !amounts
+    };
+  }
+  return {
+    index: 'created_at',
+    lower: dated ? from : undefined,
+    upper: dated ? to : undefined,
+    direction,
+    covered: !amounts
+  };
+}
+
+function keyRange(lower, upper) {
+  if (lower !== undefined && upper !== undefined) {
+    // Reprise après la dernière clé d'une plage: plus rien à lire
+    if (indexedDB.cmp(lower, upper) > 0) return null;
+    return IDBKeyRange.bound(lower, upper);
+  }
+  if (lower !== undefined) return IDBKeyRange.lowerBound(lower);
+  if (upper !== undefined) return IDBKeyRange.upperBound(upper);
+  return undefined;
+}
+
+// Reprise keyset: la clé `after.key` elle-même est relue, ses doublons déjà vus sont sautés
+function resumeRange(plan, after) {
+  if (!after) return keyRange(plan.lower, plan.upper);
+  return plan.direction === 'prev' ? keyRange(plan.lower, after.key) : keyRange(after.key, plan.upper);
+}
+
+function alreadySeen(cursor, after, direction) {
+  if (!after || indexedDB.cmp(cursor.key, after.key) !== 0) return false;
+  const order = indexedDB.cmp(cursor.primaryKey, after.id);
+  return direction === 'prev' ? order >= 0 : order <= 0;
+}
+
+/*
+  walk: parcourt l'index du plan et retourne les enregistrements bruts
+  (encore chiffrés) qui vérifient `match`, après en avoir sauté `offset`.
+*/
+async function walk(plan, { match, after = null, offset = 0, limit = Infinity }) {
+  const range = resumeRange(plan, after);
+  if (range === null) return { records: [], next: null };
+  const db = await openDB();
+  if (!after && !offset && limit === Infinity) {
+    // Lecture complète: getAll sur la plage évite un événement par enregistrement
+    const all = await new Promise((resolve, reject) => {
+      const req = db.transaction(STORE_NAME, 'readonly').objectStore(STORE_NAME).index(plan.index).getAll(range);
+      req.onsuccess = () => resolve(req.result || []);
+      req.onerror = () => reject(req.error);
+    });
+    const records = all.filter(match);
+    return { records: plan.direction === 'prev' ? records.reverse() : records, next: null };
+  }
+  return new Promise((resolve, reject) => {
+    const index = db.transaction(STORE_NAME, 'readonly').objectStore(STORE_NAME).index(plan.index);
+    const req = index.openCursor(range, plan.direction);
+    const records = [];
+    const toSkip = after ? 0 : offset;
+    let skipped = 0;
+    let advanced = false;
+    req.onsuccess = () => {
+      const cursor = req.result;
+      if (!cursor) {
+        resolve({ records, next: null });
+        return;
+      }
+      // Index couvrant: on saute `offset` entrées d'un coup
+      if (plan.covered && toSkip && !advanced) {
+        advanced = true;
+        cursor.advance(toSkip);
+        return;
+      }
+      if (alreadySeen(cursor, after, plan.direction) || !match(cursor.value)) {
+        cursor.continue();
+        return;
+      }
+      if (!plan.covered && skipped < toSkip) {
+        skipped += 1;
+        cursor.continue();
+        return;
+      }
+      records.push(cursor.value);
+      if (records.length >= limit) {
+        resolve({ records, next: { key: cursor.key, id: cursor.primaryKey } });
+        return;
+      }
+      cursor.continue();
+    };
+    req.onerror = () => reject(req.error);
+  });
+}
+
+/*
+  queryPage: une page de l'historique filtré, déchiffrée.
+  `after` (le `next` de la page précédente) est prioritaire sur `offset`.
+  `next` vaut null quand la liste est épuisée; il peut aussi pointer juste
+  après le dernier élément si la dernière page est pleine.
+*/
+export async function queryPage(filters, { after = null, offset = 0, limit = DEFAULT_PAGE_SIZE } = {}) {
+  const plan = planQuery(filters);
+  if (!plan) {
+    const all = await queryTransactions(filters);
+    const start = after ? after.offset : offset;
+    const items = all.slice(start, start + limit);
+    return { items, next: start + limit < all.length ? { offset: start + limit } : null };
+  }
+  const { records, next } = await walk(plan, { match: (t) => matchesFilters(t, filters), after, offset, limit });
+  return { items: await Promise.all(records.map((t) => openFields(t))), next };
+}
+
+export async function countTransactions(filters) {
+  const plan = planQuery({ ...filters, sort: 'created_at' });
+  if (!plan.covered) return (await scanTransactions(filters)).length;
+  const range = keyRange(plan.lower, plan.upper);
+  const db = await openDB();
+  return new Promise((resolve, reject) => {
+    const store = db.transaction(STORE_NAME, 'readonly').objectStore(STORE_NAME);
+    const req = hasActiveFilters(filters) ? store.index(plan.index).count(range) : store.count();
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+  });
+}
+
+/*
+  scanTransactions: tous les enregistrements filtrés, NON déchiffrés, par
+  date décroissante. Suffit pour les totaux (montants, opérateurs, agents).
+*/
+export async function scanTransactions(filters) {
+  const plan = planQuery({ ...filters, sort: 'created_at', dir: 'desc' });
+  const { records } = await walk(plan, { match: (t) => matchesFilters(t, filters) });
+  return records;
+}
+
+/*
+  readTransactions: enregistrements filtrés, déchiffrés et triés comme
+  demandé (recherche libre, exports). Seuls ceux qui passent les filtres
+  sont déchiffrés.
+*/
+export async function readTransactions(filters) {
+  const records = await scanTransactions(filters);
+  return sortTransactions(await Promise.all(records.map((t) => openFields(t))), filters);
+}
+
+// Transactions (déchiffrées) qui vérifient `predicate`, évalué sur les champs en clair
+export async function findTransactions(predicate) {
+  const plan = { index: 'created_at', direction: 'prev', covered: false };
+  const { records } = await walk(plan, { match: predicate });
+  return Promise.all(records.map((t) => openFields(t)));
+}
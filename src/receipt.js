@@ -0,0 +1,245 @@
+/*
+  Reçu client d'une transaction.
+
+  PDF au format ticket thermique 58 mm ou A6: coordonnées de l'agent,
+  référence, type, document masqué, montant en chiffres et en lettres et
+  QR code. Le QR code contient "MLR1:<id>:<empreinte>", l'empreinte étant
+  un SHA-256 tronqué des champs qui font foi: un reçu retouché ne
+  correspond plus à la transaction enregistrée (voir verifyReceiptPayload).
+*/
+import { jsPDF } from 'jspdf';
+import QRCode from 'qrcode';
+import { getSetting, setSetting } from './db.js';
+import { normalizeDocument } from './clients.js';
+import { getOperator } from './operators.js';
+import { TYPES } from './filters.js';
+import { formatDate, formatPlainAmount } from './format.js';
+import { formatTypeDetails } from './validation.js';
+
+export const RECEIPT_AGENT_KEY = 'receipt_agent';
+
+export const DEFAULT_RECEIPT_AGENT = { name: '', address: '', phone: '', code: '' };
+
+/*
+  Formats d'impression (mm). Le ticket 58 mm a une hauteur calculée selon
+  le contenu; `body` est la taille de police du corps.
+*/
+export const RECEIPT_FORMATS = {
+  thermal58: { label: 'Ticket 58 mm', width: 58, height: null, margin: 4, body: 7.5, title: 10, qr: 28 },
+  a6: { label: 'A6 (105 × 148 mm)', width: 105, height: 148, margin: 8, body: 9, title: 13, qr: 32 }
+};
+
+const PAYLOAD_PREFIX = 'MLR1';
+
+export async function loadReceiptAgent() {
+  return { ...DEFAULT_RECEIPT_AGENT, ...(await getSetting(RECEIPT_AGENT_KEY, {})) };
+}
+
+export function saveReceiptAgent(agent) {
+  const cleaned = Object.fromEntries(Object.keys(DEFAULT_RECEIPT_AGENT).map((k) => [k, String(agent[k] || '').trim()]));
+  return setSetting(RECEIPT_AGENT_KEY, cleaned);
+}
+
+/* ---------- Montant en lettres ---------- */
+
+const UNITS = ['zéro', 'un', 'deux', 'trois', 'quatre', 'cinq', 'six', 'sept', 'huit', 'neuf', 'dix',
+  'onze', 'douze', 'treize', 'quatorze', 'quinze', 'seize', 'dix-sept', 'dix-huit', 'dix-neuf'];
+const TENS = ['', '', 'vingt', 'trente', 'quarante', 'cinquante', 'soixante'];
+
+function below100(n) {
+  if (n < 20) return UNITS[n];
+  if (n < 70) {
+    const unit = n % 10;
+    const tens = TENS[Math.floor(n / 10)];
+    if (unit === 0) return tens;
+    return unit === 1 ? `${tens} et un` : `${tens}-${UNITS[unit]}`;
+  }
+  if (n < 80) return n === 71 ? 'soixante et onze' : `soixante-${UNITS[n - 60]}`;
+  return n === 80 ? 'quatre-vingts' : `quatre-vingt-${UNITS[n - 80]}`;
+}
+
+function below1000(n) {
+  const hundreds = Math.floor(n / 100);
+  const rest = n % 100;
+  let words = '';
+  if (hundreds === 1) words = 'cent';
+  else if (hundreds > 1) words = `${UNITS[hundreds]} cent${rest === 0 ? 's' : ''}`;
+  if (rest) words += `${words ? ' ' : ''}${below100(rest)}`;
+  return words;
+}
+
+/*
+  amountInWords: 150000 -> "cent cinquante mille" (orthographe traditionnelle:
+  "quatre-vingts" et "deux cents" perdent leur s devant "mille", pas devant
+  "millions").
+*/
+export function amountInWords(amount) {
+  let n = Math.round(Math.abs(Number(amount) || 0));
+  if (n === 0) return UNITS[0];
+  const parts = [];
+  [[1e9, 'milliard'], [1e6, 'million'], [1e3, 'mille']].forEach(([scale, name]) => {
+    const count = Math.floor(n / scale);
+    n %= scale;
+    if (!count) return;
+    if (name === 'mille') parts.push(count === 1 ? 'mille' : `${below1000(count).replace(/(cent|vingt)s$/, '$1')} mille`);
+    else parts.push(`${below1000(count)} ${name}${count > 1 ? 's' : ''}`);
+  });
+  if (n) parts.push(below1000(n));
+  return parts.join(' ');
+}
+
+/* ---------- Empreinte et QR code ---------- */
+
+// "B1234567" -> "B1****67"
+export function maskDocument(value) {
+  const doc = normalizeDocument(value);
+  if (doc.length <= 4) return doc.replace(/.(?=.)/g, '*');
+  return `${doc.slice(0, 2)}${'*'.repeat(doc.length - 4)}${doc.slice(-2)}`;
+}
+
+export async function receiptHash(tx) {
+  const canonical = [tx.id, tx.created_at, tx.type, tx.operator, Number(tx.montant), normalizeDocument(tx.id_document)].join('|');
+  const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(canonical));
+  return Array.from(new Uint8Array(digest).slice(0, 8), (b) => b.toString(16).padStart(2, '0')).join('');
+}
+
+export async function receiptPayload(tx) {
+  return `${PAYLOAD_PREFIX}:${tx.id}:${await receiptHash(tx)}`;
+}
+
+// Contrôle d'un QR code scanné: l'empreinte doit correspondre à la transaction enregistrée
+export async function verifyReceiptPayload(payload, tx) {
+  const [prefix, id, hash] = String(payload).split(':');
+  return prefix === PAYLOAD_PREFIX && id === tx.id && hash === await receiptHash(tx);
+}
+
+/* ---------- PDF ---------- */
+
+const pdfAmount = (amount) => `${formatPlainAmount(amount)} FCFA`;
+
+function capitalize(text) {
+  return text.charAt(0).toUpperCase() + text.slice(1);
+}
+
+/*
+  drawReceipt: dessine le reçu et retourne l'ordonnée finale (mm), ce qui
+  permet de dimensionner le ticket thermique.
+*/
+function drawReceipt(doc, { tx, agent, operators, format, qrImage, hash }) {
+  const { width, margin, body, title, qr } = format;
+  const inner = width - margin * 2;
+  const center = width / 2;
+  const lineHeight = body * 0.45;
+  let y = margin + title * 0.35;
+
+  const text = (value, { size = body, bold = false, italic = false, align = 'left' } = {}) => {
+    doc.setFont('helvetica', bold && italic ? 'bolditalic' : bold ? 'bold' : italic ? 'italic' : 'normal');
+    doc.setFontSize(size);
+    const lines = doc.splitTextToSize(String(value), inner);
+    doc.text(lines, align === 'center' ? center : margin, y, { align });
+    y += lines.length * size * 0.45;
+  };
+  const row = (label, value) => {
+    doc.setFontSize(body);
+    doc.setFont('helvetica', 'normal');
+    doc.text(label, margin, y);
+    doc.setFont('helvetica', 'bold');
+    const lines = doc.splitTextToSize(String(value || '—'), inner * 0.6);
+    doc.text(lines, width - margin, y, { align: 'right' });
+    y += lines.length * lineHeight + 0.6;
+  };
+  const separator = () => {
+    y += 0.5;
+    doc.setLineDashPattern([0.8, 0.8], 0);
+    doc.line(margin, y - lineHeight / 2, width - margin, y - lineHeight / 2);
+    y += lineHeight * 0.6;
+  };
+
+  if (agent.name) text(agent.name, { size: title, bold: true, align: 'center' });
+  if (agent.address) text(agent.address, { align: 'center' });
+  if (agent.phone) text(`Tél. ${agent.phone}`, { align: 'center' });
+  if (agent.code) text(`Code agent: ${agent.code}`, { align: 'center' });
+  separator();
+  text('REÇU DE TRANSACTION', { size: title * 0.9, bold: true, align: 'center' });
+  if (tx.status === 'cancelled') text('*** OPÉRATION ANNULÉE ***', { bold: true, align: 'center' });
+  y += 1;
+
+  row('Date', formatDate(tx.created_at));
+  row('Réf.', tx.id.slice(0, 8).toUpperCase());
+  row('Type', TYPES[tx.type] || tx.type);
+  row('Opérateur', getOperator(operators, tx.operator).name);
+  if (tx.operator_ref) row('Réf. opérateur', tx.operator_ref);
+  row('Client', tx.nom_complet);
+  row('Document', maskDocument(tx.id_document));
+  row('Téléphone', tx.telephone);
+  formatTypeDetails(tx).forEach((d) => row(d.label, d.value));
+  separator();
+
+  text(pdfAmount(tx.montant), { size: title * 1.2, bold: true, align: 'center' });
+  text(`${capitalize(amountInWords(tx.montant))} francs CFA`, { italic: true, align: 'center' });
+  separator();
+
+  if (tx.created_by_name) row('Agent', tx.created_by_name);
+  row('Édité le', formatDate(new Date().toISOString()));
+  y += 1;
+
+  doc.addImage(qrImage, 'PNG', center - qr / 2, y, qr, qr);
+  y += qr + lineHeight;
+  text(`${tx.id}`, { size: body * 0.75, align: 'center' });
+  text(`Contrôle: ${hash}`, { size: body * 0.75, align: 'center' });
+  y += 1;
+  text('Merci de votre confiance.', { italic: true, align: 'center' });
+  return y + margin;
+}
+
+export async function buildReceiptPDF(tx, { operators = [], agent = DEFAULT_RECEIPT_AGENT, format = 'thermal58' } = {}) {
+  const spec = RECEIPT_FORMATS[format] || RECEIPT_FORMATS.thermal58;
+  const hash = await receiptHash(tx);
+  const qrImage = await QRCode.toDataURL(`${PAYLOAD_PREFIX}:${tx.id}:${hash}`, { errorCorrectionLevel: 'M', margin: 1, width: 256 });
+  const options = { tx, agent, operators, format: spec, qrImage, hash };
+
+  let height = spec.height;
+  if (!height) {
+    // Premier passage à blanc pour mesurer la hauteur du ticket
+    height = Math.ceil(drawReceipt(new jsPDF({ unit: 'mm', format: [spec.width, 400] }), options));
+  }
+  const doc = new jsPDF({ unit: 'mm', format: [spec.width, height], orientation: 'portrait' });
+  doc.setProperties({ title: `Reçu ${tx.id.slice(0, 8)}`, creator: 'MobiLedger' });
+  drawReceipt(doc, options);
+  return doc;
+}
+
+export function receiptFileName(tx) {
+  return `recu-${tx.id.slice(0, 8)}.pdf`;
+}
+
+/*
+  shareReceipt: partage le PDF via l'API Web Share (WhatsApp, SMS... sur
+  mobile) ou, à défaut, le télécharge. Retourne 'shared', 'cancelled' ou
+  'downloaded'.
+*/
+export async function shareReceipt(doc, tx) {
+  const name = receiptFileName(tx);
+  const file = new File([doc.output('blob')], name, { type: 'application/pdf' });
+  if (typeof navigator !== 'undefined' && navigator.canShare && navigator.canShare({ files: [file] })) {
+    try {
+      await navigator.share({ files: [file], title: `Reçu ${tx.id.slice(0, 8)}`, text: `Reçu de votre opération du ${formatDate(tx.created_at)}` });
+      return 'shared';
+    } catch (err) {
+      if (err.name === 'AbortError') return 'cancelled';
+      throw err;
+    }
+  }
+  doc.save(name);
+  return 'downloaded';
+}
+
+export function canShareFiles() {
+  return typeof navigator !== 'undefined' && typeof navigator.canShare === 'function';
+}
+
+// Ouvre le PDF avec la boîte d'impression (imprimante thermique Bluetooth ou USB)
+export function printReceipt(doc) {
+  doc.autoPrint();
+  window.open(doc.output('bloburl'), '_blank');
+}
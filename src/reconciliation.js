@@ -0,0 +1,234 @@
+/*
+  Rapprochement avec les SMS de confirmation des opérateurs.
+
+  Chaque opération Orange Money / Moov Money produit un SMS avec la
+  référence opérateur, le montant, le numéro du client et le nouveau solde:
+    "Depot de 50 000 FCFA effectue au 70112233 le 31/05/2024 14:05.
+     ID Trans: CI240531.1405.A12345. Nouveau solde: 1 250 000 FCFA"
+    "Retrait de 25000F du 60112233 valide. Ref: 0123456789. Solde: 310000F"
+  L'agent colle un ou plusieurs SMS; chacun est analysé par le parseur de
+  son opérateur puis rapproché de la transaction du registre de même
+  montant, même numéro et même type, la plus proche dans le temps. La
+  référence opérateur est alors enregistrée sur la transaction.
+  Les SMS sans transaction et les transactions sans SMS sont listés: ce
+  sont les trous du registre.
+*/
+import { updateTransaction } from './db.js';
+import { isActiveTransaction } from './corrections.js';
+import { normalizePhone } from './clients.js';
+import { localDateKey } from './closing.js';
+import { normalizeBFPhone } from './validation.js';
+import { getTransactionType, typeDetails } from './transactionTypes.js';
+
+// Écart maximal entre l'heure du SMS et celle de la saisie
+export const MATCH_WINDOW_MINUTES = 30;
+
+/*
+  Parseurs par opérateur (identifiant de operators.js). `detect` reconnaît
+  le SMS, `reference` capture la référence de l'opération.
+*/
+export const SMS_PARSERS = {
+  orange: {
+    label: 'Orange Money',
+    detect: /orange|\b(CI|PP|MP|RC)\d{6}\.\d{4}\.[A-Z0-9]+\b/i,
+    reference: /\b((?:CI|PP|MP|RC)\d{6}\.\d{4}\.[A-Z0-9]+)\b|(?:ID\s*trans(?:action)?|Trans\s*ID)\s*:?\s*([A-Z0-9.]+)/i
+  },
+  moov: {
+    label: 'Moov Money',
+    detect: /moov|flooz/i,
+    reference: /(?:R[ée]f(?:[ée]rence)?|Txn\s*ID|ID\s*trans(?:action)?)\s*:?\s*([A-Z0-9.]+)/i
+  }
+};
+
+const AMOUNT = '(\\d{1,3}(?:[ .\\u00a0\\u202f]\\d{3})+|\\d+)\\s*(?:F\\s?CFA|FCFA|XOF|F)\\b';
+const BALANCE = new RegExp(`solde[^\\d]{0,20}${AMOUNT}`, 'i');
+const FEES = new RegExp(`(?:frais|commission)[^\\d]{0,20}${AMOUNT}`, 'gi');
+const PHONE = /(?:\+?226|00226)?[\s-]?([0-7]\d(?:[\s-]?\d{2}){3})\b/;
+const DATE = /(\d{2})\/(\d{2})\/(\d{2,4})\D{1,4}(\d{1,2})[:h](\d{2})(?::(\d{2}))?/;
+
+const toNumber = (text) => Number(text.replace(/\D/g, ''));
+
+function smsType(text) {
+  if (/retrait|re[çc]u|cash\s?out/i.test(text)) return 'withdrawal';
+  if (/d[ée]p[ôo]t|transfert|envoy|cash\s?in/i.test(text)) return 'deposit';
+  return '';
+}
+
+function smsDate(text) {
+  const m = text.match(DATE);
+  if (!m) return null;
+  const [, d, mo, y, h, mi, s = 0] = m;
+  const year = y.length === 2 ? 2000 + Number(y) : Number(y);
+  const date = new Date(year, Number(mo) - 1, Number(d), Number(h), Number(mi), Number(s));
+  return Number.isNaN(date.getTime()) ? null : date.toISOString();
+}
+
+export function detectSmsOperator(text) {
+  return Object.keys(SMS_PARSERS).find((id) => SMS_PARSERS[id].detect.test(text)) || '';
+}
+
+/*
+  parseSms: { raw, operator, reference, montant, telephone, balance, type, date }
+  ou { raw, error } si le SMS n'est pas reconnu. `operator` force le parseur.
+*/
+export function parseSms(raw, operator = '') {
+  const text = raw.replace(/\s+/g, ' ').trim();
+  const id = operator && SMS_PARSERS[operator] ? operator : detectSmsOperator(text);
+  if (!id) return { raw, error: 'Opérateur non reconnu.' };
+
+  const refMatch = text.match(SMS_PARSERS[id].reference);
+  const reference = refMatch ? (refMatch[1] || refMatch[2]).replace(/\.$/, '') : '';
+  // Référence, solde et frais sont retirés avant de chercher le montant et le numéro
+  let rest = refMatch ? text.replace(refMatch[0], ' ') : text;
+  const balanceMatch = rest.match(BALANCE);
+  if (balanceMatch) rest = rest.replace(balanceMatch[0], ' ');
+  rest = rest.replace(FEES, ' ');
+  const date = smsDate(rest);
+  rest = rest.replace(DATE, ' ');
+  const amountMatch = rest.match(new RegExp(AMOUNT, 'i'));
+  if (amountMatch) rest = rest.replace(amountMatch[0], ' ');
+  const phoneMatch = rest.match(PHONE);
+
+  if (!reference) return { raw, operator: id, error: 'Référence opérateur introuvable.' };
+  if (!amountMatch) return { raw, operator: id, error: 'Montant introuvable.' };
+  return {
+    raw,
+    operator: id,
+    reference,
+    montant: toNumber(amountMatch[1]),
+    telephone: phoneMatch ? normalizeBFPhone(phoneMatch[1]) || phoneMatch[1] : '',
+    balance: balanceMatch ? toNumber(balanceMatch[1]) : null,
+    type: smsType(text),
+    date
+  };
+}
+
+/*
+  splitMessages: les SMS collés sont séparés par une ligne vide. Un bloc dont
+  chaque ligne porte sa propre référence est découpé ligne par ligne.
+*/
+export function splitMessages(text, operator = '') {
+  return String(text || '')
+    .split(/\r?\n\s*\r?\n/)
+    .map((block) => block.trim())
+    .filter(Boolean)
+    .flatMap((block) => {
+      const lines = block.split(/\r?\n/).map((l) => l.trim()).filter(Boolean);
+      const separate = lines.length > 1 && lines.every((l) => {
+        const parsed = parseSms(l, operator);
+        return !parsed.error;
+      });
+      return separate ? lines : [block];
+    });
+}
+
+/* ---------- Rapprochement ---------- */
+
+const minutesBetween = (a, b) => Math.abs(new Date(a) - new Date(b)) / 60000;
+
+/*
+  Le SMS ne distingue que le sens de l'e-money (dépôt / retrait): un
+  transfert ou un paiement sort de la puce comme un dépôt. Le numéro du SMS
+  peut être celui du client ou celui du bénéficiaire (champs 'phone' du type).
+*/
+const sameDirection = (t, sms) => getTransactionType(t.type).float.emoney === getTransactionType(sms.type).float.emoney;
+
+const phonesOf = (t) => [t.telephone, ...typeDetails(t).filter((d) => d.kind === 'phone').map((d) => d.value)].map(normalizePhone);
+
+function isCandidate(t, sms) {
+  return isActiveTransaction(t)
+    && t.operator === sms.operator
+    && Number(t.montant) === sms.montant
+    && (!sms.type || sameDirection(t, sms))
+    && (!sms.telephone || phonesOf(t).includes(normalizePhone(sms.telephone)));
+}
+
+/*
+  reconcile: rapproche les SMS analysés des transactions (déchiffrées).
+  Un SMS daté cherche dans ±windowMinutes; un SMS sans date cherche dans la
+  journée `day`. Chaque transaction ne sert qu'une fois, un SMS collé deux
+  fois n'est compté qu'une fois.
+  Retourne {
+    matched   : [{ sms, tx }]         à enregistrer
+    known     : [{ sms, tx }]         référence déjà posée sur la transaction
+    unmatched : [sms]                 SMS sans transaction
+    unparsed  : [{ raw, error }]      SMS illisibles
+    missing   : [tx]                  transactions de `day` sans SMS
+  }
+*/
+export function reconcile(messages, transactions, { day = localDateKey(), windowMinutes = MATCH_WINDOW_MINUTES } = {}) {
+  const parsed = messages.map((m) => (typeof m === 'string' ? parseSms(m) : m));
+  const byRef = new Map(transactions.filter((t) => t.operator_ref).map((t) => [`${t.operator}|${t.operator_ref}`, t]));
+  const used = new Set();
+  const seen = new Set();
+  const result = { matched: [], known: [], unmatched: [], unparsed: [], missing: [] };
+
+  parsed.forEach((sms) => {
+    if (sms.error) {
+      result.unparsed.push(sms);
+      return;
+    }
+    const key = `${sms.operator}|${sms.reference}`;
+    if (seen.has(key)) return;
+    seen.add(key);
+    const already = byRef.get(key);
+    if (already) {
+      used.add(already.id);
+      result.known.push({ sms, tx: already });
+      return;
+    }
+    const candidates = transactions
+      .filter((t) => !t.operator_ref && !used.has(t.id) && isCandidate(t, sms))
+      .filter((t) => (sms.date ? minutesBetween(t.created_at, sms.date) <= windowMinutes : localDateKey(t.created_at) === day))
+      .sort((a, b) => (sms.date
+        ? minutesBetween(a.created_at, sms.date) - minutesBetween(b.created_at, sms.date)
+        : (a.created_at < b.created_at ? 1 : -1)));
+    if (!candidates.length) {
+      result.unmatched.push(sms);
+      return;
+    }
+    used.add(candidates[0].id);
+    result.matched.push({ sms, tx: candidates[0] });
+  });
+
+  result.missing = transactions
+    .filter((t) => isActiveTransaction(t) && SMS_PARSERS[t.operator] && localDateKey(t.created_at) === day)
+    .filter((t) => !t.operator_ref && !used.has(t.id))
+    .sort((a, b) => (a.created_at < b.created_at ? -1 : 1));
+  return result;
+}
+
+/*
+  reconcileRange: jours de transactions à lire pour reconcile, la journée
+  `day` et ±windowMinutes autour de chaque SMS daté.
+*/
+export function reconcileRange(messages, day = localDateKey(), windowMinutes = MATCH_WINDOW_MINUTES) {
+  const keys = [day];
+  messages.filter((sms) => sms && sms.date).forEach((sms) => {
+    const at = new Date(sms.date).getTime();
+    keys.push(localDateKey(at - windowMinutes * 60000), localDateKey(at + windowMinutes * 60000));
+  });
+  keys.sort();
+  return { from: keys[0], to: keys[keys.length - 1] };
+}
+
+/*
+  saveReconciliation: pose la référence et le solde opérateur sur les
+  transactions rapprochées, y compris sur une journée déjà clôturée (voir
+  RECONCILIATION_FIELDS). Ces champs restent sur cet appareil: ils ne
+  changent pas la révision et ne sont pas synchronisés (src/sync.js), chaque
+  appareil rapproche les SMS qu'il reçoit.
+*/
+export async function saveReconciliation(matched, { user }) {
+  const at = new Date().toISOString();
+  const saved = [];
+  for (const { sms, tx } of matched) {
+    saved.push(await updateTransaction(tx.id, {
+      operator_ref: sms.reference,
+      operator_balance: sms.balance,
+      reconciled_at: at,
+      reconciled_by: user
+    }));
+  }
+  return saved;
+}
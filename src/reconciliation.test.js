@@ -0,0 +1,105 @@
+import { describe, expect, it } from 'vitest';
+import { detectSmsOperator, parseSms, reconcile, reconcileRange, splitMessages } from './reconciliation.js';
+
+const ORANGE_SMS = 'Depot de 50 000 FCFA effectue au 70112233 le 31/05/2024 14:05. ID Trans: CI240531.1405.A12345. Nouveau solde: 1 250 000 FCFA';
+const MOOV_SMS = 'Moov Money: Retrait de 25000F du 60112233 valide. Ref: 0123456789. Frais: 250F. Solde: 310000F';
+
+const at = (h, mi) => new Date(2024, 4, 31, h, mi).toISOString();
+
+const tx = (id, fields) => ({
+  id,
+  type: 'deposit',
+  operator: 'orange',
+  nom_complet: 'Awa Ouédraogo',
+  telephone: '+22670112233',
+  montant: 50000,
+  status: 'synced',
+  created_at: at(14, 2),
+  ...fields
+});
+
+/* ---------- Analyse des SMS ---------- */
+
+describe('parseSms', () => {
+  it('reads an Orange Money deposit', () => {
+    expect(parseSms(ORANGE_SMS)).toEqual({
+      raw: ORANGE_SMS,
+      operator: 'orange',
+      reference: 'CI240531.1405.A12345',
+      montant: 50000,
+      telephone: '+22670112233',
+      balance: 1250000,
+      type: 'deposit',
+      date: at(14, 5)
+    });
+  });
+
+  it('reads a Moov Money withdrawal without taking the fees for the amount', () => {
+    expect(parseSms(MOOV_SMS)).toMatchObject({
+      operator: 'moov',
+      reference: '0123456789',
+      montant: 25000,
+      telephone: '+22660112233',
+      balance: 310000,
+      type: 'withdrawal',
+      date: null
+    });
+  });
+
+  it('uses the forced operator and reports what is missing', () => {
+    expect(detectSmsOperator('Retrait de 5000F. Ref: 42')).toBe('');
+    expect(parseSms('Retrait de 5000F. Ref: 42')).toMatchObject({ error: 'Opérateur non reconnu.' });
+    expect(parseSms('Retrait de 5000F. Ref: 42', 'moov')).toMatchObject({ operator: 'moov', reference: '42', montant: 5000 });
+    expect(parseSms('Moov: retrait de 5000F')).toMatchObject({ error: 'Référence opérateur introuvable.' });
+    expect(parseSms('Moov: retrait. Ref: 42')).toMatchObject({ error: 'Montant introuvable.' });
+  });
+});
+
+describe('splitMessages', () => {
+  it('splits on blank lines, and line by line when each line is a SMS', () => {
+    expect(splitMessages(`${ORANGE_SMS}\n\n${MOOV_SMS}\n`)).toEqual([ORANGE_SMS, MOOV_SMS]);
+    expect(splitMessages(`${ORANGE_SMS}\n${MOOV_SMS}`)).toEqual([ORANGE_SMS, MOOV_SMS]);
+    expect(splitMessages('Moov Money: retrait de 5000F\ndu 60112233. Ref: 42')).toHaveLength(1);
+  });
+});
+
+/* ---------- Rapprochement ---------- */
+
+describe('reconcile', () => {
+  const day = '2024-05-31';
+
+  it('matches the closest transaction within the window', () => {
+    const far = tx('far', { created_at: at(13, 50) });
+    const close = tx('close');
+    const result = reconcile([ORANGE_SMS], [far, close], { day });
+    expect(result.matched.map((m) => m.tx.id)).toEqual(['close']);
+    expect(result.missing.map((t) => t.id)).toEqual(['far']);
+  });
+
+  it('ignores other amounts, numbers, directions and cancelled transactions', () => {
+    const transactions = [
+      tx('amount', { montant: 40000 }),
+      tx('phone', { telephone: '+22670999999' }),
+      tx('direction', { type: 'withdrawal' }),
+      tx('cancelled', { status: 'cancelled' }),
+      tx('late', { created_at: at(15, 0) })
+    ];
+    const result = reconcile([ORANGE_SMS], transactions, { day });
+    expect(result.matched).toEqual([]);
+    expect(result.unmatched).toHaveLength(1);
+  });
+
+  it('counts a reference already recorded once, and a SMS pasted twice once', () => {
+    const done = tx('done', { operator_ref: 'CI240531.1405.A12345' });
+    const result = reconcile([ORANGE_SMS, ORANGE_SMS, 'bonjour'], [done], { day });
+    expect(result.known.map((m) => m.tx.id)).toEqual(['done']);
+    expect(result.matched).toEqual([]);
+    expect(result.unparsed).toHaveLength(1);
+    expect(result.missing).toEqual([]);
+  });
+
+  it('reads the chosen day and the window around each dated SMS', () => {
+    expect(reconcileRange([parseSms(ORANGE_SMS)], '2024-06-02')).toEqual({ from: day, to: '2024-06-02' });
+    expect(reconcileRange([parseSms(MOOV_SMS)], day)).toEqual({ from: day, to: day });
+  });
+});
@@ -0,0 +1,326 @@
+/*
+  Registre officiel des opérations sur une période (contrôle des autorités
+  et des opérateurs).
+
+  - en-tête d'identité de l'agent (nom, code agent, localisation, opérateurs)
+  - numérotation continue des lignes sur toute la période
+  - reports de sous-totaux en bas de chaque page et en tête de la suivante
+  - totaux généraux par type, par opérateur et par agent
+  - pied de page "Page X/Y" et bloc signature / cachet
+
+  Les annulations restent inscrites (en gris) mais ne comptent dans aucun
+  total, comme dans les autres exports. Les montants sont ventilés en
+  entrées / sorties de cash selon le type (transactionTypes.js).
+
+  exportHistoryPDF est l'extrait de l'historique: exactement la liste
+  filtrée (et recherchée) à l'écran, sans en-tête officiel ni signature.
+*/
+import { jsPDF } from 'jspdf';
+import autoTable from 'jspdf-autotable';
+import { historySummary, isActiveTransaction } from './corrections.js';
+import { getOperator, totalsByOperator } from './operators.js';
+import { dayBounds, localDateKey } from './closing.js';
+import { STATUSES, TYPES } from './filters.js';
+import { totalsByUser } from './users.js';
+import { formatDate, formatPlainAmount, timestamp } from './format.js';
+import { cashFlow, getTransactionType } from './transactionTypes.js';
+import { formatTypeDetails } from './validation.js';
+
+const MARGIN = 14;
+const TOP_MARGIN = 22; // place du report en tête des pages suivantes
+const BOTTOM_MARGIN = 24; // place du sous-total "à reporter" et du pied de page
+const GREY = [148, 163, 184];
+
+const dayLabel = (key) => key.split('-').reverse().join('/');
+const amount = (value) => `${formatPlainAmount(value)} F`;
+
+// Transactions de la période [from, to] (jours locaux inclus), de la plus ancienne à la plus récente
+export function registerTransactions(transactions, { from, to, operator = '' }) {
+  const start = dayBounds(from).start.toISOString();
+  const end = dayBounds(to).end.toISOString();
+  return transactions
+    .filter((t) => t.created_at >= start && t.created_at <= end && (!operator || t.operator === operator))
+    .sort((a, b) => (a.created_at < b.created_at ? -1 : 1));
+}
+
+// Période par défaut: le mois en cours jusqu'à aujourd'hui
+export function currentMonthRange(now = new Date()) {
+  return { from: localDateKey(new Date(now.getFullYear(), now.getMonth(), 1)), to: localDateKey(now) };
+}
+
+// Cumuls ligne à ligne: cumulative[i] = totaux des lignes 0..i (hors annulations)
+function runningTotals(transactions) {
+  const running = { cash_in: 0, cash_out: 0, commission: 0, count: 0 };
+  return transactions.map((t) => {
+    if (isActiveTransaction(t)) {
+      const flow = cashFlow(t);
+      if (flow) running[`cash_${flow}`] += Number(t.montant) || 0;
+      running.commission += Number(t.commission) || 0;
+      running.count += 1;
+    }
+    return { ...running };
+  });
+}
+
+const totalsLine = (tot) => `Entrées ${amount(tot.cash_in)} — Sorties ${amount(tot.cash_out)} — Commissions ${amount(tot.commission)} — ${tot.count} opération(s)`;
+
+function drawIdentityHeader(doc, { agent, operatorNames, from, to }) {
+  const width = doc.internal.pageSize.getWidth();
+  doc.setFont('helvetica', 'bold');
+  doc.setFontSize(14);
+  doc.text('REGISTRE DES OPÉRATIONS DE MOBILE MONEY', width / 2, 14, { align: 'center' });
+  doc.setFontSize(10);
+  doc.setFont('helvetica', 'normal');
+  doc.text(`Période du ${dayLabel(from)} au ${dayLabel(to)}`, width / 2, 20, { align: 'center' });
+
+  doc.setDrawColor(...GREY);
+  doc.rect(MARGIN, 24, width - MARGIN * 2, 20);
+  doc.setFontSize(9);
+  const rows = [
+    [['Agent', agent.name || '—'], ['Code agent', agent.code || '—']],
+    [['Localisation', agent.address || '—'], ['Téléphone', agent.phone || '—']],
+    [['Opérateur(s)', operatorNames.join(', ') || '—'], ['Édité le', formatDate(new Date().toISOString())]]
+  ];
+  rows.forEach((pair, i) => {
+    pair.forEach(([label, value], j) => {
+      const x = MARGIN + 3 + j * (width - MARGIN * 2) / 2;
+      const y = 30 + i * 5.5;
+      doc.setFont('helvetica', 'bold');
+      doc.text(`${label}:`, x, y);
+      doc.setFont('helvetica', 'normal');
+      doc.text(String(value), x + 26, y);
+    });
+  });
+  return 50;
+}
+
+function drawSignatureBlock(doc, agent) {
+  const width = doc.internal.pageSize.getWidth();
+  const height = doc.internal.pageSize.getHeight();
+  let y = doc.lastAutoTable.finalY + 10;
+  if (y + 48 > height - BOTTOM_MARGIN) {
+    doc.addPage();
+    y = TOP_MARGIN;
+  }
+  doc.setFontSize(10);
+  doc.setFont('helvetica', 'normal');
+  doc.text(`Fait à ${agent.address || '____________________'}, le ${dayLabel(localDateKey())}`, MARGIN, y);
+  const boxWidth = (width - MARGIN * 2 - 10) / 2;
+  [['Signature de l\'agent', agent.name], ['Cachet', '']].forEach(([label, name], i) => {
+    const x = MARGIN + i * (boxWidth + 10);
+    doc.setDrawColor(...GREY);
+    doc.rect(x, y + 4, boxWidth, 36);
+    doc.setFont('helvetica', 'bold');
+    doc.text(label, x + 3, y + 10);
+    if (name) {
+      doc.setFont('helvetica', 'normal');
+      doc.text(name, x + 3, y + 37);
+    }
+  });
+}
+
+/*
+  Reports et pieds de page, une fois toutes les pages connues. `pages` donne,
+  pour chaque page du tableau principal, l'index de sa dernière ligne et le
+  bas du tableau.
+*/
+function drawPageFurniture(doc, { pages, cumulative, lastRow, agent, from, to }) {
+  const width = doc.internal.pageSize.getWidth();
+  const height = doc.internal.pageSize.getHeight();
+  const count = doc.getNumberOfPages();
+  const tablePages = Object.keys(pages).map(Number).sort((a, b) => a - b);
+
+  for (let p = 1; p <= count; p++) {
+    doc.setPage(p);
+    doc.setFontSize(8);
+    doc.setFont('helvetica', 'bold');
+
+    const info = pages[p];
+    const previous = tablePages.filter((n) => n < p).pop();
+    if (info && previous) {
+      doc.text(`Report: ${totalsLine(cumulative[pages[previous].last])}`, MARGIN, TOP_MARGIN - 4);
+    }
+    if (info) {
+      const label = info.last === lastRow ? 'Total de la période' : 'À reporter';
+      doc.text(`${label}: ${totalsLine(cumulative[info.last])}`, MARGIN, info.bottom + 5);
+    }
+
+    doc.setFont('helvetica', 'normal');
+    doc.setTextColor(100);
+    if (p > 1) doc.text(`Registre ${agent.name ? `de ${agent.name} ` : ''}— ${dayLabel(from)} au ${dayLabel(to)}`, MARGIN, 9);
+    doc.text(`${agent.name || 'MobiLedger'}${agent.code ? ` — code ${agent.code}` : ''}`, MARGIN, height - 8);
+    doc.text(`Page ${p}/${count}`, width - MARGIN, height - 8, { align: 'right' });
+    doc.setTextColor(0);
+  }
+}
+
+/*
+  exportRegisterPDF: `transactions` est déjà restreinte à la période
+  (registerTransactions). `agent` vient des paramètres (receipt.js).
+*/
+export function exportRegisterPDF(transactions, { from, to, operators, agent, users = [] }) {
+  const doc = new jsPDF({ orientation: 'landscape' });
+  const operatorIds = [...new Set(transactions.map((t) => t.operator))];
+  const operatorNames = operatorIds.map((id) => getOperator(operators, id).name);
+  const startY = drawIdentityHeader(doc, { agent, operatorNames, from, to });
+
+  const cumulative = runningTotals(transactions);
+  const pages = {};
+  autoTable(doc, {
+    head: [['N°', 'Date', 'Réf.', 'Opération', 'Opérateur', 'Client', 'CNIB/Passport', 'Téléphone', 'Entrée', 'Sortie', 'Commission', 'Statut', 'Agent']],
+    body: transactions.map((t, i) => [
+      i + 1,
+      formatDate(t.created_at),
+      t.operator_ref ? `${t.id.slice(0, 8)}\n${t.operator_ref}` : t.id.slice(0, 8),
+      [getTransactionType(t.type).label, ...formatTypeDetails(t).map((d) => d.value)].join('\n'),
+      getOperator(operators, t.operator).name,
+      t.nom_complet,
+      t.id_document,
+      t.telephone,
+      cashFlow(t) === 'in' ? amount(t.montant) : '',
+      cashFlow(t) === 'out' ? amount(t.montant) : '',
+      amount(t.commission || 0),
+      STATUSES[t.status] || t.status,
+      t.created_by_name || ''
+    ]),
+    startY,
+    margin: { top: TOP_MARGIN, bottom: BOTTOM_MARGIN, left: MARGIN, right: MARGIN },
+    styles: { fontSize: 7, cellPadding: 1.2 },
+    headStyles: { fillColor: [30, 41, 59] },
+    columnStyles: { 0: { halign: 'right' }, 8: { halign: 'right' }, 9: { halign: 'right' }, 10: { halign: 'right' } },
+    showHead: 'everyPage',
+    didParseCell: (data) => {
+      if (data.section === 'body' && !isActiveTransaction(transactions[data.row.index])) data.cell.styles.textColor = GREY;
+    },
+    didDrawCell: (data) => {
+      if (data.section !== 'body') return;
+      const page = doc.internal.getCurrentPageInfo().pageNumber;
+      const info = pages[page] || { last: data.row.index, bottom: 0 };
+      pages[page] = { last: Math.max(info.last, data.row.index), bottom: Math.max(info.bottom, data.cell.y + data.cell.height) };
+    }
+  });
+  const active = transactions.filter(isActiveTransaction);
+  const sum = (list, field = 'montant') => list.reduce((s, t) => s + (Number(t[field]) || 0), 0);
+  const cancelled = transactions.length - active.length;
+  autoTable(doc, {
+    head: [['Totaux généraux', 'Nombre', 'Montant', 'Commission']],
+    body: [
+      ...Object.entries(TYPES).map(([type, label]) => {
+        const list = active.filter((t) => t.type === type);
+        return [label, list.length, amount(sum(list)), amount(sum(list, 'commission'))];
+      }),
+      ['Total (hors annulations)', active.length, amount(sum(active)), amount(sum(active, 'commission'))],
+      [`${STATUSES.cancelled}s (non comptées)`, cancelled, '', '']
+    ],
+    // Laisse la place du dernier sous-total sous le registre
+    startY: doc.lastAutoTable.finalY + 12,
+    margin: { top: TOP_MARGIN, bottom: BOTTOM_MARGIN, left: MARGIN, right: MARGIN },
+    tableWidth: 150,
+    styles: { fontSize: 8 },
+    columnStyles: { 1: { halign: 'right' }, 2: { halign: 'right' }, 3: { halign: 'right' } },
+    didParseCell: (data) => {
+      if (data.section === 'body' && data.row.index === Object.keys(TYPES).length) data.cell.styles.fontStyle = 'bold';
+    }
+  });
+
+  if (operatorIds.length > 1) {
+    const byOperator = totalsByOperator(transactions);
+    autoTable(doc, {
+      head: [['Par opérateur', 'Nombre', 'Entrées', 'Sorties']],
+      body: operatorIds.map((id) => {
+        const tot = byOperator[id] || { count: 0, cash_in: 0, cash_out: 0 };
+        return [getOperator(operators, id).name, tot.count, amount(tot.cash_in), amount(tot.cash_out)];
+      }),
+      startY: doc.lastAutoTable.finalY + 6,
+      margin: { top: TOP_MARGIN, bottom: BOTTOM_MARGIN, left: MARGIN, right: MARGIN },
+      tableWidth: 150,
+      styles: { fontSize: 8 },
+      columnStyles: { 1: { halign: 'right' }, 2: { halign: 'right' }, 3: { halign: 'right' } }
+    });
+  }
+
+  const byAgent = Object.values(totalsByUser(transactions, users));
+  if (byAgent.length > 1) {
+    autoTable(doc, {
+      head: [['Par agent', 'Nombre', 'Entrées', 'Sorties']],
+      body: byAgent.map((tot) => [tot.name, tot.count, amount(tot.cash_in), amount(tot.cash_out)]),
+      startY: doc.lastAutoTable.finalY + 6,
+      margin: { top: TOP_MARGIN, bottom: BOTTOM_MARGIN, left: MARGIN, right: MARGIN },
+      tableWidth: 150,
+      styles: { fontSize: 8 },
+      columnStyles: { 1: { halign: 'right' }, 2: { halign: 'right' }, 3: { halign: 'right' } }
+    });
+  }
+
+  const amended = transactions.filter((t) => t.status === 'cancelled' || t.replaces);
+  if (amended.length) {
+    autoTable(doc, {
+      head: [['N°', 'Réf.', 'Annulations et corrections']],
+      body: amended.map((t) => [transactions.indexOf(t) + 1, t.id.slice(0, 8), historySummary(t)]),
+      startY: doc.lastAutoTable.finalY + 6,
+      margin: { top: TOP_MARGIN, bottom: BOTTOM_MARGIN, left: MARGIN, right: MARGIN },
+      styles: { fontSize: 8 }
+    });
+  }
+
+  drawSignatureBlock(doc, agent);
+  drawPageFurniture(doc, { pages, cumulative, lastRow: transactions.length - 1, agent, from, to });
+  doc.save(`registre-${from}_${to}.pdf`);
+  return doc;
+}
+
+// Extrait de l'historique: `transactions` est la liste affichée, `filtersLabel` la décrit
+export function exportHistoryPDF(transactions, { operators, users = [], filtersLabel = '' }) {
+  const doc = new jsPDF({ orientation: 'landscape' });
+  doc.setFontSize(12);
+  doc.text('Historique des transactions', MARGIN, 12);
+  doc.setFontSize(8);
+  doc.text(`${filtersLabel || 'Toutes les transactions'} — édité le ${formatDate(new Date().toISOString())}`, MARGIN, 17);
+
+  autoTable(doc, {
+    head: [['Réf.', 'Date', 'Opération', 'Opérateur', 'Client', 'CNIB/Passport', 'Téléphone', 'Montant', 'Commission', 'Statut', 'Agent']],
+    body: transactions.map((t) => [
+      t.id.slice(0, 8),
+      formatDate(t.created_at),
+      [getTransactionType(t.type).label, ...formatTypeDetails(t).map((d) => d.value)].join('\n'),
+      getOperator(operators, t.operator).name,
+      t.nom_complet,
+      t.id_document,
+      t.telephone,
+      amount(t.montant),
+      amount(t.commission || 0),
+      STATUSES[t.status] || t.status,
+      t.created_by_name || ''
+    ]),
+    startY: 21,
+    styles: { fontSize: 7, cellPadding: 1.2 },
+    headStyles: { fillColor: [30, 41, 59] },
+    columnStyles: { 7: { halign: 'right' }, 8: { halign: 'right' } },
+    didParseCell: (data) => {
+      if (data.section === 'body' && !isActiveTransaction(transactions[data.row.index])) data.cell.styles.textColor = GREY;
+    }
+  });
+
+  const byOperator = totalsByOperator(transactions);
+  const totalsTable = (title, rows) => autoTable(doc, {
+    head: [[title, 'Nombre', 'Entrées', 'Sorties']],
+    body: rows.map(([name, tot]) => [name, tot.count, amount(tot.cash_in), amount(tot.cash_out)]),
+    startY: doc.lastAutoTable.finalY + 6,
+    tableWidth: 150,
+    styles: { fontSize: 8 },
+    columnStyles: { 1: { halign: 'right' }, 2: { halign: 'right' }, 3: { halign: 'right' } }
+  });
+  totalsTable('Par opérateur', Object.entries(byOperator).map(([id, tot]) => [getOperator(operators, id).name, tot]));
+  totalsTable('Par agent', Object.values(totalsByUser(transactions, users)).map((tot) => [tot.name, tot]));
+
+  const amended = transactions.filter((t) => t.status === 'cancelled' || t.replaces);
+  if (amended.length) {
+    autoTable(doc, {
+      head: [['Réf.', 'Annulations et corrections']],
+      body: amended.map((t) => [t.id.slice(0, 8), historySummary(t)]),
+      startY: doc.lastAutoTable.finalY + 6,
+      styles: { fontSize: 8 }
+    });
+  }
+  doc.save(`transactions-${timestamp()}.pdf`);
+}
@@ -0,0 +1,52 @@
+/*
+  Révisions des transactions pour la synchronisation à plusieurs appareils.
+
+  Chaque version d'une transaction porte:
+    rev        : 1 à la création, +1 à chaque modification (annulation, correction)
+    device_id  : appareil qui a écrit cette version
+    updated_at : date de cette version
+
+  Deux versions différentes d'un même enregistrement sont départagées sans
+  concertation, de la même façon sur tous les appareils et sur le serveur:
+  révision la plus haute, puis la plus récente, puis le device_id le plus
+  grand (ordre lexicographique). Le perdant est conservé dans la liste des
+  conflits (conflicts.js).
+
+  Module sans dépendance: le serveur factice (scripts/mock-sync-server.js)
+  applique la même règle.
+*/
+
+// Champs de version, à poser sur toute écriture qui change le contenu d'une transaction
+export function nextRevision(record, deviceId, at = new Date().toISOString()) {
+  return { rev: (Number(record.rev) || 0) + 1, device_id: deviceId, updated_at: at };
+}
+
+export function isSameRevision(a, b) {
+  return (Number(a.rev) || 0) === (Number(b.rev) || 0) && (a.device_id || '') === (b.device_id || '');
+}
+
+// > 0 si `a` l'emporte sur `b`, < 0 si `b` l'emporte, 0 pour la même version
+export function compareRevisions(a, b) {
+  const rev = (Number(a.rev) || 0) - (Number(b.rev) || 0);
+  if (rev !== 0) return rev;
+  const at = String(a.updated_at || '').localeCompare(String(b.updated_at || ''));
+  if (at !== 0) return at;
+  return String(a.device_id || '').localeCompare(String(b.device_id || ''));
+}
+
+/*
+  resolveRemote: que faire d'une version reçue du serveur, face à la version
+  locale (null si inconnue) dont `dirty` indique des modifications pas encore
+  envoyées. Retourne { winner: 'local'|'remote', conflict }:
+  - même version (écho de nos propres envois) : rien à faire, pas de conflit
+  - version distante plus récente et locale déjà envoyée : mise à jour simple
+  - même révision écrite par deux appareils, ou modification locale en
+    attente écrasée par une révision plus haute : conflit
+*/
+export function resolveRemote(local, remote, dirty = false) {
+  if (!local) return { winner: 'remote', conflict: false };
+  if (isSameRevision(local, remote)) return { winner: 'local', conflict: false };
+  const winner = compareRevisions(remote, local) > 0 ? 'remote' : 'local';
+  const concurrent = (Number(local.rev) || 0) === (Number(remote.rev) || 0) || (dirty && winner === 'remote');
+  return { winner, conflict: concurrent };
+}
@@ -0,0 +1,62 @@
+import { describe, expect, it } from 'vitest';
+import { compareRevisions, isSameRevision, nextRevision, resolveRemote } from './revisions.js';
+
+const version = (rev, device_id, updated_at = '2024-05-31T10:00:00.000Z') => ({ id: 't1', rev, device_id, updated_at });
+
+describe('nextRevision', () => {
+  it('starts at 1 and increments', () => {
+    expect(nextRevision({}, 'dev-a', '2024-05-31T10:00:00.000Z')).toEqual({ rev: 1, device_id: 'dev-a', updated_at: '2024-05-31T10:00:00.000Z' });
+    expect(nextRevision({ rev: 3 }, 'dev-b').rev).toBe(4);
+  });
+});
+
+describe('compareRevisions', () => {
+  it('prefers the highest revision', () => {
+    expect(compareRevisions(version(3, 'a'), version(2, 'z', '2030-01-01T00:00:00.000Z'))).toBeGreaterThan(0);
+    expect(compareRevisions(version(1, 'z'), version(2, 'a'))).toBeLessThan(0);
+  });
+
+  it('then the latest update, then the greatest device_id', () => {
+    expect(compareRevisions(version(2, 'a', '2024-06-01T00:00:00.000Z'), version(2, 'z'))).toBeGreaterThan(0);
+    expect(compareRevisions(version(2, 'b'), version(2, 'a'))).toBeGreaterThan(0);
+    expect(compareRevisions(version(2, 'a'), version(2, 'a'))).toBe(0);
+  });
+
+  it('is antisymmetric, so every device picks the same winner', () => {
+    const a = version(2, 'dev-a');
+    const b = version(2, 'dev-b');
+    expect(Math.sign(compareRevisions(a, b))).toBe(-Math.sign(compareRevisions(b, a)));
+  });
+
+  it('treats records written before revisions as revision 0', () => {
+    expect(compareRevisions({ id: 't1' }, version(1, 'a'))).toBeLessThan(0);
+    expect(isSameRevision({ id: 't1' }, { id: 't1', rev: 0, device_id: '' })).toBe(true);
+  });
+});
+
+describe('resolveRemote', () => {
+  it('takes an unknown record as is', () => {
+    expect(resolveRemote(null, version(1, 'a'))).toEqual({ winner: 'remote', conflict: false });
+  });
+
+  it('ignores the echo of our own version', () => {
+    expect(resolveRemote(version(2, 'a'), version(2, 'a'), true)).toEqual({ winner: 'local', conflict: false });
+  });
+
+  it('updates a sent record without conflict', () => {
+    expect(resolveRemote(version(1, 'a'), version(2, 'b'), false)).toEqual({ winner: 'remote', conflict: false });
+  });
+
+  it('keeps a newer local version without conflict', () => {
+    expect(resolveRemote(version(3, 'a'), version(2, 'b'), true)).toEqual({ winner: 'local', conflict: false });
+  });
+
+  it('flags the same revision written on two devices', () => {
+    expect(resolveRemote(version(2, 'a'), version(2, 'b'), false)).toEqual({ winner: 'remote', conflict: true });
+    expect(resolveRemote(version(2, 'b'), version(2, 'a'), false)).toEqual({ winner: 'local', conflict: true });
+  });
+
+  it('flags an unsent local change overwritten by a higher revision', () => {
+    expect(resolveRemote(version(2, 'a'), version(3, 'b'), true)).toEqual({ winner: 'remote', conflict: true });
+  });
+});
@@ -0,0 +1,67 @@
+/*
+  Enregistrement (unique) du service worker et mises à jour de l'application.
+
+  Un nouveau build installe un nouveau worker qui reste en attente: la page
+  propose de recharger (onUpdateReady) et applyUpdate() lui demande alors de
+  prendre la main. Un échec du précache est signalé par le worker
+  (message PRECACHE_FAILED) et remonté via onPrecacheError.
+*/
+const SW_URL = '/service-worker.js';
+const UPDATE_CHECK_INTERVAL_MS = 60 * 60 * 1000;
+
+function isSupported() {
+  return typeof navigator !== 'undefined' && 'serviceWorker' in navigator;
+}
+
+// Un worker "installed" alors qu'un autre contrôle déjà la page est une mise à jour
+function watchInstalling(worker, onUpdateReady) {
+  worker.addEventListener('statechange', () => {
+    if (worker.state === 'installed' && navigator.serviceWorker.controller) onUpdateReady(worker);
+  });
+}
+
+/*
+  Retourne une fonction de nettoyage (écouteurs et vérification périodique).
+  Elle peut passer avant la fin de register() (double montage du StrictMode):
+  `cancelled` empêche alors de poser ce qu'elle ne pourrait plus retirer.
+*/
+export function registerServiceWorker({ onUpdateReady, onPrecacheError }) {
+  if (!isSupported()) return () => {};
+  let cancelled = false;
+  let timer = null;
+  let registration = null;
+  const onUpdateFound = () => {
+    if (registration.installing) watchInstalling(registration.installing, onUpdateReady);
+  };
+  const onMessage = (event) => {
+    if (event.data && event.data.type === 'PRECACHE_FAILED') onPrecacheError(event.data.error);
+  };
+  navigator.serviceWorker.addEventListener('message', onMessage);
+
+  navigator.serviceWorker.register(SW_URL)
+    .then((reg) => {
+      if (cancelled) return;
+      registration = reg;
+      if (reg.waiting && navigator.serviceWorker.controller) onUpdateReady(reg.waiting);
+      if (reg.installing) watchInstalling(reg.installing, onUpdateReady);
+      reg.addEventListener('updatefound', onUpdateFound);
+      // Une PWA peut rester ouverte des jours sans navigation: on vérifie régulièrement
+      timer = window.setInterval(() => reg.update().catch(() => {}), UPDATE_CHECK_INTERVAL_MS);
+    })
+    .catch((err) => {
+      console.warn('SW registration failed:', err);
+    });
+
+  return () => {
+    cancelled = true;
+    navigator.serviceWorker.removeEventListener('message', onMessage);
+    if (registration) registration.removeEventListener('updatefound', onUpdateFound);
+    window.clearInterval(timer);
+  };
+}
+
+// Active le worker en attente puis recharge la page sous la nouvelle version
+export function applyUpdate(worker) {
+  navigator.serviceWorker.addEventListener('controllerchange', () => window.location.reload(), { once: true });
+  worker.postMessage({ type: 'SKIP_WAITING' });
+}
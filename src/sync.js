@@ -0,0 +1,435 @@
+/*
+  Client de synchronisation bidirectionnelle (plusieurs appareils, un kiosque).
+
+  1. Réception: GET /api/sync/changes?since=<curseur>&limit=<n>
+     Réponse: { changes: [transaction, ...], cursor: '<jeton>', has_more: bool }
+     Le curseur est opaque, fourni par le serveur et gardé sur l'appareil
+     (settings `sync_cursor`); sans curseur, le serveur renvoie tout.
+  2. Envoi des transactions `pending` (ou modifiées, `sync_dirty`) par lots:
+     POST /api/sync/transactions
+     Requête:  { transactions: [{ ...transaction, idempotency_key }] }
+     Réponse:  { accepted: ['<id>', ...], rejected: [{ id, reason }],
+                 conflicts: [{ id, current: transaction }] }
+
+  La clé d'idempotence est l'`id` de la transaction: le serveur doit accepter
+  sans doublon un lot renvoyé après une coupure. Les ids absents des listes
+  sont considérés comme non acquittés et seront renvoyés plus tard.
+
+  Chaque version porte rev / device_id / updated_at (revisions.js). Le
+  serveur garde la version gagnante selon la même règle et renvoie dans
+  `conflicts` celle qu'il détient quand elle l'emporte sur la version
+  envoyée. Côté appareil, la version perdante est enregistrée dans la liste
+  des conflits (conflicts.js); une correction faite en parallèle sur deux
+  appareils laisse deux remplacements: celui de la version perdante est
+  annulé automatiquement. Une clôture l'emporte sur tout: une version reçue
+  qui modifierait une transaction clôturée ici, ou qui ajouterait une
+  transaction à une journée déjà clôturée, n'est pas appliquée et va dans
+  les conflits.
+*/
+import {
+  AUDIT_STORE,
+  CLOSINGS_STORE,
+  RECONCILIATION_FIELDS,
+  getAllRecords,
+  getDeviceId,
+  getSetting,
+  getTransaction,
+  putRecord,
+  putTransactions,
+  setSetting,
+  updateTransaction
+} from './db.js';
+import { findTransactions } from './query.js';
+import { auditEntry } from './corrections.js';
+import { buildConflict, conflictingFields, recordConflicts } from './conflicts.js';
+import { localDateKey } from './closing.js';
+import { isSameRevision, nextRevision, resolveRemote } from './revisions.js';
+
+export const SYNC_CONFIG_KEY = 'sync_config';
+export const SYNC_CURSOR_KEY = 'sync_cursor';
+
+// Auteur des annulations faites par la résolution des conflits
+export const SYNC_AUTHOR = 'Synchronisation';
+
+export const DEFAULT_SYNC_CONFIG = {
+  endpoint: '/api/sync/transactions',
+  // Vide: envoi seul, sans réception des autres appareils
+  pullEndpoint: '/api/sync/changes',
+  token: '',
+  batchSize: 50,
+  timeoutMs: 15000
+};
+
+// Backoff exponentiel: 30 s, 1 min, 2 min... plafonné à 30 min
+export const RETRY_BASE_MS = 30 * 1000;
+export const RETRY_MAX_MS = 30 * 60 * 1000;
+
+// Champs purement locaux, jamais envoyés au serveur
+const LOCAL_FIELDS = ['sync_attempts', 'next_retry_at', 'last_sync_error', 'sync_error', 'synced_at', 'sync_dirty'];
+
+// Annotations de cet appareil (clôture, SMS opérateur), gardées quand une version distante est appliquée
+const DEVICE_FIELDS = ['closing_date', ...RECONCILIATION_FIELDS];
+
+// Le rapprochement SMS ne quitte pas l'appareil: ni envoyé, ni repris d'une version distante
+const UNSENT_FIELDS = [...LOCAL_FIELDS, ...RECONCILIATION_FIELDS];
+
+export class SyncError extends Error {
+  constructor(message, { code = 'unknown', status = null } = {}) {
+    super(message);
+    this.name = 'SyncError';
+    this.code = code; // 'config' | 'network' | 'timeout' | 'http' | 'protocol'
+    this.status = status;
+  }
+}
+
+export async function loadSyncConfig() {
+  const saved = await getSetting(SYNC_CONFIG_KEY, {});
+  return { ...DEFAULT_SYNC_CONFIG, ...saved };
+}
+
+export async function saveSyncConfig(config) {
+  const merged = {
+    ...DEFAULT_SYNC_CONFIG,
+    ...config,
+    endpoint: (config.endpoint || '').trim(),
+    pullEndpoint: (config.pullEndpoint === undefined ? DEFAULT_SYNC_CONFIG.pullEndpoint : config.pullEndpoint).trim()
+  };
+  await setSetting(SYNC_CONFIG_KEY, merged);
+  return merged;
+}
+
+export function nextRetryDelay(attempts) {
+  return Math.min(RETRY_BASE_MS * 2 ** Math.max(0, attempts - 1), RETRY_MAX_MS);
+}
+
+// `pending` = jamais envoyée; `sync_dirty` = déjà envoyée mais modifiée depuis (annulation)
+export function hasUnsentChanges(t) {
+  return t.status === 'pending' || Boolean(t.sync_dirty);
+}
+
+export function isSyncDue(t, now = new Date(), force = false) {
+  if (!hasUnsentChanges(t)) return false;
+  if (force || !t.next_retry_at) return true;
+  return new Date(t.next_retry_at) <= now;
+}
+
+export function toSyncPayload(t) {
+  const payload = { ...t, idempotency_key: t.id };
+  UNSENT_FIELDS.forEach((f) => delete payload[f]);
+  return payload;
+}
+
+function httpErrorMessage(status, detail) {
+  const suffix = detail ? ` — ${detail}` : '';
+  if (status === 401 || status === 403) return `Authentification refusée par le serveur (HTTP ${status})${suffix}`;
+  if (status >= 500) return `Erreur du serveur de synchronisation (HTTP ${status})${suffix}`;
+  return `Requête de synchronisation refusée (HTTP ${status})${suffix}`;
+}
+
+/*
+  request: appel JSON au serveur de synchronisation, avec jeton et délai.
+  Lève une SyncError si le serveur est injoignable ou répond 4xx/5xx.
+*/
+async function request(url, { method = 'GET', body } = {}, config) {
+  const headers = { Accept: 'application/json' };
+  if (body !== undefined) headers['Content-Type'] = 'application/json';
+  if (config.token) headers.Authorization = `Bearer ${config.token}`;
+
+  const controller = typeof AbortController !== 'undefined' ? new AbortController() : null;
+  const timer = controller ? setTimeout(() => controller.abort(), config.timeoutMs) : null;
+  let res;
+  try {
+    res = await fetch(url, {
+      method,
+      headers,
+      body: body === undefined ? undefined : JSON.stringify(body),
+      // Jamais de réponse en cache (navigateur ou service worker): chaque pull doit voir le serveur
+      cache: 'no-store',
+      signal: controller ? controller.signal : undefined
+    });
+  } catch (err) {
+    if (err && err.name === 'AbortError') {
+      throw new SyncError(`Le serveur n'a pas répondu en ${Math.round(config.timeoutMs / 1000)} s.`, { code: 'timeout' });
+    }
+    throw new SyncError('Serveur de synchronisation injoignable.', { code: 'network' });
+  } finally {
+    if (timer) clearTimeout(timer);
+  }
+
+  let data = null;
+  try {
+    data = await res.json();
+  } catch (err) {
+    data = null;
+  }
+
+  if (!res.ok) {
+    throw new SyncError(httpErrorMessage(res.status, data && data.error), { code: 'http', status: res.status });
+  }
+  return { data, status: res.status };
+}
+
+/*
+  sendBatch: envoie un lot et retourne { accepted, rejected, conflicts }.
+  Lève une SyncError si le serveur est injoignable ou répond 4xx/5xx.
+*/
+export async function sendBatch(batch, config) {
+  if (!config.endpoint) throw new SyncError('Aucune adresse de synchronisation configurée.', { code: 'config' });
+  const { data, status } = await request(config.endpoint, { method: 'POST', body: { transactions: batch.map(toSyncPayload) } }, config);
+  if (!data || !Array.isArray(data.accepted)) {
+    throw new SyncError('Réponse du serveur invalide (champ "accepted" manquant).', { code: 'protocol', status });
+  }
+  return {
+    accepted: data.accepted,
+    rejected: Array.isArray(data.rejected) ? data.rejected : [],
+    conflicts: Array.isArray(data.conflicts) ? data.conflicts.filter((c) => c && c.current) : []
+  };
+}
+
+// fetchChanges: une page de modifications depuis `cursor` ({ changes, cursor, hasMore })
+export async function fetchChanges(cursor, config) {
+  const params = new URLSearchParams({ limit: String(config.batchSize) });
+  if (cursor) params.set('since', cursor);
+  const separator = config.pullEndpoint.includes('?') ? '&' : '?';
+  const { data, status } = await request(`${config.pullEndpoint}${separator}${params}`, {}, config);
+  if (!data || !Array.isArray(data.changes)) {
+    throw new SyncError('Réponse du serveur invalide (champ "changes" manquant).', { code: 'protocol', status });
+  }
+  return { changes: data.changes, cursor: data.cursor || cursor || null, hasMore: Boolean(data.has_more) && data.changes.length > 0 };
+}
+
+/* ---------- Application des versions reçues ---------- */
+
+// Version distante telle qu'enregistrée ici: acquittée, annotations locales conservées
+function fromRemote(remote, local, at) {
+  const { idempotency_key: _, ...fields } = remote;
+  UNSENT_FIELDS.forEach((f) => delete fields[f]);
+  const kept = local ? Object.fromEntries(DEVICE_FIELDS.filter((f) => local[f] !== undefined).map((f) => [f, local[f]])) : {};
+  return {
+    ...fields,
+    ...kept,
+    status: fields.status === 'pending' ? 'synced' : fields.status,
+    synced_at: at,
+    sync_dirty: false,
+    sync_attempts: 0,
+    next_retry_at: null,
+    last_sync_error: null
+  };
+}
+
+// Notre propre version renvoyée par le serveur (accusé de réception perdu)
+function acknowledged(local, at) {
+  return { ...local, status: local.status === 'pending' ? 'synced' : local.status, synced_at: at, sync_dirty: false, next_retry_at: null, last_sync_error: null };
+}
+
+// Version locale clôturée que le serveur ne garde pas: on cesse de l'envoyer, comme un rejet
+function refused(local, reason) {
+  return { ...local, status: local.status === 'pending' ? 'rejected' : local.status, sync_error: reason, sync_dirty: false, next_retry_at: null };
+}
+
+// Différences de contenu entre deux versions; pending/synced n'est qu'un état d'envoi
+function contentChanges(local, remote) {
+  const settled = (status) => (status === 'pending' ? 'synced' : status);
+  return conflictingFields(local, remote).filter((f) => f !== 'status' || settled(local.status) !== settled(remote.status));
+}
+
+/*
+  applyRemoteChanges: applique les versions reçues (pull ou `conflicts` d'un
+  envoi), enregistre les conflits et annule les remplacements devenus
+  orphelins. Retourne { applied, conflicts, kept, refused } où `kept` liste
+  les ids dont la version locale l'emporte (elle reste à envoyer) et
+  `refused` les versions locales clôturées que le serveur ne garde pas
+  ({ id, reason }).
+*/
+export async function applyRemoteChanges(remotes) {
+  const at = new Date().toISOString();
+  const writes = new Map(); // id -> version à enregistrer (déchiffrée)
+  const conflicts = [];
+  const kept = [];
+  const refusedIds = [];
+  const replacements = new Set(); // remplacements à vérifier après coup
+  const current = async (id) => writes.get(id) || getTransaction(id);
+  const closedDays = new Set((await getAllRecords(CLOSINGS_STORE)).map((c) => c.date));
+
+  for (const remote of remotes) {
+    if (!remote || !remote.id) continue;
+    const local = await current(remote.id);
+    const { winner, conflict } = resolveRemote(local, remote, Boolean(local) && hasUnsentChanges(local));
+
+    // Journée clôturée ici: le contenu est figé, la version reçue n'est pas appliquée
+    const remoteDay = localDateKey(remote.created_at);
+    const closedOn = local ? local.closing_date : closedDays.has(remoteDay) && remoteDay;
+    if (winner === 'remote' && closedOn) {
+      if (!local || contentChanges(local, remote).length) {
+        const reason = `Journée du ${closedOn} clôturée sur cet appareil`;
+        conflicts.push(buildConflict(local, remote, 'local', { at, reason }));
+        if (local && hasUnsentChanges(local)) {
+          writes.set(local.id, refused(local, reason));
+          refusedIds.push({ id: local.id, reason });
+        }
+      } else if (hasUnsentChanges(local)) {
+        writes.set(local.id, acknowledged(local, at));
+      }
+      continue;
+    }
+
+    if (conflict) conflicts.push(buildConflict(local, remote, winner, { at }));
+    if (winner === 'remote') {
+      writes.set(remote.id, fromRemote(remote, local, at));
+      // Notre correction a perdu face à une autre: son remplacement est peut-être orphelin
+      if (local && local.replaced_by && local.replaced_by !== remote.replaced_by) replacements.add(local.replaced_by);
+    } else if (isSameRevision(local, remote)) {
+      if (hasUnsentChanges(local)) writes.set(local.id, acknowledged(local, at));
+    } else {
+      // Notre version l'emporte: le serveur doit la recevoir
+      kept.push(local.id);
+      if (!hasUnsentChanges(local)) writes.set(local.id, { ...local, sync_dirty: true });
+    }
+    if (remote.replaces) replacements.add(remote.id);
+    if (remote.replaced_by) replacements.add(remote.replaced_by);
+  }
+
+  // Deux corrections concurrentes d'un même original: seul le remplacement retenu par l'original reste actif
+  const deviceId = await getDeviceId();
+  const audit = [];
+  for (const id of replacements) {
+    const record = await current(id);
+    if (!record || !record.replaces || record.status === 'cancelled' || record.closing_date) continue;
+    const original = await current(record.replaces);
+    if (!original || !original.replaced_by || original.replaced_by === record.id) continue;
+    const reason = `Correction concurrente: ${original.replaced_by.slice(0, 8)} retenue par la synchronisation`;
+    writes.set(id, {
+      ...record,
+      status: 'cancelled',
+      previous_status: record.status,
+      cancelled_at: at,
+      cancelled_by: SYNC_AUTHOR,
+      cancel_reason: reason,
+      sync_dirty: true,
+      ...nextRevision(record, deviceId, at)
+    });
+    audit.push(auditEntry(id, 'cancel', { reason, user: SYNC_AUTHOR, at }));
+  }
+
+  if (writes.size) await putTransactions([...writes.values()]);
+  await Promise.all(audit.map((entry) => putRecord(AUDIT_STORE, entry)));
+  await recordConflicts(conflicts);
+  return { applied: writes.size, conflicts: conflicts.length, kept, refused: refusedIds };
+}
+
+// Réception page par page; le curseur n'avance qu'une fois la page appliquée
+async function pullChanges(config) {
+  let cursor = await getSetting(SYNC_CURSOR_KEY, null);
+  const result = { applied: 0, conflicts: 0 };
+  for (;;) {
+    const page = await fetchChanges(cursor, config);
+    const { applied, conflicts } = await applyRemoteChanges(page.changes);
+    result.applied += applied;
+    result.conflicts += conflicts;
+    cursor = page.cursor;
+    await setSetting(SYNC_CURSOR_KEY, cursor);
+    if (!page.hasMore) return result;
+  }
+}
+
+/* ---------- Envoi ---------- */
+
+function scheduleRetry(t, message, now) {
+  const attempts = (t.sync_attempts || 0) + 1;
+  return updateTransaction(t.id, {
+    sync_attempts: attempts,
+    next_retry_at: new Date(now.getTime() + nextRetryDelay(attempts)).toISOString(),
+    last_sync_error: message
+  });
+}
+
+const asSyncError = (err) => (err instanceof SyncError ? err : new SyncError(err.message || String(err)));
+
+async function runSync({ force }) {
+  const config = await loadSyncConfig();
+  const summary = { attempted: 0, accepted: 0, rejected: [], retried: 0, pulled: 0, conflicts: 0, error: null };
+
+  // Réception d'abord: les conflits sont tranchés avant d'envoyer
+  if (config.pullEndpoint) {
+    try {
+      const pulled = await pullChanges(config);
+      summary.pulled = pulled.applied;
+      summary.conflicts += pulled.conflicts;
+    } catch (err) {
+      summary.error = asSyncError(err);
+    }
+  }
+
+  const now = new Date();
+  // Only the records to send are decrypted
+  const due = await findTransactions((t) => isSyncDue(t, now, force));
+  summary.attempted = due.length;
+
+  for (let i = 0; i < due.length; i += config.batchSize) {
+    const batch = due.slice(i, i + config.batchSize);
+    try {
+      const { accepted, rejected, conflicts } = await sendBatch(batch, config);
+      const acceptedIds = new Set(accepted);
+      const rejectedById = new Map(rejected.map((r) => [r.id, r.reason || 'Rejeté par le serveur']));
+      const syncedAt = new Date().toISOString();
+
+      // Le serveur détient une version gagnante: elle remplace la nôtre, qui rejoint les conflits
+      const resolved = await applyRemoteChanges(conflicts.map((c) => c.current));
+      const conflictIds = new Set(conflicts.map((c) => c.current.id));
+      const keptIds = new Set(resolved.kept);
+      summary.conflicts += resolved.conflicts;
+      summary.rejected.push(...resolved.refused);
+
+      await Promise.all(batch.map((t) => {
+        if (acceptedIds.has(t.id)) {
+          summary.accepted += 1;
+          return updateTransaction(t.id, {
+            status: t.status === 'pending' ? 'synced' : t.status,
+            synced_at: syncedAt,
+            sync_dirty: false,
+            next_retry_at: null,
+            last_sync_error: null
+          });
+        }
+        if (rejectedById.has(t.id)) {
+          const reason = rejectedById.get(t.id);
+          summary.rejected.push({ id: t.id, reason });
+          return updateTransaction(t.id, {
+            status: t.status === 'pending' ? 'rejected' : t.status,
+            sync_error: reason,
+            sync_dirty: false,
+            sync_attempts: (t.sync_attempts || 0) + 1,
+            next_retry_at: null
+          });
+        }
+        if (conflictIds.has(t.id) && !keptIds.has(t.id)) return null;
+        summary.retried += 1;
+        return scheduleRetry(t, conflictIds.has(t.id) ? 'Conflit non résolu avec le serveur' : 'Non acquitté par le serveur', now);
+      }));
+    } catch (err) {
+      // Serveur indisponible: on reporte tout ce qui reste, inutile d'insister
+      const remaining = due.slice(i);
+      summary.retried += remaining.length;
+      summary.error = asSyncError(err);
+      await Promise.all(remaining.map((t) => scheduleRetry(t, summary.error.message, now)));
+      break;
+    }
+  }
+  return summary;
+}
+
+let inFlight = null;
+
+/*
+  syncPendingTransactions: reçoit les modifications des autres appareils puis
+  envoie toutes les transactions dont le délai de nouvelle tentative est
+  échu (ou toutes avec `force`). Un seul appel à la fois.
+*/
+export function syncPendingTransactions({ force = false } = {}) {
+  if (!inFlight) {
+    inFlight = runSync({ force }).finally(() => {
+      inFlight = null;
+    });
+  }
+  return inFlight;
+}
@@ -0,0 +1,112 @@
+import 'fake-indexeddb/auto';
+import { IDBFactory } from 'fake-indexeddb';
+import { afterEach, beforeEach, describe, expect, it } from 'vitest';
+import { CLOSINGS_STORE, addTransaction, closeDB, getTransaction, putRecord } from './db.js';
+import { generateDataKey, lock, setSessionKey } from './crypto.js';
+import { getConflicts } from './conflicts.js';
+import { applyRemoteChanges, toSyncPayload } from './sync.js';
+
+/* ---------- Fixtures ---------- */
+
+const tx = (fields) => ({
+  id: 't1',
+  type: 'deposit',
+  operator: 'orange',
+  nom_complet: 'Awa Ouédraogo',
+  id_document: 'B1234567',
+  telephone: '+22670112233',
+  montant: 50000,
+  status: 'synced',
+  created_at: '2024-05-31T10:00:00.000Z',
+  rev: 1,
+  device_id: 'dev-a',
+  updated_at: '2024-05-31T10:00:00.000Z',
+  ...fields
+});
+
+beforeEach(async () => {
+  // Une base vierge et une clé de données par test
+  globalThis.indexedDB = new IDBFactory();
+  setSessionKey(await generateDataKey());
+});
+
+afterEach(async () => {
+  await closeDB();
+  lock();
+});
+
+/* ---------- Envoi ---------- */
+
+describe('toSyncPayload', () => {
+  it('keeps the version and drops what stays on the device', () => {
+    const payload = toSyncPayload(tx({
+      sync_attempts: 2,
+      next_retry_at: '2024-05-31T11:00:00.000Z',
+      sync_dirty: true,
+      operator_ref: 'CI240531.1005.A12345',
+      operator_balance: 1250000,
+      reconciled_at: '2024-05-31T18:00:00.000Z',
+      reconciled_by: 'Awa'
+    }));
+    expect(payload).toMatchObject({ id: 't1', idempotency_key: 't1', rev: 1, device_id: 'dev-a', montant: 50000 });
+    ['sync_attempts', 'next_retry_at', 'sync_dirty', 'operator_ref', 'operator_balance', 'reconciled_at', 'reconciled_by']
+      .forEach((field) => expect(payload).not.toHaveProperty(field));
+  });
+});
+
+/* ---------- Réception ---------- */
+
+describe('applyRemoteChanges', () => {
+  it('stores an unknown record as synced', async () => {
+    const result = await applyRemoteChanges([tx({ status: 'pending', idempotency_key: 't1' })]);
+    expect(result).toMatchObject({ applied: 1, conflicts: 0, kept: [] });
+    const stored = await getTransaction('t1');
+    expect(stored).toMatchObject({ status: 'synced', sync_dirty: false, nom_complet: 'Awa Ouédraogo' });
+    expect(stored).not.toHaveProperty('idempotency_key');
+    expect(await getConflicts()).toEqual([]);
+  });
+
+  it('updates a sent record without conflict and keeps the local reconciliation', async () => {
+    await addTransaction(tx({ operator_ref: 'CI240531.1005.A12345' }));
+    const remote = tx({ montant: 60000, rev: 2, device_id: 'dev-b', updated_at: '2024-05-31T12:00:00.000Z', operator_ref: 'OTHER' });
+    expect(await applyRemoteChanges([remote])).toMatchObject({ applied: 1, conflicts: 0 });
+    expect(await getTransaction('t1')).toMatchObject({ montant: 60000, rev: 2, device_id: 'dev-b', operator_ref: 'CI240531.1005.A12345' });
+  });
+
+  it('keeps both versions of the same revision in the conflicts store', async () => {
+    await addTransaction(tx({ montant: 55000, rev: 2, device_id: 'dev-a', updated_at: '2024-05-31T12:00:00.000Z', sync_dirty: true }));
+    const remote = tx({ montant: 60000, rev: 2, device_id: 'dev-b', updated_at: '2024-05-31T12:00:00.000Z' });
+    expect(await applyRemoteChanges([remote])).toMatchObject({ applied: 1, conflicts: 1, kept: [] });
+
+    // dev-b > dev-a: la version distante l'emporte, la locale reste consultable
+    expect(await getTransaction('t1')).toMatchObject({ montant: 60000, device_id: 'dev-b', sync_dirty: false });
+    const [conflict] = await getConflicts();
+    expect(conflict).toMatchObject({ tx_id: 't1', winner: 'remote', status: 'open', fields: ['montant'] });
+    expect(conflict.local).toMatchObject({ montant: 55000, device_id: 'dev-a' });
+    expect(conflict.local).not.toHaveProperty('sync_dirty');
+    expect(conflict.remote).toMatchObject({ montant: 60000, device_id: 'dev-b' });
+  });
+
+  it('keeps a newer local version and marks it to be sent again', async () => {
+    await addTransaction(tx({ montant: 55000, rev: 3 }));
+    const result = await applyRemoteChanges([tx({ montant: 60000, rev: 2, device_id: 'dev-b' })]);
+    expect(result).toMatchObject({ conflicts: 0, kept: ['t1'] });
+    expect(await getTransaction('t1')).toMatchObject({ montant: 55000, rev: 3, sync_dirty: true });
+  });
+
+  it('does not apply a remote version to a closed day', async () => {
+    await addTransaction(tx({ closing_date: '2024-05-31' }));
+    const remote = tx({ montant: 60000, rev: 2, device_id: 'dev-b' });
+    expect(await applyRemoteChanges([remote])).toMatchObject({ conflicts: 1 });
+    expect(await getTransaction('t1')).toMatchObject({ montant: 50000, rev: 1 });
+    const [conflict] = await getConflicts();
+    expect(conflict).toMatchObject({ winner: 'local', reason: 'Journée du 2024-05-31 clôturée sur cet appareil' });
+  });
+
+  it('does not add a transaction to a day closed here', async () => {
+    await putRecord(CLOSINGS_STORE, { date: '2024-05-31' });
+    const remote = tx({ id: 't2', created_at: '2024-05-31T12:00:00.000Z' });
+    expect(await applyRemoteChanges([remote])).toMatchObject({ applied: 0, conflicts: 1 });
+    expect(await getTransaction('t2')).toBeNull();
+  });
+});
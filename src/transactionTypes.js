@@ -0,0 +1,150 @@
+/*
+  Registre des types de transaction.
+
+  Chaque type déclare:
+  - label, plural, icon      : libellés du formulaire, des listes et des exports
+  - float { cash, emoney }   : signe de l'effet sur le tiroir et sur la puce de
+                               l'opérateur (+1 entrée, -1 sortie, 0 aucun)
+  - fields                   : champs propres au type, enregistrés à plat sur la
+                               transaction. kind 'phone' (numéro burkinabè),
+                               'text' ou 'select' (options); `sealed` = donnée
+                               personnelle, chiffrée comme le nom du client
+  - exportColumns            : colonnes ajoutées aux exports Excel
+  - aliases                  : libellés reconnus à l'import (Excel/CSV)
+
+  Pour ajouter un type: une entrée ici suffit (formulaire, historique,
+  recherche, exports, float, import). L'ordre des clés est l'ordre d'affichage.
+
+  Module sans dépendance: validation, float, filtres et corrections
+  l'importent (numéros formatés pour l'affichage: formatTypeDetails dans
+  validation.js).
+*/
+
+export const TRANSACTION_TYPES = {
+  deposit: {
+    label: 'Dépôt',
+    plural: 'Dépôts',
+    icon: '💰',
+    float: { cash: 1, emoney: -1 },
+    fields: [],
+    exportColumns: [],
+    aliases: /^(dep|deposit|cash in|versement)/
+  },
+  withdrawal: {
+    label: 'Retrait',
+    plural: 'Retraits',
+    icon: '💸',
+    float: { cash: -1, emoney: 1 },
+    fields: [],
+    exportColumns: [],
+    aliases: /^(ret|withdrawal|cash out)/
+  },
+  transfer: {
+    label: 'Transfert',
+    plural: 'Transferts',
+    icon: '🔁',
+    float: { cash: 1, emoney: -1 },
+    fields: [
+      { name: 'recipient_phone', label: 'Numéro du bénéficiaire', kind: 'phone', required: true, sealed: true, placeholder: '70 11 22 33' }
+    ],
+    exportColumns: [{ header: 'Bénéficiaire', key: 'recipient_phone', width: 18 }],
+    aliases: /^(transf|envoi)/
+  },
+  bill_payment: {
+    label: 'Paiement de facture',
+    plural: 'Paiements de factures',
+    icon: '🧾',
+    float: { cash: 1, emoney: -1 },
+    fields: [
+      { name: 'biller', label: 'Facturier', kind: 'select', required: true, options: ['SONABEL', 'ONEA', 'Canal+', 'Autre'] },
+      { name: 'bill_reference', label: 'Référence de la facture', kind: 'text', required: true, placeholder: 'N° d\'abonné ou de facture' }
+    ],
+    exportColumns: [
+      { header: 'Facturier', key: 'biller', width: 12 },
+      { header: 'Réf. facture', key: 'bill_reference', width: 18 }
+    ],
+    aliases: /^(fact|paiement de facture|bill|sonabel|onea)/
+  },
+  airtime: {
+    label: 'Crédit téléphonique',
+    plural: 'Crédits téléphoniques',
+    icon: '📶',
+    float: { cash: 1, emoney: -1 },
+    fields: [
+      { name: 'subscriber_number', label: 'Numéro à recharger', kind: 'phone', required: true, sealed: true, placeholder: '70 11 22 33' }
+    ],
+    exportColumns: [{ header: 'Numéro rechargé', key: 'subscriber_number', width: 18 }],
+    aliases: /^(cr[ée]dit|airtime|recharge|unit[ée]s)/
+  },
+  merchant_payment: {
+    label: 'Paiement marchand',
+    plural: 'Paiements marchands',
+    icon: '🛒',
+    float: { cash: 1, emoney: -1 },
+    fields: [
+      { name: 'merchant_code', label: 'Code marchand', kind: 'text', required: true, placeholder: 'Ex: 123456' }
+    ],
+    exportColumns: [{ header: 'Code marchand', key: 'merchant_code', width: 14 }],
+    aliases: /^(marchand|merchant|paiement marchand)/
+  }
+};
+
+// Type absent du registre (ancien enregistrement, import): affiché tel quel, sans effet
+const UNKNOWN_TYPE = { plural: 'Autres', icon: '❔', float: { cash: 0, emoney: 0 }, fields: [], exportColumns: [] };
+
+export function getTransactionType(id) {
+  return TRANSACTION_TYPES[id] || { ...UNKNOWN_TYPE, label: id || 'Type inconnu' };
+}
+
+// "💰 Dépôt"
+export function typeLabel(id) {
+  const type = getTransactionType(id);
+  return `${type.icon} ${type.label}`;
+}
+
+// Tous les champs propres aux types (noms uniques), pour les corrections et l'import
+export const TYPE_FIELDS = Object.values(TRANSACTION_TYPES)
+  .flatMap((type) => type.fields)
+  .filter((field, i, all) => all.findIndex((f) => f.name === field.name) === i);
+
+export const SEALED_TYPE_FIELDS = TYPE_FIELDS.filter((f) => f.sealed).map((f) => f.name);
+
+// Colonnes d'export de tous les types, sans doublon
+export const TYPE_EXPORT_COLUMNS = Object.values(TRANSACTION_TYPES)
+  .flatMap((type) => type.exportColumns)
+  .filter((col, i, all) => all.findIndex((c) => c.key === col.key) === i);
+
+// { [type]: { count, total } } pour chaque type du registre (liste déjà filtrée)
+export function totalsByType(transactions) {
+  const totals = Object.fromEntries(Object.keys(TRANSACTION_TYPES).map((id) => [id, { count: 0, total: 0 }]));
+  transactions.forEach((t) => {
+    if (!totals[t.type]) return;
+    totals[t.type].count += 1;
+    totals[t.type].total += Number(t.montant) || 0;
+  });
+  return totals;
+}
+
+// Sens du cash pour le tiroir: 'in', 'out' ou null
+export function cashFlow(t) {
+  const { cash } = getTransactionType(t.type).float;
+  if (cash > 0) return 'in';
+  return cash < 0 ? 'out' : null;
+}
+
+// Garde uniquement les champs propres au type choisi (un changement de type efface les autres)
+export function pickTypeFields(type, values) {
+  return Object.fromEntries(getTransactionType(type).fields.map((f) => [f.name, String(values[f.name] || '').trim()]));
+}
+
+// Champs renseignés du type de `t`: [{ name, label, kind, value }], valeurs brutes
+export function typeDetails(t) {
+  return getTransactionType(t.type).fields
+    .filter((f) => t[f.name])
+    .map((f) => ({ name: f.name, label: f.label, kind: f.kind, value: t[f.name] }));
+}
+
+export function findTypeByLabel(text) {
+  const normalized = String(text || '').trim().toLowerCase();
+  return Object.keys(TRANSACTION_TYPES).find((id) => id === normalized || TRANSACTION_TYPES[id].aliases.test(normalized)) || null;
+}
@@ -0,0 +1,53 @@
+/*
+  Profils agents partageant le téléphone du kiosque.
+
+  settings['users'] = [{ id, name, role, created_at }]
+  Les profils sont lisibles avant déverrouillage (écran de choix); leurs clés
+  sont dans le coffre (vault.js). Les transactions portent `created_by`
+  (id du profil) et `created_by_name` (conservé si le profil est supprimé).
+*/
+import { getSetting } from './db.js';
+import { isActiveTransaction } from './corrections.js';
+import { cashFlow } from './transactionTypes.js';
+
+export const USERS_KEY = 'users';
+
+export const ROLES = {
+  owner: 'Propriétaire',
+  cashier: 'Caissier'
+};
+
+// Actions réservées au propriétaire
+const OWNER_ONLY = ['export', 'correct', 'close_day', 'manage_users', 'settings', 'review_alerts', 'import', 'backup'];
+
+export function can(user, action) {
+  if (!user) return false;
+  return user.role === 'owner' || !OWNER_ONLY.includes(action);
+}
+
+export async function loadUsers() {
+  const users = await getSetting(USERS_KEY, []);
+  return Array.isArray(users) ? users : [];
+}
+
+export function userName(users, id, fallback = '') {
+  const user = users.find((u) => u.id === id);
+  return user ? user.name : fallback || 'Non attribué';
+}
+
+// Volumes par agent: { [userId]: { name, count, cash_in, cash_out } } (sens du cash, voir cashFlow)
+export function totalsByUser(transactions, users = []) {
+  return transactions.filter(isActiveTransaction).reduce((acc, t) => {
+    const key = t.created_by || '';
+    const bucket = acc[key] || (acc[key] = {
+      name: userName(users, key, t.created_by_name),
+      count: 0,
+      cash_in: 0,
+      cash_out: 0
+    });
+    bucket.count += 1;
+    const flow = cashFlow(t);
+    if (flow) bucket[`cash_${flow}`] += Number(t.montant) || 0;
+    return acc;
+  }, {});
+}
@@ -0,0 +1,176 @@
+/*
+  Validation des saisies (Burkina Faso).
+
+  - Téléphone : 8 chiffres, stocké au format +226XXXXXXXX; l'opérateur
+    mobile est déduit des deux premiers chiffres.
+  - Document  : CNIB (B + 7 ou 8 chiffres) ou passeport (1-2 lettres + 6 ou 7 chiffres).
+  - Montant   : entier positif, bornes min / max configurables par opérateur.
+  - Champs du type (transactionTypes.js): obligatoires si `required`, les
+    numéros (kind 'phone') suivent les règles du téléphone client.
+
+  validateTransaction ne dépend d'aucun état React: le formulaire, la
+  correction et l'import de fichiers l'utilisent tels quels.
+*/
+import { getSetting, setSetting } from './db.js';
+import { normalizeDocument } from './clients.js';
+import { formatCurrency } from './format.js';
+import { TRANSACTION_TYPES, getTransactionType, typeDetails } from './transactionTypes.js';
+
+export const COUNTRY_CODE = '226';
+
+// Préfixes mobiles par réseau (plan de numérotation ARCEP)
+export const PHONE_PREFIXES = {
+  moov: ['01', '02', '03', '50', '51', '52', '53', '60', '61', '62', '63', '70', '71', '72', '73'],
+  orange: ['05', '06', '07', '54', '55', '56', '57', '64', '65', '66', '67', '74', '75', '76', '77'],
+  telecel: ['08', '09', '58', '68', '69', '78', '79']
+};
+
+export const DOCUMENT_PATTERNS = {
+  cnib: /^B\d{7,8}$/,
+  passport: /^[A-Z]{1,2}\d{6,7}$/
+};
+
+export const AMOUNT_LIMITS_KEY = 'amount_limits';
+export const DEFAULT_AMOUNT_LIMITS = { min: 100, max: 2000000 };
+
+/* ---------- Téléphone ---------- */
+
+// "70 11 22 33", "0022670112233", "+226 70112233" -> "+22670112233"; null si invalide
+export function normalizeBFPhone(value) {
+  let digits = String(value || '').replace(/\D/g, '');
+  if (digits.length === 13 && digits.startsWith(`00${COUNTRY_CODE}`)) digits = digits.slice(5);
+  else if (digits.length === 11 && digits.startsWith(COUNTRY_CODE)) digits = digits.slice(3);
+  return digits.length === 8 ? `+${COUNTRY_CODE}${digits}` : null;
+}
+
+// "+22670112233" -> "+226 70 11 22 33"
+export function formatBFPhone(value) {
+  const normalized = normalizeBFPhone(value);
+  if (!normalized) return value;
+  return `+${COUNTRY_CODE} ${normalized.slice(4).replace(/(\d{2})(?=\d)/g, '$1 ')}`;
+}
+
+// Champs du type prêts à afficher, numéros formatés: [{ label, value }]
+export function formatTypeDetails(t) {
+  return typeDetails(t).map((d) => ({ label: d.label, value: d.kind === 'phone' ? formatBFPhone(d.value) : d.value }));
+}
+
+// Réseau du numéro ('orange', 'moov', 'telecel') ou null
+export function detectPhoneNetwork(value) {
+  const normalized = normalizeBFPhone(value);
+  if (!normalized) return null;
+  const prefix = normalized.slice(4, 6);
+  return Object.keys(PHONE_PREFIXES).find((network) => PHONE_PREFIXES[network].includes(prefix)) || null;
+}
+
+export function validatePhone(value) {
+  if (!String(value || '').trim()) return 'Le téléphone est obligatoire.';
+  const normalized = normalizeBFPhone(value);
+  if (!normalized) return 'Numéro invalide: 8 chiffres attendus (ex: 70 11 22 33).';
+  if (!detectPhoneNetwork(normalized)) return `Préfixe ${normalized.slice(4, 6)} inconnu: ce n'est pas un numéro mobile burkinabè.`;
+  return null;
+}
+
+/* ---------- CNIB / passeport ---------- */
+
+export function documentKind(value) {
+  const doc = normalizeDocument(value);
+  return Object.keys(DOCUMENT_PATTERNS).find((kind) => DOCUMENT_PATTERNS[kind].test(doc)) || null;
+}
+
+export function validateDocument(value) {
+  if (!String(value || '').trim()) return 'Le numéro de document est obligatoire.';
+  if (!documentKind(value)) return 'Format attendu: CNIB B1234567 ou passeport (ex: A1234567).';
+  return null;
+}
+
+/* ---------- Montants ---------- */
+
+export async function loadAmountLimits() {
+  return getSetting(AMOUNT_LIMITS_KEY, {});
+}
+
+// limits: { [operatorId]: { min, max } }; les opérateurs absents gardent les valeurs par défaut
+export function saveAmountLimits(limits) {
+  const cleaned = Object.fromEntries(Object.entries(limits).map(([id, l]) => [id, {
+    min: Math.max(0, Number(l.min) || 0),
+    max: Number(l.max) > 0 ? Number(l.max) : null
+  }]));
+  return setSetting(AMOUNT_LIMITS_KEY, cleaned);
+}
+
+export function amountLimitsFor(limits, operatorId) {
+  return { ...DEFAULT_AMOUNT_LIMITS, ...((limits && limits[operatorId]) || {}) };
+}
+
+export function validateAmount(amount, operatorId, limits) {
+  const value = Number(amount);
+  if (!Number.isFinite(value) || value <= 0) return 'Le montant doit être supérieur à zéro.';
+  if (!Number.isInteger(value)) return 'Le montant doit être un nombre entier de FCFA.';
+  const { min, max } = amountLimitsFor(limits, operatorId);
+  if (min && value < min) return `Montant minimum: ${formatCurrency(min)}.`;
+  if (max && value > max) return `Montant maximum: ${formatCurrency(max)}.`;
+  return null;
+}
+
+/* ---------- Champs propres au type ---------- */
+
+// { errors, values } pour les champs déclarés par le type; les autres sont ignorés
+export function validateTypeFields(tx) {
+  const errors = {};
+  const values = {};
+  getTransactionType(tx.type).fields.forEach((field) => {
+    const raw = String(tx[field.name] || '').trim();
+    if (!raw) {
+      if (field.required) errors[field.name] = `${field.label}: champ obligatoire.`;
+      values[field.name] = '';
+      return;
+    }
+    if (field.kind === 'phone') {
+      const phoneError = validatePhone(raw);
+      if (phoneError) errors[field.name] = phoneError;
+      values[field.name] = normalizeBFPhone(raw) || raw;
+      return;
+    }
+    if (field.kind === 'select' && !field.options.includes(raw)) errors[field.name] = `${field.label}: valeur inconnue.`;
+    values[field.name] = raw;
+  });
+  return { errors, values };
+}
+
+/* ---------- Transaction complète ---------- */
+
+/*
+  validateTransaction: { errors, values, network }.
+  `errors` est indexé par champ ({} si tout est valide); `values` contient le
+  téléphone, le document et les champs du type normalisés, prêts à être
+  enregistrés.
+*/
+export function validateTransaction(tx, { operators = [], limits = {} } = {}) {
+  const errors = {};
+  if (!TRANSACTION_TYPES[tx.type]) errors.type = 'Type de transaction inconnu.';
+  if (!tx.operator) errors.operator = 'Choisissez un opérateur.';
+  else if (operators.length && !operators.some((op) => op.id === tx.operator)) errors.operator = `Opérateur inconnu: ${tx.operator}.`;
+  if (!String(tx.nom_complet || '').trim()) errors.nom_complet = 'Le nom du client est obligatoire.';
+  else if (String(tx.nom_complet).trim().length < 3) errors.nom_complet = 'Nom trop court.';
+
+  const phoneError = validatePhone(tx.telephone);
+  if (phoneError) errors.telephone = phoneError;
+  const documentError = validateDocument(tx.id_document);
+  if (documentError) errors.id_document = documentError;
+  const amountError = validateAmount(tx.montant, tx.operator, limits);
+  if (amountError) errors.montant = amountError;
+  const typeFields = validateTypeFields(tx);
+  Object.assign(errors, typeFields.errors);
+
+  return {
+    errors,
+    values: {
+      ...typeFields.values,
+      nom_complet: String(tx.nom_complet || '').trim(),
+      telephone: normalizeBFPhone(tx.telephone) || tx.telephone,
+      id_document: normalizeDocument(tx.id_document) || tx.id_document
+    },
+    network: detectPhoneNetwork(tx.telephone)
+  };
+}
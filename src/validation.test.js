@@ -0,0 +1,96 @@
+import { describe, expect, it } from 'vitest';
+import { detectPhoneNetwork, documentKind, formatBFPhone, normalizeBFPhone, validatePhone, validateTransaction } from './validation.js';
+
+const OPERATORS = [{ id: 'orange' }, { id: 'moov' }];
+
+const draft = (fields) => ({
+  type: 'deposit',
+  operator: 'orange',
+  nom_complet: ' Awa Ouédraogo ',
+  id_document: 'b 123 4567',
+  telephone: '76 11 22 33',
+  montant: 50000,
+  ...fields
+});
+
+/* ---------- Téléphone ---------- */
+
+describe('normalizeBFPhone', () => {
+  it('accepts the local and international forms', () => {
+    ['70112233', '70 11 22 33', '70-11-22-33', '+226 70 11 22 33', '22670112233', '0022670112233'].forEach((value) => {
+      expect(normalizeBFPhone(value)).toBe('+22670112233');
+    });
+  });
+
+  it('rejects anything but 8 digits', () => {
+    ['', null, '7011223', '701122334', '+33 6 12 34 56 78', '0122670112233'].forEach((value) => {
+      expect(normalizeBFPhone(value)).toBeNull();
+    });
+  });
+
+  it('formats by pairs and leaves invalid numbers alone', () => {
+    expect(formatBFPhone('70112233')).toBe('+226 70 11 22 33');
+    expect(formatBFPhone('123')).toBe('123');
+  });
+});
+
+describe('detectPhoneNetwork', () => {
+  it('reads the network from the prefix', () => {
+    expect(detectPhoneNetwork('70112233')).toBe('moov');
+    expect(detectPhoneNetwork('+226 76 11 22 33')).toBe('orange');
+    expect(detectPhoneNetwork('78112233')).toBe('telecel');
+  });
+
+  it('returns null for unknown prefixes and invalid numbers', () => {
+    expect(detectPhoneNetwork('40112233')).toBeNull();
+    expect(detectPhoneNetwork('123')).toBeNull();
+  });
+
+  it('explains why a number is refused', () => {
+    expect(validatePhone('')).toBe('Le téléphone est obligatoire.');
+    expect(validatePhone('123')).toMatch(/8 chiffres/);
+    expect(validatePhone('40112233')).toMatch(/Préfixe 40 inconnu/);
+    expect(validatePhone('70112233')).toBeNull();
+  });
+});
+
+/* ---------- Transaction complète ---------- */
+
+describe('validateTransaction', () => {
+  it('normalizes a valid transaction', () => {
+    const { errors, values, network } = validateTransaction(draft(), { operators: OPERATORS });
+    expect(errors).toEqual({});
+    expect(values).toMatchObject({ nom_complet: 'Awa Ouédraogo', telephone: '+22676112233', id_document: 'B1234567' });
+    expect(network).toBe('orange');
+    expect(documentKind('AB123456')).toBe('passport');
+  });
+
+  it('reports every invalid field', () => {
+    const { errors } = validateTransaction(
+      draft({ type: 'swap', operator: 'wave', nom_complet: 'Al', id_document: '123', telephone: '401122', montant: 0 }),
+      { operators: OPERATORS }
+    );
+    expect(Object.keys(errors).sort()).toEqual(['id_document', 'montant', 'nom_complet', 'operator', 'telephone', 'type']);
+    expect(errors.operator).toBe('Opérateur inconnu: wave.');
+  });
+
+  it('applies the amount limits of the operator', () => {
+    const limits = { orange: { min: 1000, max: 100000 } };
+    expect(validateTransaction(draft({ montant: 500 }), { limits }).errors.montant).toMatch(/minimum/);
+    expect(validateTransaction(draft({ montant: 150000 }), { limits }).errors.montant).toMatch(/maximum/);
+    expect(validateTransaction(draft({ montant: 150000, operator: 'moov' }), { limits }).errors).toEqual({});
+    expect(validateTransaction(draft({ montant: 1500.5 })).errors.montant).toMatch(/entier/);
+  });
+
+  it('checks and normalizes the fields of the type', () => {
+    expect(validateTransaction(draft({ type: 'transfer' })).errors).toEqual({
+      recipient_phone: 'Numéro du bénéficiaire: champ obligatoire.'
+    });
+    const { errors, values } = validateTransaction(draft({ type: 'transfer', recipient_phone: '00226 70 11 22 33' }));
+    expect(errors).toEqual({});
+    expect(values.recipient_phone).toBe('+22670112233');
+    expect(validateTransaction(draft({ type: 'bill_payment', biller: 'EDF', bill_reference: '42' })).errors).toEqual({
+      biller: 'Facturier: valeur inconnue.'
+    });
+  });
+});
@@ -0,0 +1,244 @@
+/*
+  Coffre: profils, déverrouillage et changement de code PIN.
+
+  settings['vault'] = {
+    version: 2,
+    users: {
+      [userId]: {
+        public_key,   // JWK ECDH P-256
+        private: { iterations, salt, iv, wrapped },   // clé privée enveloppée par le PIN
+        data_key: { epk, iv, wrapped }                // clé de données scellée pour ce profil
+      }
+    },
+    created_at, rotated_at
+  }
+
+  La clé de données peut être renouvelée sans connaître les PIN des autres
+  profils (scellement par clé publique). C'est fait à chaque changement de
+  PIN et à chaque suppression de profil: toutes les données personnelles sont
+  rechiffrées dans une seule transaction IndexedDB, si bien qu'une ancienne
+  copie de la base et un ancien PIN ne suffisent plus à lire les nouvelles.
+*/
+import { ALERTS_STORE, AUDIT_STORE, CLIENTS_STORE, CONFLICTS_STORE, SETTINGS_STORE, STORE_NAME, getAllRecords, getSetting, openDB, uuidv4 } from './db.js';
+import {
+  PII_FIELDS,
+  VaultError,
+  exportPublicKey,
+  generateDataKey,
+  generateUserKeyPair,
+  getSessionKey,
+  isUnlocked,
+  lock,
+  openDataKeyWith,
+  openFields,
+  sealDataKeyFor,
+  sealFields,
+  setSessionKey,
+  unwrapPrivateKey,
+  wrapPrivateKey
+} from './crypto.js';
+import { CLIENT_PII_FIELDS } from './clients.js';
+import { AUDIT_SEALED_FIELDS } from './corrections.js';
+import { ALERT_SEALED_FIELDS } from './compliance.js';
+import { CONFLICT_SEALED_FIELDS } from './conflicts.js';
+import { ROLES, USERS_KEY, loadUsers } from './users.js';
+
+export const VAULT_KEY = 'vault';
+export const PIN_PATTERN = /^\d{6,8}$/;
+
+let currentUser = null;
+
+export function getCurrentUser() {
+  return currentUser;
+}
+
+export function validatePin(pin) {
+  if (!PIN_PATTERN.test(pin || '')) return 'Le code PIN doit comporter 6 à 8 chiffres.';
+  if (/^(\d)\1+$/.test(pin) || '0123456789'.includes(pin) || '9876543210'.includes(pin)) {
+    return 'Code PIN trop simple (chiffres identiques ou suite).';
+  }
+  return null;
+}
+
+function assertPin(pin) {
+  const pinError = validatePin(pin);
+  if (pinError) throw new VaultError(pinError, { code: 'weak_pin' });
+}
+
+function assertName(name) {
+  if (!String(name || '').trim()) throw new VaultError('Le nom du profil est obligatoire.', { code: 'invalid' });
+}
+
+// 'setup' (aucun PIN encore), 'locked' ou 'unlocked'
+export async function getVaultStatus() {
+  const vault = await getSetting(VAULT_KEY, null);
+  if (!vault) return 'setup';
+  return isUnlocked() ? 'unlocked' : 'locked';
+}
+
+// Clés d'un nouveau profil (ou d'un profil qui change de PIN)
+async function createUserKeys(pin, dataKey) {
+  const pair = await generateUserKeyPair();
+  const publicKey = await exportPublicKey(pair.publicKey);
+  return {
+    public_key: publicKey,
+    private: await wrapPrivateKey(pair.privateKey, pin),
+    data_key: await sealDataKeyFor(dataKey, publicKey)
+  };
+}
+
+async function sealForAll(vaultUsers, dataKey) {
+  const entries = await Promise.all(Object.entries(vaultUsers).map(async ([id, slot]) => (
+    [id, { ...slot, data_key: await sealDataKeyFor(dataKey, slot.public_key) }]
+  )));
+  return Object.fromEntries(entries);
+}
+
+// Stores dont certains champs sont chiffrés avec la clé de données
+export const SEALED_STORES = [
+  { name: STORE_NAME, fields: PII_FIELDS },
+  { name: CLIENTS_STORE, fields: CLIENT_PII_FIELDS },
+  { name: AUDIT_STORE, fields: AUDIT_SEALED_FIELDS },
+  { name: ALERTS_STORE, fields: ALERT_SEALED_FIELDS },
+  { name: CONFLICTS_STORE, fields: CONFLICT_SEALED_FIELDS }
+];
+
+/*
+  commit: enregistre le coffre et les profils, et si `reseal` est fourni
+  déchiffre avec reseal.from (null = données encore en clair) puis rechiffre
+  avec reseal.to, le tout dans une seule transaction. Le travail
+  cryptographique est fait avant de l'ouvrir.
+  reseal.dropped: stores vidés au lieu d'être rechiffrés (données dérivées).
+*/
+async function commit(vault, users, reseal = null) {
+  const prepared = !reseal ? [] : await Promise.all(SEALED_STORES.map(async ({ name, fields }) => {
+    if ((reseal.dropped || []).includes(name)) return { name, records: [], clear: true };
+    const records = await getAllRecords(name);
+    const resealed = await Promise.all(records.map(async (r) => sealFields(await openFields(r, fields, reseal.from), fields, reseal.to)));
+    return { name, records: resealed };
+  }));
+
+  const db = await openDB();
+  return new Promise((resolve, reject) => {
+    const stores = [...(reseal ? SEALED_STORES.map((s) => s.name) : []), SETTINGS_STORE];
+    const txDB = db.transaction(stores, 'readwrite');
+    prepared.forEach(({ name, records, clear }) => {
+      const store = txDB.objectStore(name);
+      if (clear) store.clear();
+      records.forEach((r) => store.put(r));
+    });
+    const settings = txDB.objectStore(SETTINGS_STORE);
+    settings.put({ key: VAULT_KEY, value: vault });
+    settings.put({ key: USERS_KEY, value: users });
+    txDB.oncomplete = () => resolve(vault);
+    txDB.onerror = () => reject(txDB.error);
+  });
+}
+
+async function requireVault() {
+  const vault = await getSetting(VAULT_KEY, null);
+  if (!vault) throw new VaultError('Aucun code PIN configuré.', { code: 'not_configured' });
+  return vault;
+}
+
+function requireOwner() {
+  if (!currentUser || currentUser.role !== 'owner') {
+    throw new VaultError('Action réservée au propriétaire.', { code: 'forbidden' });
+  }
+}
+
+// Nouvelle clé de données, scellée pour tous les profils, données rechiffrées
+async function rotate(vault, users, vaultUsers) {
+  const newKey = await generateDataKey();
+  const next = { ...vault, users: await sealForAll(vaultUsers, newKey), rotated_at: new Date().toISOString() };
+  await commit(next, users, { from: getSessionKey(), to: newKey });
+  setSessionKey(newKey);
+  return next;
+}
+
+/* ---------- Premier lancement et déverrouillage ---------- */
+
+// Crée le profil propriétaire et chiffre les données déjà présentes en clair
+export async function setupVault({ name, pin }) {
+  assertName(name);
+  assertPin(pin);
+  if (await getSetting(VAULT_KEY, null)) throw new VaultError('Un code PIN est déjà configuré.', { code: 'exists' });
+
+  const dataKey = await generateDataKey();
+  const now = new Date().toISOString();
+  const owner = { id: uuidv4(), name: name.trim(), role: 'owner', created_at: now };
+  const vault = { version: 2, users: { [owner.id]: await createUserKeys(pin, dataKey) }, created_at: now, rotated_at: now };
+  // Les fiches clients en clair avaient le n° de document pour clé: reconstruites au déverrouillage
+  await commit(vault, [owner], { from: null, to: dataKey, dropped: [CLIENTS_STORE] });
+  setSessionKey(dataKey);
+  currentUser = owner;
+  return owner;
+}
+
+export async function unlockVault(userId, pin) {
+  const vault = await requireVault();
+  const users = await loadUsers();
+  const user = users.find((u) => u.id === userId);
+  const slot = vault.users[userId];
+  if (!user || !slot) throw new VaultError('Profil inconnu.', { code: 'unknown_user' });
+  const privateKey = await unwrapPrivateKey(slot.private, pin);
+  setSessionKey(await openDataKeyWith(slot.data_key, privateKey));
+  currentUser = user;
+  return user;
+}
+
+export function lockVault() {
+  lock();
+  currentUser = null;
+}
+
+/* ---------- Gestion des profils (session déverrouillée) ---------- */
+
+export async function changePin(oldPin, newPin) {
+  assertPin(newPin);
+  const vault = await requireVault();
+  const slot = vault.users[currentUser.id];
+  // Vérifie l'ancien PIN avant de remplacer quoi que ce soit
+  await unwrapPrivateKey(slot.private, oldPin);
+  const users = await loadUsers();
+  const ownKeys = await createUserKeys(newPin, getSessionKey());
+  return rotate(vault, users, { ...vault.users, [currentUser.id]: ownKeys });
+}
+
+export async function addUser({ name, role, pin }) {
+  requireOwner();
+  assertName(name);
+  assertPin(pin);
+  if (!ROLES[role]) throw new VaultError(`Rôle inconnu: ${role}.`, { code: 'invalid' });
+  const vault = await requireVault();
+  const users = await loadUsers();
+  const user = { id: uuidv4(), name: name.trim(), role, created_at: new Date().toISOString() };
+  const keys = await createUserKeys(pin, getSessionKey());
+  await commit({ ...vault, users: { ...vault.users, [user.id]: keys } }, [...users, user]);
+  return user;
+}
+
+export async function updateUser(id, { name, role }) {
+  requireOwner();
+  assertName(name);
+  if (!ROLES[role]) throw new VaultError(`Rôle inconnu: ${role}.`, { code: 'invalid' });
+  const vault = await requireVault();
+  const users = await loadUsers();
+  const next = users.map((u) => (u.id === id ? { ...u, name: name.trim(), role } : u));
+  if (!next.some((u) => u.role === 'owner')) throw new VaultError('Il faut au moins un propriétaire.', { code: 'invalid' });
+  await commit(vault, next);
+  if (currentUser.id === id) currentUser = next.find((u) => u.id === id);
+  return next;
+}
+
+// Retire le profil et renouvelle la clé: son ancien PIN ne lit plus les nouvelles données
+export async function removeUser(id) {
+  requireOwner();
+  if (id === currentUser.id) throw new VaultError('Vous ne pouvez pas supprimer votre propre profil.', { code: 'invalid' });
+  const vault = await requireVault();
+  const users = (await loadUsers()).filter((u) => u.id !== id);
+  if (!users.some((u) => u.role === 'owner')) throw new VaultError('Il faut au moins un propriétaire.', { code: 'invalid' });
+  const { [id]: _removed, ...remaining } = vault.users;
+  await rotate(vault, users, remaining);
+  return users;
+}
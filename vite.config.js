@@ -1,10 +1,15 @@
 import { defineConfig } from 'vite'
 import react from '@vitejs/plugin-react'
+import precacheManifest from './scripts/precache-manifest.js'
 
 export default defineConfig({
-  plugins: [react()],
+  plugins: [react(), precacheManifest()],
   server: {
     port: 3000,
-    open: true
+    open: true,
+    // `npm run mock:server` répond sur ce port (voir scripts/mock-sync-server.js)
+    proxy: {
+      '/api': 'http://localhost:8787'
+    }
   }
 })